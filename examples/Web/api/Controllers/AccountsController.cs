@@ -0,0 +1,152 @@
+﻿namespace WebAPI.Controllers
+{
+    using System;
+    using System.Collections.Generic;
+    using System.ComponentModel.DataAnnotations;
+    using Microsoft.AspNetCore.Authorization;
+    using Microsoft.AspNetCore.Mvc;
+    using WebAPI.DTO;
+    using WebAPI.Security;
+    using WebAPI.Services;
+
+    /// <summary>
+    ///     Accounts
+    /// </summary>
+    [Route("api/v{version:apiVersion}/[controller]")]
+    [ApiVersion("1")]
+    [ApiController]
+    [Produces("application/json")]
+    [Consumes("application/json")]
+    public class AccountsController : ControllerBase
+    {
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="AccountsController"/> class.
+        /// </summary>
+        /// <param name="accounts"></param>
+        /// <param name="audit"></param>
+        public AccountsController(IAccountService accounts, IAuditService audit)
+        {
+            Accounts = accounts;
+            Audit = audit;
+        }
+
+        private IAccountService Accounts { get; }
+        private IAuditService Audit { get; }
+
+        /// <summary>
+        ///     Gets all web users.
+        /// </summary>
+        /// <returns></returns>
+        /// <response code="200">The request completed successfully.</response>
+        [HttpGet("")]
+        [Authorize(Roles = Roles.Admin)]
+        [ProducesResponseType(typeof(IEnumerable<Account>), 200)]
+        public IActionResult GetAll()
+        {
+            return Ok(Accounts.Accounts);
+        }
+
+        /// <summary>
+        ///     Adds a web user.
+        /// </summary>
+        /// <param name="request">The username, password and role of the user.</param>
+        /// <returns></returns>
+        /// <response code="201">The user was added.</response>
+        /// <response code="400">The request is invalid or the username is taken.</response>
+        [HttpPost("")]
+        [Authorize(Roles = Roles.Admin)]
+        [ProducesResponseType(typeof(Account), 201)]
+        [ProducesResponseType(typeof(string), 400)]
+        public IActionResult Add([FromBody]AccountRequest request)
+        {
+            try
+            {
+                var account = Accounts.Add(request);
+                return StatusCode(201, account);
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(ex.Message);
+            }
+        }
+
+        /// <summary>
+        ///     Changes the role and optionally the password of the web user with the specified <paramref name="username"/>.
+        /// </summary>
+        /// <remarks>
+        ///     Tokens already issued to the user are rejected once their role changes, so the user must log in again.
+        /// </remarks>
+        /// <param name="username">The username of the user.</param>
+        /// <param name="request">The new role and optional password.</param>
+        /// <returns></returns>
+        /// <response code="200">The user was updated.</response>
+        /// <response code="400">The request is invalid, or the user is the built in account.</response>
+        /// <response code="404">The specified user could not be found.</response>
+        [HttpPut("{username}")]
+        [Authorize(Roles = Roles.Admin)]
+        [ProducesResponseType(typeof(Account), 200)]
+        [ProducesResponseType(typeof(string), 400)]
+        [ProducesResponseType(404)]
+        public IActionResult Update([FromRoute, Required]string username, [FromBody]AccountRequest request)
+        {
+            try
+            {
+                if (Accounts.TryUpdate(username, request, out var account))
+                {
+                    return Ok(account);
+                }
+
+                return NotFound();
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(ex.Message);
+            }
+        }
+
+        /// <summary>
+        ///     Removes the web user with the specified <paramref name="username"/>.
+        /// </summary>
+        /// <param name="username">The username of the user.</param>
+        /// <returns></returns>
+        /// <response code="204">The user was removed.</response>
+        /// <response code="400">The user is the built in account.</response>
+        /// <response code="404">The specified user could not be found.</response>
+        [HttpDelete("{username}")]
+        [Authorize(Roles = Roles.Admin)]
+        [ProducesResponseType(204)]
+        [ProducesResponseType(typeof(string), 400)]
+        [ProducesResponseType(404)]
+        public IActionResult Delete([FromRoute, Required]string username)
+        {
+            try
+            {
+                if (Accounts.TryRemove(username))
+                {
+                    return NoContent();
+                }
+
+                return NotFound();
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(ex.Message);
+            }
+        }
+
+        /// <summary>
+        ///     Gets the record of which web user enqueued, cancelled or removed which transfer, newest first.
+        /// </summary>
+        /// <param name="user">The optional web user whose actions to get.</param>
+        /// <param name="limit">The maximum number of actions to get.</param>
+        /// <returns></returns>
+        /// <response code="200">The request completed successfully.</response>
+        [HttpGet("audit")]
+        [Authorize(Roles = Roles.Admin)]
+        [ProducesResponseType(typeof(IEnumerable<AuditEntry>), 200)]
+        public IActionResult GetAudit([FromQuery]string user = null, [FromQuery]int limit = 500)
+        {
+            return Ok(Audit.Get(string.IsNullOrEmpty(user) ? null : user, Math.Max(limit, 1)));
+        }
+    }
+}
@@ -0,0 +1,155 @@
+﻿namespace WebAPI.Controllers
+{
+    using System;
+    using System.Collections.Generic;
+    using System.ComponentModel.DataAnnotations;
+    using System.Threading.Tasks;
+    using Microsoft.AspNetCore.Authorization;
+    using Microsoft.AspNetCore.Mvc;
+    using Soulseek;
+    using WebAPI.DTO;
+    using WebAPI.Security;
+    using WebAPI.Trackers;
+
+    /// <summary>
+    ///     Conversations
+    /// </summary>
+    [Route("api/v{version:apiVersion}/[controller]")]
+    [ApiVersion("1")]
+    [ApiController]
+    [Produces("application/json")]
+    [Consumes("application/json")]
+    public class ConversationsController : ControllerBase
+    {
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="ConversationsController"/> class.
+        /// </summary>
+        /// <param name="client"></param>
+        /// <param name="tracker"></param>
+        public ConversationsController(ISoulseekClient client, IConversationTracker tracker)
+        {
+            Client = client;
+            Tracker = tracker;
+        }
+
+        private ISoulseekClient Client { get; }
+        private IConversationTracker Tracker { get; }
+
+        /// <summary>
+        ///     Gets summaries of all conversations, most recently active first.
+        /// </summary>
+        /// <returns></returns>
+        /// <response code="200">The request completed successfully.</response>
+        [HttpGet("")]
+        [Authorize]
+        [ProducesResponseType(typeof(IEnumerable<ConversationSummary>), 200)]
+        public IActionResult GetAll()
+        {
+            return Ok(Tracker.Summaries);
+        }
+
+        /// <summary>
+        ///     Gets the conversation with the specified <paramref name="username"/>.
+        /// </summary>
+        /// <param name="username">The other party to the conversation.</param>
+        /// <returns></returns>
+        /// <response code="200">The request completed successfully.</response>
+        /// <response code="404">There is no conversation with the specified user.</response>
+        [HttpGet("{username}")]
+        [Authorize]
+        [ProducesResponseType(typeof(Conversation), 200)]
+        [ProducesResponseType(404)]
+        public IActionResult Get([FromRoute, Required]string username)
+        {
+            if (Tracker.TryGet(username, out var conversation))
+            {
+                return Ok(conversation);
+            }
+
+            return NotFound();
+        }
+
+        /// <summary>
+        ///     Marks all messages in the conversation with the specified <paramref name="username"/> as read.
+        /// </summary>
+        /// <param name="username">The other party to the conversation.</param>
+        /// <returns></returns>
+        /// <response code="204">The conversation was marked as read.</response>
+        /// <response code="404">There is no conversation with the specified user.</response>
+        [HttpPut("{username}/read")]
+        [Authorize]
+        [ProducesResponseType(204)]
+        [ProducesResponseType(404)]
+        public IActionResult MarkRead([FromRoute, Required]string username)
+        {
+            if (Tracker.MarkRead(username))
+            {
+                return NoContent();
+            }
+
+            return NotFound();
+        }
+
+        /// <summary>
+        ///     Deletes the conversation with the specified <paramref name="username"/>.
+        /// </summary>
+        /// <param name="username">The other party to the conversation.</param>
+        /// <returns></returns>
+        /// <response code="204">The conversation was deleted.</response>
+        /// <response code="404">There is no conversation with the specified user.</response>
+        [HttpDelete("{username}")]
+        [Authorize(Roles = Roles.CanDownload)]
+        [ProducesResponseType(204)]
+        [ProducesResponseType(404)]
+        public IActionResult Delete([FromRoute, Required]string username)
+        {
+            if (Tracker.TryRemove(username))
+            {
+                return NoContent();
+            }
+
+            return NotFound();
+        }
+
+        /// <summary>
+        ///     Sends a private message to the specified <paramref name="username"/>.
+        /// </summary>
+        /// <param name="username">The user to which the message is to be sent.</param>
+        /// <param name="message">The message to send.</param>
+        /// <returns></returns>
+        /// <response code="201">The message was sent.</response>
+        /// <response code="400">The message is empty.</response>
+        /// <response code="500">The message could not be sent.</response>
+        [HttpPost("{username}")]
+        [Authorize(Roles = Roles.CanDownload)]
+        [ProducesResponseType(201)]
+        [ProducesResponseType(typeof(string), 400)]
+        [ProducesResponseType(typeof(string), 500)]
+        public async Task<IActionResult> Send([FromRoute, Required]string username, [FromBody]string message)
+        {
+            if (string.IsNullOrWhiteSpace(message))
+            {
+                return BadRequest("The message must not be empty");
+            }
+
+            try
+            {
+                await Client.SendPrivateMessageAsync(username, message);
+
+                Tracker.AddMessage(new PrivateMessage()
+                {
+                    Timestamp = DateTime.UtcNow,
+                    Username = username,
+                    IsOutgoing = true,
+                    Message = message,
+                });
+
+                return StatusCode(201);
+            }
+            catch (Exception ex)
+            {
+                return StatusCode(500, ex.Message);
+            }
+        }
+    }
+}
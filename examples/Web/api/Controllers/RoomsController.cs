@@ -0,0 +1,205 @@
+﻿namespace WebAPI.Controllers
+{
+    using System;
+    using System.Collections.Generic;
+    using System.ComponentModel.DataAnnotations;
+    using System.Linq;
+    using System.Threading.Tasks;
+    using Microsoft.AspNetCore.Authorization;
+    using Microsoft.AspNetCore.Mvc;
+    using Soulseek;
+    using WebAPI.DTO;
+    using WebAPI.Security;
+    using WebAPI.Trackers;
+
+    /// <summary>
+    ///     Chat rooms
+    /// </summary>
+    [Route("api/v{version:apiVersion}/[controller]")]
+    [ApiVersion("1")]
+    [ApiController]
+    [Produces("application/json")]
+    [Consumes("application/json")]
+    public class RoomsController : ControllerBase
+    {
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="RoomsController"/> class.
+        /// </summary>
+        /// <param name="client"></param>
+        /// <param name="tracker"></param>
+        public RoomsController(ISoulseekClient client, IRoomTracker tracker)
+        {
+            Client = client;
+            Tracker = tracker;
+        }
+
+        private ISoulseekClient Client { get; }
+        private IRoomTracker Tracker { get; }
+
+        /// <summary>
+        ///     Gets the list of rooms on the server, most populated first.
+        /// </summary>
+        /// <returns></returns>
+        /// <response code="200">The request completed successfully.</response>
+        /// <response code="500">The room list could not be retrieved.</response>
+        [HttpGet("available")]
+        [Authorize]
+        [ProducesResponseType(typeof(IEnumerable<Room>), 200)]
+        [ProducesResponseType(typeof(string), 500)]
+        public async Task<IActionResult> GetAvailable()
+        {
+            try
+            {
+                var rooms = await Client.GetRoomListAsync();
+                return Ok(rooms.OrderByDescending(r => r.UserCount));
+            }
+            catch (Exception ex)
+            {
+                return StatusCode(500, ex.Message);
+            }
+        }
+
+        /// <summary>
+        ///     Gets the names of the joined rooms.
+        /// </summary>
+        /// <returns></returns>
+        /// <response code="200">The request completed successfully.</response>
+        [HttpGet("joined")]
+        [Authorize]
+        [ProducesResponseType(typeof(IEnumerable<string>), 200)]
+        public IActionResult GetJoined()
+        {
+            return Ok(Tracker.Names);
+        }
+
+        /// <summary>
+        ///     Gets the users and messages of the specified joined room.
+        /// </summary>
+        /// <param name="roomName">The name of the room.</param>
+        /// <returns></returns>
+        /// <response code="200">The request completed successfully.</response>
+        /// <response code="404">The room has not been joined.</response>
+        [HttpGet("joined/{roomName}")]
+        [Authorize]
+        [ProducesResponseType(typeof(ChatRoom), 200)]
+        [ProducesResponseType(404)]
+        public IActionResult GetJoined([FromRoute, Required]string roomName)
+        {
+            if (Tracker.TryGet(roomName, out var room))
+            {
+                return Ok(room);
+            }
+
+            return NotFound();
+        }
+
+        /// <summary>
+        ///     Joins the specified room, creating it if it doesn't exist.
+        /// </summary>
+        /// <param name="roomName">The name of the room.</param>
+        /// <returns></returns>
+        /// <response code="201">The room was joined.</response>
+        /// <response code="400">The room name is empty.</response>
+        /// <response code="500">The room could not be joined.</response>
+        [HttpPost("joined")]
+        [Authorize(Roles = Roles.CanDownload)]
+        [ProducesResponseType(typeof(ChatRoom), 201)]
+        [ProducesResponseType(typeof(string), 400)]
+        [ProducesResponseType(typeof(string), 500)]
+        public async Task<IActionResult> Join([FromBody]string roomName)
+        {
+            if (string.IsNullOrWhiteSpace(roomName))
+            {
+                return BadRequest("The room name must not be empty");
+            }
+
+            try
+            {
+                var data = await Client.JoinRoomAsync(roomName);
+                Tracker.AddOrUpdate(data);
+
+                Tracker.TryGet(data.Name, out var room);
+                return StatusCode(201, room);
+            }
+            catch (Exception ex)
+            {
+                return StatusCode(500, ex.Message);
+            }
+        }
+
+        /// <summary>
+        ///     Leaves the specified room.
+        /// </summary>
+        /// <param name="roomName">The name of the room.</param>
+        /// <returns></returns>
+        /// <response code="204">The room was left.</response>
+        /// <response code="404">The room has not been joined.</response>
+        /// <response code="500">The room could not be left.</response>
+        [HttpDelete("joined/{roomName}")]
+        [Authorize(Roles = Roles.CanDownload)]
+        [ProducesResponseType(204)]
+        [ProducesResponseType(404)]
+        [ProducesResponseType(typeof(string), 500)]
+        public async Task<IActionResult> Leave([FromRoute, Required]string roomName)
+        {
+            if (!Tracker.TryGet(roomName, out _))
+            {
+                return NotFound();
+            }
+
+            try
+            {
+                await Client.LeaveRoomAsync(roomName);
+                Tracker.TryRemove(roomName);
+                return NoContent();
+            }
+            catch (Exception ex)
+            {
+                return StatusCode(500, ex.Message);
+            }
+        }
+
+        /// <summary>
+        ///     Sends a message to the specified joined room.
+        /// </summary>
+        /// <remarks>
+        ///     The server echoes the message back to everyone in the room, including the sender, so it appears in the room's
+        ///     messages once it has been delivered.
+        /// </remarks>
+        /// <param name="roomName">The name of the room.</param>
+        /// <param name="message">The message to send.</param>
+        /// <returns></returns>
+        /// <response code="201">The message was sent.</response>
+        /// <response code="400">The message is empty.</response>
+        /// <response code="404">The room has not been joined.</response>
+        /// <response code="500">The message could not be sent.</response>
+        [HttpPost("joined/{roomName}/messages")]
+        [Authorize(Roles = Roles.CanDownload)]
+        [ProducesResponseType(201)]
+        [ProducesResponseType(typeof(string), 400)]
+        [ProducesResponseType(404)]
+        [ProducesResponseType(typeof(string), 500)]
+        public async Task<IActionResult> SendMessage([FromRoute, Required]string roomName, [FromBody]string message)
+        {
+            if (string.IsNullOrWhiteSpace(message))
+            {
+                return BadRequest("The message must not be empty");
+            }
+
+            if (!Tracker.TryGet(roomName, out _))
+            {
+                return NotFound();
+            }
+
+            try
+            {
+                await Client.SendRoomMessageAsync(roomName, message);
+                return StatusCode(201);
+            }
+            catch (Exception ex)
+            {
+                return StatusCode(500, ex.Message);
+            }
+        }
+    }
+}
@@ -4,6 +4,7 @@
     using System.Collections.Concurrent;
     using System.Collections.Generic;
     using System.Linq;
+    using System.Threading;
     using System.Threading.Tasks;
     using Microsoft.AspNetCore.Authorization;
     using Microsoft.AspNetCore.Mvc;
@@ -40,7 +41,11 @@
         /// </summary>
         /// <param name="request">The search request.</param>
         /// <returns></returns>
-        /// <response code="200">The search completed successfully.</response>
+        /// <remarks>
+        ///     Responses are recorded as they arrive and can be retrieved while the search is in progress by specifying a
+        ///     <see cref="SearchRequest.Token"/> and then requesting the search by that token.
+        /// </remarks>
+        /// <response code="200">The search completed successfully, or was cancelled.</response>
         /// <response code="400">The specified <paramref name="request"/> was malformed.</response>
         /// <response code="500">The search terminated abnormally.</response>
         [HttpPost("")]
@@ -50,15 +55,22 @@
         [ProducesResponseType(typeof(string), 500)]
         public async Task<IActionResult> Post([FromBody]SearchRequest request)
         {
+            var token = request.Token ?? Client.GetNextToken();
+            var cts = new CancellationTokenSource();
+
             var options = request.ToSearchOptions(
-                responseReceived: (e) => Tracker.AddOrUpdate(e),
-                stateChanged: (e) => Tracker.AddOrUpdate(e));
+                responseReceived: (e) => Tracker.AddOrUpdate(e, cts),
+                stateChanged: (e) => Tracker.AddOrUpdate(e, cts));
 
             var results = new ConcurrentBag<SearchResponse>();
 
             try
             {
-                await Client.SearchAsync(SearchQuery.FromText(request.SearchText), (r) => results.Add(r), SearchScope.Default, request.Token, options);
+                await Client.SearchAsync(SearchQuery.FromText(request.SearchText), (r) => results.Add(r), SearchScope.Default, token, options, cts.Token);
+                return Ok(results);
+            }
+            catch (OperationCanceledException)
+            {
                 return Ok(results);
             }
             catch (Exception ex)
@@ -68,7 +80,7 @@
             finally
             {
                 results = null;
-                Tracker.TryRemove(request.SearchText);
+                Tracker.TryRemove(token);
             }
         }
 
@@ -82,7 +94,7 @@
         [ProducesResponseType(typeof(IEnumerable<Search>), 200)]
         public IActionResult Get()
         {
-            return Ok(Tracker.Searches);
+            return Ok(Tracker.Searches.Values);
         }
 
         /// <summary>
@@ -98,7 +110,7 @@
         [ProducesResponseType(404)]
         public IActionResult GetBySearchText([FromRoute]string searchText)
         {
-            Tracker.Searches.TryGetValue(searchText, out var search);
+            var search = Tracker.Searches.Values.FirstOrDefault(s => s.SearchText == searchText);
 
             if (search == default)
             {
@@ -112,6 +124,7 @@
         ///     Gets the state of the search corresponding to the specified <paramref name="token"/>.
         /// </summary>
         /// <param name="token">The token of the desired search.</param>
+        /// <param name="includeResponses">A value indicating whether the responses received so far should be included.</param>
         /// <returns></returns>
         /// <response code="200">The request completed successfully.</response>
         /// <response code="404">A matching search was not found.</response>
@@ -119,16 +132,53 @@
         [Authorize]
         [ProducesResponseType(typeof(Search), 200)]
         [ProducesResponseType(404)]
-        public IActionResult GetByToken([FromRoute]int token)
+        public IActionResult GetByToken([FromRoute]int token, [FromQuery]bool includeResponses = false)
         {
-            var search = Tracker.Searches.Values.SingleOrDefault(s => s.Token == token);
+            Tracker.Searches.TryGetValue(token, out var search);
 
             if (search == default)
             {
                 return NotFound();
             }
 
+            if (includeResponses)
+            {
+                Tracker.TryGetResponses(token, out var responses);
+
+                return Ok(new
+                {
+                    search.SearchText,
+                    search.Token,
+                    search.State,
+                    search.ResponseCount,
+                    search.FileCount,
+                    Responses = responses ?? Enumerable.Empty<SearchResponse>(),
+                });
+            }
+
             return Ok(search);
         }
+
+        /// <summary>
+        ///     Stops the search corresponding to the specified <paramref name="token"/>.
+        /// </summary>
+        /// <remarks>The pending search request completes with the responses received prior to cancellation.</remarks>
+        /// <param name="token">The token of the search to stop.</param>
+        /// <returns></returns>
+        /// <response code="204">The search was stopped.</response>
+        /// <response code="404">A matching search was not found.</response>
+        [HttpDelete("{token:int}")]
+        [Authorize]
+        [ProducesResponseType(204)]
+        [ProducesResponseType(404)]
+        public IActionResult Stop([FromRoute]int token)
+        {
+            if (Tracker.TryCancel(token))
+            {
+                return NoContent();
+            }
+
+            return NotFound();
+        }
     }
 }
@@ -2,9 +2,12 @@
 {
     using Microsoft.AspNetCore.Authorization;
     using Microsoft.AspNetCore.Mvc;
-    using Soulseek;
+    using Soulseek.Exceptions;
+    using System;
     using System.Threading.Tasks;
     using WebAPI.DTO;
+    using WebAPI.Security;
+    using WebAPI.Services;
 
     /// <summary>
     ///     Server
@@ -16,59 +19,82 @@
     [Consumes("application/json")]
     public class ServerController : ControllerBase
     {
-        private ISoulseekClient Client { get; }
+        private IServerService Server { get; }
 
-        public ServerController(ISoulseekClient client)
+        public ServerController(IServerService server)
         {
-            Client = client;
+            Server = server;
+        }
+
+        /// <summary>
+        ///     Gets the state of the connection to the server.
+        /// </summary>
+        /// <returns></returns>
+        /// <response code="200">The request completed successfully.</response>
+        [HttpGet]
+        [Authorize]
+        [ProducesResponseType(typeof(ServerState), 200)]
+        public IActionResult Get()
+        {
+            return Ok(Server.State);
         }
 
         /// <summary>
         ///     Disconnects the client.
         /// </summary>
-        /// <param name="message"></param>
+        /// <remarks>
+        ///     The client won't reconnect automatically after a requested disconnect.
+        /// </remarks>
+        /// <param name="message">An optional message describing the reason for the disconnect.</param>
         /// <returns></returns>
+        /// <response code="204">The client was disconnected.</response>
         [HttpDelete]
-        [Authorize]
-        public IActionResult Disconnect([FromBody]string message)
+        [Authorize(Roles = Roles.Admin)]
+        [ProducesResponseType(204)]
+        public IActionResult Disconnect([FromQuery]string message = null)
         {
-            Client.Disconnect(message);
+            Server.Disconnect(message);
             return NoContent();
         }
 
         /// <summary>
-        ///     Connects the client.
+        ///     Connects the client, replacing the existing connection if there is one.
         /// </summary>
+        /// <remarks>
+        ///     Omitted values are carried over from the previous connection, so an empty object ({}) reconnects to the same
+        ///     server with the same credentials.
+        /// </remarks>
         /// <param name="req"></param>
         /// <returns></returns>
+        /// <response code="200">The client connected and logged in.</response>
+        /// <response code="400">The address or port is invalid.</response>
+        /// <response code="422">The server rejected the credentials.</response>
+        /// <response code="500">The client failed to connect.</response>
         [HttpPost]
-        [Authorize]
+        [Authorize(Roles = Roles.Admin)]
+        [ProducesResponseType(typeof(ServerState), 200)]
+        [ProducesResponseType(typeof(string), 400)]
+        [ProducesResponseType(typeof(string), 422)]
+        [ProducesResponseType(typeof(string), 500)]
         public async Task<IActionResult> Connect([FromBody]ConnectRequest req)
         {
-            var addr = !string.IsNullOrEmpty(req.Address);
-            var port = req.Port.HasValue;
-            var un = !string.IsNullOrEmpty(req.Username);
-            var pw = !string.IsNullOrEmpty(req.Password);
-
-            if (addr && port && un && pw)
+            try
             {
-                await Client.ConnectAsync(req.Address, req.Port.Value, req.Username, req.Password);
-                return Ok();
+                await Server.ConnectAsync(req);
+                return Ok(Server.State);
             }
-
-            if (addr && port && !un && !pw)
+            catch (ArgumentException ex)
             {
-                await Client.ConnectAsync(req.Address, req.Port.Value);
-                return Ok();
+                return BadRequest(ex.Message);
             }
-
-            if (!addr && !port && un && pw)
+            catch (LoginRejectedException ex)
             {
-                await Client.ConnectAsync(req.Username, req.Password);
-                return Ok();
+                return UnprocessableEntity(ex.Message);
+            }
+            catch (Exception ex)
+            {
+                return StatusCode(500, ex.Message);
             }
-
-            return BadRequest("Provide one of the following: address and port, username and password, or address, port, username and password");
         }
     }
 }
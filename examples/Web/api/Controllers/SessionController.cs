@@ -6,8 +6,11 @@
     using System;
     using System.Collections.Generic;
     using System.IdentityModel.Tokens.Jwt;
+    using System.Linq;
     using System.Security.Claims;
     using WebAPI.DTO;
+    using WebAPI.Security;
+    using WebAPI.Services;
 
     /// <summary>
     ///     Session
@@ -19,8 +22,30 @@
     [Consumes("application/json")]
     public class SessionController : ControllerBase
     {
-        public SessionController()
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="SessionController"/> class.
+        /// </summary>
+        /// <param name="accounts"></param>
+        public SessionController(IAccountService accounts)
         {
+            Accounts = accounts;
+        }
+
+        private IAccountService Accounts { get; }
+
+        /// <summary>
+        ///     Gets the username and role of the current web user.
+        /// </summary>
+        /// <returns></returns>
+        /// <response code="200">The request completed successfully.</response>
+        [HttpGet]
+        [Route("")]
+        [Authorize]
+        [ProducesResponseType(200)]
+        public IActionResult Get()
+        {
+            var role = Roles.All.FirstOrDefault(r => User.IsInRole(r));
+            return Ok(new { Username = User.Identity.Name, Role = role });
         }
 
         /// <summary>
@@ -64,25 +89,52 @@
                 return BadRequest("Username and/or Password missing or invalid");
             }
 
-            if (login.Username == Startup.Username && login.Password == Startup.Password)
+            var account = Accounts.Authenticate(login.Username, login.Password);
+
+            if (account != null)
+            {
+                return Ok(new TokenResponse(GetJwtSecurityToken(account)));
+            }
+
+            return Unauthorized();
+        }
+
+        /// <summary>
+        ///     Exchanges the current, unexpired token for a new one with a full lifetime.
+        /// </summary>
+        /// <remarks>
+        ///     The new token reflects the user's current role.  Expired tokens can't be refreshed; log in again instead.
+        /// </remarks>
+        /// <returns></returns>
+        /// <response code="200">The token was refreshed.</response>
+        /// <response code="401">The token is missing, expired or belongs to a removed user.</response>
+        [HttpPost]
+        [Route("refresh")]
+        [Authorize]
+        [ProducesResponseType(typeof(TokenResponse), 200)]
+        [ProducesResponseType(401)]
+        public IActionResult Refresh()
+        {
+            if (Accounts.TryGet(User.Identity.Name, out var account))
             {
-                return Ok(new TokenResponse(GetJwtSecurityToken()));
+                return Ok(new TokenResponse(GetJwtSecurityToken(account)));
             }
 
             return Unauthorized();
         }
 
-        private JwtSecurityToken GetJwtSecurityToken()
+        private JwtSecurityToken GetJwtSecurityToken(Account account)
         {
             var issuedUtc = DateTime.UtcNow;
             var expiresUtc = DateTime.UtcNow.AddMilliseconds(Startup.TokenTTL);
 
             var claims = new List<Claim>()
             {
-                new Claim(ClaimTypes.Name, Startup.Username),
+                new Claim(ClaimTypes.Name, account.Username),
                 new Claim(ClaimTypes.NameIdentifier, Guid.NewGuid().ToString()),
-                new Claim(ClaimTypes.Role, "User"),
-                new Claim("name", Startup.Username),
+                new Claim(ClaimTypes.Role, account.Role),
+                new Claim(Startup.SecurityStampClaimType, Accounts.GetSecurityStamp(account.Username)),
+                new Claim("name", account.Username),
                 new Claim("iat", ((DateTimeOffset)issuedUtc).ToUnixTimeSeconds().ToString())
             };
 
@@ -0,0 +1,109 @@
+﻿namespace WebAPI.Controllers
+{
+    using System;
+    using System.Collections.Generic;
+    using Microsoft.AspNetCore.Authorization;
+    using Microsoft.AspNetCore.Mvc;
+    using WebAPI.DTO;
+    using WebAPI.Security;
+    using WebAPI.Services;
+
+    /// <summary>
+    ///     Shares
+    /// </summary>
+    [Route("api/v{version:apiVersion}/[controller]")]
+    [ApiVersion("1")]
+    [ApiController]
+    [Produces("application/json")]
+    [Consumes("application/json")]
+    public class SharesController : ControllerBase
+    {
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="SharesController"/> class.
+        /// </summary>
+        /// <param name="shares"></param>
+        public SharesController(IShareService shares)
+        {
+            Shares = shares;
+        }
+
+        private IShareService Shares { get; }
+
+        /// <summary>
+        ///     Gets the shared folders, exclude patterns and the state of the index.
+        /// </summary>
+        /// <returns></returns>
+        /// <response code="200">The request completed successfully.</response>
+        [HttpGet("")]
+        [Authorize]
+        [ProducesResponseType(200)]
+        public IActionResult Get()
+        {
+            return Ok(new { Settings = Shares.Settings, State = Shares.State });
+        }
+
+        /// <summary>
+        ///     Replaces the shared folders and exclude patterns, and rescans the shares.
+        /// </summary>
+        /// <param name="settings">The new settings.</param>
+        /// <returns></returns>
+        /// <response code="200">The settings were updated.</response>
+        /// <response code="400">A shared folder doesn't exist.</response>
+        [HttpPut("")]
+        [Authorize(Roles = Roles.Admin)]
+        [ProducesResponseType(typeof(ShareSettings), 200)]
+        [ProducesResponseType(typeof(string), 400)]
+        public IActionResult Update([FromBody]ShareSettings settings)
+        {
+            try
+            {
+                Shares.Update(settings);
+                return Ok(Shares.Settings);
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(ex.Message);
+            }
+        }
+
+        /// <summary>
+        ///     Gets all shared directories and their files, as they're shown to users browsing the share.
+        /// </summary>
+        /// <returns></returns>
+        /// <response code="200">The request completed successfully.</response>
+        [HttpGet("browse")]
+        [Authorize]
+        [ProducesResponseType(typeof(IEnumerable<Soulseek.Directory>), 200)]
+        public IActionResult Browse()
+        {
+            return Ok(Shares.Browse());
+        }
+
+        /// <summary>
+        ///     Starts a scan of the shared folders, cancelling any scan already in progress.
+        /// </summary>
+        /// <returns></returns>
+        /// <response code="202">The scan was started.</response>
+        [HttpPost("rescan")]
+        [Authorize(Roles = Roles.Admin)]
+        [ProducesResponseType(typeof(ShareState), 202)]
+        public IActionResult Rescan()
+        {
+            Shares.Rescan();
+            return Accepted(Shares.State);
+        }
+
+        /// <summary>
+        ///     Gets the state of the index.
+        /// </summary>
+        /// <returns></returns>
+        /// <response code="200">The request completed successfully.</response>
+        [HttpGet("state")]
+        [Authorize]
+        [ProducesResponseType(typeof(ShareState), 200)]
+        public IActionResult GetState()
+        {
+            return Ok(Shares.State);
+        }
+    }
+}
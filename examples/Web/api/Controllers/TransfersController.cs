@@ -6,11 +6,14 @@
     using Soulseek;
     using Soulseek.Exceptions;
     using System;
+    using System.Collections.Generic;
     using System.ComponentModel.DataAnnotations;
     using System.IO;
     using System.Linq;
-    using System.Threading;
     using System.Threading.Tasks;
+    using WebAPI.DTO;
+    using WebAPI.Security;
+    using WebAPI.Services;
     using WebAPI.Trackers;
 
     /// <summary>
@@ -29,16 +32,27 @@
         /// <param name="configuration"></param>
         /// <param name="client"></param>
         /// <param name="tracker"></param>
-        public TransfersController(IConfiguration configuration, ISoulseekClient client, ITransferTracker tracker)
+        /// <param name="downloads"></param>
+        /// <param name="uploads"></param>
+        /// <param name="audit"></param>
+        public TransfersController(IConfiguration configuration, ISoulseekClient client, ITransferTracker tracker, IDownloadService downloads, IUploadService uploads, IAuditService audit)
         {
             OutputDirectory = configuration.GetValue<string>("OUTPUT_DIR");
             Client = client;
             Tracker = tracker;
+            Downloads = downloads;
+            Uploads = uploads;
+            Audit = audit;
         }
 
+        private static int MaximumDestinationDepth { get; } = 5;
+
+        private IAuditService Audit { get; }
         private ISoulseekClient Client { get; }
+        private IDownloadService Downloads { get; }
         private string OutputDirectory { get; }
         private ITransferTracker Tracker { get; }
+        private IUploadService Uploads { get; }
 
         /// <summary>
         ///     Cancels the specified download.
@@ -50,7 +64,7 @@
         /// <response code="204">The download was cancelled successfully.</response>
         /// <response code="404">The specified download was not found.</response>
         [HttpDelete("downloads/{username}/{filename}")]
-        [Authorize]
+        [Authorize(Roles = Roles.CanDownload)]
         [ProducesResponseType(204)]
         [ProducesResponseType(404)]
         public IActionResult CancelDownload([FromRoute, Required] string username, [FromRoute, Required]string filename, [FromQuery]bool remove = false)
@@ -68,7 +82,7 @@
         /// <response code="204">The upload was cancelled successfully.</response>
         /// <response code="404">The specified upload was not found.</response>
         [HttpDelete("uploads/{username}/{filename}")]
-        [Authorize]
+        [Authorize(Roles = Roles.CanDownload)]
         [ProducesResponseType(204)]
         [ProducesResponseType(404)]
         public IActionResult CancelUpload([FromRoute, Required] string username, [FromRoute, Required]string filename, [FromQuery]bool remove = false)
@@ -79,61 +93,245 @@
         /// <summary>
         ///     Enqueues the specified download.
         /// </summary>
+        /// <remarks>
+        ///     The destination, template and size are optional query parameters, so a request without a body enqueues the
+        ///     download using the defaults.
+        /// </remarks>
         /// <param name="username">The username of the download source.</param>
         /// <param name="filename">The download filename.</param>
         /// <param name="token">The optional unique download token.</param>
+        /// <param name="request">The optional destination, naming template and expected size of the download.</param>
         /// <returns></returns>
         /// <response code="201">The download was successfully enqueued.</response>
+        /// <response code="400">The destination or naming template is invalid.</response>
         /// <response code="403">The download was rejected.</response>
         /// <response code="500">An unexpected error was encountered.</response>
         [HttpPost("downloads/{username}/{filename}")]
-        [Authorize]
+        [Authorize(Roles = Roles.CanDownload)]
         [ProducesResponseType(201)]
+        [ProducesResponseType(typeof(string), 400)]
         [ProducesResponseType(typeof(string), 403)]
         [ProducesResponseType(typeof(string), 500)]
-        public async Task<IActionResult> Enqueue([FromRoute, Required]string username, [FromRoute, Required]string filename, [FromQuery]int? token)
+        public async Task<IActionResult> Enqueue([FromRoute, Required]string username, [FromRoute, Required]string filename, [FromQuery]int? token, [FromQuery]DownloadRequest request)
         {
-            filename = Uri.UnescapeDataString(filename);
+            try
+            {
+                await Downloads.EnqueueAsync(username, Uri.UnescapeDataString(filename), request, token);
+                Audit.Add(User.Identity.Name, "Enqueue", TransferDirection.Download, username, Uri.UnescapeDataString(filename));
 
-            var waitUntilEnqueue = new TaskCompletionSource<bool>();
-            var stream = GetLocalFileStream(filename, OutputDirectory);
+                // if it didn't throw, just return ok. the download will continue waiting in the background.
+                return StatusCode(201);
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(ex.Message);
+            }
+            catch (TransferRejectedException ex)
+            {
+                return StatusCode(403, ex.Message);
+            }
+            catch (Exception ex)
+            {
+                return StatusCode(500, ex.Message);
+            }
+        }
 
-            var cts = new CancellationTokenSource();
+        /// <summary>
+        ///     Gets the policy governing automatic retries of failed downloads.
+        /// </summary>
+        /// <returns></returns>
+        /// <response code="200">The request completed successfully.</response>
+        [HttpGet("retrypolicy")]
+        [Authorize]
+        [ProducesResponseType(typeof(RetryPolicy), 200)]
+        public IActionResult GetRetryPolicy()
+        {
+            return Ok(Downloads.RetryPolicy);
+        }
 
-            var downloadTask = Client.DownloadAsync(username, filename, stream, 0, token, new TransferOptions(disposeOutputStreamOnCompletion: true, stateChanged: (e) =>
+        /// <summary>
+        ///     Replaces the policy governing automatic retries of failed downloads.
+        /// </summary>
+        /// <param name="policy">The new policy.</param>
+        /// <returns></returns>
+        /// <response code="200">The policy was updated.</response>
+        /// <response code="400">The policy is invalid.</response>
+        [HttpPut("retrypolicy")]
+        [Authorize(Roles = Roles.Admin)]
+        [ProducesResponseType(typeof(RetryPolicy), 200)]
+        [ProducesResponseType(typeof(string), 400)]
+        public IActionResult SetRetryPolicy([FromBody, Required]RetryPolicy policy)
+        {
+            if (policy.MaxAttempts < 0 || policy.InitialDelay < 0 || policy.MaxDelay < 0 || policy.BackoffMultiplier < 1)
             {
-                Tracker.AddOrUpdate(e, cts);
+                return BadRequest("Attempts and delays must not be negative, and the backoff multiplier must be at least 1");
+            }
+
+            policy.States = policy.States ?? Enumerable.Empty<TransferStates>();
+            Downloads.RetryPolicy = policy;
+
+            return Ok(policy);
+        }
+
+        /// <summary>
+        ///     Gets the policy governing upload slots, speeds, banned users and priority users.
+        /// </summary>
+        /// <returns></returns>
+        /// <response code="200">The request completed successfully.</response>
+        [HttpGet("uploadpolicy")]
+        [Authorize]
+        [ProducesResponseType(typeof(UploadPolicy), 200)]
+        public IActionResult GetUploadPolicy()
+        {
+            return Ok(Uploads.Policy);
+        }
+
+        /// <summary>
+        ///     Replaces the policy governing upload slots, speeds, banned users and priority users.
+        /// </summary>
+        /// <remarks>
+        ///     Uploads already in progress continue; queued uploads to newly banned users are discarded.
+        /// </remarks>
+        /// <param name="policy">The new policy.</param>
+        /// <returns></returns>
+        /// <response code="200">The policy was updated.</response>
+        /// <response code="400">The policy is invalid.</response>
+        [HttpPut("uploadpolicy")]
+        [Authorize(Roles = Roles.Admin)]
+        [ProducesResponseType(typeof(UploadPolicy), 200)]
+        [ProducesResponseType(typeof(string), 400)]
+        public IActionResult SetUploadPolicy([FromBody, Required]UploadPolicy policy)
+        {
+            if (policy.GlobalSlots < 1 || policy.UserSlots < 1)
+            {
+                return BadRequest("There must be at least one upload slot, and at least one slot per user");
+            }
+
+            if (policy.GlobalSpeedLimit < 1 || policy.UploadSpeedLimit < 1)
+            {
+                return BadRequest("Speed limits must be at least 1 KiB/s");
+            }
+
+            Uploads.Policy = policy;
+
+            return Ok(Uploads.Policy);
+        }
+
+        /// <summary>
+        ///     Gets the uploads waiting for a slot, in the order in which they'll start.
+        /// </summary>
+        /// <returns></returns>
+        /// <response code="200">The request completed successfully.</response>
+        [HttpGet("uploadqueue")]
+        [Authorize]
+        [ProducesResponseType(typeof(IEnumerable<QueuedUpload>), 200)]
+        public IActionResult GetUploadQueue()
+        {
+            return Ok(Uploads.Queue);
+        }
 
-                if (e.Transfer.State == TransferStates.Queued)
+        /// <summary>
+        ///     Moves the specified queued upload to the specified zero-based position in the upload queue.
+        /// </summary>
+        /// <remarks>
+        ///     Uploads to priority users always start first, so an upload can only be moved among those with the same priority.
+        /// </remarks>
+        /// <param name="username">The username of the requesting user.</param>
+        /// <param name="filename">The local filename of the requested file.</param>
+        /// <param name="position">The new position.</param>
+        /// <returns></returns>
+        /// <response code="204">The upload was moved.</response>
+        /// <response code="400">The position is outside of the uploads with the same priority.</response>
+        /// <response code="404">The specified upload isn't queued.</response>
+        [HttpPut("uploadqueue/{username}/{filename}")]
+        [Authorize(Roles = Roles.Admin)]
+        [ProducesResponseType(204)]
+        [ProducesResponseType(typeof(string), 400)]
+        [ProducesResponseType(404)]
+        public IActionResult MoveQueuedUpload([FromRoute, Required]string username, [FromRoute, Required]string filename, [FromBody]int position)
+        {
+            try
+            {
+                if (Uploads.TryMove(username, Uri.UnescapeDataString(filename), position))
                 {
-                    waitUntilEnqueue.SetResult(true);
+                    return NoContent();
                 }
-            }, progressUpdated: (e) => Tracker.AddOrUpdate(e, cts)), cts.Token);
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(ex.Message);
+            }
 
-            try
+            return NotFound();
+        }
+
+        /// <summary>
+        ///     Removes the specified upload from the upload queue, so that it never starts.
+        /// </summary>
+        /// <param name="username">The username of the requesting user.</param>
+        /// <param name="filename">The local filename of the requested file.</param>
+        /// <returns></returns>
+        /// <response code="204">The upload was removed.</response>
+        /// <response code="404">The specified upload isn't queued.</response>
+        [HttpDelete("uploadqueue/{username}/{filename}")]
+        [Authorize(Roles = Roles.Admin)]
+        [ProducesResponseType(204)]
+        [ProducesResponseType(404)]
+        public IActionResult RemoveQueuedUpload([FromRoute, Required]string username, [FromRoute, Required]string filename)
+        {
+            if (Uploads.TryRemove(username, Uri.UnescapeDataString(filename)))
             {
-                // wait until either the waitUntilEnqueue task completes because the download was successfully queued, or the
-                // downloadTask throws due to an error prior to successfully queueing.
-                var task = await Task.WhenAny(waitUntilEnqueue.Task, downloadTask);
+                return NoContent();
+            }
 
-                if (task == downloadTask)
-                {
-                    var rejected = downloadTask.Exception.InnerExceptions.Where(e => e is TransferRejectedException);
+            return NotFound();
+        }
 
-                    if (rejected.Any())
-                    {
-                        return StatusCode(403, rejected.First().Message);
-                    }
+        /// <summary>
+        ///     Gets the existing directories within the output directory which may be used as download destinations.
+        /// </summary>
+        /// <remarks>
+        ///     Directories that can't be read are skipped.
+        /// </remarks>
+        /// <param name="depth">The number of levels below the output directory to include, at most 5. (Default = 2).</param>
+        /// <returns></returns>
+        /// <response code="200">The request completed successfully.</response>
+        [HttpGet("destinations")]
+        [Authorize]
+        [ProducesResponseType(typeof(string[]), 200)]
+        public IActionResult GetDestinations([FromQuery]int depth = 2)
+        {
+            var root = new DirectoryInfo(Path.GetFullPath(OutputDirectory));
 
-                    return StatusCode(500, downloadTask.Exception.Message);
-                }
+            if (!root.Exists)
+            {
+                return Ok(Array.Empty<string>());
+            }
 
-                // if it didn't throw, just return ok. the download will continue waiting in the background.
-                return StatusCode(201);
+            var directories = new List<DirectoryInfo>();
+            var level = new[] { root }.AsEnumerable();
+
+            for (int i = 0; i < Math.Min(depth, MaximumDestinationDepth); i++)
+            {
+                level = level.SelectMany(EnumerateDirectories).ToList();
+                directories.AddRange(level);
             }
-            catch (Exception ex)
+
+            return Ok(directories
+                .Select(d => Path.GetRelativePath(root.FullName, d.FullName).Replace(Path.DirectorySeparatorChar, '/'))
+                .OrderBy(d => d));
+
+            IEnumerable<DirectoryInfo> EnumerateDirectories(DirectoryInfo directory)
             {
-                return StatusCode(500, ex);
+                try
+                {
+                    return directory.EnumerateDirectories().ToList();
+                }
+                catch (Exception ex) when (ex is UnauthorizedAccessException || ex is IOException)
+                {
+                    Console.WriteLine($"[DESTINATIONS] Skipping {directory.FullName}: {ex.Message}");
+                    return Enumerable.Empty<DirectoryInfo>();
+                }
             }
         }
 
@@ -194,12 +392,21 @@
         /// <param name="filename"></param>
         /// <returns></returns>
         /// <response code="200">The request completed successfully.</response>
+        /// <response code="404">The specified download is not active, or the user is offline.</response>
         [HttpGet("downloads/{username}/{filename}/position")]
         [Authorize]
         [ProducesResponseType(typeof(int), 200)]
+        [ProducesResponseType(typeof(string), 404)]
         public async Task<IActionResult> GetPlaceInQueue([FromRoute, Required]string username, [FromRoute, Required]string filename)
         {
-            return Ok(await Client.GetDownloadPlaceInQueueAsync(username, Uri.UnescapeDataString(filename)));
+            try
+            {
+                return Ok(await Client.GetDownloadPlaceInQueueAsync(username, Uri.UnescapeDataString(filename)));
+            }
+            catch (Exception ex) when (ex is TransferNotFoundException || ex is UserOfflineException)
+            {
+                return NotFound(ex.Message);
+            }
         }
 
         /// <summary>
@@ -252,26 +459,17 @@
                 .WithFilename(Uri.UnescapeDataString(filename)).Transfer);
         }
 
-        private static FileStream GetLocalFileStream(string remoteFilename, string saveDirectory)
-       {
-            var localFilename = remoteFilename.ToLocalOSPath();
-            var path = $"{saveDirectory}{Path.DirectorySeparatorChar}{Path.GetDirectoryName(localFilename).Replace(Path.GetDirectoryName(Path.GetDirectoryName(localFilename)), "")}";
-
-            if (!System.IO.Directory.Exists(path))
-            {
-                System.IO.Directory.CreateDirectory(path);
-            }
-
-            localFilename = Path.Combine(path, Path.GetFileName(localFilename));
-
-            return new FileStream(localFilename, FileMode.Create);
-        }
-
         private IActionResult CancelTransfer(TransferDirection direction, string username, string filename, bool remove = false)
         {
             if (Tracker.TryGet(direction, username, filename, out var transfer))
             {
+                if (direction == TransferDirection.Download)
+                {
+                    Downloads.AddCancellation(username, filename);
+                }
+
                 transfer.CancellationTokenSource.Cancel();
+                Audit.Add(User.Identity.Name, remove ? "Remove" : "Cancel", direction, username, filename);
 
                 if (remove)
                 {
@@ -105,6 +105,29 @@
             return NotFound();
         }
 
+        /// <summary>
+        ///     Retrieves the contents of the specified <paramref name="directory"/> shared by the specified <paramref name="username"/>.
+        /// </summary>
+        /// <param name="username">The username of the user.</param>
+        /// <param name="directory">The full name of the directory.</param>
+        /// <returns></returns>
+        [HttpGet("{username}/directory")]
+        [Authorize]
+        [ProducesResponseType(typeof(Directory), 200)]
+        [ProducesResponseType(404)]
+        public async Task<IActionResult> DirectoryContents([FromRoute, Required]string username, [FromQuery, Required]string directory)
+        {
+            try
+            {
+                var result = await Client.GetDirectoryContentsAsync(username, directory);
+                return Ok(result);
+            }
+            catch (UserOfflineException ex)
+            {
+                return NotFound(ex.Message);
+            }
+        }
+
         /// <summary>
         ///     Retrieves information about the specified <paramref name="username"/>.
         /// </summary>
@@ -0,0 +1,192 @@
+﻿namespace WebAPI.Controllers
+{
+    using System;
+    using System.Collections.Generic;
+    using System.ComponentModel.DataAnnotations;
+    using Microsoft.AspNetCore.Authorization;
+    using Microsoft.AspNetCore.Mvc;
+    using WebAPI.DTO;
+    using WebAPI.Security;
+    using WebAPI.Services;
+
+    /// <summary>
+    ///     Wishlist
+    /// </summary>
+    [Route("api/v{version:apiVersion}/[controller]")]
+    [ApiVersion("1")]
+    [ApiController]
+    [Produces("application/json")]
+    [Consumes("application/json")]
+    public class WishlistController : ControllerBase
+    {
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="WishlistController"/> class.
+        /// </summary>
+        /// <param name="wishlist"></param>
+        public WishlistController(IWishlistService wishlist)
+        {
+            Wishlist = wishlist;
+        }
+
+        private IWishlistService Wishlist { get; }
+
+        /// <summary>
+        ///     Gets all wishlist items.
+        /// </summary>
+        /// <returns></returns>
+        /// <response code="200">The request completed successfully.</response>
+        [HttpGet("")]
+        [Authorize]
+        [ProducesResponseType(typeof(IEnumerable<WishlistItem>), 200)]
+        public IActionResult GetAll()
+        {
+            return Ok(Wishlist.Items);
+        }
+
+        /// <summary>
+        ///     Gets the wishlist item with the specified <paramref name="id"/> and its recorded results, newest first.
+        /// </summary>
+        /// <param name="id">The id of the item.</param>
+        /// <returns></returns>
+        /// <response code="200">The request completed successfully.</response>
+        /// <response code="404">The specified item could not be found.</response>
+        [HttpGet("{id}")]
+        [Authorize]
+        [ProducesResponseType(200)]
+        [ProducesResponseType(404)]
+        public IActionResult Get([FromRoute, Required]string id)
+        {
+            if (Wishlist.TryGet(id, out var item, out var results))
+            {
+                return Ok(new { Item = item, Results = results });
+            }
+
+            return NotFound();
+        }
+
+        /// <summary>
+        ///     Adds a wishlist item.
+        /// </summary>
+        /// <param name="request">The search and its options.</param>
+        /// <returns></returns>
+        /// <response code="201">The item was added.</response>
+        /// <response code="400">The request is invalid.</response>
+        [HttpPost("")]
+        [Authorize(Roles = Roles.CanDownload)]
+        [ProducesResponseType(typeof(WishlistItem), 201)]
+        [ProducesResponseType(typeof(string), 400)]
+        public IActionResult Add([FromBody]WishlistRequest request)
+        {
+            try
+            {
+                var item = Wishlist.Add(request);
+                return CreatedAtAction(nameof(Get), new { id = item.Id }, item);
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(ex.Message);
+            }
+        }
+
+        /// <summary>
+        ///     Updates the wishlist item with the specified <paramref name="id"/>.
+        /// </summary>
+        /// <remarks>
+        ///     Changing the search text or filter discards the recorded results.
+        /// </remarks>
+        /// <param name="id">The id of the item.</param>
+        /// <param name="request">The search and its options.</param>
+        /// <returns></returns>
+        /// <response code="200">The item was updated.</response>
+        /// <response code="400">The request is invalid.</response>
+        /// <response code="404">The specified item could not be found.</response>
+        [HttpPut("{id}")]
+        [Authorize(Roles = Roles.CanDownload)]
+        [ProducesResponseType(typeof(WishlistItem), 200)]
+        [ProducesResponseType(typeof(string), 400)]
+        [ProducesResponseType(404)]
+        public IActionResult Update([FromRoute, Required]string id, [FromBody]WishlistRequest request)
+        {
+            try
+            {
+                if (Wishlist.TryUpdate(id, request, out var item))
+                {
+                    return Ok(item);
+                }
+
+                return NotFound();
+            }
+            catch (ArgumentException ex)
+            {
+                return BadRequest(ex.Message);
+            }
+        }
+
+        /// <summary>
+        ///     Removes the wishlist item with the specified <paramref name="id"/> and its results.
+        /// </summary>
+        /// <param name="id">The id of the item.</param>
+        /// <returns></returns>
+        /// <response code="204">The item was removed.</response>
+        /// <response code="404">The specified item could not be found.</response>
+        [HttpDelete("{id}")]
+        [Authorize(Roles = Roles.CanDownload)]
+        [ProducesResponseType(204)]
+        [ProducesResponseType(404)]
+        public IActionResult Delete([FromRoute, Required]string id)
+        {
+            if (Wishlist.TryRemove(id))
+            {
+                return NoContent();
+            }
+
+            return NotFound();
+        }
+
+        /// <summary>
+        ///     Runs the wishlist item with the specified <paramref name="id"/> now, regardless of its schedule.
+        /// </summary>
+        /// <remarks>
+        ///     Returns as soon as the search starts; its progress and outcome are pushed to clients as the item is updated
+        ///     (see <see cref="Hubs.EventsHub.WishlistItemUpdated"/>).
+        /// </remarks>
+        /// <param name="id">The id of the item.</param>
+        /// <returns></returns>
+        /// <response code="202">The item was started.</response>
+        /// <response code="404">The specified item could not be found.</response>
+        [HttpPost("{id}/run")]
+        [Authorize(Roles = Roles.CanDownload)]
+        [ProducesResponseType(202)]
+        [ProducesResponseType(404)]
+        public IActionResult Run([FromRoute, Required]string id)
+        {
+            if (Wishlist.TryRun(id))
+            {
+                return Accepted();
+            }
+
+            return NotFound();
+        }
+
+        /// <summary>
+        ///     Marks the results of the wishlist item with the specified <paramref name="id"/> as viewed.
+        /// </summary>
+        /// <param name="id">The id of the item.</param>
+        /// <returns></returns>
+        /// <response code="204">The results were marked as viewed.</response>
+        /// <response code="404">The specified item could not be found.</response>
+        [HttpPut("{id}/viewed")]
+        [Authorize]
+        [ProducesResponseType(204)]
+        [ProducesResponseType(404)]
+        public IActionResult MarkViewed([FromRoute, Required]string id)
+        {
+            if (Wishlist.MarkViewed(id))
+            {
+                return NoContent();
+            }
+
+            return NotFound();
+        }
+    }
+}
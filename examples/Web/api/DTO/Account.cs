@@ -0,0 +1,35 @@
+﻿namespace WebAPI.DTO
+{
+    using System;
+
+    /// <summary>
+    ///     A user of the web interface.
+    /// </summary>
+    public class Account
+    {
+        /// <summary>
+        ///     Gets or sets the username.
+        /// </summary>
+        public string Username { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the role; one of Admin, Downloader or Viewer.
+        /// </summary>
+        public string Role { get; set; }
+
+        /// <summary>
+        ///     Gets or sets a value indicating whether this is the account configured at startup, which can't be changed or removed.
+        /// </summary>
+        public bool IsBuiltIn { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the time at which the account was created.
+        /// </summary>
+        public DateTime? Created { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the time of the last successful login.
+        /// </summary>
+        public DateTime? LastLogin { get; set; }
+    }
+}
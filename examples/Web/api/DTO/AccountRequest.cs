@@ -0,0 +1,23 @@
+﻿namespace WebAPI.DTO
+{
+    /// <summary>
+    ///     A request to add or change a web user.
+    /// </summary>
+    public class AccountRequest
+    {
+        /// <summary>
+        ///     Gets or sets the username.  Ignored when changing an existing account.
+        /// </summary>
+        public string Username { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the password.  Required for new accounts; when changing an account, a missing password is left unchanged.
+        /// </summary>
+        public string Password { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the role; one of Admin, Downloader or Viewer.
+        /// </summary>
+        public string Role { get; set; }
+    }
+}
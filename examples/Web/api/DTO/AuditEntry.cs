@@ -0,0 +1,41 @@
+﻿namespace WebAPI.DTO
+{
+    using System;
+    using Soulseek;
+
+    /// <summary>
+    ///     A record of a web user's action on a transfer.
+    /// </summary>
+    public class AuditEntry
+    {
+        /// <summary>
+        ///     Gets or sets the time of the action.
+        /// </summary>
+        public DateTime Timestamp { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the web user who took the action.
+        /// </summary>
+        public string User { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the action; Enqueue, Cancel or Remove.
+        /// </summary>
+        public string Action { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the direction of the transfer.
+        /// </summary>
+        public TransferDirection Direction { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the username of the remote user.
+        /// </summary>
+        public string Username { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the filename of the transfer.
+        /// </summary>
+        public string Filename { get; set; }
+    }
+}
@@ -0,0 +1,41 @@
+﻿namespace WebAPI.DTO
+{
+    using System.Collections.Generic;
+    using Soulseek;
+
+    /// <summary>
+    ///     A chat room joined by the local user.
+    /// </summary>
+    public class ChatRoom
+    {
+        /// <summary>
+        ///     Gets or sets the name of the room.
+        /// </summary>
+        public string Name { get; set; }
+
+        /// <summary>
+        ///     Gets or sets a value indicating whether the room is private.
+        /// </summary>
+        public bool IsPrivate { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the owner of a private room.
+        /// </summary>
+        public string Owner { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the operators of a private room.
+        /// </summary>
+        public List<string> Operators { get; set; } = new List<string>();
+
+        /// <summary>
+        ///     Gets or sets the users in the room.
+        /// </summary>
+        public List<UserData> Users { get; set; } = new List<UserData>();
+
+        /// <summary>
+        ///     Gets or sets the messages received since the room was joined, oldest first.
+        /// </summary>
+        public List<RoomMessage> Messages { get; set; } = new List<RoomMessage>();
+    }
+}
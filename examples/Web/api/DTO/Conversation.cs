@@ -0,0 +1,25 @@
+﻿namespace WebAPI.DTO
+{
+    using System.Collections.Generic;
+
+    /// <summary>
+    ///     The history of private messages exchanged with a user.
+    /// </summary>
+    public class Conversation
+    {
+        /// <summary>
+        ///     Gets or sets the username of the other party to the conversation.
+        /// </summary>
+        public string Username { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the number of received messages that have not been read.
+        /// </summary>
+        public int UnreadCount { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the messages in the conversation, oldest first.
+        /// </summary>
+        public List<PrivateMessage> Messages { get; set; } = new List<PrivateMessage>();
+    }
+}
@@ -0,0 +1,34 @@
+﻿namespace WebAPI.DTO
+{
+    /// <summary>
+    ///     The unread count and latest message of a conversation.
+    /// </summary>
+    public class ConversationSummary
+    {
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="ConversationSummary"/> class.
+        /// </summary>
+        /// <param name="conversation">The conversation to summarize.</param>
+        public ConversationSummary(Conversation conversation)
+        {
+            Username = conversation.Username;
+            UnreadCount = conversation.UnreadCount;
+            LastMessage = conversation.Messages.Count > 0 ? conversation.Messages[conversation.Messages.Count - 1] : null;
+        }
+
+        /// <summary>
+        ///     Gets the username of the other party to the conversation.
+        /// </summary>
+        public string Username { get; }
+
+        /// <summary>
+        ///     Gets the number of received messages that have not been read.
+        /// </summary>
+        public int UnreadCount { get; }
+
+        /// <summary>
+        ///     Gets the most recent message in the conversation.
+        /// </summary>
+        public PrivateMessage LastMessage { get; }
+    }
+}
@@ -0,0 +1,27 @@
+﻿namespace WebAPI.DTO
+{
+    /// <summary>
+    ///     A download request.
+    /// </summary>
+    public class DownloadRequest
+    {
+        /// <summary>
+        ///     Gets or sets the destination directory, relative to the output directory. (Default = the output directory).
+        /// </summary>
+        public string Destination { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the expected size of the file, used to match alternate sources should the download fail.
+        /// </summary>
+        public long? Size { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the template used to build the local path of the file, relative to the destination. (Default = {remoteFolder}/{filename}).
+        /// </summary>
+        /// <remarks>
+        ///     Supports the tokens {username}, {remoteFolder}, {remotePath}, {filename}, {basename} and {extension}, and must
+        ///     include either {filename} or {basename}. Forward slashes delimit directories.
+        /// </remarks>
+        public string Template { get; set; }
+    }
+}
@@ -0,0 +1,40 @@
+﻿namespace WebAPI.DTO
+{
+    using System;
+
+    /// <summary>
+    ///     A private message sent to or received from another user.
+    /// </summary>
+    public class PrivateMessage
+    {
+        /// <summary>
+        ///     Gets or sets the server-assigned id of a received message.  Sent messages have no id.
+        /// </summary>
+        public int? Id { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the time at which the message was sent or received.
+        /// </summary>
+        public DateTime Timestamp { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the username of the other party to the conversation.
+        /// </summary>
+        public string Username { get; set; }
+
+        /// <summary>
+        ///     Gets or sets a value indicating whether the message was sent by the local user.
+        /// </summary>
+        public bool IsOutgoing { get; set; }
+
+        /// <summary>
+        ///     Gets or sets a value indicating whether the message was sent by a server administrator.
+        /// </summary>
+        public bool IsAdmin { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the message text.
+        /// </summary>
+        public string Message { get; set; }
+    }
+}
@@ -0,0 +1,35 @@
+﻿namespace WebAPI.DTO
+{
+    using System;
+
+    /// <summary>
+    ///     An upload waiting for a free slot.
+    /// </summary>
+    public class QueuedUpload
+    {
+        /// <summary>
+        ///     Gets or sets the username of the requesting user.
+        /// </summary>
+        public string Username { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the local filename of the requested file.
+        /// </summary>
+        public string Filename { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the size of the file, in bytes.
+        /// </summary>
+        public long Size { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the time at which the upload was requested.
+        /// </summary>
+        public DateTime Enqueued { get; set; }
+
+        /// <summary>
+        ///     Gets or sets a value indicating whether the requesting user is a priority user.
+        /// </summary>
+        public bool IsPriority { get; set; }
+    }
+}
@@ -0,0 +1,47 @@
+﻿namespace WebAPI.DTO
+{
+    using System.Collections.Generic;
+    using Soulseek;
+
+    /// <summary>
+    ///     The policy governing automatic retries of failed downloads.
+    /// </summary>
+    public class RetryPolicy
+    {
+        /// <summary>
+        ///     Gets or sets a value indicating whether failed downloads are retried automatically. (Default = false).
+        /// </summary>
+        public bool Enabled { get; set; } = false;
+
+        /// <summary>
+        ///     Gets or sets the maximum number of retries of a download from the same user. (Default = 3).
+        /// </summary>
+        public int MaxAttempts { get; set; } = 3;
+
+        /// <summary>
+        ///     Gets or sets the delay, in seconds, before the first retry. (Default = 30).
+        /// </summary>
+        public int InitialDelay { get; set; } = 30;
+
+        /// <summary>
+        ///     Gets or sets the factor by which the delay grows with each subsequent retry. (Default = 2).
+        /// </summary>
+        public double BackoffMultiplier { get; set; } = 2;
+
+        /// <summary>
+        ///     Gets or sets the maximum delay, in seconds, between retries. (Default = 3600).
+        /// </summary>
+        public int MaxDelay { get; set; } = 3600;
+
+        /// <summary>
+        ///     Gets or sets the failure states which qualify for a retry. (Default = Errored, TimedOut).
+        /// </summary>
+        public IEnumerable<TransferStates> States { get; set; } = new[] { TransferStates.Errored, TransferStates.TimedOut };
+
+        /// <summary>
+        ///     Gets or sets a value indicating whether the file is searched for and downloaded from another user when the
+        ///     original user is offline, rejects the download, or retries are exhausted. (Default = false).
+        /// </summary>
+        public bool FindAlternateSource { get; set; } = false;
+    }
+}
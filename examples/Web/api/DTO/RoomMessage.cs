@@ -0,0 +1,30 @@
+﻿namespace WebAPI.DTO
+{
+    using System;
+
+    /// <summary>
+    ///     A message sent to a chat room.
+    /// </summary>
+    public class RoomMessage
+    {
+        /// <summary>
+        ///     Gets or sets the time at which the message was received.
+        /// </summary>
+        public DateTime Timestamp { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the name of the room.
+        /// </summary>
+        public string RoomName { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the username of the sender.
+        /// </summary>
+        public string Username { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the message text.
+        /// </summary>
+        public string Message { get; set; }
+    }
+}
@@ -0,0 +1,56 @@
+﻿namespace WebAPI.DTO
+{
+    using System;
+    using Soulseek;
+
+    /// <summary>
+    ///     The state of the connection to the Soulseek server.
+    /// </summary>
+    public class ServerState
+    {
+        /// <summary>
+        ///     Gets or sets the state of the client.
+        /// </summary>
+        public SoulseekClientStates State { get; set; }
+
+        /// <summary>
+        ///     Gets or sets a value indicating whether the client is connected to the server.
+        /// </summary>
+        public bool IsConnected { get; set; }
+
+        /// <summary>
+        ///     Gets or sets a value indicating whether the client is logged in.
+        /// </summary>
+        public bool IsLoggedIn { get; set; }
+
+        /// <summary>
+        ///     Gets or sets a value indicating whether the client is attempting to reconnect after losing the connection.
+        /// </summary>
+        public bool IsReconnecting { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the server address, or null if the default server is used.
+        /// </summary>
+        public string Address { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the server port, or null if the default server is used.
+        /// </summary>
+        public int? Port { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the username with which the client logs in.
+        /// </summary>
+        public string Username { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the reason for the most recent disconnect.
+        /// </summary>
+        public string DisconnectMessage { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the time of the most recent disconnect.
+        /// </summary>
+        public DateTime? DisconnectedAt { get; set; }
+    }
+}
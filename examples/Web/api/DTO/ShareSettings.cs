@@ -0,0 +1,25 @@
+﻿namespace WebAPI.DTO
+{
+    using System.Collections.Generic;
+
+    /// <summary>
+    ///     The shared folders, and what to leave out of them.
+    /// </summary>
+    public class ShareSettings
+    {
+        /// <summary>
+        ///     Gets or sets the shared root folders.  Each is shared along with all of its subfolders.
+        /// </summary>
+        public List<string> Roots { get; set; } = new List<string>();
+
+        /// <summary>
+        ///     Gets or sets the patterns of folders and files to exclude.
+        /// </summary>
+        /// <remarks>
+        ///     Patterns containing a path separator are matched against full paths, and others against names only.  Matching
+        ///     is case insensitive, '*' matches any number of characters and '?' matches one.  Excluding a folder excludes
+        ///     everything within it.
+        /// </remarks>
+        public List<string> Excludes { get; set; } = new List<string>();
+    }
+}
@@ -0,0 +1,45 @@
+﻿namespace WebAPI.DTO
+{
+    using System;
+
+    /// <summary>
+    ///     The state of the index of shared files.
+    /// </summary>
+    public class ShareState
+    {
+        /// <summary>
+        ///     Gets or sets a value indicating whether the shares are being scanned.
+        /// </summary>
+        public bool IsScanning { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the progress of the scan in progress, from 0 to 100.
+        /// </summary>
+        public double PercentComplete { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the number of indexed directories.
+        /// </summary>
+        public int Directories { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the number of indexed files.
+        /// </summary>
+        public int Files { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the total size of the indexed files, in bytes.
+        /// </summary>
+        public long Size { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the time at which the last complete scan finished.
+        /// </summary>
+        public DateTime? LastScan { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the error which ended the last scan, if it failed.
+        /// </summary>
+        public string LastError { get; set; }
+    }
+}
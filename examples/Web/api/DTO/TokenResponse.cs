@@ -37,6 +37,11 @@
         /// </summary>
         public string Name => JwtSecurityToken.Claims.Where(c => c.Type == ClaimTypes.Name).SingleOrDefault().Value;
 
+        /// <summary>
+        ///     Gets the value of the Role claim from the Access Token.
+        /// </summary>
+        public string Role => JwtSecurityToken.Claims.Where(c => c.Type == ClaimTypes.Role).SingleOrDefault()?.Value;
+
         /// <summary>
         ///     Gets the value of the Not Before claim from the Access Token.
         /// </summary>
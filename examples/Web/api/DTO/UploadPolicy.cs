@@ -0,0 +1,40 @@
+﻿namespace WebAPI.DTO
+{
+    using System.Collections.Generic;
+
+    /// <summary>
+    ///     The policy governing how many uploads run at once, how fast they go, and who may download.
+    /// </summary>
+    public class UploadPolicy
+    {
+        /// <summary>
+        ///     Gets or sets the maximum number of uploads in progress at once. (Default = 5).
+        /// </summary>
+        public int GlobalSlots { get; set; } = 5;
+
+        /// <summary>
+        ///     Gets or sets the maximum number of uploads in progress at once to any one user. (Default = 1).
+        /// </summary>
+        public int UserSlots { get; set; } = 1;
+
+        /// <summary>
+        ///     Gets or sets the maximum combined speed of all uploads, in KiB/s. (Default = unlimited).
+        /// </summary>
+        public int? GlobalSpeedLimit { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the maximum speed of each upload, in KiB/s. (Default = unlimited).
+        /// </summary>
+        public int? UploadSpeedLimit { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the users whose download requests are rejected.
+        /// </summary>
+        public List<string> BannedUsers { get; set; } = new List<string>();
+
+        /// <summary>
+        ///     Gets or sets the users whose uploads are started ahead of everyone else's.
+        /// </summary>
+        public List<string> PriorityUsers { get; set; } = new List<string>();
+    }
+}
@@ -0,0 +1,35 @@
+﻿namespace WebAPI.DTO
+{
+    using System.Collections.Generic;
+
+    /// <summary>
+    ///     The rules by which the best new match of a wishlist search is enqueued automatically.
+    /// </summary>
+    public class WishlistAutoDownload
+    {
+        /// <summary>
+        ///     Gets or sets a value indicating whether the best match is enqueued automatically. (Default = false).
+        /// </summary>
+        public bool Enabled { get; set; } = false;
+
+        /// <summary>
+        ///     Gets or sets the minimum bit rate of the file.  Files which don't report a bit rate are skipped if set.
+        /// </summary>
+        public int? MinBitRate { get; set; }
+
+        /// <summary>
+        ///     Gets or sets a value indicating whether the source must have a free upload slot. (Default = false).
+        /// </summary>
+        public bool RequireFreeSlot { get; set; } = false;
+
+        /// <summary>
+        ///     Gets or sets the accepted file extensions, without leading periods.  Any extension is accepted if empty.
+        /// </summary>
+        public List<string> Extensions { get; set; } = new List<string>();
+
+        /// <summary>
+        ///     Gets or sets the destination directory, relative to the output directory.
+        /// </summary>
+        public string Destination { get; set; }
+    }
+}
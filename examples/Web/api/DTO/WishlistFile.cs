@@ -0,0 +1,61 @@
+﻿namespace WebAPI.DTO
+{
+    using Soulseek;
+
+    /// <summary>
+    ///     A file recorded by a wishlist search.
+    /// </summary>
+    public class WishlistFile
+    {
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="WishlistFile"/> class.
+        /// </summary>
+        public WishlistFile()
+        {
+        }
+
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="WishlistFile"/> class from a search result.
+        /// </summary>
+        /// <param name="file">The search result file.</param>
+        public WishlistFile(File file)
+        {
+            Filename = file.Filename;
+            Size = file.Size;
+            Extension = SearchFilter.GetExtension(file);
+            BitRate = file.BitRate;
+            Length = file.Length;
+            IsVariableBitRate = file.IsVariableBitRate;
+        }
+
+        /// <summary>
+        ///     Gets or sets the fully qualified remote filename.
+        /// </summary>
+        public string Filename { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the size of the file, in bytes.
+        /// </summary>
+        public long Size { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the file extension, without a leading period.
+        /// </summary>
+        public string Extension { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the bit rate, if reported.
+        /// </summary>
+        public int? BitRate { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the length, in seconds, if reported.
+        /// </summary>
+        public int? Length { get; set; }
+
+        /// <summary>
+        ///     Gets or sets a value indicating whether the bit rate is variable, if reported.
+        /// </summary>
+        public bool? IsVariableBitRate { get; set; }
+    }
+}
@@ -0,0 +1,61 @@
+﻿namespace WebAPI.DTO
+{
+    using System;
+
+    /// <summary>
+    ///     A saved search that is re-run on a schedule.
+    /// </summary>
+    public class WishlistItem : WishlistRequest
+    {
+        /// <summary>
+        ///     Gets or sets the unique id of the item.
+        /// </summary>
+        public string Id { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the time at which the item was added.
+        /// </summary>
+        public DateTime Added { get; set; }
+
+        /// <summary>
+        ///     Gets or sets a value indicating whether the search is running.
+        /// </summary>
+        public bool IsRunning { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the time at which the search was last run.
+        /// </summary>
+        public DateTime? LastRun { get; set; }
+
+        /// <summary>
+        ///     Gets the time at which the search is next due, or null if it is disabled.
+        /// </summary>
+        public DateTime? NextRun => Enabled ? LastRun?.AddMinutes(Interval) ?? Added : (DateTime?)null;
+
+        /// <summary>
+        ///     Gets or sets the error with which the last run failed, if it failed.
+        /// </summary>
+        public string LastError { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the time at which the results were last viewed.  Results recorded since are new.
+        /// </summary>
+        public DateTime? LastViewed { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the number of recorded results.
+        /// </summary>
+        public int ResultCount { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the number of results recorded since the results were last viewed.
+        /// </summary>
+        public int NewResultCount { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the file that was enqueued automatically, if any.  Nothing further is enqueued automatically until
+        ///     automatic downloads are disabled and enabled again.
+        /// </summary>
+        public WishlistResult AutoDownloaded { get; set; }
+    }
+}
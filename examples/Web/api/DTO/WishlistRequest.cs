@@ -0,0 +1,38 @@
+﻿namespace WebAPI.DTO
+{
+    /// <summary>
+    ///     A request to add or update a wishlist search.
+    /// </summary>
+    public class WishlistRequest
+    {
+        /// <summary>
+        ///     Gets or sets the search text.
+        /// </summary>
+        public string SearchText { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the result filter, in the same syntax as the result filter of a manual search.
+        /// </summary>
+        public string Filter { get; set; }
+
+        /// <summary>
+        ///     Gets or sets a value indicating whether responses from users with no free upload slots are ignored. (Default = false).
+        /// </summary>
+        public bool HideNoFreeSlots { get; set; } = false;
+
+        /// <summary>
+        ///     Gets or sets a value indicating whether the search is run on schedule. (Default = true).
+        /// </summary>
+        public bool Enabled { get; set; } = true;
+
+        /// <summary>
+        ///     Gets or sets the interval between runs, in minutes, of at least 15. (Default = 720).
+        /// </summary>
+        public int Interval { get; set; } = 720;
+
+        /// <summary>
+        ///     Gets or sets the rules by which the best new match is enqueued automatically.
+        /// </summary>
+        public WishlistAutoDownload AutoDownload { get; set; } = new WishlistAutoDownload();
+    }
+}
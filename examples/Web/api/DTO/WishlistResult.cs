@@ -0,0 +1,41 @@
+﻿namespace WebAPI.DTO
+{
+    using System;
+    using System.Collections.Generic;
+
+    /// <summary>
+    ///     The files of a search response that matched a wishlist search and hadn't been seen in a previous run.
+    /// </summary>
+    public class WishlistResult
+    {
+        /// <summary>
+        ///     Gets or sets the time at which the response was received.
+        /// </summary>
+        public DateTime Timestamp { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the username of the responding user.
+        /// </summary>
+        public string Username { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the number of free upload slots the user reported.
+        /// </summary>
+        public int FreeUploadSlots { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the upload speed the user reported.
+        /// </summary>
+        public int UploadSpeed { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the queue length the user reported.
+        /// </summary>
+        public long QueueLength { get; set; }
+
+        /// <summary>
+        ///     Gets or sets the new matching files.
+        /// </summary>
+        public List<WishlistFile> Files { get; set; } = new List<WishlistFile>();
+    }
+}
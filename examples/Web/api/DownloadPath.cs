@@ -0,0 +1,72 @@
+﻿namespace WebAPI
+{
+    using System;
+    using System.IO;
+    using System.Linq;
+
+    /// <summary>
+    ///     Builds local download paths from naming templates.
+    /// </summary>
+    public static class DownloadPath
+    {
+        /// <summary>
+        ///     The default naming template; the file is saved in a directory named after its immediate remote parent.
+        /// </summary>
+        public const string DefaultTemplate = "{remoteFolder}/{filename}";
+
+        /// <summary>
+        ///     Resolves the local path of the specified remote file.
+        /// </summary>
+        /// <param name="outputDirectory">The root output directory.</param>
+        /// <param name="destination">The optional destination directory, relative to <paramref name="outputDirectory"/>.</param>
+        /// <param name="template">The optional naming template.</param>
+        /// <param name="username">The username of the download source.</param>
+        /// <param name="remoteFilename">The fully qualified remote filename.</param>
+        /// <returns>The fully qualified local filename.</returns>
+        /// <exception cref="ArgumentException">
+        ///     Thrown when the template does not contain a filename token, or when the resolved path falls outside of <paramref name="outputDirectory"/>.
+        /// </exception>
+        public static string Resolve(string outputDirectory, string destination, string template, string username, string remoteFilename)
+        {
+            template = string.IsNullOrWhiteSpace(template) ? DefaultTemplate : template;
+
+            if (!template.Contains("{filename}") && !template.Contains("{basename}"))
+            {
+                throw new ArgumentException("The naming template must contain {filename} or {basename}", nameof(template));
+            }
+
+            var remoteParts = remoteFilename.Split('\\', '/').Where(p => !string.IsNullOrEmpty(p)).Select(Sanitize).ToArray();
+            var filename = remoteParts.Last();
+            var remoteFolders = remoteParts.Take(remoteParts.Length - 1);
+
+            var relative = template
+                .Replace("{username}", Sanitize(username))
+                .Replace("{remoteFolder}", remoteFolders.LastOrDefault() ?? string.Empty)
+                .Replace("{remotePath}", string.Join("/", remoteFolders))
+                .Replace("{filename}", filename)
+                .Replace("{basename}", Path.GetFileNameWithoutExtension(filename))
+                .Replace("{extension}", Path.GetExtension(filename).TrimStart('.'));
+
+            var root = Path.GetFullPath(outputDirectory);
+            var parts = new[] { destination ?? string.Empty, relative }
+                .SelectMany(p => p.Split('\\', '/'))
+                .Where(p => !string.IsNullOrWhiteSpace(p))
+                .ToArray();
+
+            var path = Path.GetFullPath(Path.Combine(new[] { root }.Concat(parts).ToArray()));
+
+            if (!path.StartsWith(root.TrimEnd(Path.DirectorySeparatorChar) + Path.DirectorySeparatorChar))
+            {
+                throw new ArgumentException("The resolved path must be within the output directory", nameof(destination));
+            }
+
+            return path;
+        }
+
+        private static string Sanitize(string segment)
+        {
+            var sanitized = string.Join("_", segment.Split(Path.GetInvalidFileNameChars()));
+            return sanitized == "." || sanitized == ".." ? "_" : sanitized;
+        }
+    }
+}
@@ -0,0 +1,92 @@
+﻿namespace WebAPI.Hubs
+{
+    using Microsoft.AspNetCore.Authorization;
+    using Microsoft.AspNetCore.SignalR;
+
+    /// <summary>
+    ///     Pushes transfer, upload queue, search, browse, chat, server connection, share scan and wishlist updates to connected clients.
+    /// </summary>
+    [Authorize]
+    public class EventsHub : Hub
+    {
+        /// <summary>
+        ///     The name of the client method invoked when the progress of a browse operation is updated.
+        /// </summary>
+        public const string BrowseProgressUpdated = "browseProgressUpdated";
+
+        /// <summary>
+        ///     The name of the client method invoked when a message is added to a conversation or the conversation is read.
+        /// </summary>
+        public const string ConversationUpdated = "conversationUpdated";
+
+        /// <summary>
+        ///     The name of the client method invoked when the local user joins a chat room.
+        /// </summary>
+        public const string RoomJoined = "roomJoined";
+
+        /// <summary>
+        ///     The name of the client method invoked when the local user leaves a chat room.
+        /// </summary>
+        public const string RoomLeft = "roomLeft";
+
+        /// <summary>
+        ///     The name of the client method invoked when a message is received in a joined chat room.
+        /// </summary>
+        public const string RoomMessageReceived = "roomMessageReceived";
+
+        /// <summary>
+        ///     The name of the client method invoked when another user joins a joined chat room.
+        /// </summary>
+        public const string RoomUserJoined = "roomUserJoined";
+
+        /// <summary>
+        ///     The name of the client method invoked when another user leaves a joined chat room.
+        /// </summary>
+        public const string RoomUserLeft = "roomUserLeft";
+
+        /// <summary>
+        ///     The name of the client method invoked when a response is received for a tracked search.
+        /// </summary>
+        public const string SearchResponseReceived = "searchResponseReceived";
+
+        /// <summary>
+        ///     The name of the client method invoked when a tracked search is added or updated.
+        /// </summary>
+        public const string SearchUpdated = "searchUpdated";
+
+        /// <summary>
+        ///     The name of the client method invoked when the state of the connection to the Soulseek server changes.
+        /// </summary>
+        public const string ServerStateChanged = "serverStateChanged";
+
+        /// <summary>
+        ///     The name of the client method invoked when a scan of the shared folders starts, progresses or finishes.
+        /// </summary>
+        public const string SharesUpdated = "sharesUpdated";
+
+        /// <summary>
+        ///     The name of the client method invoked when a tracked transfer is removed.
+        /// </summary>
+        public const string TransferRemoved = "transferRemoved";
+
+        /// <summary>
+        ///     The name of the client method invoked when a tracked transfer is added or updated.
+        /// </summary>
+        public const string TransferUpdated = "transferUpdated";
+
+        /// <summary>
+        ///     The name of the client method invoked when the queue of uploads waiting for a slot changes.
+        /// </summary>
+        public const string UploadQueueUpdated = "uploadQueueUpdated";
+
+        /// <summary>
+        ///     The name of the client method invoked when a wishlist item is removed.
+        /// </summary>
+        public const string WishlistItemRemoved = "wishlistItemRemoved";
+
+        /// <summary>
+        ///     The name of the client method invoked when a wishlist item is added, updated or run.
+        /// </summary>
+        public const string WishlistItemUpdated = "wishlistItemUpdated";
+    }
+}
@@ -0,0 +1,115 @@
+﻿namespace WebAPI
+{
+    using System;
+    using System.IO;
+    using Microsoft.Extensions.Configuration;
+    using Newtonsoft.Json;
+
+    /// <summary>
+    ///     Persists a value as a JSON file in the data directory.
+    /// </summary>
+    /// <remarks>
+    ///     Values are written to a temporary file which then replaces the previous one, so that a crash mid-write leaves
+    ///     the previous file intact.  Callers are responsible for synchronizing access.
+    /// </remarks>
+    /// <typeparam name="T">The type of the stored value.</typeparam>
+    public class JsonStore<T>
+    {
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="JsonStore{T}"/> class.
+        /// </summary>
+        /// <param name="configuration">The configuration from which the data directory (DATA_DIR) is read.</param>
+        /// <param name="name">The name of the file within the data directory.</param>
+        /// <param name="tag">The tag with which log messages are prefixed.</param>
+        /// <param name="description">A description of the stored value, for log messages.</param>
+        public JsonStore(IConfiguration configuration, string name, string tag, string description)
+        {
+            var dataDirectory = configuration.GetValue<string>("DATA_DIR", Path.Combine(AppContext.BaseDirectory, "data"));
+
+            Filename = Path.Combine(dataDirectory, name);
+            Tag = tag;
+            Description = description;
+        }
+
+        /// <summary>
+        ///     Gets the fully qualified name of the file.
+        /// </summary>
+        public string Filename { get; }
+
+        private string Description { get; }
+        private string Tag { get; }
+
+        /// <summary>
+        ///     Loads the stored value.
+        /// </summary>
+        /// <remarks>
+        ///     A file that can't be read is set aside rather than left to be overwritten by the next save, and startup
+        ///     continues without it.
+        /// </remarks>
+        /// <param name="value">The stored value, if one was loaded.</param>
+        /// <returns>A value indicating whether a value was loaded.</returns>
+        public bool TryLoad(out T value)
+        {
+            value = default;
+
+            if (!File.Exists(Filename))
+            {
+                return false;
+            }
+
+            try
+            {
+                value = JsonConvert.DeserializeObject<T>(File.ReadAllText(Filename));
+                return value != null;
+            }
+            catch (Exception ex)
+            {
+                var corrupt = $"{Filename}.{DateTime.UtcNow:yyyyMMddHHmmss}.corrupt";
+                Console.WriteLine($"[{Tag}] Failed to load {Description} from {Filename}, moving it to {corrupt}: {ex.Message}");
+
+                try
+                {
+                    File.Move(Filename, corrupt);
+                }
+                catch (Exception moveException)
+                {
+                    Console.WriteLine($"[{Tag}] Failed to move {Filename} to {corrupt}: {moveException.Message}");
+                }
+
+                return false;
+            }
+        }
+
+        /// <summary>
+        ///     Saves the specified value, replacing the stored value.
+        /// </summary>
+        /// <param name="value">The value to save.</param>
+        /// <returns>A value indicating whether the value was saved.</returns>
+        public bool Save(T value)
+        {
+            var temporary = $"{Filename}.tmp";
+
+            try
+            {
+                Directory.CreateDirectory(Path.GetDirectoryName(Filename));
+                File.WriteAllText(temporary, JsonConvert.SerializeObject(value));
+
+                if (File.Exists(Filename))
+                {
+                    File.Replace(temporary, Filename, null);
+                }
+                else
+                {
+                    File.Move(temporary, Filename);
+                }
+
+                return true;
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"[{Tag}] Failed to save {Description} to {Filename}: {ex.Message}");
+                return false;
+            }
+        }
+    }
+}
@@ -0,0 +1,223 @@
+﻿namespace WebAPI
+{
+    using System;
+    using System.Collections.Generic;
+    using System.Globalization;
+    using System.Linq;
+    using System.Text.RegularExpressions;
+    using Soulseek;
+
+    /// <summary>
+    ///     A search result filter, parsed from the same expression syntax as the web UI's result filter.
+    /// </summary>
+    /// <remarks>
+    ///     The expression is space delimited, e.g. 'ext:flac minbr:320 minsize:5MB -live isvbr minfiles:10'.  Bare words must
+    ///     appear in the file path and words prefixed with '-' must not.  Keep this in sync with web/src/Search/filter.js.
+    /// </remarks>
+    public class SearchFilter
+    {
+        private static readonly Dictionary<string, long> Units = new Dictionary<string, long>()
+        {
+            { "b", 1 },
+            { "kb", 1024 },
+            { "mb", 1024 * 1024 },
+            { "gb", 1024 * 1024 * 1024 },
+        };
+
+        /// <summary>
+        ///     Gets the words that must appear in the file path.
+        /// </summary>
+        public List<string> Include { get; } = new List<string>();
+
+        /// <summary>
+        ///     Gets the words that must not appear in the file path.
+        /// </summary>
+        public List<string> Exclude { get; } = new List<string>();
+
+        /// <summary>
+        ///     Gets the accepted file extensions, without leading periods.  Any extension is accepted if empty.
+        /// </summary>
+        public List<string> Extensions { get; } = new List<string>();
+
+        /// <summary>
+        ///     Gets a value indicating whether only variable bit rate files are accepted.
+        /// </summary>
+        public bool IsVBR { get; private set; }
+
+        /// <summary>
+        ///     Gets a value indicating whether only constant bit rate files are accepted.
+        /// </summary>
+        public bool IsCBR { get; private set; }
+
+        /// <summary>
+        ///     Gets the minimum bit rate.
+        /// </summary>
+        public long? MinBitRate { get; private set; }
+
+        /// <summary>
+        ///     Gets the maximum bit rate.
+        /// </summary>
+        public long? MaxBitRate { get; private set; }
+
+        /// <summary>
+        ///     Gets the minimum size, in bytes.
+        /// </summary>
+        public long? MinSize { get; private set; }
+
+        /// <summary>
+        ///     Gets the maximum size, in bytes.
+        /// </summary>
+        public long? MaxSize { get; private set; }
+
+        /// <summary>
+        ///     Gets the minimum length, in seconds.
+        /// </summary>
+        public long? MinLength { get; private set; }
+
+        /// <summary>
+        ///     Gets the maximum length, in seconds.
+        /// </summary>
+        public long? MaxLength { get; private set; }
+
+        /// <summary>
+        ///     Gets the minimum number of matching files a response must contain.
+        /// </summary>
+        public long? MinFiles { get; private set; }
+
+        /// <summary>
+        ///     Parses the specified filter expression.
+        /// </summary>
+        /// <param name="text">The filter expression.</param>
+        /// <returns>The parsed filter.</returns>
+        /// <exception cref="ArgumentException">Thrown when the expression contains an unrecognized token.</exception>
+        public static SearchFilter Parse(string text)
+        {
+            var filter = new SearchFilter();
+            var tokens = (text ?? string.Empty).ToLowerInvariant().Split((char[])null, StringSplitOptions.RemoveEmptyEntries);
+
+            foreach (var token in tokens)
+            {
+                var separator = token.IndexOf(':');
+
+                if (separator > 0)
+                {
+                    var key = token.Substring(0, separator);
+                    var value = token.Substring(separator + 1);
+
+                    if (key == "ext" && value != string.Empty)
+                    {
+                        filter.Extensions.AddRange(value.Split(',', StringSplitOptions.RemoveEmptyEntries).Select(e => e.TrimStart('.')));
+                        continue;
+                    }
+
+                    var parsed = key.EndsWith("size") ? ParseSize(value) : ParseNumber(value);
+
+                    if (parsed.HasValue && filter.TrySet(key, parsed.Value))
+                    {
+                        continue;
+                    }
+
+                    throw new ArgumentException($"Invalid filter token '{token}'", nameof(text));
+                }
+
+                if (token == "isvbr")
+                {
+                    filter.IsVBR = true;
+                }
+                else if (token == "iscbr")
+                {
+                    filter.IsCBR = true;
+                }
+                else if (token.StartsWith("-"))
+                {
+                    if (token.Length > 1)
+                    {
+                        filter.Exclude.Add(token.Substring(1));
+                    }
+                }
+                else
+                {
+                    filter.Include.Add(token);
+                }
+            }
+
+            return filter;
+        }
+
+        /// <summary>
+        ///     Returns a value indicating whether the specified file matches the filter.
+        /// </summary>
+        /// <param name="file">The file to check.</param>
+        /// <returns>A value indicating whether the file matches.</returns>
+        public bool Matches(File file)
+        {
+            var path = file.Filename.ToLowerInvariant();
+
+            return Include.All(word => path.Contains(word))
+                && !Exclude.Any(word => path.Contains(word))
+                && (Extensions.Count == 0 || Extensions.Contains(GetExtension(file)))
+                && (!IsVBR || file.IsVariableBitRate == true)
+                && (!IsCBR || file.IsVariableBitRate == false)
+                && Within(file.BitRate, MinBitRate, MaxBitRate)
+                && Within(file.Size, MinSize, MaxSize)
+                && Within(file.Length, MinLength, MaxLength);
+        }
+
+        /// <summary>
+        ///     Returns the files of the specified response that match the filter, or none if fewer than the minimum match.
+        /// </summary>
+        /// <param name="response">The response to filter.</param>
+        /// <returns>The matching files.</returns>
+        public IEnumerable<File> Apply(SearchResponse response)
+        {
+            var files = response.Files.Where(Matches).ToList();
+            return files.Count < (MinFiles ?? 1) ? Enumerable.Empty<File>() : files;
+        }
+
+        /// <summary>
+        ///     Returns the lowercase extension of the specified file, without a leading period.
+        /// </summary>
+        /// <param name="file">The file.</param>
+        /// <returns>The extension.</returns>
+        public static string GetExtension(File file)
+        {
+            var extension = string.IsNullOrEmpty(file.Extension) ? file.Filename.Split('\\', '/').Last().Split('.').Last() : file.Extension;
+            return extension.ToLowerInvariant().TrimStart('.');
+        }
+
+        private static long? ParseNumber(string value) =>
+            Regex.IsMatch(value, @"^\d+$") && long.TryParse(value, out var number) ? number : (long?)null;
+
+        private static long? ParseSize(string value)
+        {
+            var match = Regex.Match(value, @"^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$");
+
+            if (!match.Success)
+            {
+                return null;
+            }
+
+            var unit = match.Groups[2].Success ? match.Groups[2].Value : "b";
+            return (long)(double.Parse(match.Groups[1].Value, CultureInfo.InvariantCulture) * Units[unit]);
+        }
+
+        // attributes a filter requires but a file doesn't report (bit rate, length) fail the filter
+        private static bool Within(long? value, long? min, long? max) =>
+            (!min.HasValue || (value.HasValue && value >= min)) && (!max.HasValue || (value.HasValue && value <= max));
+
+        private bool TrySet(string key, long value)
+        {
+            switch (key)
+            {
+                case "minbr": MinBitRate = value; return true;
+                case "maxbr": MaxBitRate = value; return true;
+                case "minsize": MinSize = value; return true;
+                case "maxsize": MaxSize = value; return true;
+                case "minlen": MinLength = value; return true;
+                case "maxlen": MaxLength = value; return true;
+                case "minfiles": MinFiles = value; return true;
+                default: return false;
+            }
+        }
+    }
+}
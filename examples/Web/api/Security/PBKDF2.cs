@@ -24,5 +24,32 @@
                 return KeyDerivation.Pbkdf2(password, salt, KeyDerivationPrf.HMACSHA256, iterations, 32);
             }
         }
+
+        /// <summary>
+        ///     Gets a 256 bit (32 byte) key derived from the specified <paramref name="password"/> and <paramref name="salt"/>
+        ///     using PBKDF2/RFC 2898, for storing and verifying passwords.
+        /// </summary>
+        /// <param name="password"></param>
+        /// <param name="salt"></param>
+        /// <returns></returns>
+        public static byte[] GetKey(string password, byte[] salt)
+        {
+            return KeyDerivation.Pbkdf2(password, salt, KeyDerivationPrf.HMACSHA256, 10000, 32);
+        }
+
+        /// <summary>
+        ///     Gets a random 128 bit (16 byte) salt.
+        /// </summary>
+        /// <returns></returns>
+        public static byte[] GetSalt()
+        {
+            byte[] salt = new byte[16];
+
+            using (var rng = RandomNumberGenerator.Create())
+            {
+                rng.GetBytes(salt);
+                return salt;
+            }
+        }
     }
 }
@@ -22,7 +22,7 @@
         protected override Task<AuthenticateResult> HandleAuthenticateAsync()
         {
             var identity = new GenericIdentity(Options.Username);
-            var principal = new GenericPrincipal(identity, new[] { "User" });
+            var principal = new GenericPrincipal(identity, new[] { Roles.Admin });
             var ticket = new AuthenticationTicket(principal , new AuthenticationProperties(), PassthroughAuthentication.AuthenticationScheme);
 
             return Task.FromResult(AuthenticateResult.Success(ticket));
@@ -0,0 +1,35 @@
+﻿namespace WebAPI.Security
+{
+    using System.Collections.Generic;
+
+    /// <summary>
+    ///     The roles of web users, and the combinations of them permitted to perform each kind of action.
+    /// </summary>
+    public static class Roles
+    {
+        /// <summary>
+        ///     Can do anything a downloader can, and manage shares, uploads, the server connection and web users.
+        /// </summary>
+        public const string Admin = "Admin";
+
+        /// <summary>
+        ///     Can do anything a viewer can, and download, cancel and remove transfers, manage the wishlist and chat.
+        /// </summary>
+        public const string Downloader = "Downloader";
+
+        /// <summary>
+        ///     Can view transfers, search and browse, but change nothing.
+        /// </summary>
+        public const string Viewer = "Viewer";
+
+        /// <summary>
+        ///     The roles permitted to download, cancel and remove transfers, manage the wishlist and chat.
+        /// </summary>
+        public const string CanDownload = Admin + "," + Downloader;
+
+        /// <summary>
+        ///     Gets all roles, from most to least privileged.
+        /// </summary>
+        public static IReadOnlyList<string> All { get; } = new[] { Admin, Downloader, Viewer };
+    }
+}
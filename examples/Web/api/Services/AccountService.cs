@@ -0,0 +1,311 @@
+﻿namespace WebAPI.Services
+{
+    using System;
+    using System.Collections.Generic;
+    using System.Linq;
+    using System.Security.Cryptography;
+    using Microsoft.Extensions.Configuration;
+    using Newtonsoft.Json;
+    using WebAPI.DTO;
+    using WebAPI.Security;
+
+    /// <summary>
+    ///     Manages the users of the web interface.  The username and password configured at startup are always an admin, and
+    ///     other accounts are added through the API and stored with salted password hashes.
+    /// </summary>
+    public class AccountService : IAccountService
+    {
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="AccountService"/> class.
+        /// </summary>
+        /// <param name="configuration"></param>
+        public AccountService(IConfiguration configuration)
+        {
+            BuiltIn = new Account()
+            {
+                Username = configuration.GetValue<string>("USERNAME"),
+                Role = Roles.Admin,
+                IsBuiltIn = true,
+            };
+
+            BuiltInPassword = configuration.GetValue<string>("PASSWORD");
+
+            Store = new JsonStore<List<StoredAccount>>(configuration, "accounts.json", "ACCOUNTS", "the accounts");
+
+            Load();
+        }
+
+        /// <summary>
+        ///     Gets all accounts, the built in account first.
+        /// </summary>
+        public IReadOnlyList<Account> Accounts
+        {
+            get
+            {
+                lock (SyncRoot)
+                {
+                    return new[] { Copy(BuiltIn) }.Concat(Stored.Select(s => Copy(s.Account))).ToList().AsReadOnly();
+                }
+            }
+        }
+
+        // the built in account's password only changes along with the configuration, which changes the key with which
+        // tokens are signed, so its tokens are invalidated without needing a stamp of their own.
+        private static string BuiltInSecurityStamp { get; } = string.Empty;
+        private static int MinimumPasswordLength { get; } = 8;
+
+        private Account BuiltIn { get; }
+        private string BuiltInPassword { get; }
+        private JsonStore<List<StoredAccount>> Store { get; }
+        private List<StoredAccount> Stored { get; set; } = new List<StoredAccount>();
+        private object SyncRoot { get; } = new object();
+
+        /// <summary>
+        ///     Adds an account.
+        /// </summary>
+        /// <param name="request">The username, password and role of the account.</param>
+        /// <returns>The added account.</returns>
+        /// <exception cref="ArgumentException">Thrown when the request is invalid or the username is taken.</exception>
+        public Account Add(AccountRequest request)
+        {
+            var username = request?.Username?.Trim();
+
+            if (string.IsNullOrEmpty(username))
+            {
+                throw new ArgumentException("A username is required.");
+            }
+
+            ValidateRole(request.Role);
+            ValidatePassword(request.Password);
+
+            lock (SyncRoot)
+            {
+                if (IsBuiltIn(username) || Find(username) != null)
+                {
+                    throw new ArgumentException($"The username {username} is already taken.");
+                }
+
+                var stored = new StoredAccount()
+                {
+                    Account = new Account()
+                    {
+                        Username = username,
+                        Role = request.Role,
+                        Created = DateTime.UtcNow,
+                    },
+                };
+
+                SetPassword(stored, request.Password);
+                Stored.Add(stored);
+
+                Save();
+
+                return Copy(stored.Account);
+            }
+        }
+
+        /// <summary>
+        ///     Returns the account matching the specified credentials, recording the login, or null if they don't match.
+        /// </summary>
+        /// <param name="username">The username.</param>
+        /// <param name="password">The password.</param>
+        /// <returns>The account, or null.</returns>
+        public Account Authenticate(string username, string password)
+        {
+            lock (SyncRoot)
+            {
+                if (IsBuiltIn(username) && password == BuiltInPassword)
+                {
+                    BuiltIn.LastLogin = DateTime.UtcNow;
+                    return Copy(BuiltIn);
+                }
+
+                var stored = Find(username);
+
+                if (stored == null || password == null)
+                {
+                    return null;
+                }
+
+                var hash = PBKDF2.GetKey(password, Convert.FromBase64String(stored.Salt));
+
+                if (!CryptographicOperations.FixedTimeEquals(hash, Convert.FromBase64String(stored.Hash)))
+                {
+                    return null;
+                }
+
+                stored.Account.LastLogin = DateTime.UtcNow;
+                Save();
+
+                return Copy(stored.Account);
+            }
+        }
+
+        /// <summary>
+        ///     Gets the security stamp of the account with the specified <paramref name="username"/>, or null if it doesn't exist.
+        /// </summary>
+        /// <remarks>
+        ///     The stamp changes whenever the password does, so that tokens issued with an earlier stamp can be rejected.
+        /// </remarks>
+        /// <param name="username">The username.</param>
+        /// <returns>The security stamp, or null.</returns>
+        public string GetSecurityStamp(string username)
+        {
+            lock (SyncRoot)
+            {
+                return IsBuiltIn(username) ? BuiltInSecurityStamp : Find(username)?.SecurityStamp;
+            }
+        }
+
+        /// <summary>
+        ///     Gets the account with the specified <paramref name="username"/>.
+        /// </summary>
+        /// <param name="username">The username.</param>
+        /// <param name="account">The account.</param>
+        /// <returns>A value indicating whether the account exists.</returns>
+        public bool TryGet(string username, out Account account)
+        {
+            lock (SyncRoot)
+            {
+                account = IsBuiltIn(username) ? Copy(BuiltIn) : Find(username) is StoredAccount stored ? Copy(stored.Account) : null;
+                return account != null;
+            }
+        }
+
+        /// <summary>
+        ///     Removes the account with the specified <paramref name="username"/>.
+        /// </summary>
+        /// <param name="username">The username.</param>
+        /// <returns>A value indicating whether the account was removed.</returns>
+        /// <exception cref="ArgumentException">Thrown when the account is the built in account.</exception>
+        public bool TryRemove(string username)
+        {
+            if (IsBuiltIn(username))
+            {
+                throw new ArgumentException("The built in account can't be removed.");
+            }
+
+            lock (SyncRoot)
+            {
+                var stored = Find(username);
+
+                if (stored == null)
+                {
+                    return false;
+                }
+
+                Stored.Remove(stored);
+                Save();
+
+                return true;
+            }
+        }
+
+        /// <summary>
+        ///     Changes the role and, if one is given, the password of the account with the specified <paramref name="username"/>.
+        /// </summary>
+        /// <param name="username">The username.</param>
+        /// <param name="request">The new role and optional password.</param>
+        /// <param name="account">The updated account.</param>
+        /// <returns>A value indicating whether the account exists.</returns>
+        /// <exception cref="ArgumentException">Thrown when the request is invalid or the account is the built in account.</exception>
+        public bool TryUpdate(string username, AccountRequest request, out Account account)
+        {
+            if (IsBuiltIn(username))
+            {
+                throw new ArgumentException("The built in account is configured at startup and can't be changed.");
+            }
+
+            ValidateRole(request?.Role);
+
+            if (!string.IsNullOrEmpty(request.Password))
+            {
+                ValidatePassword(request.Password);
+            }
+
+            lock (SyncRoot)
+            {
+                var stored = Find(username);
+
+                if (stored == null)
+                {
+                    account = null;
+                    return false;
+                }
+
+                stored.Account.Role = request.Role;
+
+                if (!string.IsNullOrEmpty(request.Password))
+                {
+                    SetPassword(stored, request.Password);
+                }
+
+                Save();
+
+                account = Copy(stored.Account);
+                return true;
+            }
+        }
+
+        private static Account Copy(Account account) => JsonConvert.DeserializeObject<Account>(JsonConvert.SerializeObject(account));
+
+        private static string NewSecurityStamp() => Guid.NewGuid().ToString("N");
+
+        private static void SetPassword(StoredAccount stored, string password)
+        {
+            var salt = PBKDF2.GetSalt();
+
+            stored.Salt = Convert.ToBase64String(salt);
+            stored.Hash = Convert.ToBase64String(PBKDF2.GetKey(password, salt));
+            stored.SecurityStamp = NewSecurityStamp();
+        }
+
+        private static void ValidatePassword(string password)
+        {
+            if (string.IsNullOrEmpty(password) || password.Length < MinimumPasswordLength)
+            {
+                throw new ArgumentException($"Passwords must be at least {MinimumPasswordLength} characters long.");
+            }
+        }
+
+        private static void ValidateRole(string role)
+        {
+            if (!Roles.All.Contains(role))
+            {
+                throw new ArgumentException($"The role must be one of {string.Join(", ", Roles.All)}.");
+            }
+        }
+
+        private StoredAccount Find(string username) =>
+            Stored.FirstOrDefault(s => string.Equals(s.Account.Username, username, StringComparison.OrdinalIgnoreCase));
+
+        private bool IsBuiltIn(string username) => string.Equals(username, BuiltIn.Username, StringComparison.OrdinalIgnoreCase);
+
+        private void Load()
+        {
+            if (Store.TryLoad(out var stored))
+            {
+                Stored = stored;
+
+                // accounts stored before stamps were introduced are given one, which revokes the tokens issued without it
+                var unstamped = Stored.Where(s => string.IsNullOrEmpty(s.SecurityStamp)).ToList();
+                unstamped.ForEach(s => s.SecurityStamp = NewSecurityStamp());
+
+                if (unstamped.Count > 0)
+                {
+                    Save();
+                }
+            }
+        }
+
+        private void Save() => Store.Save(Stored);
+
+        private class StoredAccount
+        {
+            public Account Account { get; set; }
+            public string Hash { get; set; }
+            public string Salt { get; set; }
+            public string SecurityStamp { get; set; }
+        }
+    }
+}
@@ -0,0 +1,106 @@
+﻿namespace WebAPI.Services
+{
+    using System;
+    using System.Collections.Generic;
+    using System.Linq;
+    using System.Threading;
+    using Microsoft.Extensions.Configuration;
+    using Soulseek;
+    using WebAPI.DTO;
+
+    /// <summary>
+    ///     Records which web user enqueued, cancelled or removed which transfer, keeping the most recent actions.
+    /// </summary>
+    public class AuditService : IAuditService
+    {
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="AuditService"/> class.
+        /// </summary>
+        /// <param name="configuration"></param>
+        public AuditService(IConfiguration configuration)
+        {
+            Store = new JsonStore<List<AuditEntry>>(configuration, "audit.json", "AUDIT", "the audit log");
+
+            Load();
+
+            SaveTimer = new Timer(state => Save(), null, Timeout.Infinite, Timeout.Infinite);
+        }
+
+        private static int MaxEntries { get; } = 10000;
+
+        // enqueueing an album records an action per file, so saves are deferred until the actions stop coming
+        private static TimeSpan SaveDelay { get; } = TimeSpan.FromSeconds(5);
+
+        private List<AuditEntry> Entries { get; set; } = new List<AuditEntry>();
+        private Timer SaveTimer { get; }
+        private JsonStore<List<AuditEntry>> Store { get; }
+        private object SyncRoot { get; } = new object();
+
+        /// <summary>
+        ///     Records an action.
+        /// </summary>
+        /// <param name="user">The web user who took the action.</param>
+        /// <param name="action">The action; Enqueue, Cancel or Remove.</param>
+        /// <param name="direction">The direction of the transfer.</param>
+        /// <param name="username">The username of the remote user.</param>
+        /// <param name="filename">The filename of the transfer.</param>
+        public void Add(string user, string action, TransferDirection direction, string username, string filename)
+        {
+            Console.WriteLine($"[AUDIT] {user}: {action} {direction.ToString().ToLower()} [{username}/{filename}]");
+
+            lock (SyncRoot)
+            {
+                Entries.Add(new AuditEntry()
+                {
+                    Timestamp = DateTime.UtcNow,
+                    User = user,
+                    Action = action,
+                    Direction = direction,
+                    Username = username,
+                    Filename = filename,
+                });
+
+                if (Entries.Count > MaxEntries)
+                {
+                    Entries.RemoveRange(0, Entries.Count - MaxEntries);
+                }
+            }
+
+            SaveTimer.Change(SaveDelay, Timeout.InfiniteTimeSpan);
+        }
+
+        /// <summary>
+        ///     Gets recorded actions, newest first.
+        /// </summary>
+        /// <param name="user">The web user whose actions to get, or null for all users.</param>
+        /// <param name="limit">The maximum number of actions to get.</param>
+        /// <returns>The actions.</returns>
+        public IReadOnlyList<AuditEntry> Get(string user, int limit)
+        {
+            lock (SyncRoot)
+            {
+                return Enumerable.Reverse(Entries)
+                    .Where(e => user == null || string.Equals(e.User, user, StringComparison.OrdinalIgnoreCase))
+                    .Take(limit)
+                    .ToList()
+                    .AsReadOnly();
+            }
+        }
+
+        private void Load()
+        {
+            if (Store.TryLoad(out var entries))
+            {
+                Entries = entries;
+            }
+        }
+
+        private void Save()
+        {
+            lock (SyncRoot)
+            {
+                Store.Save(Entries);
+            }
+        }
+    }
+}
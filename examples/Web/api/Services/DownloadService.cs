@@ -0,0 +1,291 @@
+﻿namespace WebAPI.Services
+{
+    using System;
+    using System.Collections.Concurrent;
+    using System.IO;
+    using System.Linq;
+    using System.Text.RegularExpressions;
+    using System.Threading;
+    using System.Threading.Tasks;
+    using Microsoft.Extensions.Configuration;
+    using Soulseek;
+    using Soulseek.Exceptions;
+    using WebAPI.DTO;
+    using WebAPI.Trackers;
+
+    /// <summary>
+    ///     Enqueues downloads and retries them according to the <see cref="RetryPolicy"/>.
+    /// </summary>
+    public class DownloadService : IDownloadService
+    {
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="DownloadService"/> class.
+        /// </summary>
+        /// <param name="configuration"></param>
+        /// <param name="client"></param>
+        /// <param name="tracker"></param>
+        public DownloadService(IConfiguration configuration, ISoulseekClient client, ITransferTracker tracker)
+        {
+            OutputDirectory = configuration.GetValue<string>("OUTPUT_DIR");
+            Client = client;
+            Tracker = tracker;
+
+            Store = new JsonStore<RetryPolicy>(configuration, "retry.json", "RETRY", "the retry policy");
+
+            if (Store.TryLoad(out var policy))
+            {
+                CurrentPolicy = policy;
+            }
+        }
+
+        /// <summary>
+        ///     Gets or sets the policy governing automatic retries of failed downloads.
+        /// </summary>
+        public RetryPolicy RetryPolicy
+        {
+            get
+            {
+                lock (SyncRoot)
+                {
+                    return CurrentPolicy;
+                }
+            }
+
+            set
+            {
+                lock (SyncRoot)
+                {
+                    CurrentPolicy = value;
+                    Store.Save(value);
+                }
+            }
+        }
+
+        private ConcurrentDictionary<(string Username, string Filename), int> Attempts { get; } = new ConcurrentDictionary<(string Username, string Filename), int>();
+        private ConcurrentDictionary<(string Username, string Filename), bool> Cancelled { get; } = new ConcurrentDictionary<(string Username, string Filename), bool>();
+        private ConcurrentDictionary<string, ConcurrentDictionary<string, bool>> TriedSources { get; } = new ConcurrentDictionary<string, ConcurrentDictionary<string, bool>>();
+        private ISoulseekClient Client { get; }
+        private RetryPolicy CurrentPolicy { get; set; } = new RetryPolicy();
+        private string OutputDirectory { get; }
+        private JsonStore<RetryPolicy> Store { get; }
+        private object SyncRoot { get; } = new object();
+        private ITransferTracker Tracker { get; }
+
+        /// <summary>
+        ///     Records that the specified download is being cancelled or removed by a user, so that it isn't retried.
+        /// </summary>
+        /// <remarks>
+        ///     Downloads cancelled by the remote user are indistinguishable from these once they've completed, and are
+        ///     retried if the policy includes <see cref="TransferStates.Cancelled"/>.  Removing a failed download stops a
+        ///     pending retry of it.
+        /// </remarks>
+        /// <param name="username">The username of the download source.</param>
+        /// <param name="filename">The download filename.</param>
+        public void AddCancellation(string username, string filename)
+        {
+            Cancelled.TryAdd((username, filename), true);
+        }
+
+        /// <summary>
+        ///     Enqueues the specified download, completing when the remote user has queued it.
+        /// </summary>
+        /// <param name="username">The username of the download source.</param>
+        /// <param name="filename">The download filename.</param>
+        /// <param name="request">The optional destination, naming template and expected size of the download.</param>
+        /// <param name="token">The optional unique download token.</param>
+        /// <returns>The operation context.</returns>
+        /// <exception cref="ArgumentException">Thrown when the destination or naming template is invalid.</exception>
+        public Task EnqueueAsync(string username, string filename, DownloadRequest request = null, int? token = null)
+        {
+            // enqueueing the file again overrides an earlier cancellation
+            Cancelled.TryRemove((username, filename), out _);
+            return StartAsync(username, filename, request, token);
+        }
+
+        private async Task StartAsync(string username, string filename, DownloadRequest request, int? token = null)
+        {
+            var localFilename = DownloadPath.Resolve(OutputDirectory, request?.Destination, request?.Template, username, filename);
+
+            var waitUntilEnqueue = new TaskCompletionSource<bool>();
+            var stream = GetLocalFileStream(localFilename);
+
+            var cts = new CancellationTokenSource();
+            var lastState = TransferStates.None;
+            var size = request?.Size ?? 0;
+
+            Task downloadTask;
+
+            try
+            {
+                downloadTask = Client.DownloadAsync(username, filename, stream, 0, token, new TransferOptions(disposeOutputStreamOnCompletion: true, stateChanged: (e) =>
+                {
+                    Tracker.AddOrUpdate(e, cts);
+
+                    lastState = e.Transfer.State;
+                    size = e.Transfer.Size > 0 ? e.Transfer.Size : size;
+
+                    if (e.Transfer.State == TransferStates.Queued)
+                    {
+                        waitUntilEnqueue.TrySetResult(true);
+                    }
+                }, progressUpdated: (e) => Tracker.AddOrUpdate(e, cts)), cts.Token);
+            }
+            catch
+            {
+                // argument and state validation throws before the transfer takes ownership of the stream
+                stream.Dispose();
+                throw;
+            }
+
+            _ = downloadTask.ContinueWith(task => OnDownloadCompleted(task, username, filename, request, lastState, size));
+
+            // wait until either the waitUntilEnqueue task completes because the download was successfully queued, or the
+            // downloadTask throws due to an error prior to successfully queueing.
+            var completed = await Task.WhenAny(waitUntilEnqueue.Task, downloadTask);
+
+            if (completed == downloadTask)
+            {
+                await downloadTask;
+            }
+        }
+
+        private static FileStream GetLocalFileStream(string localFilename)
+        {
+            var path = Path.GetDirectoryName(localFilename);
+
+            if (!System.IO.Directory.Exists(path))
+            {
+                System.IO.Directory.CreateDirectory(path);
+            }
+
+            return new FileStream(localFilename, FileMode.Create);
+        }
+
+        private static string GetFileName(string filename) => Path.GetFileName(filename.ToLocalOSPath());
+
+        private static string GetSourceKey(string filename, long size) => $"{GetFileName(filename).ToLowerInvariant()}:{size}";
+
+        private static void Log(string message) => Console.WriteLine($"[RETRY] {message}");
+
+        private async Task OnDownloadCompleted(Task downloadTask, string username, string filename, DownloadRequest request, TransferStates state, long size)
+        {
+            var key = (username, filename);
+            var cancelled = Cancelled.TryRemove(key, out _);
+
+            if (cancelled || (!downloadTask.IsFaulted && !downloadTask.IsCanceled))
+            {
+                Attempts.TryRemove(key, out _);
+                TriedSources.TryRemove(GetSourceKey(filename, size), out _);
+                return;
+            }
+
+            var policy = RetryPolicy;
+
+            if (!policy.Enabled)
+            {
+                return;
+            }
+
+            var exceptions = downloadTask.Exception?.Flatten().InnerExceptions.ToArray() ?? Array.Empty<Exception>();
+            var unreachable = state.HasFlag(TransferStates.Rejected) || exceptions.Any(e => e is UserOfflineException || e is TransferRejectedException);
+
+            // failures prior to the transfer being requested (e.g. the user is offline) never reach a completed state
+            var failure = state.HasFlag(TransferStates.Completed) ? state & ~TransferStates.Completed : TransferStates.Errored;
+            var qualifies = (policy.States ?? Enumerable.Empty<TransferStates>()).Any(s => failure.HasFlag(s));
+
+            var attempt = Attempts.AddOrUpdate(key, 1, (k, v) => v + 1);
+
+            if (qualifies && attempt <= policy.MaxAttempts && !(unreachable && policy.FindAlternateSource))
+            {
+                var delay = Math.Min(policy.InitialDelay * Math.Pow(policy.BackoffMultiplier, attempt - 1), policy.MaxDelay);
+                Log($"{username}/{GetFileName(filename)} failed ({failure}); retry {attempt} of {policy.MaxAttempts} in {delay:0}s");
+
+                await Task.Delay(TimeSpan.FromSeconds(delay));
+
+                if (Cancelled.TryRemove(key, out _))
+                {
+                    Attempts.TryRemove(key, out _);
+                    Log($"{username}/{GetFileName(filename)} was removed; not retrying");
+                    return;
+                }
+
+                await TryEnqueueAsync(username, filename, request);
+                return;
+            }
+
+            Attempts.TryRemove(key, out _);
+
+            if (policy.FindAlternateSource && (unreachable || qualifies))
+            {
+                await TryAlternateSourceAsync(username, filename, request, size);
+            }
+        }
+
+        private async Task TryEnqueueAsync(string username, string filename, DownloadRequest request)
+        {
+            try
+            {
+                await StartAsync(username, filename, request);
+            }
+            catch (Exception ex)
+            {
+                // the continuation on the failed download applies the policy again
+                Log($"{username}/{GetFileName(filename)} could not be enqueued: {ex.Message}");
+            }
+        }
+
+        private async Task TryAlternateSourceAsync(string username, string filename, DownloadRequest request, long size)
+        {
+            var name = GetFileName(filename);
+            var tried = TriedSources.GetOrAdd(GetSourceKey(filename, size), new ConcurrentDictionary<string, bool>());
+            tried.TryAdd(username, true);
+
+            var searchText = Regex.Replace(Path.GetFileNameWithoutExtension(name), @"[^\w]+", " ").Trim();
+
+            if (string.IsNullOrEmpty(searchText))
+            {
+                return;
+            }
+
+            Log($"Searching for an alternate source of {name}");
+
+            try
+            {
+                var responses = await Client.SearchAsync(SearchQuery.FromText(searchText), options: new SearchOptions(searchTimeout: 10000));
+
+                var candidate = responses
+                    .Where(r => !tried.ContainsKey(r.Username))
+                    .SelectMany(r => r.Files.Select(f => (Response: r, File: f)))
+                    .Where(c => string.Equals(GetFileName(c.File.Filename), name, StringComparison.OrdinalIgnoreCase))
+                    .Where(c => size <= 0 || c.File.Size == size)
+                    .OrderByDescending(c => c.Response.FreeUploadSlots > 0)
+                    .ThenBy(c => c.Response.QueueLength)
+                    .ThenByDescending(c => c.Response.UploadSpeed)
+                    .FirstOrDefault();
+
+                if (candidate.Response == null)
+                {
+                    Log($"No alternate source found for {name}");
+                    TriedSources.TryRemove(GetSourceKey(filename, size), out _);
+                    return;
+                }
+
+                tried.TryAdd(candidate.Response.Username, true);
+                Log($"Downloading {name} from alternate source {candidate.Response.Username}");
+
+                var alternate = new DownloadRequest
+                {
+                    Destination = request?.Destination,
+                    Template = request?.Template,
+                    Size = candidate.File.Size,
+                };
+
+                await TryEnqueueAsync(candidate.Response.Username, candidate.File.Filename, alternate);
+            }
+            catch (Exception ex)
+            {
+                Log($"Failed to search for an alternate source of {name}: {ex.Message}");
+            }
+        }
+    }
+}
@@ -0,0 +1,68 @@
+﻿namespace WebAPI.Services
+{
+    using System.Collections.Generic;
+    using WebAPI.DTO;
+
+    /// <summary>
+    ///     Manages the users of the web interface and checks their credentials.
+    /// </summary>
+    public interface IAccountService
+    {
+        /// <summary>
+        ///     Gets all accounts, the built in account first.
+        /// </summary>
+        IReadOnlyList<Account> Accounts { get; }
+
+        /// <summary>
+        ///     Adds an account.
+        /// </summary>
+        /// <param name="request">The username, password and role of the account.</param>
+        /// <returns>The added account.</returns>
+        /// <exception cref="System.ArgumentException">Thrown when the request is invalid or the username is taken.</exception>
+        Account Add(AccountRequest request);
+
+        /// <summary>
+        ///     Returns the account matching the specified credentials, recording the login, or null if they don't match.
+        /// </summary>
+        /// <param name="username">The username.</param>
+        /// <param name="password">The password.</param>
+        /// <returns>The account, or null.</returns>
+        Account Authenticate(string username, string password);
+
+        /// <summary>
+        ///     Gets the security stamp of the account with the specified <paramref name="username"/>, or null if it doesn't exist.
+        /// </summary>
+        /// <remarks>
+        ///     The stamp changes whenever the password does, so that tokens issued with an earlier stamp can be rejected.
+        /// </remarks>
+        /// <param name="username">The username.</param>
+        /// <returns>The security stamp, or null.</returns>
+        string GetSecurityStamp(string username);
+
+        /// <summary>
+        ///     Gets the account with the specified <paramref name="username"/>.
+        /// </summary>
+        /// <param name="username">The username.</param>
+        /// <param name="account">The account.</param>
+        /// <returns>A value indicating whether the account exists.</returns>
+        bool TryGet(string username, out Account account);
+
+        /// <summary>
+        ///     Removes the account with the specified <paramref name="username"/>.
+        /// </summary>
+        /// <param name="username">The username.</param>
+        /// <returns>A value indicating whether the account was removed.</returns>
+        /// <exception cref="System.ArgumentException">Thrown when the account is the built in account.</exception>
+        bool TryRemove(string username);
+
+        /// <summary>
+        ///     Changes the role and, if one is given, the password of the account with the specified <paramref name="username"/>.
+        /// </summary>
+        /// <param name="username">The username.</param>
+        /// <param name="request">The new role and optional password.</param>
+        /// <param name="account">The updated account.</param>
+        /// <returns>A value indicating whether the account exists.</returns>
+        /// <exception cref="System.ArgumentException">Thrown when the request is invalid or the account is the built in account.</exception>
+        bool TryUpdate(string username, AccountRequest request, out Account account);
+    }
+}
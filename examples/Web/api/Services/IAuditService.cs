@@ -0,0 +1,30 @@
+﻿namespace WebAPI.Services
+{
+    using System.Collections.Generic;
+    using Soulseek;
+    using WebAPI.DTO;
+
+    /// <summary>
+    ///     Records which web user enqueued, cancelled or removed which transfer.
+    /// </summary>
+    public interface IAuditService
+    {
+        /// <summary>
+        ///     Records an action.
+        /// </summary>
+        /// <param name="user">The web user who took the action.</param>
+        /// <param name="action">The action; Enqueue, Cancel or Remove.</param>
+        /// <param name="direction">The direction of the transfer.</param>
+        /// <param name="username">The username of the remote user.</param>
+        /// <param name="filename">The filename of the transfer.</param>
+        void Add(string user, string action, TransferDirection direction, string username, string filename);
+
+        /// <summary>
+        ///     Gets recorded actions, newest first.
+        /// </summary>
+        /// <param name="user">The web user whose actions to get, or null for all users.</param>
+        /// <param name="limit">The maximum number of actions to get.</param>
+        /// <returns>The actions.</returns>
+        IReadOnlyList<AuditEntry> Get(string user, int limit);
+    }
+}
@@ -0,0 +1,34 @@
+﻿namespace WebAPI.Services
+{
+    using System.Threading.Tasks;
+    using WebAPI.DTO;
+
+    /// <summary>
+    ///     Enqueues downloads and retries them according to the <see cref="RetryPolicy"/>.
+    /// </summary>
+    public interface IDownloadService
+    {
+        /// <summary>
+        ///     Gets or sets the policy governing automatic retries of failed downloads.
+        /// </summary>
+        RetryPolicy RetryPolicy { get; set; }
+
+        /// <summary>
+        ///     Records that the specified download is being cancelled or removed by a user, so that it isn't retried.
+        /// </summary>
+        /// <param name="username">The username of the download source.</param>
+        /// <param name="filename">The download filename.</param>
+        void AddCancellation(string username, string filename);
+
+        /// <summary>
+        ///     Enqueues the specified download, completing when the remote user has queued it.
+        /// </summary>
+        /// <param name="username">The username of the download source.</param>
+        /// <param name="filename">The download filename.</param>
+        /// <param name="request">The optional destination, naming template and expected size of the download.</param>
+        /// <param name="token">The optional unique download token.</param>
+        /// <returns>The operation context.</returns>
+        /// <exception cref="System.ArgumentException">Thrown when the destination or naming template is invalid.</exception>
+        Task EnqueueAsync(string username, string filename, DownloadRequest request = null, int? token = null);
+    }
+}
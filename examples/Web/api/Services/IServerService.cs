@@ -0,0 +1,39 @@
+﻿namespace WebAPI.Services
+{
+    using System.Threading.Tasks;
+    using WebAPI.DTO;
+
+    /// <summary>
+    ///     Manages the connection to the Soulseek server.
+    /// </summary>
+    public interface IServerService
+    {
+        /// <summary>
+        ///     Gets the state of the connection.
+        /// </summary>
+        ServerState State { get; }
+
+        /// <summary>
+        ///     Connects and logs in, replacing the existing connection if there is one.
+        /// </summary>
+        /// <remarks>
+        ///     Omitted values are carried over from the previous connection.  If both the address and the port are omitted and
+        ///     neither has been specified previously, the default server is used.
+        /// </remarks>
+        /// <param name="request">The optional server address, port and credentials.</param>
+        /// <returns>The operation context.</returns>
+        Task ConnectAsync(ConnectRequest request = null);
+
+        /// <summary>
+        ///     Disconnects from the server.  The client won't reconnect until <see cref="ConnectAsync"/> is called.
+        /// </summary>
+        /// <param name="message">An optional message describing the reason for the disconnect.</param>
+        void Disconnect(string message = null);
+
+        /// <summary>
+        ///     Reconnects in the background, retrying with an increasing delay until the connection succeeds, the login is
+        ///     rejected, or <see cref="ConnectAsync"/> or <see cref="Disconnect"/> is called.
+        /// </summary>
+        void Reconnect();
+    }
+}
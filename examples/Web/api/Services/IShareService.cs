@@ -0,0 +1,62 @@
+﻿namespace WebAPI.Services
+{
+    using System.Collections.Generic;
+    using WebAPI.DTO;
+
+    /// <summary>
+    ///     Indexes the shared folders, and answers browse, directory and search requests from the index.
+    /// </summary>
+    public interface IShareService
+    {
+        /// <summary>
+        ///     Gets the shared folders and exclude patterns.
+        /// </summary>
+        ShareSettings Settings { get; }
+
+        /// <summary>
+        ///     Gets the state of the index.
+        /// </summary>
+        ShareState State { get; }
+
+        /// <summary>
+        ///     Gets all shared directories and their files, as they're shown to users browsing the share.
+        /// </summary>
+        /// <returns>The shared directories.</returns>
+        IEnumerable<Soulseek.Directory> Browse();
+
+        /// <summary>
+        ///     Returns a value indicating whether the specified local file is shared.
+        /// </summary>
+        /// <param name="filename">The fully qualified local filename.</param>
+        /// <returns>A value indicating whether the file is shared.</returns>
+        bool IsShared(string filename);
+
+        /// <summary>
+        ///     Starts a scan of the shared folders, cancelling any scan already in progress.
+        /// </summary>
+        void Rescan();
+
+        /// <summary>
+        ///     Returns the shared files whose paths contain every word of the specified query, and none of the excluded words.
+        /// </summary>
+        /// <param name="query">The search query.</param>
+        /// <param name="exclusions">The words which matching paths must not contain.</param>
+        /// <returns>The matching files, with fully qualified filenames.</returns>
+        IEnumerable<Soulseek.File> Search(string query, IEnumerable<string> exclusions);
+
+        /// <summary>
+        ///     Gets the specified shared directory.
+        /// </summary>
+        /// <param name="directoryName">The fully qualified directory name.</param>
+        /// <param name="directory">The directory and its files.</param>
+        /// <returns>A value indicating whether the directory is shared.</returns>
+        bool TryGetDirectory(string directoryName, out Soulseek.Directory directory);
+
+        /// <summary>
+        ///     Replaces the shared folders and exclude patterns, and rescans the shares.
+        /// </summary>
+        /// <param name="settings">The new settings.</param>
+        /// <exception cref="System.ArgumentException">Thrown when a root folder doesn't exist.</exception>
+        void Update(ShareSettings settings);
+    }
+}
@@ -0,0 +1,69 @@
+﻿namespace WebAPI.Services
+{
+    using System.Collections.Generic;
+    using System.Threading.Tasks;
+    using WebAPI.DTO;
+
+    /// <summary>
+    ///     Queues requested uploads and starts them as slots free up, according to the <see cref="UploadPolicy"/>.
+    /// </summary>
+    /// <remarks>
+    ///     Only the policy is persisted; the queue is kept in memory and is empty after a restart.  Soulseek clients
+    ///     request the files still queued with a user again when they next see that user online, so the queue refills
+    ///     as they do, though not necessarily in its previous order.
+    /// </remarks>
+    public interface IUploadService
+    {
+        /// <summary>
+        ///     Gets or sets the upload policy.
+        /// </summary>
+        UploadPolicy Policy { get; set; }
+
+        /// <summary>
+        ///     Gets the uploads waiting for a slot, in the order in which they'll start.
+        /// </summary>
+        IReadOnlyList<QueuedUpload> Queue { get; }
+
+        /// <summary>
+        ///     Queues an upload of the specified file to the specified user.
+        /// </summary>
+        /// <param name="username">The username of the requesting user.</param>
+        /// <param name="filename">The local filename of the requested file.</param>
+        /// <returns>The operation context.</returns>
+        /// <exception cref="Soulseek.Exceptions.DownloadEnqueueException">
+        ///     Thrown when the user is banned, or the file isn't shared or doesn't exist.  The message is passed to the remote user.
+        /// </exception>
+        Task EnqueueAsync(string username, string filename);
+
+        /// <summary>
+        ///     Gets the one-based place in the queue of the specified upload, or null if it isn't queued.
+        /// </summary>
+        /// <param name="username">The username of the requesting user.</param>
+        /// <param name="filename">The local filename of the requested file.</param>
+        /// <returns>The place in the queue.</returns>
+        int? GetPlaceInQueue(string username, string filename);
+
+        /// <summary>
+        ///     Moves the specified upload to the specified zero-based position in the queue.
+        /// </summary>
+        /// <remarks>
+        ///     Uploads to priority users always start first, so an upload can only be moved among those with the same priority.
+        /// </remarks>
+        /// <param name="username">The username of the requesting user.</param>
+        /// <param name="filename">The local filename of the requested file.</param>
+        /// <param name="position">The new position.</param>
+        /// <returns>A value indicating whether the upload is queued.</returns>
+        /// <exception cref="System.ArgumentException">
+        ///     Thrown when the position is outside of the uploads with the same priority as the specified upload.
+        /// </exception>
+        bool TryMove(string username, string filename, int position);
+
+        /// <summary>
+        ///     Removes the specified upload from the queue.
+        /// </summary>
+        /// <param name="username">The username of the requesting user.</param>
+        /// <param name="filename">The local filename of the requested file.</param>
+        /// <returns>A value indicating whether the upload was queued.</returns>
+        bool TryRemove(string username, string filename);
+    }
+}
@@ -0,0 +1,66 @@
+﻿namespace WebAPI.Services
+{
+    using System.Collections.Generic;
+    using System.Threading.Tasks;
+    using WebAPI.DTO;
+
+    /// <summary>
+    ///     Re-runs saved searches on a schedule, recording new matches and optionally enqueueing the best one.
+    /// </summary>
+    public interface IWishlistService
+    {
+        /// <summary>
+        ///     Gets the wishlist items, in the order in which they were added.
+        /// </summary>
+        IReadOnlyCollection<WishlistItem> Items { get; }
+
+        /// <summary>
+        ///     Adds a wishlist item.  The item is first run at the next scheduled check.
+        /// </summary>
+        /// <param name="request">The search and its options.</param>
+        /// <returns>The added item.</returns>
+        /// <exception cref="System.ArgumentException">Thrown when the request is invalid.</exception>
+        WishlistItem Add(WishlistRequest request);
+
+        /// <summary>
+        ///     Marks the results of the specified item as viewed.
+        /// </summary>
+        /// <param name="id">The id of the item.</param>
+        /// <returns>A value indicating whether the item exists.</returns>
+        bool MarkViewed(string id);
+
+        /// <summary>
+        ///     Starts running the specified item now, regardless of its schedule.  The search continues in the background,
+        ///     and its progress and outcome are broadcast as the item is updated.
+        /// </summary>
+        /// <param name="id">The id of the item.</param>
+        /// <returns>A value indicating whether the item exists.</returns>
+        bool TryRun(string id);
+
+        /// <summary>
+        ///     Gets the specified item and its recorded results, newest first.
+        /// </summary>
+        /// <param name="id">The id of the item.</param>
+        /// <param name="item">The item.</param>
+        /// <param name="results">The recorded results.</param>
+        /// <returns>A value indicating whether the item exists.</returns>
+        bool TryGet(string id, out WishlistItem item, out IReadOnlyCollection<WishlistResult> results);
+
+        /// <summary>
+        ///     Removes the specified item and its results.
+        /// </summary>
+        /// <param name="id">The id of the item.</param>
+        /// <returns>A value indicating whether the item existed.</returns>
+        bool TryRemove(string id);
+
+        /// <summary>
+        ///     Updates the search and options of the specified item.  Changing the search text or filter discards the results.
+        /// </summary>
+        /// <param name="id">The id of the item.</param>
+        /// <param name="request">The search and its options.</param>
+        /// <param name="item">The updated item.</param>
+        /// <returns>A value indicating whether the item exists.</returns>
+        /// <exception cref="System.ArgumentException">Thrown when the request is invalid.</exception>
+        bool TryUpdate(string id, WishlistRequest request, out WishlistItem item);
+    }
+}
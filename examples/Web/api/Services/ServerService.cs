@@ -0,0 +1,222 @@
+﻿namespace WebAPI.Services
+{
+    using System;
+    using System.Threading;
+    using System.Threading.Tasks;
+    using Microsoft.AspNetCore.SignalR;
+    using Soulseek;
+    using Soulseek.Exceptions;
+    using WebAPI.DTO;
+    using WebAPI.Hubs;
+
+    /// <summary>
+    ///     Manages the connection to the Soulseek server.
+    /// </summary>
+    public class ServerService : IServerService
+    {
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="ServerService"/> class.
+        /// </summary>
+        /// <param name="client"></param>
+        /// <param name="hub">The hub context used to push state changes to clients.</param>
+        public ServerService(ISoulseekClient client, IHubContext<EventsHub> hub)
+        {
+            Client = client;
+            Hub = hub;
+
+            Username = Startup.Username;
+            Password = Startup.Password;
+
+            Client.StateChanged += Client_StateChanged;
+            Client.Disconnected += Client_Disconnected;
+        }
+
+        /// <summary>
+        ///     Gets the state of the connection.
+        /// </summary>
+        public ServerState State => new ServerState()
+        {
+            State = Client.State,
+            IsConnected = Client.State.HasFlag(SoulseekClientStates.Connected),
+            IsLoggedIn = Client.State.HasFlag(SoulseekClientStates.LoggedIn),
+            IsReconnecting = ReconnectCancellation != null,
+            Address = Address,
+            Port = Port,
+            Username = Username,
+            DisconnectMessage = DisconnectMessage,
+            DisconnectedAt = DisconnectedAt,
+        };
+
+        // the client's own defaults, used when only one of the address and port has been specified
+        private static string DefaultAddress { get; } = "vps.slsknet.org";
+        private static int DefaultPort { get; } = 2271;
+        private static TimeSpan MinimumReconnectDelay { get; } = TimeSpan.FromSeconds(1);
+        private static TimeSpan MaximumReconnectDelay { get; } = TimeSpan.FromMinutes(5);
+        private string Address { get; set; }
+        private ISoulseekClient Client { get; }
+        private SemaphoreSlim ConnectLock { get; } = new SemaphoreSlim(1, 1);
+        private bool Connecting { get; set; }
+        private DateTime? DisconnectedAt { get; set; }
+        private string DisconnectMessage { get; set; }
+        private bool DisconnectRequested { get; set; }
+        private IHubContext<EventsHub> Hub { get; }
+        private string Password { get; set; }
+        private int? Port { get; set; }
+        private CancellationTokenSource ReconnectCancellation { get; set; }
+        private string Username { get; set; }
+
+        /// <summary>
+        ///     Connects and logs in, replacing the existing connection if there is one.
+        /// </summary>
+        /// <remarks>
+        ///     Omitted values are carried over from the previous connection.  If both the address and the port are omitted and
+        ///     neither has been specified previously, the default server is used.
+        /// </remarks>
+        /// <param name="request">The optional server address, port and credentials.</param>
+        /// <returns>The operation context.</returns>
+        public Task ConnectAsync(ConnectRequest request = null)
+        {
+            StopReconnecting();
+
+            if (!string.IsNullOrEmpty(request?.Address) || request?.Port != null)
+            {
+                Address = string.IsNullOrEmpty(request.Address) ? Address : request.Address;
+                Port = request.Port ?? Port;
+            }
+
+            Username = string.IsNullOrEmpty(request?.Username) ? Username : request.Username;
+            Password = string.IsNullOrEmpty(request?.Password) ? Password : request.Password;
+
+            return ConnectInternalAsync();
+        }
+
+        /// <summary>
+        ///     Disconnects from the server.  The client won't reconnect until <see cref="ConnectAsync"/> is called.
+        /// </summary>
+        /// <param name="message">An optional message describing the reason for the disconnect.</param>
+        public void Disconnect(string message = null)
+        {
+            StopReconnecting();
+
+            DisconnectRequested = true;
+            Client.Disconnect(message ?? "Disconnected from the web UI");
+        }
+
+        /// <summary>
+        ///     Reconnects in the background, retrying with an increasing delay until the connection succeeds, the login is
+        ///     rejected, or <see cref="ConnectAsync"/> or <see cref="Disconnect"/> is called.
+        /// </summary>
+        public void Reconnect()
+        {
+            StopReconnecting();
+
+            var cancellation = new CancellationTokenSource();
+            ReconnectCancellation = cancellation;
+            Broadcast();
+
+            _ = Task.Run(async () =>
+            {
+                var delay = MinimumReconnectDelay;
+
+                try
+                {
+                    while (true)
+                    {
+                        await Task.Delay(delay, cancellation.Token);
+
+                        try
+                        {
+                            Console.WriteLine($"[SERVER] Attempting to reconnect...");
+                            await ConnectInternalAsync(cancellation.Token);
+                            return;
+                        }
+                        catch (LoginRejectedException ex)
+                        {
+                            // retrying won't help; the credentials need to be changed
+                            Console.WriteLine($"[SERVER] Giving up on reconnecting: {ex.Message}");
+                            return;
+                        }
+                        catch (Exception ex) when (!(ex is OperationCanceledException))
+                        {
+                            delay = TimeSpan.FromTicks(Math.Min(delay.Ticks * 2, MaximumReconnectDelay.Ticks));
+                            Console.WriteLine($"[SERVER] Failed to reconnect: {ex.Message}.  Retrying in {delay.TotalSeconds} seconds");
+                        }
+                    }
+                }
+                catch (OperationCanceledException)
+                {
+                    // superseded by a connect or disconnect
+                }
+                finally
+                {
+                    if (ReconnectCancellation == cancellation)
+                    {
+                        ReconnectCancellation = null;
+                        Broadcast();
+                    }
+                }
+            });
+        }
+
+        private void Broadcast() => _ = Hub.Clients.All.SendAsync(EventsHub.ServerStateChanged, State);
+
+        private void Client_Disconnected(object sender, SoulseekClientDisconnectedEventArgs args)
+        {
+            Console.WriteLine($"Disconnected from Soulseek server: {args.Message}");
+
+            DisconnectMessage = args.Message;
+            DisconnectedAt = DateTime.UtcNow;
+
+            // a failed connection attempt is reported to whoever made it, and a requested disconnect is final.
+            // don't reconnect if the disconnecting Exception is either of these types.
+            // if KickedFromServerException, another client was most likely signed in, and retrying will cause a connect loop.
+            // if ObjectDisposedException, the client is shutting down.
+            if (Connecting || DisconnectRequested || args.Exception is KickedFromServerException || args.Exception is ObjectDisposedException)
+            {
+                return;
+            }
+
+            Reconnect();
+        }
+
+        private void Client_StateChanged(object sender, SoulseekClientStateChangedEventArgs args) => Broadcast();
+
+        private async Task ConnectInternalAsync(CancellationToken? cancellationToken = null)
+        {
+            await ConnectLock.WaitAsync(cancellationToken ?? CancellationToken.None);
+
+            try
+            {
+                Connecting = true;
+
+                if (Client.State.HasFlag(SoulseekClientStates.Connected))
+                {
+                    Client.Disconnect("Reconnecting");
+                }
+
+                DisconnectRequested = false;
+
+                if (Address == null && Port == null)
+                {
+                    await Client.ConnectAsync(Username, Password, cancellationToken);
+                }
+                else
+                {
+                    await Client.ConnectAsync(Address ?? DefaultAddress, Port ?? DefaultPort, Username, Password, cancellationToken);
+                }
+            }
+            finally
+            {
+                Connecting = false;
+                ConnectLock.Release();
+            }
+        }
+
+        private void StopReconnecting()
+        {
+            var cancellation = ReconnectCancellation;
+            ReconnectCancellation = null;
+            cancellation?.Cancel();
+        }
+    }
+}
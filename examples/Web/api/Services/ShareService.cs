@@ -0,0 +1,379 @@
+﻿namespace WebAPI.Services
+{
+    using System;
+    using System.Collections.Generic;
+    using System.IO;
+    using System.Linq;
+    using System.Text.RegularExpressions;
+    using System.Threading;
+    using System.Threading.Tasks;
+    using Microsoft.AspNetCore.SignalR;
+    using Microsoft.Extensions.Configuration;
+    using Newtonsoft.Json;
+    using Soulseek;
+    using WebAPI.DTO;
+    using WebAPI.Hubs;
+
+    /// <summary>
+    ///     Indexes the shared folders in the background, and answers browse, directory and search requests from the index.
+    /// </summary>
+    public class ShareService : IShareService
+    {
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="ShareService"/> class.
+        /// </summary>
+        /// <param name="configuration"></param>
+        /// <param name="client">The client through which the share counts are reported to the server.</param>
+        /// <param name="hub">The hub context used to push scan progress to clients.</param>
+        public ShareService(IConfiguration configuration, ISoulseekClient client, IHubContext<EventsHub> hub)
+        {
+            Client = client;
+            Hub = hub;
+
+            Store = new JsonStore<ShareSettings>(configuration, "shares.json", "SHARES", "the share settings");
+
+            var sharedDirectory = configuration.GetValue<string>("SHARED_DIR");
+
+            if (!Load() && !string.IsNullOrEmpty(sharedDirectory))
+            {
+                CurrentSettings.Roots.Add(Path.GetFullPath(sharedDirectory));
+            }
+
+            // the server forgets the counts when the connection is lost
+            Client.LoggedIn += (sender, args) => _ = ReportCountsAsync();
+
+            Rescan();
+        }
+
+        /// <summary>
+        ///     Gets the shared folders and exclude patterns.
+        /// </summary>
+        public ShareSettings Settings
+        {
+            get
+            {
+                lock (SyncRoot)
+                {
+                    return new ShareSettings()
+                    {
+                        Roots = CurrentSettings.Roots.ToList(),
+                        Excludes = CurrentSettings.Excludes.ToList(),
+                    };
+                }
+            }
+        }
+
+        /// <summary>
+        ///     Gets the state of the index.
+        /// </summary>
+        public ShareState State
+        {
+            get
+            {
+                lock (SyncRoot)
+                {
+                    return Copy(CurrentState);
+                }
+            }
+        }
+
+        private static TimeSpan ProgressInterval { get; } = TimeSpan.FromMilliseconds(500);
+
+        private ISoulseekClient Client { get; }
+        private ShareSettings CurrentSettings { get; set; } = new ShareSettings();
+        private ShareState CurrentState { get; } = new ShareState();
+        private IHubContext<EventsHub> Hub { get; }
+        private Index Indexed { get; set; } = new Index();
+        private CancellationTokenSource ScanCancellation { get; set; }
+        private JsonStore<ShareSettings> Store { get; }
+        private object SyncRoot { get; } = new object();
+
+        /// <summary>
+        ///     Gets all shared directories and their files, as they're shown to users browsing the share.
+        /// </summary>
+        /// <returns>The shared directories.</returns>
+        public IEnumerable<Soulseek.Directory> Browse() => Indexed.Directories.Values;
+
+        /// <summary>
+        ///     Returns a value indicating whether the specified local file is shared.
+        /// </summary>
+        /// <param name="filename">The fully qualified local filename.</param>
+        /// <returns>A value indicating whether the file is shared.</returns>
+        public bool IsShared(string filename) => Indexed.Files.ContainsKey(filename);
+
+        /// <summary>
+        ///     Starts a scan of the shared folders, cancelling any scan already in progress.
+        /// </summary>
+        public void Rescan()
+        {
+            ShareSettings settings;
+            CancellationTokenSource cancellation;
+
+            lock (SyncRoot)
+            {
+                ScanCancellation?.Cancel();
+                ScanCancellation = cancellation = new CancellationTokenSource();
+
+                settings = Settings;
+
+                CurrentState.IsScanning = true;
+                CurrentState.PercentComplete = 0;
+                CurrentState.LastError = null;
+            }
+
+            Broadcast();
+
+            Task.Run(() => Scan(settings, cancellation));
+        }
+
+        /// <summary>
+        ///     Returns the shared files whose paths contain every word of the specified query, and none of the excluded words.
+        /// </summary>
+        /// <param name="query">The search query.</param>
+        /// <param name="exclusions">The words which matching paths must not contain.</param>
+        /// <returns>The matching files, with fully qualified filenames.</returns>
+        public IEnumerable<Soulseek.File> Search(string query, IEnumerable<string> exclusions)
+        {
+            var terms = Words(query);
+            var excluded = (exclusions ?? Enumerable.Empty<string>()).SelectMany(Words).ToList();
+
+            if (terms.Count == 0)
+            {
+                return Enumerable.Empty<Soulseek.File>();
+            }
+
+            return Indexed.Files
+                .Where(f => terms.All(t => f.Value.Path.Contains(t)) && !excluded.Any(t => f.Value.Path.Contains(t)))
+                .Select(f => f.Value.File)
+                .ToList();
+        }
+
+        /// <summary>
+        ///     Gets the specified shared directory.
+        /// </summary>
+        /// <param name="directoryName">The fully qualified directory name.</param>
+        /// <param name="directory">The directory and its files.</param>
+        /// <returns>A value indicating whether the directory is shared.</returns>
+        public bool TryGetDirectory(string directoryName, out Soulseek.Directory directory) =>
+            Indexed.Directories.TryGetValue(directoryName, out directory);
+
+        /// <summary>
+        ///     Replaces the shared folders and exclude patterns, and rescans the shares.
+        /// </summary>
+        /// <param name="settings">The new settings.</param>
+        /// <exception cref="ArgumentException">Thrown when a root folder doesn't exist.</exception>
+        public void Update(ShareSettings settings)
+        {
+            var roots = (settings.Roots ?? new List<string>())
+                .Where(r => !string.IsNullOrWhiteSpace(r))
+                .Select(r => r.Trim())
+                .ToList();
+
+            var missing = roots.FirstOrDefault(r => !System.IO.Directory.Exists(r));
+
+            if (missing != null)
+            {
+                throw new ArgumentException($"The folder {missing} doesn't exist.");
+            }
+
+            lock (SyncRoot)
+            {
+                CurrentSettings = new ShareSettings()
+                {
+                    Roots = roots.Select(Path.GetFullPath).Distinct().ToList(),
+                    Excludes = (settings.Excludes ?? new List<string>())
+                        .Where(e => !string.IsNullOrWhiteSpace(e))
+                        .Select(e => e.Trim())
+                        .Distinct()
+                        .ToList(),
+                };
+
+                Save();
+            }
+
+            Rescan();
+        }
+
+        private static ShareState Copy(ShareState state) => JsonConvert.DeserializeObject<ShareState>(JsonConvert.SerializeObject(state));
+
+        private static Regex ToRegex(string pattern) =>
+            new Regex("^" + Regex.Escape(pattern).Replace("\\*", ".*").Replace("\\?", ".") + "$", RegexOptions.IgnoreCase);
+
+        private static List<string> Words(string text) =>
+            (text ?? string.Empty).ToLowerInvariant().Split(new[] { ' ' }, StringSplitOptions.RemoveEmptyEntries).ToList();
+
+        private void Broadcast() => _ = Hub.Clients.All.SendAsync(EventsHub.SharesUpdated, State);
+
+        private bool Load()
+        {
+            if (Store.TryLoad(out var settings))
+            {
+                CurrentSettings = settings;
+                return true;
+            }
+
+            return false;
+        }
+
+        private async Task ReportCountsAsync()
+        {
+            if (!Client.State.HasFlag(SoulseekClientStates.LoggedIn))
+            {
+                return;
+            }
+
+            try
+            {
+                var index = Indexed;
+                await Client.SetSharedCountsAsync(index.Directories.Count, index.Files.Count);
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"[SHARES] Failed to report the share counts to the server: {ex.Message}");
+            }
+        }
+
+        private void Save() => Store.Save(CurrentSettings);
+
+        private void Scan(ShareSettings settings, CancellationTokenSource cancellation)
+        {
+            var token = cancellation.Token;
+            var excludes = settings.Excludes
+                .Select(e => (IsPath: e.IndexOfAny(new[] { '/', '\\' }) >= 0, Regex: ToRegex(e)))
+                .ToList();
+
+            bool isExcluded(string path) =>
+                excludes.Any(e => e.Regex.IsMatch(e.IsPath ? path : Path.GetFileName(path)));
+
+            IEnumerable<string> list(Func<string, string[]> get, string directory)
+            {
+                // unreadable directories are skipped rather than failing the whole scan
+                try
+                {
+                    return get(directory);
+                }
+                catch (Exception ex) when (ex is UnauthorizedAccessException || ex is IOException)
+                {
+                    Console.WriteLine($"[SHARES] Skipping {directory}: {ex.Message}");
+                    return Enumerable.Empty<string>();
+                }
+            }
+
+            try
+            {
+                // walk the tree first so that progress can be reported as a fraction of the directories found.  excluded
+                // directories aren't descended into, so everything beneath them is excluded too.
+                var directories = new List<string>();
+                var visited = new HashSet<string>();
+                var pending = new Stack<string>(settings.Roots.Where(r => System.IO.Directory.Exists(r)).Reverse());
+
+                while (pending.Count > 0)
+                {
+                    token.ThrowIfCancellationRequested();
+
+                    var directory = pending.Pop();
+
+                    if (!visited.Add(directory) || isExcluded(directory))
+                    {
+                        continue;
+                    }
+
+                    directories.Add(directory);
+
+                    foreach (var subdirectory in list(System.IO.Directory.GetDirectories, directory).OrderByDescending(d => d))
+                    {
+                        pending.Push(subdirectory);
+                    }
+                }
+
+                var index = new Index();
+                var lastProgress = DateTime.UtcNow;
+
+                for (int i = 0; i < directories.Count; i++)
+                {
+                    token.ThrowIfCancellationRequested();
+
+                    var directory = directories[i];
+                    var files = new List<Soulseek.File>();
+
+                    foreach (var filename in list(System.IO.Directory.GetFiles, directory).Where(f => !isExcluded(f)).OrderBy(f => f))
+                    {
+                        var info = new FileInfo(filename);
+
+                        if (!info.Exists)
+                        {
+                            continue;
+                        }
+
+                        files.Add(new Soulseek.File(1, info.Name, info.Length, info.Extension, 0));
+
+                        index.Files[info.FullName] = (info.FullName.ToLowerInvariant(), new Soulseek.File(1, info.FullName, info.Length, info.Extension, 0));
+                        index.Size += info.Length;
+                    }
+
+                    index.Directories[directory] = new Soulseek.Directory(directory, files);
+
+                    if (DateTime.UtcNow - lastProgress >= ProgressInterval)
+                    {
+                        lastProgress = DateTime.UtcNow;
+
+                        lock (SyncRoot)
+                        {
+                            CurrentState.PercentComplete = Math.Round((double)i / directories.Count * 100, 1);
+                        }
+
+                        Broadcast();
+                    }
+                }
+
+                lock (SyncRoot)
+                {
+                    token.ThrowIfCancellationRequested();
+
+                    Indexed = index;
+
+                    CurrentState.IsScanning = false;
+                    CurrentState.PercentComplete = 100;
+                    CurrentState.Directories = index.Directories.Count;
+                    CurrentState.Files = index.Files.Count;
+                    CurrentState.Size = index.Size;
+                    CurrentState.LastScan = DateTime.UtcNow;
+                }
+
+                Console.WriteLine($"[SHARES] Indexed {index.Files.Count} files in {index.Directories.Count} directories.");
+
+                _ = ReportCountsAsync();
+            }
+            catch (OperationCanceledException)
+            {
+                // a newer scan has replaced this one, and reports its own progress
+                return;
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"[SHARES] Scan failed: {ex.Message}");
+
+                lock (SyncRoot)
+                {
+                    if (ScanCancellation != cancellation)
+                    {
+                        return;
+                    }
+
+                    CurrentState.IsScanning = false;
+                    CurrentState.LastError = ex.Message;
+                }
+            }
+
+            Broadcast();
+        }
+
+        // an index is never modified once it's been swapped in, so it can be read without locking.
+        private class Index
+        {
+            public Dictionary<string, Soulseek.Directory> Directories { get; } = new Dictionary<string, Soulseek.Directory>();
+            public Dictionary<string, (string Path, Soulseek.File File)> Files { get; } = new Dictionary<string, (string Path, Soulseek.File File)>();
+            public long Size { get; set; }
+        }
+    }
+}
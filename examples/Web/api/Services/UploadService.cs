@@ -0,0 +1,369 @@
+﻿namespace WebAPI.Services
+{
+    using System;
+    using System.Collections.Generic;
+    using System.IO;
+    using System.Linq;
+    using System.Threading;
+    using System.Threading.Tasks;
+    using Microsoft.AspNetCore.SignalR;
+    using Microsoft.Extensions.Configuration;
+    using Soulseek;
+    using Soulseek.Exceptions;
+    using WebAPI.DTO;
+    using WebAPI.Hubs;
+    using WebAPI.Trackers;
+
+    /// <summary>
+    ///     Queues requested uploads and starts them as slots free up, according to the <see cref="UploadPolicy"/>.
+    /// </summary>
+    /// <remarks>
+    ///     Only the policy is persisted; the queue is kept in memory and is empty after a restart.  Soulseek clients
+    ///     request the files still queued with a user again when they next see that user online, so the queue refills
+    ///     as they do, though not necessarily in its previous order.
+    /// </remarks>
+    public class UploadService : IUploadService
+    {
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="UploadService"/> class.
+        /// </summary>
+        /// <param name="configuration"></param>
+        /// <param name="client"></param>
+        /// <param name="tracker">The tracker to which the progress of started uploads is reported.</param>
+        /// <param name="shares">The index of shared files, which requested files must be in.</param>
+        /// <param name="hub">The hub context used to push queue updates to clients.</param>
+        public UploadService(IConfiguration configuration, ISoulseekClient client, ITransferTracker tracker, IShareService shares, IHubContext<EventsHub> hub)
+        {
+            Client = client;
+            Shares = shares;
+            Tracker = tracker;
+            Hub = hub;
+
+            Store = new JsonStore<UploadPolicy>(configuration, "uploads.json", "UPLOADS", "the upload policy");
+
+            Load();
+        }
+
+        /// <summary>
+        ///     Gets or sets the upload policy.  Queued uploads to newly banned users are discarded.
+        /// </summary>
+        public UploadPolicy Policy
+        {
+            get
+            {
+                lock (SyncRoot)
+                {
+                    return CurrentPolicy;
+                }
+            }
+
+            set
+            {
+                lock (SyncRoot)
+                {
+                    value.BannedUsers = Normalize(value.BannedUsers);
+                    value.PriorityUsers = Normalize(value.PriorityUsers);
+
+                    CurrentPolicy = value;
+                    Queued.RemoveAll(q => IsBanned(q.Username));
+
+                    Save();
+                }
+
+                // more slots may have been made available
+                Process();
+            }
+        }
+
+        /// <summary>
+        ///     Gets the uploads waiting for a slot, in the order in which they'll start.
+        /// </summary>
+        public IReadOnlyList<QueuedUpload> Queue
+        {
+            get
+            {
+                lock (SyncRoot)
+                {
+                    return Ordered().Select(q => new QueuedUpload()
+                    {
+                        Username = q.Username,
+                        Filename = q.Filename,
+                        Size = q.Size,
+                        Enqueued = q.Enqueued,
+                        IsPriority = IsPriority(q.Username),
+                    }).ToList().AsReadOnly();
+                }
+            }
+        }
+
+        private List<ActiveUpload> Active { get; } = new List<ActiveUpload>();
+        private ISoulseekClient Client { get; }
+        private UploadPolicy CurrentPolicy { get; set; } = new UploadPolicy();
+        private IHubContext<EventsHub> Hub { get; }
+        private List<QueuedUpload> Queued { get; } = new List<QueuedUpload>();
+        private IShareService Shares { get; }
+        private JsonStore<UploadPolicy> Store { get; }
+        private object SyncRoot { get; } = new object();
+        private ITransferTracker Tracker { get; }
+
+        /// <summary>
+        ///     Queues an upload of the specified file to the specified user.  Re-requesting a queued or active upload has no effect.
+        /// </summary>
+        /// <param name="username">The username of the requesting user.</param>
+        /// <param name="filename">The local filename of the requested file.</param>
+        /// <returns>The operation context.</returns>
+        /// <exception cref="DownloadEnqueueException">
+        ///     Thrown when the user is banned, or the file isn't shared or doesn't exist.  The message is passed to the remote user.
+        /// </exception>
+        public Task EnqueueAsync(string username, string filename)
+        {
+            var fileInfo = new FileInfo(filename);
+
+            lock (SyncRoot)
+            {
+                if (IsBanned(username))
+                {
+                    Console.WriteLine($"[UPLOAD REJECTED] {username} is banned.");
+                    throw new DownloadEnqueueException("Banned.");
+                }
+
+                if (!Shares.IsShared(fileInfo.FullName))
+                {
+                    Console.WriteLine($"[UPLOAD REJECTED] File {filename} not shared.");
+                    throw new DownloadEnqueueException("File not shared.");
+                }
+
+                if (!fileInfo.Exists)
+                {
+                    Console.WriteLine($"[UPLOAD REJECTED] File {filename} not found.");
+                    throw new DownloadEnqueueException("File not found.");
+                }
+
+                if (Find(username, filename) != null || Active.Any(a => a.Username == username && a.Filename == fileInfo.FullName))
+                {
+                    Console.WriteLine($"[UPLOAD RE-REQUESTED] [{username}/{filename}]");
+                    return Task.CompletedTask;
+                }
+
+                Queued.Add(new QueuedUpload()
+                {
+                    Username = username,
+                    Filename = fileInfo.FullName,
+                    Size = fileInfo.Length,
+                    Enqueued = DateTime.UtcNow,
+                });
+            }
+
+            Process();
+            return Task.CompletedTask;
+        }
+
+        /// <summary>
+        ///     Gets the one-based place in the queue of the specified upload, or null if it isn't queued.
+        /// </summary>
+        /// <param name="username">The username of the requesting user.</param>
+        /// <param name="filename">The local filename of the requested file.</param>
+        /// <returns>The place in the queue.</returns>
+        public int? GetPlaceInQueue(string username, string filename)
+        {
+            lock (SyncRoot)
+            {
+                var index = Ordered().FindIndex(q => q.Username == username && q.Filename == filename);
+                return index < 0 ? (int?)null : index + 1;
+            }
+        }
+
+        /// <summary>
+        ///     Moves the specified upload to the specified zero-based position in the queue.
+        /// </summary>
+        /// <remarks>
+        ///     Uploads to priority users always start first, so an upload can only be moved among those with the same priority.
+        /// </remarks>
+        /// <param name="username">The username of the requesting user.</param>
+        /// <param name="filename">The local filename of the requested file.</param>
+        /// <param name="position">The new position.</param>
+        /// <returns>A value indicating whether the upload is queued.</returns>
+        /// <exception cref="ArgumentException">
+        ///     Thrown when the position is outside of the uploads with the same priority as the specified upload.
+        /// </exception>
+        public bool TryMove(string username, string filename, int position)
+        {
+            lock (SyncRoot)
+            {
+                var upload = Find(username, filename);
+
+                if (upload == null)
+                {
+                    return false;
+                }
+
+                // moving within the order in which uploads start, rather than the order in which they were requested,
+                // puts the upload where it was dropped in the list the user is looking at.
+                var ordered = Ordered();
+                var priority = IsPriority(upload.Username);
+                var first = priority ? 0 : ordered.Count(q => IsPriority(q.Username));
+                var last = priority ? ordered.Count(q => IsPriority(q.Username)) - 1 : ordered.Count - 1;
+
+                if (position < first || position > last)
+                {
+                    throw new ArgumentException(priority ?
+                        "Uploads to priority users can't be moved behind those to other users." :
+                        "Uploads to other users can't be moved ahead of those to priority users.");
+                }
+
+                ordered.Remove(upload);
+                ordered.Insert(position, upload);
+
+                Queued.Clear();
+                Queued.AddRange(ordered);
+            }
+
+            Broadcast();
+            return true;
+        }
+
+        /// <summary>
+        ///     Removes the specified upload from the queue.
+        /// </summary>
+        /// <param name="username">The username of the requesting user.</param>
+        /// <param name="filename">The local filename of the requested file.</param>
+        /// <returns>A value indicating whether the upload was queued.</returns>
+        public bool TryRemove(string username, string filename)
+        {
+            lock (SyncRoot)
+            {
+                if (Queued.RemoveAll(q => q.Username == username && q.Filename == filename) == 0)
+                {
+                    return false;
+                }
+            }
+
+            Broadcast();
+            return true;
+        }
+
+        private static List<string> Normalize(IEnumerable<string> usernames) =>
+            (usernames ?? Enumerable.Empty<string>()).Select(u => u?.Trim()).Where(u => !string.IsNullOrEmpty(u)).Distinct().ToList();
+
+        private void Broadcast() => _ = Hub.Clients.All.SendAsync(EventsHub.UploadQueueUpdated, Queue);
+
+        private QueuedUpload Find(string username, string filename) =>
+            Queued.FirstOrDefault(q => q.Username == username && q.Filename == filename);
+
+        // the speed of each upload is checked before every chunk is written, and the write is held back until the
+        // chunk would have taken as long as it should have at the limit.  the global limit is shared evenly.
+        private async Task GovernAsync(ActiveUpload upload, Transfer transfer, CancellationToken cancellationToken)
+        {
+            double? limit;
+
+            lock (SyncRoot)
+            {
+                var policy = CurrentPolicy;
+                var share = policy.GlobalSpeedLimit / (double)Math.Max(1, Active.Count);
+
+                limit = new double?[] { share, policy.UploadSpeedLimit }.Where(l => l.HasValue).Min() * 1024;
+            }
+
+            var sent = transfer.BytesTransferred - upload.LastBytesTransferred;
+
+            // the first check comes before anything is written, and a resumed upload starts part way through the file
+            if (limit.HasValue && upload.LastWrite.HasValue && sent > 0)
+            {
+                var wait = TimeSpan.FromSeconds(sent / limit.Value) - (DateTime.UtcNow - upload.LastWrite.Value);
+
+                if (wait > TimeSpan.Zero)
+                {
+                    await Task.Delay(wait, cancellationToken);
+                }
+            }
+
+            upload.LastBytesTransferred = transfer.BytesTransferred;
+            upload.LastWrite = DateTime.UtcNow;
+        }
+
+        private bool IsBanned(string username) => CurrentPolicy.BannedUsers.Contains(username);
+
+        private bool IsPriority(string username) => CurrentPolicy.PriorityUsers.Contains(username);
+
+        private void Load()
+        {
+            if (Store.TryLoad(out var policy))
+            {
+                CurrentPolicy = policy;
+            }
+        }
+
+        // OrderBy is stable, so uploads keep their order within the priority and non-priority groups
+        private List<QueuedUpload> Ordered() => Queued.OrderByDescending(q => IsPriority(q.Username)).ToList();
+
+        // starts queued uploads, in order, until the slots run out.  users with all of their slots in use are passed over
+        // rather than holding up the users queued behind them.
+        private void Process()
+        {
+            lock (SyncRoot)
+            {
+                while (Active.Count < CurrentPolicy.GlobalSlots)
+                {
+                    var next = Ordered().FirstOrDefault(q => Active.Count(a => a.Username == q.Username) < CurrentPolicy.UserSlots);
+
+                    if (next == null)
+                    {
+                        break;
+                    }
+
+                    Queued.Remove(next);
+                    Start(next);
+                }
+            }
+
+            Broadcast();
+        }
+
+        private void Save() => Store.Save(CurrentPolicy);
+
+        private void Start(QueuedUpload queued)
+        {
+            var upload = new ActiveUpload() { Username = queued.Username, Filename = queued.Filename };
+            Active.Add(upload);
+
+            // create a new cancellation token source so that we can cancel the upload from the UI.
+            var cts = new CancellationTokenSource();
+            var topts = new TransferOptions(
+                governor: (transfer, token) => GovernAsync(upload, transfer, token),
+                stateChanged: (e) => Tracker.AddOrUpdate(e, cts),
+                progressUpdated: (e) => Tracker.AddOrUpdate(e, cts));
+
+            Task.Run(async () =>
+            {
+                try
+                {
+                    using (var stream = new FileStream(queued.Filename, FileMode.Open, FileAccess.Read))
+                    {
+                        await Client.UploadAsync(queued.Username, queued.Filename, queued.Size, stream, options: topts, cancellationToken: cts.Token);
+                    }
+                }
+                catch (Exception ex)
+                {
+                    Console.WriteLine($"[UPLOAD FAILED] [{queued.Username}/{queued.Filename}] {ex.Message}");
+                }
+                finally
+                {
+                    lock (SyncRoot)
+                    {
+                        Active.Remove(upload);
+                    }
+
+                    Process();
+                }
+            });
+        }
+
+        private class ActiveUpload
+        {
+            public string Filename { get; set; }
+            public long LastBytesTransferred { get; set; }
+            public DateTime? LastWrite { get; set; }
+            public string Username { get; set; }
+        }
+    }
+}
@@ -0,0 +1,483 @@
+﻿namespace WebAPI.Services
+{
+    using System;
+    using System.Collections.Generic;
+    using System.IO;
+    using System.Linq;
+    using System.Threading;
+    using System.Threading.Tasks;
+    using Microsoft.AspNetCore.SignalR;
+    using Microsoft.Extensions.Configuration;
+    using Newtonsoft.Json;
+    using Soulseek;
+    using WebAPI.DTO;
+    using WebAPI.Hubs;
+
+    /// <summary>
+    ///     Re-runs saved searches on a schedule, recording new matches and optionally enqueueing the best one.
+    /// </summary>
+    public class WishlistService : IWishlistService
+    {
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="WishlistService"/> class.
+        /// </summary>
+        /// <param name="configuration"></param>
+        /// <param name="client"></param>
+        /// <param name="downloads">The service used to enqueue automatic downloads.</param>
+        /// <param name="hub">The hub context used to push wishlist updates to clients.</param>
+        public WishlistService(IConfiguration configuration, ISoulseekClient client, IDownloadService downloads, IHubContext<EventsHub> hub)
+        {
+            Client = client;
+            Downloads = downloads;
+            Hub = hub;
+
+            Store = new JsonStore<List<Entry>>(configuration, "wishlist.json", "WISHLIST", "the wishlist");
+
+            Load();
+
+            Timer = new Timer(state => _ = CheckScheduleAsync(), null, CheckInterval, CheckInterval);
+        }
+
+        /// <summary>
+        ///     Gets the wishlist items, in the order in which they were added.
+        /// </summary>
+        public IReadOnlyCollection<WishlistItem> Items
+        {
+            get
+            {
+                lock (SyncRoot)
+                {
+                    return Entries.Select(e => Copy(e.Item)).ToList().AsReadOnly();
+                }
+            }
+        }
+
+        private static TimeSpan CheckInterval { get; } = TimeSpan.FromMinutes(1);
+        private static int MaxResults { get; } = 200;
+        private static int MaxSeen { get; } = 50000;
+
+        // the server disconnects clients that search too often, so scheduled searches are kept well apart
+        private static int MinimumInterval { get; } = 15;
+
+        private int Checking;
+        private ISoulseekClient Client { get; }
+        private IDownloadService Downloads { get; }
+        private List<Entry> Entries { get; set; } = new List<Entry>();
+        private IHubContext<EventsHub> Hub { get; }
+        private JsonStore<List<Entry>> Store { get; }
+        private object SyncRoot { get; } = new object();
+        private Timer Timer { get; }
+
+        /// <summary>
+        ///     Adds a wishlist item.  The item is first run at the next scheduled check.
+        /// </summary>
+        /// <param name="request">The search and its options.</param>
+        /// <returns>The added item.</returns>
+        /// <exception cref="ArgumentException">Thrown when the request is invalid.</exception>
+        public WishlistItem Add(WishlistRequest request)
+        {
+            Validate(request);
+
+            var item = new WishlistItem() { Id = Guid.NewGuid().ToString(), Added = DateTime.UtcNow };
+            Apply(request, item);
+
+            lock (SyncRoot)
+            {
+                Entries.Add(new Entry() { Item = item });
+                Save();
+            }
+
+            Broadcast(item);
+            return Copy(item);
+        }
+
+        /// <summary>
+        ///     Marks the results of the specified item as viewed.
+        /// </summary>
+        /// <param name="id">The id of the item.</param>
+        /// <returns>A value indicating whether the item exists.</returns>
+        public bool MarkViewed(string id)
+        {
+            WishlistItem item;
+
+            lock (SyncRoot)
+            {
+                var entry = Find(id);
+
+                if (entry == null)
+                {
+                    return false;
+                }
+
+                item = entry.Item;
+                item.LastViewed = DateTime.UtcNow;
+                item.NewResultCount = 0;
+                Save();
+            }
+
+            Broadcast(item);
+            return true;
+        }
+
+        /// <summary>
+        ///     Starts running the specified item now, regardless of its schedule.  The search continues in the background,
+        ///     and its progress and outcome are broadcast as the item is updated.
+        /// </summary>
+        /// <param name="id">The id of the item.</param>
+        /// <returns>A value indicating whether the item exists.</returns>
+        public bool TryRun(string id)
+        {
+            Entry entry;
+
+            lock (SyncRoot)
+            {
+                entry = Find(id);
+            }
+
+            if (entry == null)
+            {
+                return false;
+            }
+
+            _ = RunAsync(entry);
+            return true;
+        }
+
+        /// <summary>
+        ///     Gets the specified item and its recorded results, newest first.
+        /// </summary>
+        /// <param name="id">The id of the item.</param>
+        /// <param name="item">The item.</param>
+        /// <param name="results">The recorded results.</param>
+        /// <returns>A value indicating whether the item exists.</returns>
+        public bool TryGet(string id, out WishlistItem item, out IReadOnlyCollection<WishlistResult> results)
+        {
+            lock (SyncRoot)
+            {
+                var entry = Find(id);
+
+                item = entry == null ? null : Copy(entry.Item);
+                results = entry?.Results.ToList().AsReadOnly();
+
+                return entry != null;
+            }
+        }
+
+        /// <summary>
+        ///     Removes the specified item and its results.
+        /// </summary>
+        /// <param name="id">The id of the item.</param>
+        /// <returns>A value indicating whether the item existed.</returns>
+        public bool TryRemove(string id)
+        {
+            lock (SyncRoot)
+            {
+                if (Entries.RemoveAll(e => e.Item.Id == id) == 0)
+                {
+                    return false;
+                }
+
+                Save();
+            }
+
+            _ = Hub.Clients.All.SendAsync(EventsHub.WishlistItemRemoved, id);
+            return true;
+        }
+
+        /// <summary>
+        ///     Updates the search and options of the specified item.  Changing the search text or filter discards the results.
+        /// </summary>
+        /// <param name="id">The id of the item.</param>
+        /// <param name="request">The search and its options.</param>
+        /// <param name="item">The updated item.</param>
+        /// <returns>A value indicating whether the item exists.</returns>
+        /// <exception cref="ArgumentException">Thrown when the request is invalid.</exception>
+        public bool TryUpdate(string id, WishlistRequest request, out WishlistItem item)
+        {
+            Validate(request);
+
+            lock (SyncRoot)
+            {
+                var entry = Find(id);
+
+                if (entry == null)
+                {
+                    item = null;
+                    return false;
+                }
+
+                var existing = entry.Item;
+
+                // the results only mean something for the search that produced them
+                if (existing.SearchText != request.SearchText || existing.Filter != request.Filter)
+                {
+                    entry.Results.Clear();
+                    entry.Seen.Clear();
+                    entry.ForgetSeen();
+                    existing.ResultCount = 0;
+                    existing.NewResultCount = 0;
+                }
+
+                // re-enabling automatic downloads allows another file to be enqueued
+                if (!existing.AutoDownload.Enabled && request.AutoDownload.Enabled)
+                {
+                    existing.AutoDownloaded = null;
+                }
+
+                Apply(request, existing);
+                Save();
+
+                item = Copy(existing);
+            }
+
+            Broadcast(item);
+            return true;
+        }
+
+        private static void Apply(WishlistRequest request, WishlistItem item)
+        {
+            item.SearchText = request.SearchText.Trim();
+            item.Filter = request.Filter?.Trim();
+            item.HideNoFreeSlots = request.HideNoFreeSlots;
+            item.Enabled = request.Enabled;
+            item.Interval = request.Interval;
+            item.AutoDownload = request.AutoDownload ?? new WishlistAutoDownload();
+            item.AutoDownload.Extensions = (item.AutoDownload.Extensions ?? new List<string>())
+                .Select(e => e.Trim().TrimStart('.').ToLowerInvariant())
+                .Where(e => e != string.Empty)
+                .ToList();
+        }
+
+        private static WishlistItem Copy(WishlistItem item) => JsonConvert.DeserializeObject<WishlistItem>(JsonConvert.SerializeObject(item));
+
+        private static string GetKey(string username, string filename) => $"{username}\n{filename}";
+
+        private static void Validate(WishlistRequest request)
+        {
+            if (request == null || string.IsNullOrWhiteSpace(request.SearchText))
+            {
+                throw new ArgumentException("The search text must not be empty", nameof(request));
+            }
+
+            if (request.Interval < MinimumInterval)
+            {
+                throw new ArgumentException($"The interval must be at least {MinimumInterval} minutes", nameof(request));
+            }
+
+            SearchFilter.Parse(request.Filter);
+        }
+
+        private void Broadcast(WishlistItem item) => _ = Hub.Clients.All.SendAsync(EventsHub.WishlistItemUpdated, Copy(item));
+
+        private async Task CheckScheduleAsync()
+        {
+            // a check can outlast the interval when several searches are due; don't start another alongside it
+            if (Interlocked.Exchange(ref Checking, 1) == 1)
+            {
+                return;
+            }
+
+            try
+            {
+                if (!Client.State.HasFlag(SoulseekClientStates.LoggedIn))
+                {
+                    return;
+                }
+
+                List<Entry> due;
+
+                lock (SyncRoot)
+                {
+                    due = Entries.Where(e => e.Item.NextRun <= DateTime.UtcNow).ToList();
+                }
+
+                foreach (var entry in due)
+                {
+                    await RunAsync(entry);
+                }
+            }
+            finally
+            {
+                Interlocked.Exchange(ref Checking, 0);
+            }
+        }
+
+        private async Task EnqueueBestAsync(Entry entry, IEnumerable<WishlistResult> results)
+        {
+            var rules = entry.Item.AutoDownload;
+
+            var candidates = results
+                .SelectMany(r => r.Files.Select(f => (Result: r, File: f)))
+                .Where(c => !rules.RequireFreeSlot || c.Result.FreeUploadSlots > 0)
+                .Where(c => !rules.MinBitRate.HasValue || (c.File.BitRate.HasValue && c.File.BitRate >= rules.MinBitRate))
+                .Where(c => rules.Extensions.Count == 0 || rules.Extensions.Contains(c.File.Extension))
+                .OrderByDescending(c => c.Result.FreeUploadSlots > 0)
+                .ThenBy(c => c.Result.QueueLength)
+                .ThenByDescending(c => c.Result.UploadSpeed)
+                .ThenByDescending(c => c.File.BitRate ?? 0)
+                .Take(3);
+
+            // the best candidate may have gone offline since responding, so fall back to the next best
+            foreach (var (result, file) in candidates)
+            {
+                try
+                {
+                    await Downloads.EnqueueAsync(result.Username, file.Filename, new DownloadRequest() { Destination = rules.Destination, Size = file.Size });
+
+                    Console.WriteLine($"[WISHLIST] Enqueued {file.Filename} from {result.Username} for '{entry.Item.SearchText}'");
+
+                    lock (SyncRoot)
+                    {
+                        entry.Item.AutoDownloaded = new WishlistResult()
+                        {
+                            Timestamp = DateTime.UtcNow,
+                            Username = result.Username,
+                            FreeUploadSlots = result.FreeUploadSlots,
+                            UploadSpeed = result.UploadSpeed,
+                            QueueLength = result.QueueLength,
+                            Files = new List<WishlistFile>() { file },
+                        };
+                    }
+
+                    return;
+                }
+                catch (Exception ex)
+                {
+                    Console.WriteLine($"[WISHLIST] Failed to enqueue {file.Filename} from {result.Username}: {ex.Message}");
+                }
+            }
+        }
+
+        private Entry Find(string id) => Entries.FirstOrDefault(e => e.Item.Id == id);
+
+        private void Load()
+        {
+            if (Store.TryLoad(out var entries))
+            {
+                Entries = entries;
+
+                // a run that was interrupted by a restart isn't running any more
+                Entries.ForEach(e => e.Item.IsRunning = false);
+            }
+        }
+
+        private async Task RunAsync(Entry entry)
+        {
+            var item = entry.Item;
+
+            lock (SyncRoot)
+            {
+                if (item.IsRunning)
+                {
+                    return;
+                }
+
+                item.IsRunning = true;
+            }
+
+            Broadcast(item);
+
+            try
+            {
+                var filter = SearchFilter.Parse(item.Filter);
+                var responses = await Client.SearchAsync(SearchQuery.FromText(item.SearchText));
+                var now = DateTime.UtcNow;
+
+                List<WishlistResult> results;
+
+                lock (SyncRoot)
+                {
+                    results = responses
+                        .Where(r => !item.HideNoFreeSlots || r.FreeUploadSlots > 0)
+                        .Select(r => new WishlistResult()
+                        {
+                            Timestamp = now,
+                            Username = r.Username,
+                            FreeUploadSlots = r.FreeUploadSlots,
+                            UploadSpeed = r.UploadSpeed,
+                            QueueLength = r.QueueLength,
+                            Files = filter.Apply(r)
+                                .Where(f => !entry.HasSeen(GetKey(r.Username, f.Filename)))
+                                .Select(f => new WishlistFile(f))
+                                .ToList(),
+                        })
+                        .Where(r => r.Files.Count > 0)
+                        .ToList();
+
+                    entry.AddSeen(results.SelectMany(r => r.Files.Select(f => GetKey(r.Username, f.Filename))), MaxSeen);
+
+                    entry.Results.InsertRange(0, results);
+
+                    if (entry.Results.Count > MaxResults)
+                    {
+                        entry.Results.RemoveRange(MaxResults, entry.Results.Count - MaxResults);
+                    }
+
+                    item.ResultCount = entry.Results.Count;
+                    item.NewResultCount = entry.Results.Count(r => !item.LastViewed.HasValue || r.Timestamp > item.LastViewed);
+                    item.LastError = null;
+                }
+
+                Console.WriteLine($"[WISHLIST] '{item.SearchText}' found {results.Count} new matching responses");
+
+                if (results.Count > 0 && item.AutoDownload.Enabled && item.AutoDownloaded == null)
+                {
+                    await EnqueueBestAsync(entry, results);
+                }
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"[WISHLIST] '{item.SearchText}' failed: {ex.Message}");
+                item.LastError = ex.Message;
+            }
+            finally
+            {
+                lock (SyncRoot)
+                {
+                    item.IsRunning = false;
+                    item.LastRun = DateTime.UtcNow;
+                    Save();
+                }
+
+                Broadcast(item);
+            }
+        }
+
+        private void Save() => Store.Save(Entries);
+
+        private class Entry
+        {
+            public WishlistItem Item { get; set; }
+            public List<WishlistResult> Results { get; set; } = new List<WishlistResult>();
+
+            // oldest first, so that the files seen longest ago are the first to be forgotten once there are too many to keep
+            public List<string> Seen { get; set; } = new List<string>();
+
+            private HashSet<string> SeenSet { get; set; }
+
+            public void AddSeen(IEnumerable<string> keys, int max)
+            {
+                foreach (var key in keys)
+                {
+                    if (GetSeenSet().Add(key))
+                    {
+                        Seen.Add(key);
+                    }
+                }
+
+                if (Seen.Count > max)
+                {
+                    Seen.RemoveRange(0, Seen.Count - max);
+                    ForgetSeen();
+                }
+            }
+
+            // the set is rebuilt from the list when next needed
+            public void ForgetSeen() => SeenSet = null;
+
+            public bool HasSeen(string key) => GetSeenSet().Contains(key);
+
+            private HashSet<string> GetSeenSet() => SeenSet ?? (SeenSet = new HashSet<string>(Seen));
+        }
+    }
+}
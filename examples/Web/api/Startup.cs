@@ -24,7 +24,10 @@
     using Soulseek.Diagnostics;
     using Soulseek.Exceptions;
     using Swashbuckle.AspNetCore.Swagger;
+    using WebAPI.DTO;
+    using WebAPI.Hubs;
     using WebAPI.Security;
+    using WebAPI.Services;
     using WebAPI.Trackers;
 
     public class Startup
@@ -42,10 +45,14 @@
         internal static int InactivityTimeout { get; set; }
         internal static bool EnableSecurity { get; set; }
         internal static int TokenTTL { get; set; }
+        internal static string[] CorsOrigins { get; set; }
 
         internal static SymmetricSecurityKey JwtSigningKey { get; set; }
+        internal static string SecurityStampClaimType { get; } = "security_stamp";
 
         private SoulseekClient Client { get; set; }
+        private IShareService Shares { get; set; }
+        private IUploadService Uploads { get; set; }
         private object ConsoleSyncRoot { get; } = new object();
 
         public Startup(IConfiguration configuration)
@@ -65,6 +72,10 @@
             InactivityTimeout = Configuration.GetValue<int>("INACTIVITY_TIMEOUT", 15000);
             EnableSecurity = Configuration.GetValue<bool>("ENABLE_SECURITY", true);
             TokenTTL = Configuration.GetValue<int>("TOKEN_TTL", 86400000);
+            CorsOrigins = (Configuration.GetValue<string>("CORS_ORIGINS") ?? string.Empty)
+                .Split(',', StringSplitOptions.RemoveEmptyEntries)
+                .Select(origin => origin.Trim().TrimEnd('/'))
+                .ToArray();
 
             JwtSigningKey = new SymmetricSecurityKey(PBKDF2.GetKey(Password));
         }
@@ -73,7 +84,14 @@
 
         public void ConfigureServices(IServiceCollection services)
         {
-            services.AddCors(options => options.AddPolicy("AllowAll", builder => builder.AllowAnyOrigin().AllowAnyMethod().AllowAnyHeader()));
+            // the SignalR client sends credentialed requests, which browsers only allow cross-origin if the origin is named
+            // explicitly, so origins other than the one serving the web UI (e.g. http://localhost:3000 for the development server)
+            // must be listed in CORS_ORIGINS to use the event hub.  without them, other origins fall back to polling.
+            services.AddCors(options => options.AddPolicy("AllowAll", builder =>
+            {
+                builder = CorsOrigins.Length > 0 ? builder.WithOrigins(CorsOrigins).AllowCredentials() : builder.AllowAnyOrigin();
+                builder.AllowAnyMethod().AllowAnyHeader();
+            }));
 
             if (EnableSecurity)
             {
@@ -92,6 +110,38 @@
                             IssuerSigningKey = JwtSigningKey,
                             ValidateIssuerSigningKey = true,
                         };
+
+                        // browsers can't set headers on websocket requests, so SignalR passes the token in the query string.
+                        options.Events = new JwtBearerEvents
+                        {
+                            OnMessageReceived = context =>
+                            {
+                                var token = context.Request.Query["access_token"];
+
+                                if (!string.IsNullOrEmpty(token) && context.Request.Path.StartsWithSegments("/api/v1/hubs"))
+                                {
+                                    context.Token = token;
+                                }
+
+                                return Task.CompletedTask;
+                            },
+
+                            // tokens outlive changes to accounts, so reject those of users who have since been removed, given
+                            // a different role or a new password.  refreshing requires a valid token, so those can't be refreshed either.
+                            OnTokenValidated = context =>
+                            {
+                                var accounts = context.HttpContext.RequestServices.GetRequiredService<IAccountService>();
+                                var username = context.Principal.Identity.Name;
+                                var stamp = context.Principal.FindFirst(SecurityStampClaimType)?.Value;
+
+                                if (!accounts.TryGet(username, out var account) || !context.Principal.IsInRole(account.Role) || stamp != accounts.GetSecurityStamp(username))
+                                {
+                                    context.Fail("The account has been removed or changed.");
+                                }
+
+                                return Task.CompletedTask;
+                            },
+                        };
                     });
             }
             else
@@ -113,6 +163,15 @@
                     options.SerializerSettings.NullValueHandling = NullValueHandling.Ignore;
                 });
 
+            services.AddSignalR()
+                .AddJsonProtocol(options =>
+                {
+                    options.PayloadSerializerSettings.Converters.Add(new StringEnumConverter());
+                    options.PayloadSerializerSettings.Converters.Add(new IPAddressConverter());
+                    options.PayloadSerializerSettings.ReferenceLoopHandling = ReferenceLoopHandling.Ignore;
+                    options.PayloadSerializerSettings.NullValueHandling = NullValueHandling.Ignore;
+                });
+
             services.AddApiVersioning(options => options.ReportApiVersions = true);
             services.AddVersionedApiExplorer(options =>
             {
@@ -133,9 +192,18 @@
             services.AddSingleton<ITransferTracker, TransferTracker>();
             services.AddSingleton<ISearchTracker, SearchTracker>();
             services.AddSingleton<IBrowseTracker, BrowseTracker>();
+            services.AddSingleton<IConversationTracker, ConversationTracker>();
+            services.AddSingleton<IRoomTracker, RoomTracker>();
+            services.AddSingleton<IDownloadService, DownloadService>();
+            services.AddSingleton<IServerService, ServerService>();
+            services.AddSingleton<IWishlistService, WishlistService>();
+            services.AddSingleton<IShareService, ShareService>();
+            services.AddSingleton<IUploadService, UploadService>();
+            services.AddSingleton<IAccountService, AccountService>();
+            services.AddSingleton<IAuditService, AuditService>();
         }
 
-        public void Configure(IApplicationBuilder app, IHostingEnvironment env, IApiVersionDescriptionProvider provider, ITransferTracker tracker, IBrowseTracker browseTracker)
+        public void Configure(IApplicationBuilder app, IHostingEnvironment env, IApiVersionDescriptionProvider provider, IBrowseTracker browseTracker, IConversationTracker conversationTracker, IRoomTracker roomTracker)
         {
             if (!env.IsDevelopment())
             {
@@ -158,6 +226,7 @@
             app.UseFileServer(fileServerOptions);
 
             app.UseAuthentication();
+            app.UseSignalR(routes => routes.MapHub<EventsHub>("/api/v1/hubs/events"));
             app.UseMvc();
 
             app.UseSwagger(options =>
@@ -210,11 +279,26 @@
                 userInfoResponseResolver: UserInfoResponseResolver,
                 browseResponseResolver: BrowseResponseResolver,
                 directoryContentsResponseResolver: DirectoryContentsResponseResolver,
-                enqueueDownloadAction: (username, endpoint, filename) => EnqueueDownloadAction(username, endpoint, filename, tracker),
+                enqueueDownloadAction: EnqueueDownloadAction,
+                placeInQueueResponseResolver: PlaceInQueueResponseResolver,
                 searchResponseResolver: SearchResponseResolver);
 
             Client = new SoulseekClient(options: clientOptions);
 
+            // the server service binds the StateChanged and Disconnected events to report the connection state and to reconnect
+            // after the connection is lost, so it must be created before connecting.
+            var server = app.ApplicationServices.GetRequiredService<IServerService>();
+
+            // the share service indexes the shared folders in the background, and answers browse, directory and search requests
+            // from the index.
+            Shares = app.ApplicationServices.GetRequiredService<IShareService>();
+
+            // the upload service handles the client's enqueue and place in queue requests, and uploads through the client.
+            Uploads = app.ApplicationServices.GetRequiredService<IUploadService>();
+
+            // the wishlist service starts its schedule when it's created, and skips checks until the client is logged in.
+            app.ApplicationServices.GetRequiredService<IWishlistService>();
+
             // bind the DiagnosticGenerated event so we can trap and display diagnostic messages.  this is optional, and if the event 
             // isn't bound the minimumDiagnosticLevel should be set to None.
             Client.DiagnosticGenerated += (e, args) =>
@@ -249,28 +333,68 @@
             // bind UserStatusChanged to monitor the status of users added via AddUserAsync().
             Client.UserStatusChanged += (e, args) => Console.WriteLine($"[USER] {args.Username}: {args.Status}");
 
-            Client.PrivateMessageReceived += (e, args) => Console.WriteLine($"[{args.Timestamp}] [PM]{(args.IsAdmin ? " [ADMIN]" : "")} {args.Username}: {args.Message}");
+            // bind PrivateMessageReceived to record incoming messages in the conversation history.  messages are acknowledged
+            // automatically unless the autoAcknowledgePrivateMessages option is disabled.
+            Client.PrivateMessageReceived += (e, args) =>
+            {
+                Console.WriteLine($"[{args.Timestamp}] [PM]{(args.IsAdmin ? " [ADMIN]" : "")} {args.Username}: {args.Message}");
+
+                conversationTracker.AddMessage(new PrivateMessage()
+                {
+                    Id = args.Id,
+                    Timestamp = args.Timestamp,
+                    Username = args.Username,
+                    IsAdmin = args.IsAdmin,
+                    Message = args.Message,
+                });
+            };
 
-            Client.Disconnected += async (e, args) =>
+            // bind room events to keep the messages and member lists of joined rooms up to date.
+            Client.RoomMessageReceived += (e, args) => roomTracker.AddMessage(new RoomMessage()
             {
-                Console.WriteLine($"Disconnected from Soulseek server: {args.Message}");
+                Timestamp = DateTime.UtcNow,
+                RoomName = args.RoomName,
+                Username = args.Username,
+                Message = args.Message,
+            });
+            Client.RoomJoined += (e, args) => roomTracker.AddUser(args.RoomName, args.UserData);
+            Client.RoomLeft += (e, args) => roomTracker.RemoveUser(args.RoomName, args.Username);
 
-                // don't reconnect if the disconnecting Exception is either of these types.
-                // if KickedFromServerException, another client was most likely signed in, and retrying will cause a connect loop.
-                // if ObjectDisposedException, the client is shutting down.
-                if (!(args.Exception is KickedFromServerException || args.Exception is ObjectDisposedException))
+            // the server forgets joined rooms when the connection is lost, so join them again after logging back in.
+            Client.LoggedIn += async (e, args) =>
+            {
+                foreach (var roomName in roomTracker.Names)
                 {
-                    Console.WriteLine($"Attepting to reconnect...");
-                    await Client.ConnectAsync(Username, Password);
+                    try
+                    {
+                        roomTracker.AddOrUpdate(await Client.JoinRoomAsync(roomName));
+                    }
+                    catch (Exception ex)
+                    {
+                        Console.WriteLine($"[ROOM] Failed to rejoin {roomName}: {ex.Message}");
+                    }
                 }
             };
 
-            Task.Run(async () =>
+            // a failure to connect at startup isn't fatal; the connection can be retried or reconfigured from the web UI.
+            try
             {
-                await Client.ConnectAsync(Username, Password);
-            }).GetAwaiter().GetResult();
+                Task.Run(async () =>
+                {
+                    await server.ConnectAsync();
+                }).GetAwaiter().GetResult();
+
+                Console.WriteLine($"Connected and logged in.");
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"Failed to connect to the Soulseek server: {ex.Message}");
 
-            Console.WriteLine($"Connected and logged in.");
+                if (!(ex is LoginRejectedException))
+                {
+                    server.Reconnect();
+                }
+            }
         }
 
         /// <summary>
@@ -299,12 +423,7 @@
         /// <returns>A Task resolving an IEnumerable of Soulseek.Directory.</returns>
         private Task<IEnumerable<Soulseek.Directory>> BrowseResponseResolver(string username, IPEndPoint endpoint)
         {
-            var result = System.IO.Directory
-                .GetDirectories(SharedDirectory, "*", SearchOption.AllDirectories)
-                .Select(dir => new Soulseek.Directory(dir, System.IO.Directory.GetFiles(dir)
-                    .Select(f => new Soulseek.File(1, Path.GetFileName(f), new FileInfo(f).Length, Path.GetExtension(f), 0))));
-
-            return Task.FromResult(result);
+            return Task.FromResult(Shares.Browse());
         }
 
         /// <summary>
@@ -317,8 +436,11 @@
         /// <returns>A Task resolving an instance of Soulseek.Directory containing the contents of the requested directory.</returns>
         private Task<Soulseek.Directory> DirectoryContentsResponseResolver(string username, IPEndPoint endpoint, int token, string directory)
         {
-            var result = new Soulseek.Directory(directory, System.IO.Directory.GetFiles(directory)
-                    .Select(f => new Soulseek.File(1, Path.GetFileName(f), new FileInfo(f).Length, Path.GetExtension(f), 0)));
+            // only directories in the index are shared; anything else on disk is answered as empty.
+            if (!Shares.TryGetDirectory(directory.ToLocalOSPath(), out var result))
+            {
+                result = new Soulseek.Directory(directory);
+            }
 
             return Task.FromResult(result);
         }
@@ -329,49 +451,28 @@
         /// <param name="username">The username of the requesting user.</param>
         /// <param name="endpoint">The IP endpoint of the requesting user.</param>
         /// <param name="filename">The filename of the requested file.</param>
-        /// <param name="tracker">(for example purposes) the ITransferTracker used to track progress.</param>
         /// <returns>A Task representing the asynchronous operation.</returns>
         /// <exception cref="DownloadEnqueueException">Thrown when the download is rejected.  The Exception message will be passed to the remote user.</exception>
         /// <exception cref="Exception">Thrown on any other Exception other than a rejection.  A generic message will be passed to the remote user for security reasons.</exception>
-        private Task EnqueueDownloadAction(string username, IPEndPoint endpoint, string filename, ITransferTracker tracker)
+        private Task EnqueueDownloadAction(string username, IPEndPoint endpoint, string filename)
         {
             _ = endpoint;
-            filename = filename.ToLocalOSPath();
-            var fileInfo = new FileInfo(filename);
 
-            if (!fileInfo.Exists) 
-            {
-                Console.WriteLine($"[UPLOAD REJECTED] File {filename} not found.");
-                throw new DownloadEnqueueException($"File not found.");
-            }
-
-            if (tracker.TryGet(TransferDirection.Upload, username, filename, out _))
-            {
-                // in this case, a re-requested file is a no-op.  normally we'd want to respond with a 
-                // PlaceInQueueResponse
-                Console.WriteLine($"[UPLOAD RE-REQUESTED] [{username}/{filename}]");
-                return Task.CompletedTask;
-            }
-
-            // create a new cancellation token source so that we can cancel the upload from the UI.
-            var cts = new CancellationTokenSource();
-            var topts = new TransferOptions(stateChanged: (e) => tracker.AddOrUpdate(e, cts), progressUpdated: (e) => tracker.AddOrUpdate(e, cts));
-
-            // accept all download requests, and begin the upload immediately.
-            // normally there would be an internal queue, and uploads would be handled separately.
-            Task.Run(async () =>
-            {
-                using (var stream = new FileStream(fileInfo.FullName, FileMode.Open))
-                {
-                    await Client.UploadAsync(username, fileInfo.FullName, fileInfo.Length, stream, options: topts, cancellationToken: cts.Token);
-                }
-            }).ContinueWith(t => 
-            { 
-                Console.WriteLine($"[UPLOAD FAILED] {t.Exception}");
-            }, TaskContinuationOptions.NotOnRanToCompletion); // fire and forget
+            // the upload service holds the request in its queue until a slot is free, then starts the upload.
+            return Uploads.EnqueueAsync(username, filename.ToLocalOSPath());
+        }
 
-            // return a completed task so that the invoking code can respond to the remote client.
-            return Task.CompletedTask;
+        /// <summary>
+        ///     Invoked upon a remote request for the place in queue of a requested file.
+        /// </summary>
+        /// <param name="username">The username of the requesting user.</param>
+        /// <param name="endpoint">The IP endpoint of the requesting user.</param>
+        /// <param name="filename">The filename of the requested file.</param>
+        /// <returns>A Task resolving the place of the file in the queue, or null if it isn't queued.</returns>
+        private Task<int?> PlaceInQueueResponseResolver(string username, IPEndPoint endpoint, string filename)
+        {
+            _ = endpoint;
+            return Task.FromResult(Uploads.GetPlaceInQueue(username, filename.ToLocalOSPath()));
         }
 
         /// <summary>
@@ -404,32 +505,16 @@
                 return defaultResponse;
             }
 
-            var results = new List<Soulseek.File>();
-
-            // add all files from any directory matching the search query
-            // to be done properly this needs to be recursively applied, but that's outside of the scope of this example.
-            results.AddRange(System.IO.Directory
-                .GetDirectories(SharedDirectory, $"*{queryText}*", SearchOption.AllDirectories)
-                .SelectMany(dir => System.IO.Directory.GetFiles(dir, "*")
-                    .Select(f => new Soulseek.File(1, f, new FileInfo(f).Length, Path.GetExtension(f), 0))));
-
-            // add all files matching the query, regardless of directory
-            results.AddRange(System.IO.Directory
-                .GetFiles(SharedDirectory, $"{queryText}", SearchOption.AllDirectories)
-                .Select(f => new Soulseek.File(1, f, new FileInfo(f).Length, Path.GetExtension(f), 0)));
-
-            // we may have added some files twice, so dedupe entries
-            results = results
-                .GroupBy(f => f.Filename)
-                .Select(group => group.First())
-                .ToList();
+            // match files whose full path contains every word of the query, so that files within matching directories are found
+            var results = Shares.Search(queryText, query.Exclusions).ToList();
 
             if (results.Count() > 0)
             {
                 Console.WriteLine($"[SENDING SEARCH RESULTS]: {results.Count()} records to {username} for query {query.SearchText}");
 
+                // the client may have logged in again under another name since startup
                 return Task.FromResult(new SearchResponse(
-                    Username,
+                    Client.Username,
                     token,
                     freeUploadSlots: 1,
                     uploadSpeed: 0,
@@ -1,32 +1,64 @@
 ﻿namespace WebAPI.Trackers
 {
+    using Microsoft.AspNetCore.SignalR;
     using Soulseek;
+    using System;
     using System.Collections.Concurrent;
+    using WebAPI.Hubs;
 
     /// <summary>
     ///     Tracks browse operations.
     /// </summary>
     public class BrowseTracker : IBrowseTracker
     {
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="BrowseTracker"/> class.
+        /// </summary>
+        /// <param name="hub">The hub context used to push browse progress to clients.</param>
+        public BrowseTracker(IHubContext<EventsHub> hub)
+        {
+            Hub = hub;
+        }
+
         /// <summary>
         ///     Tracked browse operations.
         /// </summary>
         public ConcurrentDictionary<string, BrowseProgressUpdatedEventArgs> Browses { get; } = new ConcurrentDictionary<string, BrowseProgressUpdatedEventArgs>();
 
+        private static TimeSpan ProgressBroadcastInterval { get; } = TimeSpan.FromMilliseconds(250);
+        private IHubContext<EventsHub> Hub { get; }
+        private ConcurrentDictionary<string, DateTime> LastBroadcast { get; } = new ConcurrentDictionary<string, DateTime>();
+
         /// <summary>
         ///     Adds or updates a tracked browse operation.
         /// </summary>
         /// <param name="username"></param>
         /// <param name="progress"></param>
         public void AddOrUpdate(string username, BrowseProgressUpdatedEventArgs progress)
-            => Browses.AddOrUpdate(username, progress, (user, oldprogress) => progress);
+        {
+            Browses.AddOrUpdate(username, progress, (user, oldprogress) => progress);
+
+            // progress is reported for every chunk of the response; only push at a fixed interval, and always push completion.
+            var now = DateTime.UtcNow;
+
+            if (progress.BytesRemaining > 0 && LastBroadcast.TryGetValue(username, out var last) && now - last < ProgressBroadcastInterval)
+            {
+                return;
+            }
+
+            LastBroadcast.AddOrUpdate(username, now, (user, oldtime) => now);
+            _ = Hub.Clients.All.SendAsync(EventsHub.BrowseProgressUpdated, progress);
+        }
 
         /// <summary>
         ///     Removes a tracked browse operation for the specified user.
         /// </summary>
         /// <param name="username"></param>
         public void TryRemove(string username)
-            => Browses.TryRemove(username, out _);
+        {
+            Browses.TryRemove(username, out _);
+            LastBroadcast.TryRemove(username, out _);
+        }
 
         /// <summary>
         ///     Gets the browse progress for the specified user.
@@ -0,0 +1,175 @@
+﻿namespace WebAPI.Trackers
+{
+    using System;
+    using System.Collections.Generic;
+    using System.Linq;
+    using Microsoft.AspNetCore.SignalR;
+    using Microsoft.Extensions.Configuration;
+    using WebAPI.DTO;
+    using WebAPI.Hubs;
+
+    /// <summary>
+    ///     Tracks private message conversations, persisting them to the data directory so that history survives a restart.
+    /// </summary>
+    public class ConversationTracker : IConversationTracker
+    {
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="ConversationTracker"/> class.
+        /// </summary>
+        /// <param name="configuration"></param>
+        /// <param name="hub">The hub context used to push conversation updates to clients.</param>
+        public ConversationTracker(IConfiguration configuration, IHubContext<EventsHub> hub)
+        {
+            Hub = hub;
+
+            Store = new JsonStore<List<Conversation>>(configuration, "conversations.json", "CONVERSATIONS", "the conversation history");
+
+            Load();
+        }
+
+        /// <summary>
+        ///     Gets summaries of all tracked conversations, most recently active first.
+        /// </summary>
+        public IEnumerable<ConversationSummary> Summaries
+        {
+            get
+            {
+                lock (SyncRoot)
+                {
+                    return Conversations.Values
+                        .Select(c => new ConversationSummary(c))
+                        .OrderByDescending(s => s.LastMessage?.Timestamp)
+                        .ToList();
+                }
+            }
+        }
+
+        // only the most recent messages of each conversation are kept, so that the history file stays small
+        private static int MaxMessages { get; } = 500;
+        private Dictionary<string, Conversation> Conversations { get; set; } = new Dictionary<string, Conversation>();
+        private IHubContext<EventsHub> Hub { get; }
+        private JsonStore<List<Conversation>> Store { get; }
+        private object SyncRoot { get; } = new object();
+
+        /// <summary>
+        ///     Adds a sent or received message to the conversation with the user, starting the conversation if necessary.
+        /// </summary>
+        /// <param name="message"></param>
+        public void AddMessage(PrivateMessage message)
+        {
+            ConversationSummary summary;
+
+            lock (SyncRoot)
+            {
+                if (!Conversations.TryGetValue(message.Username, out var conversation))
+                {
+                    conversation = new Conversation() { Username = message.Username };
+                    Conversations.Add(message.Username, conversation);
+                }
+
+                conversation.Messages.Add(message);
+
+                if (conversation.Messages.Count > MaxMessages)
+                {
+                    conversation.Messages.RemoveRange(0, conversation.Messages.Count - MaxMessages);
+                }
+
+                if (!message.IsOutgoing)
+                {
+                    conversation.UnreadCount++;
+                }
+
+                summary = new ConversationSummary(conversation);
+                Save();
+            }
+
+            _ = Hub.Clients.All.SendAsync(EventsHub.ConversationUpdated, summary);
+        }
+
+        /// <summary>
+        ///     Marks all messages in the conversation with the specified user as read.
+        /// </summary>
+        /// <param name="username"></param>
+        /// <returns>A value indicating whether the conversation exists.</returns>
+        public bool MarkRead(string username)
+        {
+            ConversationSummary summary;
+
+            lock (SyncRoot)
+            {
+                if (!Conversations.TryGetValue(username, out var conversation))
+                {
+                    return false;
+                }
+
+                if (conversation.UnreadCount == 0)
+                {
+                    return true;
+                }
+
+                conversation.UnreadCount = 0;
+                summary = new ConversationSummary(conversation);
+                Save();
+            }
+
+            _ = Hub.Clients.All.SendAsync(EventsHub.ConversationUpdated, summary);
+            return true;
+        }
+
+        /// <summary>
+        ///     Gets a copy of the conversation with the specified user.
+        /// </summary>
+        /// <param name="username"></param>
+        /// <param name="conversation"></param>
+        /// <returns></returns>
+        public bool TryGet(string username, out Conversation conversation)
+        {
+            lock (SyncRoot)
+            {
+                if (Conversations.TryGetValue(username, out var existing))
+                {
+                    conversation = new Conversation()
+                    {
+                        Username = existing.Username,
+                        UnreadCount = existing.UnreadCount,
+                        Messages = existing.Messages.ToList(),
+                    };
+
+                    return true;
+                }
+
+                conversation = null;
+                return false;
+            }
+        }
+
+        /// <summary>
+        ///     Removes the conversation with the specified user.
+        /// </summary>
+        /// <param name="username"></param>
+        /// <returns>A value indicating whether the conversation existed.</returns>
+        public bool TryRemove(string username)
+        {
+            lock (SyncRoot)
+            {
+                if (Conversations.Remove(username))
+                {
+                    Save();
+                    return true;
+                }
+
+                return false;
+            }
+        }
+
+        private void Load()
+        {
+            if (Store.TryLoad(out var conversations))
+            {
+                Conversations = conversations.ToDictionary(c => c.Username, c => c);
+            }
+        }
+
+        private void Save() => Store.Save(Conversations.Values.ToList());
+    }
+}
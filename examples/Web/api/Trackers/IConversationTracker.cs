@@ -0,0 +1,44 @@
+﻿namespace WebAPI.Trackers
+{
+    using System.Collections.Generic;
+    using WebAPI.DTO;
+
+    /// <summary>
+    ///     Tracks private message conversations.
+    /// </summary>
+    public interface IConversationTracker
+    {
+        /// <summary>
+        ///     Gets summaries of all tracked conversations, most recently active first.
+        /// </summary>
+        IEnumerable<ConversationSummary> Summaries { get; }
+
+        /// <summary>
+        ///     Adds a sent or received message to the conversation with the user, starting the conversation if necessary.
+        /// </summary>
+        /// <param name="message"></param>
+        void AddMessage(PrivateMessage message);
+
+        /// <summary>
+        ///     Marks all messages in the conversation with the specified user as read.
+        /// </summary>
+        /// <param name="username"></param>
+        /// <returns>A value indicating whether the conversation exists.</returns>
+        bool MarkRead(string username);
+
+        /// <summary>
+        ///     Gets a copy of the conversation with the specified user.
+        /// </summary>
+        /// <param name="username"></param>
+        /// <param name="conversation"></param>
+        /// <returns></returns>
+        bool TryGet(string username, out Conversation conversation);
+
+        /// <summary>
+        ///     Removes the conversation with the specified user.
+        /// </summary>
+        /// <param name="username"></param>
+        /// <returns>A value indicating whether the conversation existed.</returns>
+        bool TryRemove(string username);
+    }
+}
@@ -0,0 +1,58 @@
+﻿namespace WebAPI.Trackers
+{
+    using System.Collections.Generic;
+    using Soulseek;
+    using WebAPI.DTO;
+
+    /// <summary>
+    ///     Tracks joined chat rooms.
+    /// </summary>
+    public interface IRoomTracker
+    {
+        /// <summary>
+        ///     Gets the names of the joined rooms.
+        /// </summary>
+        IReadOnlyCollection<string> Names { get; }
+
+        /// <summary>
+        ///     Adds or replaces a joined room.
+        /// </summary>
+        /// <param name="room">The room data returned upon joining the room.</param>
+        void AddOrUpdate(RoomData room);
+
+        /// <summary>
+        ///     Adds a message to the specified room, if it is joined.
+        /// </summary>
+        /// <param name="message"></param>
+        void AddMessage(RoomMessage message);
+
+        /// <summary>
+        ///     Adds a user to the specified room, if it is joined.
+        /// </summary>
+        /// <param name="roomName"></param>
+        /// <param name="user"></param>
+        void AddUser(string roomName, UserData user);
+
+        /// <summary>
+        ///     Removes a user from the specified room, if it is joined.
+        /// </summary>
+        /// <param name="roomName"></param>
+        /// <param name="username"></param>
+        void RemoveUser(string roomName, string username);
+
+        /// <summary>
+        ///     Gets a copy of the specified room.
+        /// </summary>
+        /// <param name="roomName"></param>
+        /// <param name="room"></param>
+        /// <returns></returns>
+        bool TryGet(string roomName, out ChatRoom room);
+
+        /// <summary>
+        ///     Removes the specified room.
+        /// </summary>
+        /// <param name="roomName"></param>
+        /// <returns>A value indicating whether the room was joined.</returns>
+        bool TryRemove(string roomName);
+    }
+}
@@ -2,6 +2,8 @@
 {
     using Soulseek;
     using System.Collections.Concurrent;
+    using System.Collections.Generic;
+    using System.Threading;
 
     /// <summary>
     ///     Tracks active searches.
@@ -9,15 +11,16 @@
     public interface ISearchTracker
     {
         /// <summary>
-        ///     Gets active searches.
+        ///     Gets active searches, keyed by search token.
         /// </summary>
-        ConcurrentDictionary<string, Search> Searches { get; }
+        ConcurrentDictionary<int, Search> Searches { get; }
 
         /// <summary>
         ///     Adds or updates a tracked search.
         /// </summary>
         /// <param name="args"></param>
-        void AddOrUpdate(SearchEventArgs args);
+        /// <param name="cancellationTokenSource"></param>
+        void AddOrUpdate(SearchEventArgs args, CancellationTokenSource cancellationTokenSource);
 
         /// <summary>
         ///     Removes all tracked searches.
@@ -25,9 +28,24 @@
         void Clear();
 
         /// <summary>
-        ///     Removes a tracked search.
+        ///     Cancels the tracked search with the specified <paramref name="token"/>.
         /// </summary>
-        /// <param name="searchText"></param>
-        void TryRemove(string searchText);
+        /// <param name="token"></param>
+        /// <returns>A value indicating whether a matching search was found.</returns>
+        bool TryCancel(int token);
+
+        /// <summary>
+        ///     Gets the responses received so far for the tracked search with the specified <paramref name="token"/>.
+        /// </summary>
+        /// <param name="token"></param>
+        /// <param name="responses"></param>
+        /// <returns></returns>
+        bool TryGetResponses(int token, out IEnumerable<SearchResponse> responses);
+
+        /// <summary>
+        ///     Removes a tracked search, disposing of its cancellation token source.
+        /// </summary>
+        /// <param name="token"></param>
+        void TryRemove(int token);
     }
 }
\ No newline at end of file
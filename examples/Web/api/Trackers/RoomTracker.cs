@@ -0,0 +1,186 @@
+﻿namespace WebAPI.Trackers
+{
+    using System.Collections.Generic;
+    using System.Linq;
+    using Microsoft.AspNetCore.SignalR;
+    using Soulseek;
+    using WebAPI.DTO;
+    using WebAPI.Hubs;
+
+    /// <summary>
+    ///     Tracks joined chat rooms.
+    /// </summary>
+    public class RoomTracker : IRoomTracker
+    {
+        /// <summary>
+        ///     Initializes a new instance of the <see cref="RoomTracker"/> class.
+        /// </summary>
+        /// <param name="hub">The hub context used to push room updates to clients.</param>
+        public RoomTracker(IHubContext<EventsHub> hub)
+        {
+            Hub = hub;
+        }
+
+        /// <summary>
+        ///     Gets the names of the joined rooms.
+        /// </summary>
+        public IReadOnlyCollection<string> Names
+        {
+            get
+            {
+                lock (SyncRoot)
+                {
+                    return Rooms.Keys.OrderBy(name => name).ToList().AsReadOnly();
+                }
+            }
+        }
+
+        // busy rooms produce a steady stream of messages; only the most recent are kept
+        private static int MaxMessages { get; } = 250;
+        private IHubContext<EventsHub> Hub { get; }
+        private Dictionary<string, ChatRoom> Rooms { get; } = new Dictionary<string, ChatRoom>();
+        private object SyncRoot { get; } = new object();
+
+        /// <summary>
+        ///     Adds or replaces a joined room.
+        /// </summary>
+        /// <param name="room">The room data returned upon joining the room.</param>
+        public void AddOrUpdate(RoomData room)
+        {
+            lock (SyncRoot)
+            {
+                // keep the messages of a room that is rejoined, e.g. after reconnecting to the server
+                Rooms.TryGetValue(room.Name, out var existing);
+
+                Rooms[room.Name] = new ChatRoom()
+                {
+                    Name = room.Name,
+                    IsPrivate = room.IsPrivateRoom,
+                    Owner = room.Owner,
+                    Operators = room.Operators.ToList(),
+                    Users = room.Users.ToList(),
+                    Messages = existing?.Messages ?? new List<RoomMessage>(),
+                };
+            }
+
+            _ = Hub.Clients.All.SendAsync(EventsHub.RoomJoined, room.Name);
+        }
+
+        /// <summary>
+        ///     Adds a message to the specified room, if it is joined.
+        /// </summary>
+        /// <param name="message"></param>
+        public void AddMessage(RoomMessage message)
+        {
+            lock (SyncRoot)
+            {
+                if (!Rooms.TryGetValue(message.RoomName, out var room))
+                {
+                    return;
+                }
+
+                room.Messages.Add(message);
+
+                if (room.Messages.Count > MaxMessages)
+                {
+                    room.Messages.RemoveRange(0, room.Messages.Count - MaxMessages);
+                }
+            }
+
+            _ = Hub.Clients.All.SendAsync(EventsHub.RoomMessageReceived, message);
+        }
+
+        /// <summary>
+        ///     Adds a user to the specified room, if it is joined.
+        /// </summary>
+        /// <param name="roomName"></param>
+        /// <param name="user"></param>
+        public void AddUser(string roomName, UserData user)
+        {
+            lock (SyncRoot)
+            {
+                if (!Rooms.TryGetValue(roomName, out var room))
+                {
+                    return;
+                }
+
+                room.Users.RemoveAll(u => u.Username == user.Username);
+                room.Users.Add(user);
+            }
+
+            _ = Hub.Clients.All.SendAsync(EventsHub.RoomUserJoined, new { RoomName = roomName, User = user });
+        }
+
+        /// <summary>
+        ///     Removes a user from the specified room, if it is joined.
+        /// </summary>
+        /// <param name="roomName"></param>
+        /// <param name="username"></param>
+        public void RemoveUser(string roomName, string username)
+        {
+            lock (SyncRoot)
+            {
+                if (!Rooms.TryGetValue(roomName, out var room))
+                {
+                    return;
+                }
+
+                room.Users.RemoveAll(u => u.Username == username);
+            }
+
+            _ = Hub.Clients.All.SendAsync(EventsHub.RoomUserLeft, new { RoomName = roomName, Username = username });
+        }
+
+        /// <summary>
+        ///     Gets a copy of the specified room.
+        /// </summary>
+        /// <param name="roomName"></param>
+        /// <param name="room"></param>
+        /// <returns></returns>
+        public bool TryGet(string roomName, out ChatRoom room)
+        {
+            lock (SyncRoot)
+            {
+                if (Rooms.TryGetValue(roomName, out var existing))
+                {
+                    room = new ChatRoom()
+                    {
+                        Name = existing.Name,
+                        IsPrivate = existing.IsPrivate,
+                        Owner = existing.Owner,
+                        Operators = existing.Operators.ToList(),
+                        Users = existing.Users.ToList(),
+                        Messages = existing.Messages.ToList(),
+                    };
+
+                    return true;
+                }
+
+                room = null;
+                return false;
+            }
+        }
+
+        /// <summary>
+        ///     Removes the specified room.
+        /// </summary>
+        /// <param name="roomName"></param>
+        /// <returns>A value indicating whether the room was joined.</returns>
+        public bool TryRemove(string roomName)
+        {
+            bool removed;
+
+            lock (SyncRoot)
+            {
+                removed = Rooms.Remove(roomName);
+            }
+
+            if (removed)
+            {
+                _ = Hub.Clients.All.SendAsync(EventsHub.RoomLeft, roomName);
+            }
+
+            return removed;
+        }
+    }
+}
@@ -1,7 +1,12 @@
 ﻿namespace WebAPI.Trackers
 {
+    using Microsoft.AspNetCore.SignalR;
     using Soulseek;
+    using System;
     using System.Collections.Concurrent;
+    using System.Collections.Generic;
+    using System.Threading;
+    using WebAPI.Hubs;
 
     /// <summary>
     ///     Tracks active searches.
@@ -9,18 +14,45 @@
     public class SearchTracker : ISearchTracker
     {
         /// <summary>
-        ///     Gets active searches.
+        ///     Initializes a new instance of the <see cref="SearchTracker"/> class.
         /// </summary>
-        public ConcurrentDictionary<string, Search> Searches { get; private set; } =
-            new ConcurrentDictionary<string, Search>();
+        /// <param name="hub">The hub context used to push search updates to clients.</param>
+        public SearchTracker(IHubContext<EventsHub> hub)
+        {
+            Hub = hub;
+        }
+
+        /// <summary>
+        ///     Gets active searches, keyed by search token.
+        /// </summary>
+        public ConcurrentDictionary<int, Search> Searches { get; private set; } =
+            new ConcurrentDictionary<int, Search>();
+
+        private ConcurrentDictionary<int, CancellationTokenSource> CancellationTokenSources { get; } =
+            new ConcurrentDictionary<int, CancellationTokenSource>();
+
+        private IHubContext<EventsHub> Hub { get; }
+
+        private ConcurrentDictionary<int, ConcurrentBag<SearchResponse>> Responses { get; } =
+            new ConcurrentDictionary<int, ConcurrentBag<SearchResponse>>();
 
         /// <summary>
         ///     Adds or updates a tracked search.
         /// </summary>
         /// <param name="args"></param>
-        public void AddOrUpdate(SearchEventArgs args)
+        /// <param name="cancellationTokenSource"></param>
+        public void AddOrUpdate(SearchEventArgs args, CancellationTokenSource cancellationTokenSource)
         {
-            Searches.AddOrUpdate(args.Search.SearchText, args.Search, (searchText, search) => args.Search);
+            Searches.AddOrUpdate(args.Search.Token, args.Search, (token, search) => args.Search);
+            CancellationTokenSources.TryAdd(args.Search.Token, cancellationTokenSource);
+
+            if (args is SearchResponseReceivedEventArgs received)
+            {
+                Responses.GetOrAdd(args.Search.Token, token => new ConcurrentBag<SearchResponse>()).Add(received.Response);
+                _ = Hub.Clients.All.SendAsync(EventsHub.SearchResponseReceived, new { args.Search.Token, received.Response });
+            }
+
+            _ = Hub.Clients.All.SendAsync(EventsHub.SearchUpdated, args.Search);
         }
 
         /// <summary>
@@ -29,15 +61,73 @@
         public void Clear()
         {
             Searches.Clear();
+            Responses.Clear();
+
+            foreach (var token in CancellationTokenSources.Keys)
+            {
+                TryRemoveCancellationTokenSource(token);
+            }
         }
 
         /// <summary>
-        ///     Removes a tracked search.
+        ///     Cancels the tracked search with the specified <paramref name="token"/>.
         /// </summary>
-        /// <param name="searchText"></param>
-        public void TryRemove(string searchText)
+        /// <param name="token"></param>
+        /// <returns>A value indicating whether a matching search was found.</returns>
+        public bool TryCancel(int token)
+        {
+            if (CancellationTokenSources.TryGetValue(token, out var cancellationTokenSource))
+            {
+                try
+                {
+                    cancellationTokenSource.Cancel();
+                    return true;
+                }
+                catch (ObjectDisposedException)
+                {
+                    // the search completed and was removed in the meantime
+                }
+            }
+
+            return false;
+        }
+
+        /// <summary>
+        ///     Gets the responses received so far for the tracked search with the specified <paramref name="token"/>.
+        /// </summary>
+        /// <param name="token"></param>
+        /// <param name="responses"></param>
+        /// <returns></returns>
+        public bool TryGetResponses(int token, out IEnumerable<SearchResponse> responses)
+        {
+            responses = default;
+
+            if (Responses.TryGetValue(token, out var bag))
+            {
+                responses = bag.ToArray();
+                return true;
+            }
+
+            return false;
+        }
+
+        /// <summary>
+        ///     Removes a tracked search, disposing of its cancellation token source.
+        /// </summary>
+        /// <param name="token"></param>
+        public void TryRemove(int token)
+        {
+            Searches.TryRemove(token, out _);
+            Responses.TryRemove(token, out _);
+            TryRemoveCancellationTokenSource(token);
+        }
+
+        private void TryRemoveCancellationTokenSource(int token)
         {
-            Searches.TryRemove(searchText, out _);
+            if (CancellationTokenSources.TryRemove(token, out var cancellationTokenSource))
+            {
+                cancellationTokenSource.Dispose();
+            }
         }
     }
 }
\ No newline at end of file
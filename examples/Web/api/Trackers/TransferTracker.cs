@@ -1,9 +1,12 @@
 ﻿namespace WebAPI.Trackers
 {
+    using Microsoft.AspNetCore.SignalR;
     using Soulseek;
+    using System;
     using System.Collections.Concurrent;
     using System.Threading;
     using System.Linq;
+    using WebAPI.Hubs;
 
     /// <summary>
     ///     Transfer extensions.
@@ -93,11 +96,19 @@
         public ConcurrentDictionary<TransferDirection, ConcurrentDictionary<string, ConcurrentDictionary<string, (Transfer Transfer, CancellationTokenSource CancellationTokenSource)>>> Transfers { get; private set; } =
             new ConcurrentDictionary<TransferDirection, ConcurrentDictionary<string, ConcurrentDictionary<string, (Transfer, CancellationTokenSource)>>>();
 
+        private static TimeSpan ProgressBroadcastInterval { get; } = TimeSpan.FromMilliseconds(250);
+        private IHubContext<EventsHub> Hub { get; }
+        private ConcurrentDictionary<(TransferDirection Direction, string Username, string Filename), DateTime> LastBroadcast { get; } =
+            new ConcurrentDictionary<(TransferDirection Direction, string Username, string Filename), DateTime>();
+
         /// <summary>
         ///     Initializes a new instance of the <see cref="TransferTracker"/> class.
         /// </summary>
-        public TransferTracker()
+        /// <param name="hub">The hub context used to push transfer updates to clients.</param>
+        public TransferTracker(IHubContext<EventsHub> hub)
         {
+            Hub = hub;
+
             Transfers.TryAdd(TransferDirection.Download, new ConcurrentDictionary<string, ConcurrentDictionary<string, (Transfer Transfer, CancellationTokenSource CancellationTokenSource)>>());
             Transfers.TryAdd(TransferDirection.Upload, new ConcurrentDictionary<string, ConcurrentDictionary<string, (Transfer Transfer, CancellationTokenSource CancellationTokenSource)>>());
         }
@@ -116,6 +127,8 @@
                 dict.AddOrUpdate(args.Transfer.Filename, (args.Transfer, cancellationTokenSource), (file, record) => (args.Transfer, cancellationTokenSource));
                 return dict;
             });
+
+            Broadcast(args);
         }
 
         /// <summary>
@@ -128,12 +141,22 @@
 
             if (string.IsNullOrEmpty(filename))
             {
-                directionDict.TryRemove(username, out _);
+                if (directionDict.TryRemove(username, out var removed))
+                {
+                    foreach (var file in removed.Keys)
+                    {
+                        BroadcastRemoval(direction, username, file);
+                    }
+                }
             }
             else
             {
                 directionDict.TryGetValue(username, out var userDict);
-                userDict.TryRemove(filename, out _);
+
+                if (userDict.TryRemove(filename, out _))
+                {
+                    BroadcastRemoval(direction, username, filename);
+                }
 
                 if (userDict.IsEmpty)
                 {
@@ -168,6 +191,36 @@
             return false;
         }
 
+        private void Broadcast(TransferEventArgs args)
+        {
+            var key = (args.Transfer.Direction, args.Transfer.Username, args.Transfer.Filename);
+            var now = DateTime.UtcNow;
+
+            // progress updates arrive for every chunk of data; only push them at a fixed interval so that fast transfers
+            // don't flood clients.  state changes are always pushed.
+            if (args is TransferProgressUpdatedEventArgs && LastBroadcast.TryGetValue(key, out var last) && now - last < ProgressBroadcastInterval)
+            {
+                return;
+            }
+
+            if (args.Transfer.State.HasFlag(TransferStates.Completed))
+            {
+                LastBroadcast.TryRemove(key, out _);
+            }
+            else
+            {
+                LastBroadcast.AddOrUpdate(key, now, (k, v) => now);
+            }
+
+            _ = Hub.Clients.All.SendAsync(EventsHub.TransferUpdated, args.Transfer);
+        }
+
+        private void BroadcastRemoval(TransferDirection direction, string username, string filename)
+        {
+            LastBroadcast.TryRemove((direction, username, filename), out _);
+            _ = Hub.Clients.All.SendAsync(EventsHub.TransferRemoved, new { Direction = direction, Username = username, Filename = filename });
+        }
+
         private ConcurrentDictionary<string, (Transfer Transfer, CancellationTokenSource CancellationTokenSource)> GetNewDictionaryForUser(TransferEventArgs args, CancellationTokenSource cancellationTokenSource)
         {
             var r = new ConcurrentDictionary<string, (Transfer Transfer, CancellationTokenSource CancellationTokenSource)>();
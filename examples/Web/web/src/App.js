@@ -1,13 +1,31 @@
 import React, { Component } from 'react';
 import { Route, Link, Switch } from "react-router-dom";
 import { tokenKey, tokenPassthroughValue } from './config';
-import api from './api';
+import api, { getTokenExpiry, isTokenExpired, replaceToken, setUnauthorizedHandler } from './api';
+import { subscribe } from './realtime';
+import { ServerContext, unknownState, isOnline, getStatus } from './server';
+import { SessionContext, unknownSession, can } from './session';
+import { notify } from './notifications';
+import { watchTransfers, unwatchTransfers, onTransferEvent, eventTypes } from './transferEvents';
+import { watchDesktopNotifications, unwatchDesktopNotifications } from './desktopNotifications';
+import { getFileName } from './util';
 
 import './App.css';
-import Search from './Search/Search';
+import Searches from './Search/Searches';
 import Browse from './Browse/Browse';
 import Transfers from './Transfers/Transfers';
+import Messages from './Messages/Messages';
+import Rooms from './Rooms/Rooms';
+import Wishlist from './Wishlist/Wishlist';
+import Import from './Import/Import';
+import Shares from './Shares/Shares';
+import Users from './Users/Users';
+import Settings from './Settings/Settings';
+import Server from './Server/Server';
 import LoginForm from './LoginForm';
+import LoginModal from './LoginModal';
+import Toasts from './Notifications/Toasts';
+import NotificationCenter from './Notifications/NotificationCenter';
 
 import { 
     Sidebar,
@@ -15,24 +33,57 @@ import {
     Menu,
     Icon,
     Modal,
-    Header
+    Header,
+    Message,
+    Button
 } from 'semantic-ui-react';
 
 const initialState = {
     token: undefined,
+    session: unknownSession,
+    server: unknownState,
     login: {
         initialized: false,
         pending: false,
         error: undefined
+    },
+    expiring: false,
+    reauth: {
+        open: false,
+        pending: false,
+        error: undefined
     }
 };
 
+// tokens are refreshed this long before they expire
+const refreshLead = 5 * 60 * 1000;
+
+// and silently only if the user did something recently; otherwise they're asked whether to stay logged in
+const activityWindow = 30 * 60 * 1000;
+
+// the longest delay setTimeout supports
+const maximumDelay = 2147483647;
+
+const transferNotifications = {
+    [eventTypes.downloadCompleted]: { type: 'success', title: 'Download completed' },
+    [eventTypes.downloadFailed]: { type: 'error', title: 'Download failed' },
+    [eventTypes.downloadStarted]: { type: 'info', title: 'Download started' },
+    [eventTypes.uploadStarted]: { type: 'info', title: 'Upload started' }
+};
+
 class App extends Component {
     state = initialState;
 
     componentDidMount = async () => {
         const { login } = this.state;
 
+        setUnauthorizedHandler(this.reauthenticate);
+        this.removeTransferListener = onTransferEvent(this.onTransferEvent);
+
+        this.lastActivity = Date.now();
+        window.addEventListener('mousedown', this.onActivity);
+        window.addEventListener('keydown', this.onActivity);
+
         const response = await api.get('/session/enabled');
         const securityEnabled = response.data;
 
@@ -45,8 +96,170 @@ class App extends Component {
         this.setState({ login: { ...login, initialized: true } })
     }
 
+    componentDidUpdate = (prevProps, prevState) => {
+        if (this.state.token && !prevState.token) {
+            this.fetchSession();
+            this.monitorServer();
+            watchTransfers();
+            watchDesktopNotifications();
+        } else if (!this.state.token && prevState.token) {
+            this.stopMonitoringServer();
+            unwatchTransfers();
+            unwatchDesktopNotifications();
+
+            // the login modal went with the token
+            this.endReauthentication(false);
+        }
+
+        if (this.state.token !== prevState.token) {
+            this.scheduleExpiry();
+        }
+    }
+
+    componentWillUnmount = () => {
+        this.stopMonitoringServer();
+        this.clearExpiry();
+
+        unwatchTransfers();
+        unwatchDesktopNotifications();
+        this.removeTransferListener();
+
+        setUnauthorizedHandler(undefined);
+        this.endReauthentication(false);
+        window.removeEventListener('mousedown', this.onActivity);
+        window.removeEventListener('keydown', this.onActivity);
+    }
+
+    onActivity = () => {
+        this.lastActivity = Date.now();
+    }
+
+    onTransferEvent = (type, transfer) => {
+        const { username, filename, state } = transfer;
+        const failed = type === eventTypes.downloadFailed;
+
+        notify({
+            ...transferNotifications[type],
+            message: `${getFileName(filename)} ${type === eventTypes.uploadStarted ? 'to' : 'from'} ${username}${failed ? ` (${state})` : ''}`
+        });
+    }
+
+    clearExpiry = () => {
+        clearTimeout(this.refreshTimeout);
+        clearTimeout(this.expiryTimeout);
+    }
+
+    scheduleExpiry = () => {
+        this.clearExpiry();
+
+        const expiry = getTokenExpiry(this.state.token);
+
+        if (expiry === undefined) {
+            return;
+        }
+
+        const delay = (time) => Math.min(Math.max(time - Date.now(), 0), maximumDelay);
+
+        this.refreshTimeout = setTimeout(this.onExpiring, delay(expiry - refreshLead));
+        this.expiryTimeout = setTimeout(() => this.reauthenticate().catch(() => {}), delay(expiry));
+    }
+
+    onExpiring = () => {
+        if (Date.now() - this.lastActivity < activityWindow) {
+            this.refresh();
+        } else {
+            this.setState({ expiring: true });
+        }
+    }
+
+    refresh = () => {
+        api.post('/session/refresh')
+        .then(response => {
+            replaceToken(response.data.token);
+            this.setState({ token: response.data.token, expiring: false });
+        })
+        .catch(() => this.reauthenticate().catch(() => {}));
+    }
+
+    // shows the login modal, resolving once the user has logged in again and rejecting if they log out instead.
+    // the modal is only shown while someone is logged in, so without a token there's nothing to wait for.
+    reauthenticate = () => {
+        const { token } = this.state;
+
+        if (!token || token === tokenPassthroughValue) {
+            return Promise.reject();
+        }
+
+        if (!this.reauthCallbacks) {
+            this.reauthPromise = new Promise((resolve, reject) => {
+                this.reauthCallbacks = { resolve, reject };
+                this.clearExpiry();
+                this.setState({ expiring: false, reauth: { ...initialState.reauth, open: true } });
+            });
+        }
+
+        return this.reauthPromise;
+    }
+
+    endReauthentication = (succeeded) => {
+        const callbacks = this.reauthCallbacks;
+        this.reauthCallbacks = undefined;
+
+        if (callbacks) {
+            succeeded ? callbacks.resolve() : callbacks.reject();
+        }
+    }
+
+    relogin = (username, password) => {
+        this.setState({ reauth: { ...this.state.reauth, pending: true, error: undefined }}, async () => {
+            try {
+                const response = await api.post('/session', { username, password });
+
+                replaceToken(response.data.token);
+                this.setState({ token: response.data.token, reauth: initialState.reauth }, () => {
+                    // someone else may have logged in, with a different role
+                    this.fetchSession();
+                    this.endReauthentication(true);
+                });
+            } catch (error) {
+                this.setState({ reauth: { ...this.state.reauth, pending: false, error }});
+            }
+        });
+    }
+
+    monitorServer = () => {
+        this.serverSubscription = subscribe({ serverStateChanged: server => this.setState({ server }) }, { fallback: this.fetchServerState, interval: 5000 });
+    }
+
+    stopMonitoringServer = () => {
+        if (this.serverSubscription) {
+            this.serverSubscription.unsubscribe();
+            this.serverSubscription = undefined;
+        }
+    }
+
+    fetchSession = () => {
+        api.get('/session')
+        .then(response => this.setState({ session: response.data }))
+        .catch(() => {});
+    }
+
+    fetchServerState = () => {
+        api.get('/server')
+        .then(response => this.setState({ server: response.data }))
+        .catch(() => {});
+    }
+
     loadToken = () => {
         const token = JSON.parse(sessionStorage.getItem(tokenKey) || localStorage.getItem(tokenKey));
+
+        // an expired token would only fail, so start at the login form instead
+        if (isTokenExpired(token)) {
+            sessionStorage.removeItem(tokenKey);
+            localStorage.removeItem(tokenKey);
+            return;
+        }
+
         this.setState({ token });
     }
 
@@ -70,12 +283,14 @@ class App extends Component {
     }
     
     logout = () => {
+        sessionStorage.removeItem(tokenKey);
         localStorage.removeItem(tokenKey);
-        this.setState({ ...initialState, login: { ...initialState.login, initialized: true }});
+        this.setState({ ...initialState, login: { ...initialState.login, initialized: true }}, () => this.endReauthentication(false));
     }
 
     render = () => {
-        const { token, login } = this.state;
+        const { token, login, server, session, expiring, reauth } = this.state;
+        const status = getStatus(server);
 
         return (
             <>
@@ -116,9 +331,50 @@ class App extends Component {
                             <Icon name='upload'/>Uploads
                         </Menu.Item>
                     </Link>
+                    <Link to='/wishlist'>
+                        <Menu.Item>
+                            <Icon name='star'/>Wishlist
+                        </Menu.Item>
+                    </Link>
+                    {can(session, 'download') && <Link to='/import'>
+                        <Menu.Item>
+                            <Icon name='list ol'/>Import
+                        </Menu.Item>
+                    </Link>}
+                    {can(session, 'administer') && <Link to='/shares'>
+                        <Menu.Item>
+                            <Icon name='share alternate'/>Shares
+                        </Menu.Item>
+                    </Link>}
+                    <Link to='/messages'>
+                        <Menu.Item>
+                            <Icon name='comments'/>Messages
+                        </Menu.Item>
+                    </Link>
+                    <Link to='/rooms'>
+                        <Menu.Item>
+                            <Icon name='users'/>Rooms
+                        </Menu.Item>
+                    </Link>
+                    {can(session, 'administer') && <Link to='/users'>
+                        <Menu.Item>
+                            <Icon name='id badge'/>Users
+                        </Menu.Item>
+                    </Link>}
+                    <Link to='/settings'>
+                        <Menu.Item>
+                            <Icon name='setting'/>Settings
+                        </Menu.Item>
+                    </Link>
+                    <Link to='/server' className='server-status'>
+                        <Menu.Item title={server.disconnectMessage && !isOnline(server) ? server.disconnectMessage : undefined}>
+                            <Icon name='circle' color={status.color}/>{status.text}
+                        </Menu.Item>
+                    </Link>
+                    <NotificationCenter/>
                     {token !== tokenPassthroughValue && <Modal
                         trigger={
-                            <Menu.Item position='right'>
+                            <Menu.Item title={session.username && `Logged in as ${session.username} (${session.role})`}>
                                 <Icon name='sign-out'/>Log Out
                             </Menu.Item>
                         }
@@ -130,12 +386,48 @@ class App extends Component {
                     />}
                 </Sidebar>
                 <Sidebar.Pusher className='app-content'>
+                    <SessionContext.Provider value={session}>
+                    <ServerContext.Provider value={server}>
+                    {expiring && <Message info className='server-banner'>
+                        <Message.Header>Your session is about to expire</Message.Header>
+                        <p>
+                            You'll be asked to log in again at {new Date(getTokenExpiry(token)).toLocaleTimeString()}.&nbsp;
+                            <Button size='mini' primary content='Stay Logged In' onClick={this.refresh}/>
+                        </p>
+                    </Message>}
+                    {!isOnline(server) && <Message warning className='server-banner'>
+                        <Message.Header>Not connected to the Soulseek server</Message.Header>
+                        {server.disconnectMessage && <p>{server.disconnectMessage}</p>}
+                        <p>
+                            Searching, browsing, downloading and chatting are unavailable
+                            {server.isReconnecting ? ' while the connection is re-established. ' : '. '}
+                            <Link to='/server'>Manage the connection</Link>
+                        </p>
+                    </Message>}
                     <Switch>
-                        <Route exact path='/' component={Search}/>
-                        <Route path='/browse/' component={Browse}/>
+                        <Route exact path='/' component={Searches}/>
+                        <Route path='/browse/:username?' component={Browse}/>
                         <Route path='/downloads/' render={(props) => <Transfers {...props} direction='download'/>}/>
                         <Route path='/uploads/' render={(props) => <Transfers {...props} direction='upload'/>}/>
+                        <Route path='/wishlist/:id?' component={Wishlist}/>
+                        <Route path='/import/' component={Import}/>
+                        <Route path='/shares/' component={Shares}/>
+                        <Route path='/users/' component={Users}/>
+                        <Route path='/messages/:username?' component={Messages}/>
+                        <Route path='/rooms/:roomName?' component={Rooms}/>
+                        <Route path='/settings/' component={Settings}/>
+                        <Route path='/server/' component={Server}/>
                     </Switch>
+                    </ServerContext.Provider>
+                    </SessionContext.Provider>
+                    <Toasts/>
+                    {reauth.open && <LoginModal
+                        username={session.username}
+                        onLoginAttempt={this.relogin}
+                        onLogout={this.logout}
+                        loading={reauth.pending}
+                        error={reauth.error}
+                    />}
                 </Sidebar.Pusher>
             </Sidebar.Pushable>
             }</>
@@ -1,9 +1,18 @@
 import React, { Component } from 'react';
 import api from '../api';
+import { subscribe } from '../realtime';
+import { ServerContext, isOnline } from '../server';
 
 import './Browse.css';
 
 import DirectoryTree from './DirectoryTree';
+import { buildTree, sep } from './tree';
+import { getBrowse, getBrowsedUsers, saveBrowse, removeBrowse } from './cache';
+import { diffBrowse } from './diff';
+import UserProfile from '../Shared/UserProfile';
+import RecursiveDownload from './RecursiveDownload';
+import BrowseHistory from './BrowseHistory';
+import BrowseDiff from './BrowseDiff';
 
 import { 
   Segment, 
@@ -11,40 +20,102 @@ import {
   Loader,
   Card,
   Grid,
+  Button,
+  Label
 } from 'semantic-ui-react';
 
 import Directory from './Directory';
 
+const storageKey = 'soulseek-example-browse-state';
+
 const initialState = { 
   username: '', 
   browseState: 'idle', 
   browseStatus: 0,
   browseError: undefined,
-  interval: undefined,
   selectedDirectory: {},
-  selectedFiles: [],
-  tree: []
+  tree: [],
+  record: undefined,
+  view: 'tree',
+  diff: undefined,
+  recursiveDownload: undefined,
+  history: []
 };
 
 class Browse extends Component {
+  static contextType = ServerContext;
+
   state = initialState;
 
-  browse = () => {
-    let username = this.inputtext.inputRef.current.value;
+  browse = (username = this.inputtext.inputRef.current.value) => {
+    this.inputtext.inputRef.current.value = username;
 
-    this.setState({ username , browseState: 'pending', browseError: undefined }, () => {
+    const { history, selectedDirectory } = this.state;
+
+    // keep the selection when browsing the same user again so the refreshed directory stays open
+    this.setState({ 
+      ...initialState, 
+      history, 
+      username, 
+      browseState: 'pending', 
+      selectedDirectory: username === this.state.username ? selectedDirectory : {} 
+    }, () => {
       api.get(`/user/${this.state.username}/browse`)
-        .then(response => this.setState({ tree: this.getDirectoryTree(response.data) }))
-        .then(() => this.setState({ browseState: 'complete', browseError: undefined }, () => {
-          this.saveState();
-        }))
+        .then(response => saveBrowse(username, response.data)
+          // the cache is a convenience; browsing still works if IndexedDB is unavailable
+          .catch(() => ({ username, current: { timestamp: Date.now(), directories: response.data } })))
+        .then(record => this.showRecord(record))
         .catch(err => this.setState({ browseState: 'error', browseError: err }))
     });
   }
 
+  // shows the cached browse of the specified user without contacting them
+  open = (username, view = 'tree') => {
+    this.inputtext.inputRef.current.value = username;
+
+    return getBrowse(username)
+      .then(record => record ? this.showRecord(record, view) : this.browse(username))
+      .catch(() => this.browse(username));
+  }
+
+  showRecord = (record, view = 'tree') => {
+    const { selectedDirectory } = this.state;
+    const selected = record.current.directories.find(d => d.directoryName === selectedDirectory.directoryName);
+
+    this.setState({
+      username: record.username,
+      record,
+      tree: buildTree(record.current.directories),
+      selectedDirectory: selected || {},
+      browseState: 'complete',
+      browseError: undefined,
+      view: 'tree',
+      diff: undefined
+    }, () => {
+      this.saveState();
+
+      if (view === 'diff') {
+        this.showDiff();
+      }
+    });
+  }
+
+  showDiff = () => {
+    const { record } = this.state;
+
+    if (record && record.previous) {
+      this.setState({ view: 'diff', diff: diffBrowse(record.previous.directories, record.current.directories) });
+    }
+  }
+
   clear = () => {
-    this.setState(initialState, () => {
+    this.setState({ ...initialState, history: this.state.history }, () => {
       this.saveState();
+      this.loadHistory();
+
+      if (this.props.match.params.username) {
+        this.props.history.push('/browse');
+      }
     });
   }
 
@@ -52,27 +123,76 @@ class Browse extends Component {
     this.setState({ username: data.value });
   }
 
+  loadHistory = () => {
+    getBrowsedUsers()
+      .then(history => this.setState({ history }))
+      .catch(() => this.setState({ history: [] }));
+  }
+
+  removeFromHistory = (username) => {
+    // the history is reloaded either way, so that it shows what the cache actually holds
+    removeBrowse(username).catch(() => {}).then(() => this.loadHistory());
+  }
+
   saveState = () => {
-    this.inputtext.inputRef.current.value = this.state.username;
-    this.inputtext.inputRef.current.disabled = this.state.browseState !== 'idle';
-    localStorage.setItem('soulseek-example-browse-state', JSON.stringify(this.state));
+    const { username, browseState, selectedDirectory } = this.state;
+
+    this.inputtext.inputRef.current.value = username;
+    this.inputtext.inputRef.current.disabled = browseState !== 'idle';
+
+    // the tree itself is cached in IndexedDB; only enough to reopen it is kept here
+    localStorage.setItem(storageKey, JSON.stringify({
+      username,
+      browseState: browseState === 'error' ? 'idle' : browseState,
+      selectedDirectory: { directoryName: selectedDirectory.directoryName }
+    }));
   }
 
-  loadState = () => {
-    this.setState(JSON.parse(localStorage.getItem('soulseek-example-browse-state')) || initialState);
+  loadState = (callback) => {
+    const { username, browseState, selectedDirectory } = JSON.parse(localStorage.getItem(storageKey)) || initialState;
+
+    this.setState({ selectedDirectory: selectedDirectory || {} }, () => {
+      if (username && browseState === 'complete') {
+        this.open(username).then(callback);
+      } else if (username && browseState === 'pending') {
+        this.browse(username);
+        callback();
+      } else {
+        this.saveState();
+        callback();
+      }
+    });
   }
 
   componentDidMount = () => {
-    this.fetchStatus();
-    this.loadState();
-    this.setState({ 
-        interval: window.setInterval(this.fetchStatus, 500)
-    }, () => this.saveState());
+    this.loadHistory();
+    this.loadState(() => this.browseFromRoute());
+    this.subscription = subscribe({ browseProgressUpdated: this.onBrowseProgressUpdated }, { fallback: this.fetchStatus });
+  }
+
+  componentDidUpdate = (prevProps) => {
+    if (this.props.match.params.username !== prevProps.match.params.username) {
+      this.browseFromRoute();
+    }
+  }
+
+  // other pages link to /browse/{username} to browse a user directly
+  browseFromRoute = () => {
+    const { username } = this.props.match.params;
+
+    if (username && (username !== this.state.username || this.state.browseState !== 'complete') && this.state.browseState !== 'pending') {
+      this.browse(username);
+    }
   }
 
   componentWillUnmount = () => {
-    clearInterval(this.state.interval);
-    this.setState({ interval: undefined });
+    this.subscription.unsubscribe();
+  }
+
+  onBrowseProgressUpdated = (progress) => {
+    if (this.state.browseState === 'pending' && progress.username === this.state.username) {
+      this.setState({ browseStatus: progress });
+    }
   }
 
   fetchStatus = () => {
@@ -84,43 +204,26 @@ class Browse extends Component {
     }
   }
 
-  getDirectoryTree = (directories) => {
-    if (directories.length === 0 || directories[0].directoryName === undefined) {
-      return [];
-    }
-
-    const separator = this.sep(directories[0].directoryName);
-    const depth = Math.min.apply(null, directories.map(d => d.directoryName.split(separator).length));
-
-    const topLevelDirs = directories
-      .filter(d => d.directoryName.split(separator).length === depth);
-
-    return topLevelDirs.map(directory => this.getChildDirectories(directories, directory, separator, depth));
-  }
-
-  getChildDirectories = (directories, root, separator, depth) => {
-    const children = directories
-      .filter(d => d.directoryName !== root.directoryName)
-      .filter(d => d.directoryName.split(separator).length === depth + 1)
-      .filter(d => d.directoryName.startsWith(root.directoryName));
-
-    return { ...root, children: children.map(c => this.getChildDirectories(directories, c, separator, depth + 1)) };
-  }
-
   onDirectorySelectionChange = (event, value) => {
     this.setState({ selectedDirectory: { ...value, children: [] }}, () => this.saveState());
   }
 
-  sep = (directoryName) => directoryName.includes('\\') ? '\\' : '/';
+  onDiffDirectorySelected = (directoryName) => {
+    const directory = this.state.record.current.directories.find(d => d.directoryName === directoryName);
+
+    if (directory) {
+      this.setState({ view: 'tree', selectedDirectory: { ...directory } }, () => this.saveState());
+    }
+  }
 
   render = () => {
-    const { browseState, browseStatus, browseError, tree, selectedDirectory, username } = this.state;
+    const { browseState, browseStatus, browseError, tree, selectedDirectory, username, record, view, diff, recursiveDownload, history } = this.state;
     const pending = browseState === 'pending';
 
     const emptyTree = !(tree && tree.length > 0);
 
     const directoryName = selectedDirectory.directoryName;
-    const files = (selectedDirectory.files || []).map(f => ({ ...f, filename: `${directoryName}${this.sep(directoryName)}${f.filename}`}));
+    const files = (selectedDirectory.files || []).map(f => ({ ...f, filename: `${directoryName}${sep(directoryName)}${f.filename}`}));
 
     return (
       <div>
@@ -132,9 +235,27 @@ class Browse extends Component {
             disabled={pending}
             className='search-input'
             placeholder="Enter username to browse..."
-            action={!pending && (browseState === 'idle' ? { content: 'Browse', onClick: this.browse } : { content: 'Clear Results', color: 'red', onClick: this.clear })} 
+            action={!pending && (browseState === 'idle' ? { content: 'Browse', disabled: !isOnline(this.context), onClick: () => this.browse() } : { content: 'Clear Results', color: 'red', onClick: this.clear })}
           />
+          {browseState !== 'idle' && username && <UserProfile 
+            username={username} 
+            trigger={<Button size='big' icon='user' content='Profile' className='browse-profile-button'/>}
+          />}
+          {browseState === 'complete' && record && <div className='browse-cache-bar'>
+            <Label basic>Browsed {new Date(record.current.timestamp).toLocaleString()}</Label>
+            <Button size='mini' icon='sync' content='Browse Again' disabled={!isOnline(this.context)} onClick={() => this.browse(username)}/>
+            {record.previous && (view === 'diff' ?
+              <Button size='mini' icon='sitemap' content='Back to Folders' onClick={() => this.setState({ view: 'tree' })}/> :
+              <Button size='mini' icon='exchange' content={`What's New Since ${new Date(record.previous.timestamp).toLocaleDateString()}`} onClick={this.showDiff}/>)}
+          </div>}
         </Segment>
+        {browseState === 'idle' && history.length > 0 && <BrowseHistory
+          users={history}
+          onOpen={(username) => this.open(username)}
+          onRefresh={(username) => this.browse(username)}
+          onDiff={(username) => this.open(username, 'diff')}
+          onRemove={this.removeFromHistory}
+        />}
         {pending ? 
           <Loader 
             className='search-loader'
@@ -149,13 +270,19 @@ class Browse extends Component {
             {browseError ? 
               <span className='browse-error'>Failed to browse {username}</span> :
               <div>
-                {!emptyTree && <Grid className='browse-results'>
+                {view === 'diff' && diff && <BrowseDiff
+                  diff={diff}
+                  previousTimestamp={record.previous.timestamp}
+                  onSelect={this.onDiffDirectorySelected}
+                />}
+                {view === 'tree' && !emptyTree && <Grid className='browse-results'>
                   <Grid.Row className='browse-results-row'>
                     <Card className='browse-folderlist' raised>
                       <DirectoryTree 
                         tree={tree} 
                         selectedDirectoryName={directoryName}
                         onSelect={this.onDirectorySelectionChange}
+                        onDownload={(node) => this.setState({ recursiveDownload: node })}
                       />
                     </Card>
                   </Grid.Row>
@@ -168,6 +295,11 @@ class Browse extends Component {
                     />
                   </Grid.Row>}
                 </Grid>}
+                <RecursiveDownload
+                  username={username}
+                  node={recursiveDownload}
+                  onClose={() => this.setState({ recursiveDownload: undefined })}
+                />
               </div>
             }
         </div>}
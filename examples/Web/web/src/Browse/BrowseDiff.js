@@ -0,0 +1,52 @@
+import React from 'react';
+
+import { getFileName } from '../util';
+
+import {
+  Segment,
+  Header,
+  List,
+  Label
+} from 'semantic-ui-react';
+
+// long lists are cut short; a share reorganization can add or remove thousands of directories at once
+const limit = 250;
+
+const count = (directories) => directories.reduce((total, d) => total + (d.files || []).length, 0);
+
+const Section = ({ title, color, directories, showFiles, onSelect }) => (
+  <div className='browse-diff-section'>
+    <Header size='small'>
+      {title}
+      <Label color={color} size='small'>{directories.length} {directories.length === 1 ? 'directory' : 'directories'}, {count(directories)} files</Label>
+    </Header>
+    {directories.length > 0 && <List>
+      {directories.slice(0, limit).map(d => 
+        <List.Item key={d.directoryName}>
+          <List.Icon name='folder' color={color}/>
+          <List.Content>
+            {onSelect ? 
+              <List.Header as='a' onClick={() => onSelect(d.directoryName)}>{d.directoryName}</List.Header> :
+              <List.Header>{d.directoryName}</List.Header>}
+            {showFiles && <List.Description>
+              {d.files.slice(0, limit).map(f => getFileName(f.filename)).join(', ')}{d.files.length > limit ? ', ...' : ''}
+            </List.Description>}
+          </List.Content>
+        </List.Item>
+      )}
+      {directories.length > limit && <List.Item>and {directories.length - limit} more</List.Item>}
+    </List>}
+  </div>
+);
+
+const BrowseDiff = ({ diff, previousTimestamp, onSelect }) => (
+  <Segment className='browse-results' raised>
+    <Header as='h4'>Changes since {new Date(previousTimestamp).toLocaleString()}</Header>
+    <Section title='Added Directories' color='green' directories={diff.addedDirectories} onSelect={onSelect}/>
+    <Section title='New Files in Existing Directories' color='green' directories={diff.addedFiles} showFiles onSelect={onSelect}/>
+    <Section title='Removed Directories' color='red' directories={diff.removedDirectories}/>
+    <Section title='Files Removed from Existing Directories' color='red' directories={diff.removedFiles} showFiles onSelect={onSelect}/>
+  </Segment>
+);
+
+export default BrowseDiff;
@@ -0,0 +1,43 @@
+import React from 'react';
+
+import {
+  Segment,
+  Table,
+  Button
+} from 'semantic-ui-react';
+
+const BrowseHistory = ({ users, onOpen, onRefresh, onDiff, onRemove }) => (
+  <Segment className='search-segment' raised>
+    <Table compact='very' basic='very'>
+      <Table.Header>
+        <Table.Row>
+          <Table.HeaderCell>Previously Browsed</Table.HeaderCell>
+          <Table.HeaderCell>Directories</Table.HeaderCell>
+          <Table.HeaderCell>Files</Table.HeaderCell>
+          <Table.HeaderCell className='search-history-timestamp'>Last Browsed</Table.HeaderCell>
+          <Table.HeaderCell className='browse-history-actions'></Table.HeaderCell>
+        </Table.Row>
+      </Table.Header>
+      <Table.Body>
+        {users.map(u => 
+          <Table.Row key={u.username}>
+            <Table.Cell>{u.username}</Table.Cell>
+            <Table.Cell>{u.directoryCount}</Table.Cell>
+            <Table.Cell>{u.fileCount}</Table.Cell>
+            <Table.Cell className='search-history-timestamp'>{new Date(u.timestamp).toLocaleString()}</Table.Cell>
+            <Table.Cell className='browse-history-actions' textAlign='right'>
+              <Button.Group size='mini'>
+                <Button icon='folder open' primary title='Open Cached Browse' onClick={() => onOpen(u.username)}/>
+                <Button icon='sync' title='Browse Again' onClick={() => onRefresh(u.username)}/>
+                <Button icon='exchange' title={`What's New${u.previousTimestamp ? '' : ' (browse again to compare)'}`} disabled={!u.previousTimestamp} onClick={() => onDiff(u.username)}/>
+                <Button icon='x' title='Remove' onClick={() => onRemove(u.username)}/>
+              </Button.Group>
+            </Table.Cell>
+          </Table.Row>
+        )}
+      </Table.Body>
+    </Table>
+  </Segment>
+);
+
+export default BrowseHistory;
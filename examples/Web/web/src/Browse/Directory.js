@@ -1,9 +1,12 @@
 import React, { Component } from 'react';
-import api from '../api';
 
 import { formatBytes } from '../util';
+import { enqueueDownload, getDownloadSettings } from '../downloads';
+import { ServerContext, isOnline } from '../server';
+import { notifyError, describeError } from '../notifications';
 
 import FileList from '../Shared/FileList'
+import DestinationPicker from '../Shared/DestinationPicker';
 
 import { 
   Button, 
@@ -18,8 +21,11 @@ const initialState = {
 }
 
 class Directory extends Component {
+  static contextType = ServerContext;
+
   state = { 
     ...initialState,
+    destination: getDownloadSettings().destination,
     files: this.props.files.map(f => ({ selected: false, ...f }))
   }
 
@@ -32,7 +38,10 @@ class Directory extends Component {
     this.setState({ downloadRequest: 'inProgress' }, () => {
       Promise.all(files.map(f => this.downloadOne(username, f)))
       .then(() => this.setState({ downloadRequest: 'complete' }))
-      .catch(err => this.setState({ downloadRequest: 'error', downloadError: err.response }))
+      .catch(err => {
+        notifyError('Download failed', err);
+        this.setState({ downloadRequest: 'error', downloadError: err });
+      })
     });
   }
 
@@ -43,12 +52,12 @@ class Directory extends Component {
   }
 
   downloadOne = (username, file) => {
-    return api.post(`/transfers/downloads/${username}/${encodeURIComponent(file.filename)}`);
+    return enqueueDownload(username, file.filename, { destination: this.state.destination, size: file.size, silent: true });
   }
 
   render = () => {
     let { username, name, marginTop } = this.props;
-    let { files, downloadRequest, downloadError } = this.state;
+    let { files, destination, downloadRequest, downloadError } = this.state;
 
     let selectedFiles = files
       .filter(f => f.selected);
@@ -69,6 +78,12 @@ class Directory extends Component {
         </Card.Content>
         {selectedFiles.length > 0 && <Card.Content extra>
           <span>
+            <DestinationPicker
+              className='download-destination'
+              value={destination}
+              disabled={downloadRequest === 'inProgress'}
+              onChange={(destination) => this.setState({ destination })}
+            />
             <Button 
               color='green' 
               content='Download'
@@ -80,13 +95,13 @@ class Directory extends Component {
               }}
               labelPosition='right'
               onClick={() => this.download(username, selectedFiles)}
-              disabled={downloadRequest === 'inProgress'}
+              disabled={downloadRequest === 'inProgress' || !isOnline(this.context)}
             />
             {downloadRequest === 'inProgress' && <Icon loading name='circle notch' size='large'/>}
             {downloadRequest === 'complete' && <Icon name='checkmark' color='green' size='large'/>}
             {downloadRequest === 'error' && <span>
               <Icon name='x' color='red' size='large'/>
-              <Label>{downloadError.data + ` (HTTP ${downloadError.status} ${downloadError.statusText})`}</Label>
+              <Label>{describeError(downloadError)}</Label>
             </span>}
           </span>
         </Card.Content>}
@@ -1,37 +1,205 @@
-import React from 'react';
+import React, { Component } from 'react';
 
-import { 
-  List
+import { flattenTree, searchTree, getAncestors, getName } from './tree';
+
+import {
+  Icon,
+  Input,
+  Button,
+  Label
 } from 'semantic-ui-react';
 
-const subtree = (root, selectedDirectoryName, onSelect) => {
-  return (root || []).map((d, index) => {
-      const selected = d.directoryName === selectedDirectoryName;
-      return (
-        <List key={index} className='browse-folderlist-list'>
-          <List.Item>
-              <List.Icon 
-                className='browse-folderlist-icon'
-                name={selected ? 'folder open' : 'folder'}
-                color={selected ? 'blue' : 'black'}
-              />
-              <List.Content>
-                  <List.Header 
-                    className='browse-folderlist-header'
-                    onClick={(event) => onSelect(event, d)}
+const rowHeight = 24;
+const viewportHeight = 400;
+const overscan = 10;
+const searchDelay = 250;
+
+const initialState = {
+  expanded: new Set(),
+  scrollTop: 0,
+  searchText: '',
+  search: undefined,
+  matchIndex: -1
+};
+
+// only the rows within the viewport are rendered, so the tree stays responsive with tens of thousands of directories
+class DirectoryTree extends Component {
+  state = { ...initialState, expanded: this.getInitialExpanded() }
+
+  getInitialExpanded() {
+    const { tree, selectedDirectoryName } = this.props;
+    const roots = (tree || []).map(d => d.directoryName);
+
+    return new Set(selectedDirectoryName ? roots.concat(getAncestors(selectedDirectoryName)) : roots);
+  }
+
+  componentDidMount = () => {
+    this.scrollToDirectory(this.props.selectedDirectoryName);
+  }
+
+  componentDidUpdate = (prevProps) => {
+    if (this.props.tree !== prevProps.tree) {
+      this.setState({ ...initialState, expanded: this.getInitialExpanded() }, () => this.scrollTo(0));
+    }
+  }
+
+  componentWillUnmount = () => {
+    clearTimeout(this.searchTimeout);
+  }
+
+  toggle = (directoryName) => {
+    const expanded = new Set(this.state.expanded);
+    expanded.has(directoryName) ? expanded.delete(directoryName) : expanded.add(directoryName);
+    this.setState({ expanded });
+  }
+
+  onSearchTextChange = (event, { value }) => {
+    this.setState({ searchText: value });
+
+    clearTimeout(this.searchTimeout);
+    this.searchTimeout = setTimeout(() => this.search(value), searchDelay);
+  }
+
+  search = (text) => {
+    if (text.trim().length < 2) {
+      this.setState({ search: undefined, matchIndex: -1 });
+      return;
+    }
+
+    const search = searchTree(this.props.tree, text.trim());
+    this.setState({ search, matchIndex: -1 }, () => this.jumpTo(0));
+  }
+
+  clearSearch = () => {
+    clearTimeout(this.searchTimeout);
+
+    // keep the last selection visible once the rest of the tree returns
+    const { selectedDirectoryName } = this.props;
+    const expanded = new Set([...this.state.expanded, ...(selectedDirectoryName ? getAncestors(selectedDirectoryName) : [])]);
+
+    this.setState({ searchText: '', search: undefined, matchIndex: -1, expanded }, () => this.scrollToDirectory(selectedDirectoryName));
+  }
+
+  jumpTo = (index) => {
+    const { search } = this.state;
+
+    if (!search || search.matches.length === 0) {
+      return;
+    }
+
+    const matchIndex = (index + search.matches.length) % search.matches.length;
+    const { node } = search.matches[matchIndex];
+
+    this.setState({ matchIndex }, () => {
+      this.props.onSelect(undefined, node);
+      this.scrollToDirectory(node.directoryName);
+    });
+  }
+
+  getRows = () => {
+    const { tree } = this.props;
+    const { expanded, search } = this.state;
+
+    return search ?
+      flattenTree(tree, (name) => search.visible.has(name)).filter(r => search.visible.has(r.node.directoryName)) :
+      flattenTree(tree, (name) => expanded.has(name));
+  }
+
+  scrollToDirectory = (directoryName) => {
+    const index = this.getRows().findIndex(r => r.node.directoryName === directoryName);
+
+    if (index >= 0) {
+      this.scrollTo(Math.max(0, index * rowHeight - viewportHeight / 2));
+    }
+  }
+
+  scrollTo = (scrollTop) => {
+    if (this.viewport) {
+      this.viewport.scrollTop = scrollTop;
+    }
+
+    this.setState({ scrollTop });
+  }
+
+  render = () => {
+    const { selectedDirectoryName, onSelect, onDownload } = this.props;
+    const { scrollTop, searchText, search, matchIndex } = this.state;
+
+    const rows = this.getRows();
+    const first = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+    const last = Math.min(rows.length, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+
+    const matched = search ? new Set(search.matches.map(m => m.node.directoryName)) : new Set();
+
+    return (
+      <div>
+        <div className='browse-tree-search'>
+          <Input
+            fluid
+            icon={searchText ? { name: 'x', link: true, onClick: this.clearSearch } : 'search'}
+            placeholder='Search folder and file names in this share...'
+            value={searchText}
+            onChange={this.onSearchTextChange}
+            onKeyUp={(event) => event.key === 'Enter' && this.jumpTo(matchIndex + (event.shiftKey ? -1 : 1))}
+          />
+          {search && <span className='browse-tree-search-nav'>
+            <Label basic>
+              {search.matches.length === 0 ? 'No matches' : `${matchIndex + 1} of ${search.matches.length}`}
+            </Label>
+            <Button.Group size='mini'>
+              <Button icon='chevron up' title='Previous Match' disabled={search.matches.length === 0} onClick={() => this.jumpTo(matchIndex - 1)}/>
+              <Button icon='chevron down' title='Next Match' disabled={search.matches.length === 0} onClick={() => this.jumpTo(matchIndex + 1)}/>
+            </Button.Group>
+          </span>}
+        </div>
+        <div
+          className='browse-tree-viewport'
+          style={{ height: viewportHeight }}
+          ref={viewport => this.viewport = viewport}
+          onScroll={(event) => this.setState({ scrollTop: event.target.scrollTop })}
+        >
+          <div style={{ height: rows.length * rowHeight }}>
+            {rows.slice(first, last).map(({ node, depth, expanded, hasChildren }, i) => {
+              const selected = node.directoryName === selectedDirectoryName;
+
+              return (
+                <div
+                  key={node.directoryName}
+                  className='browse-tree-row'
+                  style={{ top: (first + i) * rowHeight, height: rowHeight, paddingLeft: depth * 18 }}
+                >
+                  <Icon
+                    className='browse-tree-toggle'
+                    name={expanded ? 'caret down' : 'caret right'}
+                    style={{ visibility: hasChildren && !search ? 'visible' : 'hidden' }}
+                    onClick={() => this.toggle(node.directoryName)}
+                  />
+                  <Icon
+                    name={selected ? 'folder open' : 'folder'}
+                    color={selected ? 'blue' : 'black'}
+                  />
+                  <span
+                    className={`browse-folderlist-header${matched.has(node.directoryName) ? ' browse-tree-match' : ''}`}
+                    onClick={(event) => onSelect(event, node)}
+                    onDoubleClick={() => hasChildren && !search && this.toggle(node.directoryName)}
                     style={{ color: selected ? '#0E6EB8' : 'black' }}
                   >
-                    {d.directoryName.split('\\').pop().split('/').pop()}
-                  </List.Header>
-                  <List.List>
-                      {subtree(d.children, selectedDirectoryName, onSelect)}
-                  </List.List>
-              </List.Content>
-          </List.Item>
-      </List>)
-    })
+                    {getName(node.directoryName)}
+                  </span>
+                  {onDownload && <Icon
+                    className='browse-tree-download'
+                    name='download'
+                    title='Download this folder and its subfolders'
+                    onClick={() => onDownload(node)}
+                  />}
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    );
+  }
 }
 
-const DirectoryTree = ({ tree, selectedDirectoryName, onSelect }) => subtree(tree, selectedDirectoryName, onSelect);
-
-export default DirectoryTree;
\ No newline at end of file
+export default DirectoryTree;
@@ -0,0 +1,192 @@
+import React, { Component } from 'react';
+
+import { formatBytes, getFileName } from '../util';
+import { enqueueDownload, getDownloadSettings } from '../downloads';
+import { ServerContext, isOnline } from '../server';
+import { sep } from './tree';
+
+import DestinationPicker from '../Shared/DestinationPicker';
+
+import {
+  Modal,
+  Table,
+  Checkbox,
+  Button,
+  Progress,
+  Label,
+  Icon
+} from 'semantic-ui-react';
+
+// limits the number of enqueue requests in flight; each one waits on the remote user
+const concurrency = 5;
+
+const getExtension = (filename) => {
+  const name = getFileName(filename);
+  return name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+}
+
+// collects the files of the directory and all of its descendants, qualifying each filename with its directory
+export const collectFiles = (node) => {
+  const files = [];
+  const stack = [node];
+
+  while (stack.length > 0) {
+    const directory = stack.pop();
+    const separator = sep(directory.directoryName);
+
+    (directory.files || []).forEach(f => files.push({ ...f, filename: `${directory.directoryName}${separator}${getFileName(f.filename)}` }));
+    (directory.children || []).forEach(c => stack.push(c));
+  }
+
+  return files;
+}
+
+const initialState = {
+  files: [],
+  excluded: new Set(),
+  destination: '',
+  downloadState: undefined,
+  completed: 0,
+  failed: []
+};
+
+class RecursiveDownload extends Component {
+  static contextType = ServerContext;
+
+  state = initialState;
+
+  componentDidUpdate = (prevProps) => {
+    if (this.props.node && this.props.node !== prevProps.node) {
+      this.setState({ ...initialState, files: collectFiles(this.props.node), destination: getDownloadSettings().destination });
+    }
+  }
+
+  toggleExtension = (extension, included) => {
+    const excluded = new Set(this.state.excluded);
+    included ? excluded.delete(extension) : excluded.add(extension);
+    this.setState({ excluded });
+  }
+
+  getIncludedFiles = () => this.state.files.filter(f => !this.state.excluded.has(getExtension(f.filename)));
+
+  download = () => {
+    const { username } = this.props;
+    const { destination } = this.state;
+    const queue = [...this.getIncludedFiles()];
+
+    const next = async () => {
+      while (queue.length > 0) {
+        const file = queue.shift();
+
+        try {
+          await enqueueDownload(username, file.filename, { destination, size: file.size, silent: true });
+          this.setState(state => ({ completed: state.completed + 1 }));
+        } catch (err) {
+          this.setState(state => ({ completed: state.completed + 1, failed: state.failed.concat(file) }));
+        }
+      }
+    }
+
+    this.setState({ downloadState: 'inProgress', completed: 0, failed: [] }, () => {
+      Promise.all(Array.from({ length: concurrency }, next))
+        .then(() => this.setState({ downloadState: 'complete' }));
+    });
+  }
+
+  render = () => {
+    const { node, onClose } = this.props;
+    const { files, excluded, destination, downloadState, completed, failed } = this.state;
+
+    if (!node) {
+      return null;
+    }
+
+    const extensions = Object.entries(files.reduce((acc, f) => {
+      const extension = getExtension(f.filename);
+      const entry = acc[extension] || { count: 0, size: 0 };
+      acc[extension] = { count: entry.count + 1, size: entry.size + f.size };
+      return acc;
+    }, {})).sort((a, b) => b[1].count - a[1].count);
+
+    const included = this.getIncludedFiles();
+    const includedSize = included.reduce((total, f) => total + f.size, 0);
+    const inProgress = downloadState === 'inProgress';
+
+    return (
+      <Modal open={!!node} onClose={() => !inProgress && onClose()} size='small'>
+        <Modal.Header>
+          <Icon name='folder'/>Download {node.directoryName.split(/[\\/]/).pop()} Recursively
+        </Modal.Header>
+        <Modal.Content scrolling>
+          <p>
+            {files.length} file{files.length === 1 ? '' : 's'} ({formatBytes(files.reduce((total, f) => total + f.size, 0))}) in this folder and its subfolders.
+          </p>
+          <Table compact='very' basic='very'>
+            <Table.Header>
+              <Table.Row>
+                <Table.HeaderCell className='filelist-selector'/>
+                <Table.HeaderCell>Extension</Table.HeaderCell>
+                <Table.HeaderCell>Files</Table.HeaderCell>
+                <Table.HeaderCell>Size</Table.HeaderCell>
+              </Table.Row>
+            </Table.Header>
+            <Table.Body>
+              {extensions.map(([extension, { count, size }]) =>
+                <Table.Row key={extension} disabled={excluded.has(extension)}>
+                  <Table.Cell className='filelist-selector'>
+                    <Checkbox
+                      fitted
+                      disabled={inProgress || downloadState === 'complete'}
+                      checked={!excluded.has(extension)}
+                      onChange={(event, { checked }) => this.toggleExtension(extension, checked)}
+                    />
+                  </Table.Cell>
+                  <Table.Cell>{extension ? `.${extension}` : '(none)'}</Table.Cell>
+                  <Table.Cell>{count}</Table.Cell>
+                  <Table.Cell>{formatBytes(size)}</Table.Cell>
+                </Table.Row>
+              )}
+            </Table.Body>
+          </Table>
+          {downloadState && <Progress
+            value={completed}
+            total={included.length}
+            progress='ratio'
+            color={failed.length > 0 ? 'yellow' : 'green'}
+            active={inProgress}
+          >
+            {inProgress ? 'Enqueueing...' : `Enqueued ${completed - failed.length} of ${included.length} files`}
+          </Progress>}
+          {failed.length > 0 && <Label basic color='red'>
+            {failed.length} file{failed.length === 1 ? '' : 's'} could not be enqueued: {failed.slice(0, 5).map(f => getFileName(f.filename)).join(', ')}{failed.length > 5 ? ', ...' : ''}
+          </Label>}
+        </Modal.Content>
+        <Modal.Actions>
+          <Button content='Close' disabled={inProgress} onClick={onClose}/>
+          <DestinationPicker
+            className='download-destination'
+            value={destination}
+            disabled={inProgress || downloadState === 'complete'}
+            onChange={(destination) => this.setState({ destination })}
+          />
+          <Button
+            color='green'
+            content='Download'
+            icon='download'
+            label={{
+              as: 'a',
+              basic: false,
+              content: `${included.length} file${included.length === 1 ? '' : 's'}, ${formatBytes(includedSize)}`
+            }}
+            labelPosition='right'
+            loading={inProgress}
+            disabled={included.length === 0 || inProgress || downloadState === 'complete' || !isOnline(this.context)}
+            onClick={this.download}
+          />
+        </Modal.Actions>
+      </Modal>
+    );
+  }
+}
+
+export default RecursiveDownload;
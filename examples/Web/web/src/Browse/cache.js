@@ -0,0 +1,86 @@
+// browse responses can be tens of megabytes, far beyond the localStorage quota, so they're kept in IndexedDB.
+// each user has a record holding the latest and the previous response, and a small summary record so that
+// the list of previously browsed users can be shown without loading every response.
+const databaseName = 'soulseek-example-browse';
+const responseStore = 'responses';
+const summaryStore = 'summaries';
+
+let database;
+
+const open = () => {
+  if (!database) {
+    database = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(databaseName, 1);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(responseStore, { keyPath: 'username' });
+        request.result.createObjectStore(summaryStore, { keyPath: 'username' });
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        database = undefined;
+        reject(request.error);
+      };
+    });
+  }
+
+  return database;
+}
+
+const transact = async (stores, mode, action) => {
+  const db = await open();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(stores, mode);
+    const result = action(transaction);
+
+    transaction.oncomplete = () => resolve(result && result.request ? result.request.result : result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+const summarize = (directories) => ({
+  directoryCount: directories.length,
+  fileCount: directories.reduce((total, d) => total + (d.files || []).length, 0)
+});
+
+// resolves { username, current: { timestamp, directories }, previous: { timestamp, directories } | undefined } or undefined
+export const getBrowse = (username) =>
+  transact(responseStore, 'readonly', (t) => ({ request: t.objectStore(responseStore).get(username) }));
+
+// resolves the summaries of all cached browses, most recent first
+export const getBrowsedUsers = () =>
+  transact(summaryStore, 'readonly', (t) => ({ request: t.objectStore(summaryStore).getAll() }))
+    .then(summaries => summaries.sort((a, b) => b.timestamp - a.timestamp));
+
+// stores the response as the user's current browse, keeping the one it replaces for comparison
+export const saveBrowse = async (username, directories) => {
+  const existing = await getBrowse(username);
+  const timestamp = Date.now();
+
+  const record = {
+    username,
+    current: { timestamp, directories },
+    previous: existing ? existing.current : undefined
+  };
+
+  await transact([responseStore, summaryStore], 'readwrite', (t) => {
+    t.objectStore(responseStore).put(record);
+    t.objectStore(summaryStore).put({
+      username,
+      timestamp,
+      previousTimestamp: record.previous ? record.previous.timestamp : undefined,
+      ...summarize(directories)
+    });
+  });
+
+  return record;
+}
+
+export const removeBrowse = (username) =>
+  transact([responseStore, summaryStore], 'readwrite', (t) => {
+    t.objectStore(responseStore).delete(username);
+    t.objectStore(summaryStore).delete(username);
+  });
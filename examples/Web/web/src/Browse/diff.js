@@ -0,0 +1,23 @@
+import { getFileName } from '../util';
+
+const index = (directories) => 
+  new Map(directories.map(d => [d.directoryName, new Set((d.files || []).map(f => getFileName(f.filename)))]));
+
+// files within directories present in both browses that exist only in the first
+const fileDifference = (directories, other) => directories
+  .filter(d => other.has(d.directoryName))
+  .map(d => ({ ...d, files: (d.files || []).filter(f => !other.get(d.directoryName).has(getFileName(f.filename))) }))
+  .filter(d => d.files.length > 0);
+
+// compares two browse responses, returning the directories and files added to and removed from the share
+export const diffBrowse = (previous, current) => {
+  const before = index(previous);
+  const after = index(current);
+
+  return {
+    addedDirectories: current.filter(d => !before.has(d.directoryName)),
+    removedDirectories: previous.filter(d => !after.has(d.directoryName)),
+    addedFiles: fileDifference(current, before),
+    removedFiles: fileDifference(previous, after)
+  };
+}
@@ -0,0 +1,113 @@
+import { getFileName } from '../util';
+
+export const sep = (directoryName) => directoryName.includes('\\') ? '\\' : '/';
+
+export const getName = (directoryName) => directoryName.split('\\').pop().split('/').pop();
+
+const byName = (a, b) => getName(a.directoryName).localeCompare(getName(b.directoryName));
+
+const sortTree = (nodes) => {
+  nodes.sort(byName);
+  nodes.forEach(n => sortTree(n.children));
+  return nodes;
+}
+
+// builds the directory hierarchy in a single pass by indexing directories by name. intermediate directories
+// that aren't part of the response (e.g. a share root with no files of its own) are created empty so that
+// nothing below them is dropped.
+export const buildTree = (directories) => {
+  if (directories.length === 0 || directories[0].directoryName === undefined) {
+    return [];
+  }
+
+  const separator = sep(directories[0].directoryName);
+  const depth = directories.reduce((min, d) => Math.min(min, d.directoryName.split(separator).length), Infinity);
+
+  const nodes = new Map();
+  const roots = [];
+
+  const getNode = (directoryName) => {
+    let node = nodes.get(directoryName);
+
+    if (!node) {
+      node = { directoryName, files: [], children: [] };
+      nodes.set(directoryName, node);
+
+      const parts = directoryName.split(separator);
+
+      if (parts.length <= depth) {
+        roots.push(node);
+      } else {
+        getNode(parts.slice(0, -1).join(separator)).children.push(node);
+      }
+    }
+
+    return node;
+  }
+
+  directories.forEach(d => {
+    const node = getNode(d.directoryName);
+    Object.assign(node, d, { children: node.children });
+  });
+
+  return sortTree(roots);
+}
+
+// returns the names of all of the ancestors of the given directory, nearest last
+export const getAncestors = (directoryName) => {
+  const separator = sep(directoryName);
+  const parts = directoryName.split(separator);
+
+  return parts.slice(1, -1).reduce((list, part) => list.concat(`${list[list.length - 1]}${separator}${part}`), [parts[0]]);
+}
+
+// flattens the visible portion of the tree into rows, descending only into expanded directories
+export const flattenTree = (tree, isExpanded) => {
+  const rows = [];
+  const stack = (tree || []).map(node => ({ node, depth: 0 })).reverse();
+
+  while (stack.length > 0) {
+    const { node, depth } = stack.pop();
+    const expanded = isExpanded(node.directoryName);
+
+    rows.push({ node, depth, expanded, hasChildren: node.children.length > 0 });
+
+    if (expanded) {
+      for (let i = node.children.length - 1; i >= 0; i--) {
+        stack.push({ node: node.children[i], depth: depth + 1 });
+      }
+    }
+  }
+
+  return rows;
+}
+
+// finds the directories whose name, or the name of any of their files, contains the given text. returns the matches
+// in tree order along with the set of directories that must be visible (matches and their ancestors) to reach them.
+export const searchTree = (tree, text) => {
+  const term = text.toLowerCase();
+  const matches = [];
+  const visible = new Set();
+
+  const visit = (node) => {
+    const nameMatch = getName(node.directoryName).toLowerCase().includes(term);
+    const fileMatches = (node.files || []).filter(f => getFileName(f.filename).toLowerCase().includes(term)).length;
+
+    if (nameMatch || fileMatches > 0) {
+      matches.push({ node, nameMatch, fileMatches });
+    }
+
+    const descendantMatch = node.children.reduce((any, child) => visit(child) || any, false);
+    const match = nameMatch || fileMatches > 0 || descendantMatch;
+
+    if (match) {
+      visible.add(node.directoryName);
+    }
+
+    return match;
+  }
+
+  (tree || []).forEach(visit);
+
+  return { matches, visible };
+}
@@ -0,0 +1,418 @@
+import React, { Component } from 'react';
+import api from '../api';
+import { formatBytes, formatSeconds, getFileName } from '../util';
+import { enqueueDownload, getDownloadSettings } from '../downloads';
+import { ServerContext, isOnline } from '../server';
+import { describeError } from '../notifications';
+import { parseTracklist } from './tracklist';
+import { rankings, defaultRankingOptions, rankCandidates } from './ranking';
+
+import DestinationPicker from '../Shared/DestinationPicker';
+
+import {
+    Segment,
+    Header,
+    Form,
+    Button,
+    Table,
+    Checkbox,
+    Dropdown,
+    Icon,
+    Label,
+    Progress
+} from 'semantic-ui-react';
+
+const storageKey = 'soulseek-example-import-state';
+
+// each row keeps only its best few candidates, which is plenty to choose from and keeps the saved state small
+const candidateLimit = 10;
+
+const getSearchToken = () => Math.floor(Math.random() * 2147483647);
+
+const toOption = (candidate, index) => ({
+    key: index,
+    value: index,
+    text: getFileName(candidate.file.filename),
+    description: [
+        candidate.file.bitRate ? `${candidate.file.bitRate} kbps` : candidate.extension,
+        formatBytes(candidate.file.size),
+        candidate.username,
+        candidate.freeUploadSlots > 0 ? 'free slot' : `queue ${candidate.queueLength}`
+    ].join(', ')
+});
+
+const statusLabels = {
+    queued: { color: undefined, text: 'Queued' },
+    searching: { color: 'blue', text: 'Searching' },
+    found: { color: 'green', text: 'Found' },
+    notFound: { color: 'yellow', text: 'No match' },
+    error: { color: 'red', text: 'Failed' }
+};
+
+const initialState = {
+    text: '',
+    filename: undefined,
+    options: defaultRankingOptions,
+    delay: '5',
+    destination: getDownloadSettings().destination,
+    rows: [],
+    running: false,
+    enqueueing: false
+};
+
+const loadState = () => {
+    const saved = JSON.parse(localStorage.getItem(storageKey) || '{}');
+
+    // searches don't survive leaving the page, so anything that was underway has to be searched again
+    const rows = (saved.rows || []).map(r => r.status === 'searching' ? { ...r, status: 'queued' } : r);
+
+    return { ...initialState, ...saved, rows, running: false, enqueueing: false };
+}
+
+class Import extends Component {
+    static contextType = ServerContext;
+
+    state = loadState();
+
+    // the full responses for rows searched since the page was opened, so that changing the ranking can pick again
+    responses = new Map();
+
+    componentDidUpdate = () => {
+        const { text, filename, options, delay, destination, rows } = this.state;
+        localStorage.setItem(storageKey, JSON.stringify({ text, filename, options, delay, destination, rows }));
+    }
+
+    componentWillUnmount = () => {
+        this.unmounted = true;
+        clearTimeout(this.timeout);
+
+        if (this.searchToken) {
+            api.delete(`/searches/${this.searchToken}`).catch(() => {});
+        }
+    }
+
+    readFile = (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+
+        if (!file) {
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => this.setState({ text: reader.result, filename: file.name });
+        reader.readAsText(file);
+    }
+
+    load = (tracks) => {
+        this.responses.clear();
+        this.setState({
+            rows: tracks.map((track, index) => ({ id: index, track, status: 'queued', candidates: [], selected: undefined, approved: false }))
+        });
+    }
+
+    // enqueueing carries on after leaving the page, there's just nothing left to show it on
+    updateRow = (id, update) => {
+        if (this.unmounted) {
+            return;
+        }
+
+        this.setState({ rows: this.state.rows.map(r => r.id === id ? { ...r, ...update } : r) });
+    }
+
+    rank = (row, responses) => {
+        const candidates = rankCandidates(row.track, responses, this.state.options).slice(0, candidateLimit);
+
+        return candidates.length === 0 ?
+            { status: 'notFound', candidates, selected: undefined, approved: false } :
+            { status: 'found', candidates, selected: 0, approved: true };
+    }
+
+    setOptions = (update) => {
+        const options = { ...this.state.options, ...update };
+
+        // rows that were searched while the page has been open can be ranked again without searching again
+        this.setState({ options }, () => this.setState({
+            rows: this.state.rows.map(r => this.responses.has(r.id) && !r.enqueueState ? { ...r, ...this.rank(r, this.responses.get(r.id)) } : r)
+        }));
+    }
+
+    // searches one row at a time, pausing between searches so the server doesn't see a flood of them.
+    // each run is numbered so that a search still pending when the run was stopped doesn't carry on with it.
+    run = 0;
+
+    start = () => {
+        const run = ++this.run;
+        this.setState({ running: true }, () => this.next(run));
+    }
+
+    next = (run) => {
+        const row = this.state.rows.find(r => r.status === 'queued');
+
+        if (this.unmounted || run !== this.run) {
+            return;
+        }
+
+        if (!row || !this.state.running) {
+            this.setState({ running: false });
+            return;
+        }
+
+        const token = getSearchToken();
+        this.searchToken = token;
+        this.updateRow(row.id, { status: 'searching' });
+
+        api.post('/searches', { searchText: row.track.query, token }, { silent: true })
+        .then(response => {
+            this.responses.set(row.id, response.data);
+            this.updateRow(row.id, this.rank(row, response.data));
+        })
+        .catch(() => this.updateRow(row.id, { status: 'error' }))
+        .then(() => {
+            if (this.searchToken === token) {
+                this.searchToken = undefined;
+            }
+
+            if (run === this.run) {
+                this.timeout = setTimeout(() => this.next(run), (Number(this.state.delay) || 0) * 1000);
+            }
+        });
+    }
+
+    // the pending search completes with whatever it has found so far
+    stop = () => {
+        this.run++;
+        clearTimeout(this.timeout);
+
+        if (this.searchToken) {
+            api.delete(`/searches/${this.searchToken}`).catch(() => {});
+        }
+
+        this.setState({ running: false });
+    }
+
+    retry = (row) => {
+        this.updateRow(row.id, { status: 'queued', candidates: [], selected: undefined, approved: false, enqueueState: undefined });
+    }
+
+    setAllApproved = (approved) => {
+        this.setState({ rows: this.state.rows.map(r => r.selected !== undefined && !r.enqueueState ? { ...r, approved } : r) });
+    }
+
+    enqueue = () => {
+        const { destination } = this.state;
+
+        this.setState({ enqueueing: true }, async () => {
+            for (const row of this.state.rows.filter(r => r.approved && r.selected !== undefined && r.enqueueState !== 'complete')) {
+                const { username, file } = row.candidates[row.selected];
+
+                this.updateRow(row.id, { enqueueState: 'pending', enqueueError: undefined });
+
+                try {
+                    await enqueueDownload(username, file.filename, { destination, size: file.size, silent: true });
+                    this.updateRow(row.id, { enqueueState: 'complete' });
+                } catch (err) {
+                    this.updateRow(row.id, { enqueueState: 'error', enqueueError: describeError(err) });
+                }
+            }
+
+            !this.unmounted && this.setState({ enqueueing: false });
+        });
+    }
+
+    clear = () => {
+        this.responses.clear();
+        this.setState({ rows: [] });
+    }
+
+    renderRow = (row, index) => {
+        const { running, enqueueing } = this.state;
+        const status = statusLabels[row.status];
+        const candidate = row.selected !== undefined ? row.candidates[row.selected] : undefined;
+        const locked = enqueueing || !!row.enqueueState;
+
+        return (
+            <Table.Row key={row.id} disabled={row.enqueueState === 'complete'}>
+                <Table.Cell>
+                    <Checkbox
+                        checked={row.approved}
+                        disabled={!candidate || locked}
+                        onChange={(event, { checked }) => this.updateRow(row.id, { approved: checked })}
+                    />
+                </Table.Cell>
+                <Table.Cell>{index + 1}</Table.Cell>
+                <Table.Cell>
+                    {row.track.artist && <div className='import-artist'>{row.track.artist}</div>}
+                    {row.track.title}
+                    {row.track.length && <span className='import-length'> ({formatSeconds(row.track.length)})</span>}
+                </Table.Cell>
+                <Table.Cell>
+                    <Label size='small' color={status.color}>
+                        {row.status === 'searching' && <Icon loading name='circle notch'/>}{status.text}
+                    </Label>
+                </Table.Cell>
+                <Table.Cell>
+                    {row.candidates.length > 0 && <Dropdown
+                        className='import-candidate'
+                        selection
+                        fluid
+                        disabled={locked}
+                        options={row.candidates.map(toOption)}
+                        value={row.selected}
+                        onChange={(event, { value }) => this.updateRow(row.id, { selected: value })}
+                    />}
+                </Table.Cell>
+                <Table.Cell>{candidate && formatSeconds(candidate.file.length)}</Table.Cell>
+                <Table.Cell>{candidate && formatBytes(candidate.file.size)}</Table.Cell>
+                <Table.Cell>
+                    {row.enqueueState === 'pending' && <Icon loading name='circle notch'/>}
+                    {row.enqueueState === 'complete' && <Icon name='checkmark' color='green'/>}
+                    {row.enqueueState === 'error' && <Icon name='x' color='red' title={row.enqueueError}/>}
+                    {(row.status === 'notFound' || row.status === 'error' || row.enqueueState === 'error') &&
+                        <Button size='mini' basic icon='redo' title='Search again' disabled={running || enqueueing} onClick={() => this.retry(row)}/>}
+                </Table.Cell>
+            </Table.Row>
+        );
+    }
+
+    render = () => {
+        const { text, filename, options, delay, destination, rows, running, enqueueing } = this.state;
+        const online = isOnline(this.context);
+        const tracks = parseTracklist(text, filename);
+
+        const searched = rows.filter(r => r.status !== 'queued' && r.status !== 'searching').length;
+        const found = rows.filter(r => r.status === 'found').length;
+        const approved = rows.filter(r => r.approved && r.enqueueState !== 'complete').length;
+        const enqueued = rows.filter(r => r.enqueueState === 'complete').length;
+
+        return (
+            <Segment className='settings-segment' raised>
+                <Header as='h3'>
+                    <Icon name='list ol'/>
+                    <Header.Content>Import a Tracklist</Header.Content>
+                </Header>
+                <Form>
+                    <Form.TextArea
+                        className='import-text'
+                        placeholder={'One track per line, e.g. "Artist - Title", or upload a CSV or M3U file'}
+                        value={text}
+                        disabled={running}
+                        onChange={(event, { value }) => this.setState({ text: value, filename: undefined })}
+                    />
+                    <input ref={input => this.fileInput = input} type='file' accept='.txt,.csv,.tsv,.m3u,.m3u8' hidden onChange={this.readFile}/>
+                    <Button icon='upload' content='Upload File' disabled={running} onClick={() => this.fileInput.click()}/>
+                    <Button
+                        primary
+                        icon='list'
+                        content={`Load ${tracks.length} Track${tracks.length === 1 ? '' : 's'}`}
+                        disabled={running || enqueueing || tracks.length === 0}
+                        onClick={() => this.load(tracks)}
+                    />
+                    {filename && <Label basic><Icon name='file'/>{filename}</Label>}
+                    <Header as='h4'>Choosing a Match</Header>
+                    <Form.Group widths='equal'>
+                        <Form.Dropdown
+                            label='Prefer'
+                            selection
+                            options={rankings}
+                            value={options.ranking}
+                            onChange={(event, { value }) => this.setOptions({ ranking: value })}
+                        />
+                        <Form.Input
+                            label='Extensions'
+                            placeholder='Any'
+                            value={options.extensions}
+                            onChange={(event, { value }) => this.setOptions({ extensions: value })}
+                        />
+                        <Form.Input
+                            label='Minimum bit rate (lossy files)'
+                            type='number'
+                            placeholder='Any'
+                            value={options.minBitRate}
+                            onChange={(event, { value }) => this.setOptions({ minBitRate: value })}
+                        />
+                        <Form.Input
+                            label='Seconds between searches'
+                            type='number'
+                            min={0}
+                            value={delay}
+                            onChange={(event, { value }) => this.setState({ delay: value })}
+                        />
+                    </Form.Group>
+                    <Form.Checkbox
+                        label='Only from users with a free upload slot'
+                        checked={options.requireFreeSlot}
+                        onChange={(event, { checked }) => this.setOptions({ requireFreeSlot: checked })}
+                    />
+                    <div className='settings-hint'>
+                        Files must contain every word of the title in their name.  Matches by artist and length rank first, then by the preference above.
+                    </div>
+                </Form>
+                {rows.length > 0 && <>
+                    <div className='import-actions'>
+                        {running ?
+                            <Button negative icon='stop' content='Stop' onClick={this.stop}/> :
+                            <Button
+                                primary
+                                icon='search'
+                                content={searched === 0 ? 'Search All' : 'Resume'}
+                                disabled={enqueueing || !online || !rows.some(r => r.status === 'queued')}
+                                onClick={this.start}
+                            />}
+                        <Progress
+                            className='import-progress'
+                            size='small'
+                            value={searched}
+                            total={rows.length}
+                            progress='ratio'
+                            active={running}
+                            label={`${found} found, ${enqueued} enqueued`}
+                        />
+                        <Button basic content='Clear' disabled={running || enqueueing} onClick={this.clear}/>
+                    </div>
+                    <Table compact='very' className='import-table'>
+                        <Table.Header>
+                            <Table.Row>
+                                <Table.HeaderCell>
+                                    <Checkbox
+                                        checked={approved > 0 && rows.every(r => r.approved || r.selected === undefined || !!r.enqueueState)}
+                                        disabled={enqueueing}
+                                        onChange={(event, { checked }) => this.setAllApproved(checked)}
+                                    />
+                                </Table.HeaderCell>
+                                <Table.HeaderCell>#</Table.HeaderCell>
+                                <Table.HeaderCell>Track</Table.HeaderCell>
+                                <Table.HeaderCell>Status</Table.HeaderCell>
+                                <Table.HeaderCell>File</Table.HeaderCell>
+                                <Table.HeaderCell>Length</Table.HeaderCell>
+                                <Table.HeaderCell>Size</Table.HeaderCell>
+                                <Table.HeaderCell/>
+                            </Table.Row>
+                        </Table.Header>
+                        <Table.Body>
+                            {rows.map(this.renderRow)}
+                        </Table.Body>
+                    </Table>
+                    <div className='import-actions'>
+                        <DestinationPicker
+                            className='download-destination'
+                            value={destination}
+                            disabled={enqueueing}
+                            onChange={(destination) => this.setState({ destination })}
+                        />
+                        <Button
+                            color='green'
+                            icon='download'
+                            content={`Download ${approved} Approved`}
+                            loading={enqueueing}
+                            disabled={enqueueing || approved === 0 || !online}
+                            onClick={this.enqueue}
+                        />
+                    </div>
+                </>}
+            </Segment>
+        );
+    }
+}
+
+export default Import;
@@ -0,0 +1,73 @@
+import { getFileName } from '../util';
+import { getLikelyFastestScore } from '../Search/Search';
+
+const lossless = ['flac', 'alac', 'ape', 'wav', 'aiff', 'wv'];
+const lengthTolerance = 10;
+
+export const rankings = [
+    { key: 'quality', text: 'Best quality (lossless, then highest bit rate)', value: 'quality' },
+    { key: 'speed', text: 'Fastest download (free slot, speed and queue)', value: 'speed' }
+];
+
+export const defaultRankingOptions = {
+    ranking: 'quality',
+    extensions: 'flac, mp3',
+    minBitRate: '',
+    requireFreeSlot: false
+};
+
+const words = (text) => text.toLowerCase().split(/[^a-z0-9\u00c0-\u024f]+/).filter(w => w !== '');
+
+const getExtension = (file) =>
+    (file.extension || getFileName(file.filename).split('.').pop() || '').toLowerCase().replace(/^\./, '');
+
+const compare = (...comparers) => (a, b) => comparers.reduce((result, c) => result !== 0 ? result : c(a, b), 0);
+const descending = (value) => (a, b) => value(b) - value(a);
+
+const quality = (c) => (lossless.includes(c.extension) ? 100000 : 0) + (c.file.bitRate || 0);
+
+// files whose name doesn't contain every word of the title are assumed to be something else.  the artist is usually
+// in a directory name rather than the file name, so it only counts in a file's favor, as does a length close to the tracklist's.
+const relevance = (track, file) => {
+    const path = words(file.filename).join(' ');
+    const name = words(getFileName(file.filename)).join(' ');
+
+    if (!words(track.title).every(w => name.includes(w))) {
+        return undefined;
+    }
+
+    const artistMatches = words(track.artist).every(w => path.includes(w));
+    const lengthMatches = !track.length || !file.length || Math.abs(track.length - file.length) <= lengthTolerance;
+
+    return (artistMatches ? 1 : 0) + (lengthMatches ? 1 : 0);
+}
+
+// returns the files of the given search responses that could be the given track, best first
+export const rankCandidates = (track, responses, options) => {
+    const extensions = options.extensions.split(',').map(e => e.trim().toLowerCase().replace(/^\./, '')).filter(e => e !== '');
+    const minBitRate = Number(options.minBitRate) || 0;
+
+    const candidates = responses
+        .filter(r => !options.requireFreeSlot || r.freeUploadSlots > 0)
+        .reduce((list, response) => list.concat(response.files.map(file => ({
+            username: response.username,
+            freeUploadSlots: response.freeUploadSlots,
+            uploadSpeed: response.uploadSpeed,
+            queueLength: response.queueLength,
+            speed: getLikelyFastestScore(response),
+            extension: getExtension(file),
+            relevance: relevance(track, file),
+            file
+        }))), [])
+        .filter(c => c.relevance !== undefined)
+        .filter(c => extensions.length === 0 || extensions.includes(c.extension))
+        .filter(c => minBitRate === 0 || lossless.includes(c.extension) || (c.file.bitRate || 0) >= minBitRate);
+
+    const byQuality = descending(quality);
+    const bySpeed = descending(c => c.speed);
+    const byRelevance = descending(c => c.relevance);
+
+    return candidates.sort(options.ranking === 'speed' ?
+        compare(byRelevance, bySpeed, byQuality) :
+        compare(byRelevance, byQuality, bySpeed));
+}
@@ -0,0 +1,106 @@
+// turns a pasted or uploaded tracklist into one entry per track. three formats are understood:
+// plain text with one 'Artist - Title' per line, CSV with artist and title columns (or a single track column),
+// and M3U playlists, whose #EXTINF lines carry the track name and length.
+
+const separator = /\s+[-–—]\s+/;
+
+const splitTrack = (text) => {
+    const clean = text.replace(/^\s*\d+[.)]\s+/, '').trim();
+    const parts = clean.split(separator);
+
+    return parts.length > 1 ?
+        { artist: parts[0].trim(), title: parts.slice(1).join(' - ').trim() } :
+        { artist: '', title: clean };
+}
+
+// punctuation only narrows a search, and a leading '-' would exclude the word that follows it
+const toQuery = (...parts) => parts.join(' ').replace(/[^\w\u00c0-\u024f']+/g, ' ').trim();
+
+const toTrack = ({ artist, title, length }) => ({ artist, title, length, query: toQuery(artist, title) });
+
+// splits a line of CSV, honoring double quoted fields and doubled quotes within them
+const splitCsvLine = (line, delimiter) => {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+
+        if (quoted) {
+            if (c === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === delimiter) {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+
+    return fields.concat(field.trim());
+}
+
+const parseM3u = (lines) => {
+    return lines.reduce(({ tracks, info }, line) => {
+        if (line.startsWith('#EXTINF:')) {
+            const [length, ...name] = line.substring(8).split(',');
+            return { tracks, info: { length: parseInt(length, 10) > 0 ? parseInt(length, 10) : undefined, name: name.join(',') } };
+        }
+
+        if (line.startsWith('#')) {
+            return { tracks, info };
+        }
+
+        // without an #EXTINF line the file name is the best guess at the track
+        const name = info ? info.name : line.split(/[\\/]/).pop().replace(/\.[^.]+$/, '');
+        return { tracks: tracks.concat(toTrack({ ...splitTrack(name), length: info && info.length })), info: undefined };
+    }, { tracks: [], info: undefined }).tracks;
+}
+
+const parseCsv = (lines) => {
+    const delimiter = [',', ';', '\t'].reduce((best, d) => lines[0].split(d).length > lines[0].split(best).length ? d : best, ',');
+    const header = splitCsvLine(lines[0], delimiter).map(h => h.toLowerCase());
+
+    const find = (...names) => header.findIndex(h => names.includes(h));
+    const artist = find('artist', 'artist name', 'artist name(s)', 'artists');
+    const title = find('title', 'track', 'track name', 'name', 'song');
+
+    // without a recognizable header the first two columns are taken to be the artist and title
+    const hasHeader = title >= 0;
+    const columns = hasHeader ? { artist, title } : { artist: 0, title: 1 };
+
+    return lines.slice(hasHeader ? 1 : 0).map(line => {
+        const fields = splitCsvLine(line, delimiter);
+        const track = columns.artist >= 0 ?
+            { artist: fields[columns.artist] || '', title: fields[columns.title] || '' } :
+            splitTrack(fields[columns.title] || '');
+
+        return toTrack(track);
+    });
+}
+
+const isCsv = (lines, filename) =>
+    /\.(csv|tsv)$/i.test(filename || '') || (lines.length > 0 && /^"?(artist|title|track)/i.test(lines[0]) && /[,;\t]/.test(lines[0]));
+
+const isM3u = (lines, filename) => /\.m3u8?$/i.test(filename || '') || (lines.length > 0 && lines[0].startsWith('#EXTM3U'));
+
+// returns the tracks in the given text, skipping blank lines and lines with nothing to search for.
+// the filename, if the text came from a file, helps to tell the formats apart.
+export const parseTracklist = (text, filename) => {
+    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l !== '');
+
+    const tracks = isM3u(lines, filename) ? parseM3u(lines) :
+        isCsv(lines, filename) ? parseCsv(lines) :
+        lines.map(line => toTrack(splitTrack(line)));
+
+    return tracks.filter(t => t.query !== '');
+}
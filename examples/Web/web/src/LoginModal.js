@@ -0,0 +1,68 @@
+import React, { Component } from 'react'
+import { Button, Form, Icon, Message, Modal } from 'semantic-ui-react'
+
+// asks for credentials again when the session has lapsed, over the page rather than instead of it, so that nothing in
+// progress is lost
+class LoginModal extends Component {
+    state = { username: this.props.username || '', password: '' }
+
+    login = () => {
+        const { username, password } = this.state;
+        this.props.onLoginAttempt(username, password);
+    }
+
+    render = () => {
+        const { loading, error, onLogout } = this.props;
+        const { username, password } = this.state;
+
+        return (
+            <Modal open size='mini' closeOnDimmerClick={false} closeOnEscape={false}>
+                <Modal.Header><Icon name='lock'/>Session Expired</Modal.Header>
+                <Modal.Content>
+                    <p>Log in again to continue where you left off.</p>
+                    <Form onSubmit={this.login}>
+                        <Form.Input
+                            fluid
+                            icon='user'
+                            iconPosition='left'
+                            placeholder='Username'
+                            value={username}
+                            onChange={(event, { value }) => this.setState({ username: value })}
+                        />
+                        <Form.Input
+                            fluid
+                            icon='lock'
+                            iconPosition='left'
+                            placeholder='Password'
+                            type='password'
+                            autoFocus
+                            value={password}
+                            onChange={(event, { value }) => this.setState({ password: value })}
+                        />
+                    </Form>
+                    {error && <Message negative>
+                        <Icon name='x'/>
+                        {error.message}
+                    </Message>}
+                </Modal.Content>
+                <Modal.Actions>
+                    <Button onClick={onLogout}>
+                        <Icon name='sign-out'/>
+                        Log Out
+                    </Button>
+                    <Button
+                        primary
+                        loading={loading}
+                        disabled={!username || !password || loading}
+                        onClick={this.login}
+                    >
+                        <Icon name='sign in'/>
+                        Log In
+                    </Button>
+                </Modal.Actions>
+            </Modal>
+        )
+    }
+}
+
+export default LoginModal;
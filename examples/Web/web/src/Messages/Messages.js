@@ -0,0 +1,236 @@
+import React, { Component } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../api';
+import { subscribe } from '../realtime';
+
+import ChatLog from '../Shared/ChatLog';
+import ChatInput from '../Shared/ChatInput';
+import UserProfile from '../Shared/UserProfile';
+
+import {
+    Segment,
+    Grid,
+    Menu,
+    Input,
+    Label,
+    Button,
+    Header,
+    Loader
+} from 'semantic-ui-react';
+
+const byLastMessage = (a, b) =>
+    new Date(b.lastMessage ? b.lastMessage.timestamp : 0) - new Date(a.lastMessage ? a.lastMessage.timestamp : 0);
+
+const isSameMessage = (a, b) =>
+    a && b && a.timestamp === b.timestamp && a.isOutgoing === b.isOutgoing && a.message === b.message;
+
+class Messages extends Component {
+    state = { conversations: [], conversation: undefined, newUsername: '' }
+
+    componentDidMount = () => {
+        this.fetchConversations();
+        this.openFromRoute();
+        this.subscription = subscribe({ conversationUpdated: this.onConversationUpdated }, { fallback: this.refresh, interval: 5000 });
+    }
+
+    componentDidUpdate = (prevProps) => {
+        if (this.props.match.params.username !== prevProps.match.params.username) {
+            this.openFromRoute();
+        }
+    }
+
+    componentWillUnmount = () => {
+        this.subscription.unsubscribe();
+    }
+
+    openFromRoute = () => {
+        const { username } = this.props.match.params;
+        username ? this.open(username) : this.setState({ conversation: undefined });
+    }
+
+    fetchConversations = () => {
+        api.get('/conversations')
+        .then(response => this.setState({ conversations: response.data }))
+        .catch(() => {});
+    }
+
+    fetchConversation = (username) => {
+        return api.get(`/conversations/${encodeURIComponent(username)}`)
+            .then(response => response.data)
+            // there's no history until the first message is sent or received
+            .catch(err => {
+                if (err.response && err.response.status === 404) {
+                    return { username, unreadCount: 0, messages: [] };
+                }
+
+                throw err;
+            });
+    }
+
+    open = (username) => {
+        this.setState({ conversation: { username, messages: [], fetchState: 'pending' } }, () => {
+            this.fetchConversation(username)
+            .then(this.setConversation)
+            .catch(() => this.setState({ conversation: { username, messages: [], fetchState: 'error' } }));
+        });
+    }
+
+    // catches up on anything missed while the event hub was unreachable
+    refresh = () => {
+        this.fetchConversations();
+
+        const { conversation } = this.state;
+
+        if (conversation && conversation.fetchState === 'complete') {
+            this.fetchConversation(conversation.username).then(this.setConversation).catch(() => {});
+        }
+    }
+
+    setConversation = ({ username, unreadCount, messages }) => {
+        const { conversation } = this.state;
+
+        // the user may have moved on to another conversation while this one was loading
+        if (!conversation || conversation.username !== username) {
+            return;
+        }
+
+        this.setState({ conversation: { username, messages, fetchState: 'complete' } });
+
+        if (unreadCount > 0) {
+            this.markRead(username);
+        }
+    }
+
+    markRead = (username) => {
+        api.put(`/conversations/${encodeURIComponent(username)}/read`).catch(() => {});
+    }
+
+    onConversationUpdated = (summary) => {
+        const { conversations, conversation } = this.state;
+
+        this.setState({
+            conversations: conversations
+                .filter(c => c.username !== summary.username)
+                .concat(summary)
+                .sort(byLastMessage)
+        });
+
+        if (!conversation || conversation.username !== summary.username || conversation.fetchState !== 'complete') {
+            return;
+        }
+
+        const { messages } = conversation;
+        const { lastMessage } = summary;
+
+        // the same summary is pushed again when the conversation is marked as read
+        if (lastMessage && !isSameMessage(lastMessage, messages[messages.length - 1])) {
+            this.setState({ conversation: { ...conversation, messages: messages.concat(lastMessage) } });
+        }
+
+        if (summary.unreadCount > 0) {
+            this.markRead(summary.username);
+        }
+    }
+
+    send = (message) => {
+        const { username } = this.state.conversation;
+
+        // the sent message arrives through conversationUpdated along with everything else
+        return api.post(`/conversations/${encodeURIComponent(username)}`, JSON.stringify(message));
+    }
+
+    delete = () => {
+        const { username } = this.state.conversation;
+
+        api.delete(`/conversations/${encodeURIComponent(username)}`)
+        .catch(() => {})
+        .then(() => {
+            this.setState({ conversations: this.state.conversations.filter(c => c.username !== username) });
+            this.props.history.push('/messages');
+        });
+    }
+
+    startConversation = () => {
+        const username = this.state.newUsername.trim();
+
+        if (username) {
+            this.setState({ newUsername: '' }, () => this.props.history.push(`/messages/${encodeURIComponent(username)}`));
+        }
+    }
+
+    render = () => {
+        const { conversations, conversation, newUsername } = this.state;
+
+        const listed = conversation && !conversations.find(c => c.username === conversation.username) ?
+            [{ username: conversation.username, unreadCount: 0 }].concat(conversations) : conversations;
+
+        return (
+            <Segment className='chat-segment' raised>
+                <Grid>
+                    <Grid.Column width={4}>
+                        <Input
+                            fluid
+                            placeholder='Message a user...'
+                            value={newUsername}
+                            onChange={(event, { value }) => this.setState({ newUsername: value })}
+                            onKeyUp={(event) => event.key === 'Enter' && this.startConversation()}
+                            action={{ icon: 'comment', disabled: newUsername.trim() === '', onClick: this.startConversation }}
+                        />
+                        <Menu vertical fluid className='chat-list'>
+                            {listed.length === 0 && <Menu.Item disabled>No conversations</Menu.Item>}
+                            {listed.map(c =>
+                                <Menu.Item
+                                    key={c.username}
+                                    as={Link}
+                                    to={`/messages/${encodeURIComponent(c.username)}`}
+                                    active={!!conversation && conversation.username === c.username}
+                                >
+                                    {c.unreadCount > 0 && <Label color='red'>{c.unreadCount}</Label>}
+                                    <b>{c.username}</b>
+                                    {c.lastMessage && <div className='chat-list-preview'>
+                                        {c.lastMessage.isOutgoing ? 'You: ' : ''}{c.lastMessage.message}
+                                    </div>}
+                                </Menu.Item>
+                            )}
+                        </Menu>
+                    </Grid.Column>
+                    <Grid.Column width={12}>
+                        {!conversation ?
+                            <Header className='chat-placeholder' disabled>Select a conversation, or enter a username to start one</Header> :
+                            <div>
+                                <div className='chat-header'>
+                                    <Header as='h3'>
+                                        <UserProfile username={conversation.username}/>
+                                    </Header>
+                                    <Button
+                                        size='mini'
+                                        icon='trash alternate'
+                                        content='Delete History'
+                                        disabled={conversation.messages.length === 0}
+                                        onClick={this.delete}
+                                    />
+                                </div>
+                                {conversation.fetchState === 'pending' ? <Loader active inline='centered'/> :
+                                    <ChatLog
+                                        messages={conversation.messages.map(m => ({
+                                            ...m,
+                                            username: m.isOutgoing ? 'You' : m.username,
+                                            self: m.isOutgoing
+                                        }))}
+                                        placeholder={conversation.fetchState === 'error' ?
+                                            'Failed to load the conversation' : `No messages with ${conversation.username} yet`}
+                                    />}
+                                <ChatInput
+                                    placeholder={`Message to ${conversation.username}...`}
+                                    disabled={conversation.fetchState !== 'complete'}
+                                    onSend={this.send}
+                                />
+                            </div>}
+                    </Grid.Column>
+                </Grid>
+            </Segment>
+        );
+    }
+}
+
+export default Messages;
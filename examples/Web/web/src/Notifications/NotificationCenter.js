@@ -0,0 +1,82 @@
+import React, { Component } from 'react';
+import { getNotifications, subscribeNotifications, markAllRead, clearNotifications } from '../notifications';
+
+import {
+    Menu,
+    Icon,
+    Label,
+    Modal,
+    Button,
+    Feed
+} from 'semantic-ui-react';
+
+const icons = { error: 'exclamation circle', warning: 'warning sign', success: 'check circle', info: 'info circle' };
+const colors = { error: 'red', warning: 'orange', success: 'green', info: 'blue' };
+
+// everything the app has told the user about, newest first, kept across page loads
+class NotificationCenter extends Component {
+    state = { log: getNotifications(), open: false }
+
+    componentDidMount = () => {
+        this.unsubscribe = subscribeNotifications(log => this.setState({ log }));
+    }
+
+    componentWillUnmount = () => {
+        this.unsubscribe();
+    }
+
+    close = () => {
+        this.setState({ open: false }, markAllRead);
+    }
+
+    render = () => {
+        const { log, open } = this.state;
+        const unread = log.filter(n => !n.read).length;
+
+        return (
+            <Modal
+                trigger={
+                    <Menu.Item position='right' onClick={() => this.setState({ open: true })}>
+                        <Icon name='bell'/>Notifications
+                        {unread > 0 && <Label color='red' floating size='mini'>{unread}</Label>}
+                    </Menu.Item>
+                }
+                open={open}
+                onClose={this.close}
+                size='small'
+            >
+                <Modal.Header><Icon name='bell'/>Notifications</Modal.Header>
+                <Modal.Content scrolling>
+                    {log.length === 0 ?
+                        <div className='settings-hint'>Nothing to report.</div> :
+                        <Feed className='notification-center'>
+                            {log.map(n =>
+                                <Feed.Event key={n.id} className={n.read ? undefined : 'notification-unread'}>
+                                    <Feed.Label><Icon name={icons[n.type]} color={colors[n.type]}/></Feed.Label>
+                                    <Feed.Content>
+                                        <Feed.Summary>
+                                            {n.title}
+                                            {n.count > 1 && <Label size='mini' circular>{n.count}</Label>}
+                                            <Feed.Date>{new Date(n.timestamp).toLocaleString()}</Feed.Date>
+                                        </Feed.Summary>
+                                        {n.message && <Feed.Extra text>{n.message}</Feed.Extra>}
+                                    </Feed.Content>
+                                </Feed.Event>
+                            )}
+                        </Feed>}
+                </Modal.Content>
+                <Modal.Actions>
+                    <Button disabled={log.length === 0} onClick={clearNotifications}>
+                        <Icon name='trash alternate'/>Clear
+                    </Button>
+                    <Button disabled={unread === 0} onClick={markAllRead}>
+                        <Icon name='check'/>Mark All Read
+                    </Button>
+                    <Button primary onClick={this.close}>Close</Button>
+                </Modal.Actions>
+            </Modal>
+        );
+    }
+}
+
+export default NotificationCenter;
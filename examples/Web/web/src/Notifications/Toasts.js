@@ -0,0 +1,63 @@
+import React, { Component } from 'react';
+import { subscribeNotifications } from '../notifications';
+
+import { Message } from 'semantic-ui-react';
+
+const durations = { error: 10000, warning: 8000 };
+const defaultDuration = 6000;
+
+const maximumToasts = 5;
+
+const icons = { error: 'exclamation circle', warning: 'warning sign', success: 'check circle', info: 'info circle' };
+
+// shows new notifications briefly in the corner of the page; the notification center keeps them afterwards
+class Toasts extends Component {
+    state = { toasts: [] }
+    timeouts = {}
+
+    componentDidMount = () => {
+        this.unsubscribe = subscribeNotifications((log, notification) => notification && this.show(notification));
+    }
+
+    componentWillUnmount = () => {
+        this.unsubscribe();
+        Object.values(this.timeouts).forEach(t => clearTimeout(t));
+    }
+
+    show = (notification) => {
+        this.setState({ toasts: [notification].concat(this.state.toasts).slice(0, maximumToasts) });
+        this.timeouts[notification.id] = setTimeout(() => this.dismiss(notification.id), durations[notification.type] || defaultDuration);
+    }
+
+    dismiss = (id) => {
+        clearTimeout(this.timeouts[id]);
+        delete this.timeouts[id];
+
+        this.setState({ toasts: this.state.toasts.filter(t => t.id !== id) });
+    }
+
+    render = () => {
+        const { toasts } = this.state;
+
+        return (
+            <div className='toasts'>
+                {toasts.map(t =>
+                    <Message
+                        key={t.id}
+                        size='small'
+                        icon={icons[t.type]}
+                        error={t.type === 'error'}
+                        warning={t.type === 'warning'}
+                        success={t.type === 'success'}
+                        info={t.type === 'info'}
+                        header={t.title}
+                        content={t.message || undefined}
+                        onDismiss={() => this.dismiss(t.id)}
+                    />
+                )}
+            </div>
+        );
+    }
+}
+
+export default Toasts;
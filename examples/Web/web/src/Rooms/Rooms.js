@@ -0,0 +1,250 @@
+import React, { Component } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../api';
+import { subscribe } from '../realtime';
+import { ServerContext, isOnline } from '../server';
+import { describeError } from '../notifications';
+
+import ChatLog from '../Shared/ChatLog';
+import ChatInput from '../Shared/ChatInput';
+import UserProfile from '../Shared/UserProfile';
+
+import {
+    Segment,
+    Grid,
+    Menu,
+    Dropdown,
+    Label,
+    Button,
+    Header,
+    Loader,
+    List,
+    Icon
+} from 'semantic-ui-react';
+
+const presenceColors = { Online: 'green', Away: 'yellow', Offline: 'grey' };
+
+const byUsername = (a, b) => a.username.localeCompare(b.username);
+
+class Rooms extends Component {
+    static contextType = ServerContext;
+
+    state = { joined: [], available: [], availableState: undefined, joinState: undefined, joinError: undefined, room: undefined }
+
+    componentDidMount = () => {
+        this.fetchJoined();
+        this.openFromRoute();
+        this.subscription = subscribe({
+            roomJoined: this.fetchJoined,
+            roomLeft: this.onRoomLeft,
+            roomMessageReceived: this.onRoomMessageReceived,
+            roomUserJoined: this.onRoomUserJoined,
+            roomUserLeft: this.onRoomUserLeft
+        }, { fallback: this.refresh, interval: 5000 });
+    }
+
+    componentDidUpdate = (prevProps) => {
+        if (this.props.match.params.roomName !== prevProps.match.params.roomName) {
+            this.openFromRoute();
+        }
+    }
+
+    componentWillUnmount = () => {
+        this.subscription.unsubscribe();
+    }
+
+    openFromRoute = () => {
+        const { roomName } = this.props.match.params;
+        roomName ? this.open(roomName) : this.setState({ room: undefined });
+    }
+
+    fetchJoined = () => {
+        api.get('/rooms/joined')
+        .then(response => this.setState({ joined: response.data }))
+        .catch(() => {});
+    }
+
+    // the server list is large and rarely needed, so it's only fetched when the join dropdown is opened
+    fetchAvailable = () => {
+        if (this.state.availableState === 'pending') {
+            return;
+        }
+
+        this.setState({ availableState: 'pending' }, () => {
+            api.get('/rooms/available')
+            .then(response => this.setState({ available: response.data, availableState: 'complete' }))
+            .catch(() => this.setState({ availableState: 'error' }));
+        });
+    }
+
+    fetchRoom = (name) => api.get(`/rooms/joined/${encodeURIComponent(name)}`).then(response => response.data);
+
+    open = (name) => {
+        this.setState({ room: { name, users: [], messages: [], fetchState: 'pending' } }, () => {
+            this.fetchRoom(name)
+            .then(this.setRoom)
+            .catch(() => this.setState({ room: { name, users: [], messages: [], fetchState: 'error' } }));
+        });
+    }
+
+    refresh = () => {
+        this.fetchJoined();
+
+        const { room } = this.state;
+
+        if (room && room.fetchState === 'complete') {
+            this.fetchRoom(room.name).then(this.setRoom).catch(() => {});
+        }
+    }
+
+    setRoom = (data) => {
+        const { room } = this.state;
+
+        if (room && room.name === data.name) {
+            this.setState({ room: { ...data, fetchState: 'complete' } });
+        }
+    }
+
+    // applies the update to the open room if the event is for it
+    updateRoom = (roomName, update) => {
+        const { room } = this.state;
+
+        if (room && room.name === roomName && room.fetchState === 'complete') {
+            this.setState({ room: { ...room, ...update(room) } });
+        }
+    }
+
+    onRoomLeft = (roomName) => {
+        this.setState({ joined: this.state.joined.filter(name => name !== roomName) });
+
+        if (this.state.room && this.state.room.name === roomName) {
+            this.props.history.push('/rooms');
+        }
+    }
+
+    onRoomMessageReceived = (message) => {
+        this.updateRoom(message.roomName, room => ({ messages: room.messages.concat(message) }));
+    }
+
+    onRoomUserJoined = ({ roomName, user }) => {
+        this.updateRoom(roomName, room => ({ users: room.users.filter(u => u.username !== user.username).concat(user) }));
+    }
+
+    onRoomUserLeft = ({ roomName, username }) => {
+        this.updateRoom(roomName, room => ({ users: room.users.filter(u => u.username !== username) }));
+    }
+
+    join = (name) => {
+        this.setState({ joinState: 'pending', joinError: undefined }, () => {
+            api.post('/rooms/joined', JSON.stringify(name))
+            .then(response => {
+                this.setState({ joinState: 'complete', joined: this.state.joined.filter(n => n !== response.data.name).concat(response.data.name).sort() });
+                this.props.history.push(`/rooms/${encodeURIComponent(response.data.name)}`);
+            })
+            .catch(err => this.setState({ joinState: 'error', joinError: err }));
+        });
+    }
+
+    leave = () => {
+        const { name } = this.state.room;
+
+        api.delete(`/rooms/joined/${encodeURIComponent(name)}`)
+        .then(() => this.onRoomLeft(name))
+        .catch(() => {});
+    }
+
+    send = (message) => {
+        // the server echoes the message back to the room, so it arrives through roomMessageReceived
+        return api.post(`/rooms/joined/${encodeURIComponent(this.state.room.name)}/messages`, JSON.stringify(message));
+    }
+
+    render = () => {
+        const { joined, available, availableState, joinState, joinError, room } = this.state;
+
+        const options = available
+            .filter(r => !joined.includes(r.name))
+            .map(r => ({ key: r.name, value: r.name, text: r.name, description: `${r.userCount} users` }));
+
+        return (
+            <Segment className='chat-segment' raised>
+                <Grid>
+                    <Grid.Column width={3}>
+                        <Dropdown
+                            fluid
+                            search
+                            selection
+                            allowAdditions
+                            additionLabel='Create room: '
+                            placeholder='Join a room...'
+                            selectOnBlur={false}
+                            selectOnNavigation={false}
+                            loading={availableState === 'pending' || joinState === 'pending'}
+                            disabled={joinState === 'pending' || !isOnline(this.context)}
+                            options={options}
+                            value={null}
+                            onOpen={() => availableState !== 'complete' && this.fetchAvailable()}
+                            onChange={(event, { value }) => value && this.join(value)}
+                        />
+                        {joinState === 'error' && joinError &&
+                            <Label basic color='red' pointing>{`Failed to join: ${describeError(joinError)}`}</Label>}
+                        <Menu vertical fluid className='chat-list'>
+                            {joined.length === 0 && <Menu.Item disabled>No joined rooms</Menu.Item>}
+                            {joined.map(name =>
+                                <Menu.Item
+                                    key={name}
+                                    as={Link}
+                                    to={`/rooms/${encodeURIComponent(name)}`}
+                                    active={!!room && room.name === name}
+                                >
+                                    <Icon name='users'/>{name}
+                                </Menu.Item>
+                            )}
+                        </Menu>
+                    </Grid.Column>
+                    {!room ?
+                        <Grid.Column width={13}>
+                            <Header className='chat-placeholder' disabled>Select a joined room, or join one</Header>
+                        </Grid.Column> :
+                        <>
+                            <Grid.Column width={9}>
+                                <div className='chat-header'>
+                                    <Header as='h3'>
+                                        {room.name}
+                                        {room.isPrivate && <Label size='mini' color='purple'>Private</Label>}
+                                    </Header>
+                                    <Button size='mini' icon='sign-out' content='Leave' disabled={room.fetchState === 'pending'} onClick={this.leave}/>
+                                </div>
+                                {room.fetchState === 'pending' ? <Loader active inline='centered'/> :
+                                    <ChatLog
+                                        messages={room.messages}
+                                        placeholder={room.fetchState === 'error' ? `${room.name} hasn't been joined` : 'No messages since joining'}
+                                    />}
+                                <ChatInput
+                                    placeholder={`Message to ${room.name}...`}
+                                    disabled={room.fetchState !== 'complete'}
+                                    onSend={this.send}
+                                />
+                            </Grid.Column>
+                            <Grid.Column width={4}>
+                                <Header as='h4'>{room.users.length} Users</Header>
+                                <List className='chat-members'>
+                                    {[...room.users].sort(byUsername).map(u =>
+                                        <List.Item key={u.username}>
+                                            <Icon name='circle' color={presenceColors[u.status]}/>
+                                            <List.Content>
+                                                <UserProfile username={u.username}/>
+                                                {room.owner === u.username && <Label size='mini' basic>Owner</Label>}
+                                                {(room.operators || []).includes(u.username) && <Label size='mini' basic>Operator</Label>}
+                                            </List.Content>
+                                        </List.Item>
+                                    )}
+                                </List>
+                            </Grid.Column>
+                        </>}
+                </Grid>
+            </Segment>
+        );
+    }
+}
+
+export default Rooms;
@@ -0,0 +1,77 @@
+import React, { Component } from 'react';
+import api from '../api';
+import { subscribe } from '../realtime';
+
+import {
+    Segment,
+    Header,
+    Table,
+    Button
+} from 'semantic-ui-react';
+
+class ActiveSearches extends Component {
+    state = { searches: [] }
+
+    componentDidMount = () => {
+        this.fetch();
+        this.subscription = subscribe({ searchUpdated: this.onSearchUpdated }, { fallback: this.fetch });
+    }
+
+    componentWillUnmount = () => {
+        this.subscription.unsubscribe();
+    }
+
+    fetch = () => {
+        api.get('/searches')
+        .then(response => this.setState({ searches: response.data }))
+        .catch(() => {});
+    }
+
+    onSearchUpdated = (search) => {
+        const searches = this.state.searches.filter(s => s.token !== search.token);
+
+        // the server stops tracking searches as soon as they complete
+        this.setState({ searches: search.state.includes('Completed') ? searches : searches.concat(search) });
+    }
+
+    render = () => {
+        const { onOpen, onStop } = this.props;
+        const searches = [...this.state.searches].sort((a, b) => a.token - b.token);
+
+        return (
+            <Segment className='search-segment' raised>
+                {searches.length === 0 ?
+                    <Header size='small' className='search-placeholder'>No searches are running on the server</Header> :
+                    <Table compact='very' basic='very'>
+                        <Table.Header>
+                            <Table.Row>
+                                <Table.HeaderCell>Search Phrase</Table.HeaderCell>
+                                <Table.HeaderCell>State</Table.HeaderCell>
+                                <Table.HeaderCell>Responses</Table.HeaderCell>
+                                <Table.HeaderCell>Files</Table.HeaderCell>
+                                <Table.HeaderCell className='search-history-actions'></Table.HeaderCell>
+                            </Table.Row>
+                        </Table.Header>
+                        <Table.Body>
+                            {searches.map(s =>
+                                <Table.Row key={s.token}>
+                                    <Table.Cell>{s.searchText}</Table.Cell>
+                                    <Table.Cell>{s.state}</Table.Cell>
+                                    <Table.Cell>{s.responseCount}</Table.Cell>
+                                    <Table.Cell>{s.fileCount}</Table.Cell>
+                                    <Table.Cell className='search-history-actions' textAlign='right'>
+                                        <Button.Group size='mini'>
+                                            <Button icon='eye' primary title='Open in Tab' onClick={() => onOpen(s)}/>
+                                            <Button icon='stop' color='red' title='Stop' onClick={() => onStop(s)}/>
+                                        </Button.Group>
+                                    </Table.Cell>
+                                </Table.Row>
+                            )}
+                        </Table.Body>
+                    </Table>}
+            </Segment>
+        )
+    }
+}
+
+export default ActiveSearches;
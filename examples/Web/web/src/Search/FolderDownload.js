@@ -0,0 +1,143 @@
+import React, { Component } from 'react';
+import api from '../api';
+
+import { formatBytes } from '../util';
+import { enqueueDownload, getDownloadSettings } from '../downloads';
+import { ServerContext, isOnline } from '../server';
+import { notifyError, describeError } from '../notifications';
+
+import FileList from '../Shared/FileList'
+import DestinationPicker from '../Shared/DestinationPicker';
+
+import {
+    Button,
+    Modal,
+    Loader,
+    Icon,
+    Label
+} from 'semantic-ui-react';
+
+const initialState = {
+    open: false,
+    fetchState: undefined,
+    fetchError: undefined,
+    files: [],
+    destination: '',
+    downloadRequest: undefined,
+    downloadError: ''
+};
+
+const sep = (directoryName) => directoryName.includes('\\') ? '\\' : '/';
+
+// search responses only contain the files that matched; this fetches everything else in the
+// remote directory so that the whole folder can be reviewed and enqueued at once.
+class FolderDownload extends Component {
+    static contextType = ServerContext;
+
+    state = initialState;
+
+    open = () => {
+        const { username, directoryName } = this.props;
+
+        this.setState({ ...initialState, open: true, fetchState: 'pending', destination: getDownloadSettings().destination }, () => {
+            api.get(`/user/${username}/directory?directory=${encodeURIComponent(directoryName)}`)
+            .then(response => this.setState({
+                fetchState: 'complete',
+                files: (response.data.files || []).map(f => ({
+                    ...f,
+                    filename: `${directoryName}${sep(directoryName)}${f.filename}`,
+                    selected: true
+                }))
+            }))
+            .catch(err => this.setState({ fetchState: 'error', fetchError: err }))
+        });
+    }
+
+    close = () => {
+        this.setState({ open: false });
+    }
+
+    onFileSelectionChange = (file, state) => {
+        file.selected = state;
+        this.setState({ files: this.state.files, downloadRequest: undefined, downloadError: '' });
+    }
+
+    download = (username, files) => {
+        this.setState({ downloadRequest: 'inProgress' }, () => {
+            Promise.all(files.map(f => this.downloadOne(username, f)))
+            .then(() => this.setState({ downloadRequest: 'complete' }))
+            .catch(err => {
+                notifyError('Download failed', err);
+                this.setState({ downloadRequest: 'error', downloadError: err });
+            })
+        });
+    }
+
+    downloadOne = (username, file) => {
+        return enqueueDownload(username, file.filename, { destination: this.state.destination, size: file.size, silent: true });
+    }
+
+    render = () => {
+        const { username, directoryName, trigger } = this.props;
+        const { open, fetchState, fetchError, files, destination, downloadRequest, downloadError } = this.state;
+
+        const selectedFiles = files.filter(f => f.selected);
+        const selectedSize = formatBytes(selectedFiles.reduce((total, f) => total + f.size, 0));
+
+        return (
+            <Modal
+                trigger={trigger}
+                open={open}
+                onOpen={this.open}
+                onClose={this.close}
+                size='large'
+            >
+                <Modal.Header>
+                    <Icon name='folder'/>Download Folder from {username}
+                </Modal.Header>
+                <Modal.Content scrolling>
+                    {fetchState === 'pending' && <Loader active inline='centered'>Fetching folder contents...</Loader>}
+                    {fetchState === 'error' && <Label>
+                        {`Failed to fetch folder contents: ${describeError(fetchError)}`}
+                    </Label>}
+                    {fetchState === 'complete' && <FileList
+                        directoryName={directoryName}
+                        files={files}
+                        disabled={downloadRequest === 'inProgress'}
+                        onSelectionChange={this.onFileSelectionChange}
+                    />}
+                </Modal.Content>
+                <Modal.Actions>
+                    {downloadRequest === 'inProgress' && <Icon loading name='circle notch' size='large'/>}
+                    {downloadRequest === 'complete' && <Icon name='checkmark' color='green' size='large'/>}
+                    {downloadRequest === 'error' && <span>
+                        <Icon name='x' color='red' size='large'/>
+                        <Label>{describeError(downloadError)}</Label>
+                    </span>}
+                    <Button onClick={this.close} content='Close'/>
+                    <DestinationPicker
+                        className='download-destination'
+                        value={destination}
+                        disabled={downloadRequest === 'inProgress'}
+                        onChange={(destination) => this.setState({ destination })}
+                    />
+                    <Button
+                        color='green'
+                        content='Download'
+                        icon='download'
+                        label={{
+                            as: 'a',
+                            basic: false,
+                            content: `${selectedFiles.length} file${selectedFiles.length === 1 ? '' : 's'}, ${selectedSize}`
+                        }}
+                        labelPosition='right'
+                        onClick={() => this.download(username, selectedFiles)}
+                        disabled={selectedFiles.length === 0 || downloadRequest === 'inProgress' || downloadRequest === 'complete' || !isOnline(this.context)}
+                    />
+                </Modal.Actions>
+            </Modal>
+        )
+    }
+}
+
+export default FolderDownload;
@@ -1,15 +1,22 @@
 import React, { Component } from 'react';
-import api from '../api';
 
 import { formatBytes, getDirectoryName } from '../util';
+import { enqueueDownload, getDownloadSettings } from '../downloads';
+import { ServerContext, isOnline } from '../server';
+import { exportFormats, exportSearchResults } from '../exports';
+import { notifyError, describeError } from '../notifications';
 
 import FileList from '../Shared/FileList'
+import FolderDownload from './FolderDownload';
+import DestinationPicker from '../Shared/DestinationPicker';
+import UserProfile from '../Shared/UserProfile';
 
 import { 
     Button, 
     Card, 
     Icon,
-    Label
+    Label,
+    Dropdown
 } from 'semantic-ui-react';
 
 const buildTree = (files) => {
@@ -22,12 +29,30 @@ const buildTree = (files) => {
 }
 
 class Response extends Component {
+    static contextType = ServerContext;
+
     state = { 
         tree: buildTree(this.props.response.files), 
+        destination: getDownloadSettings().destination,
         downloadRequest: undefined, 
         downloadError: '' 
     }
 
+    componentDidUpdate = (prevProps) => {
+        if (this.props.response !== prevProps.response) {
+            // the file list changed (e.g. the result filter was edited); keep whatever was already selected
+            const selected = Object.keys(this.state.tree)
+                .reduce((list, dir) => list.concat(this.state.tree[dir]), [])
+                .filter(f => f.selected)
+                .map(f => f.filename);
+
+            const tree = buildTree(this.props.response.files);
+            Object.keys(tree).forEach(dir => tree[dir].forEach(f => f.selected = selected.includes(f.filename)));
+
+            this.setState({ tree });
+        }
+    }
+
     onFileSelectionChange = (file, state) => {
         file.selected = state;
         this.setState({ tree: this.state.tree, downloadRequest: undefined, downloadError: '' })
@@ -37,19 +62,22 @@ class Response extends Component {
         this.setState({ downloadRequest: 'inProgress' }, () => {
             Promise.all(files.map(f => this.downloadOne(username, f)))
             .then(() => this.setState({ downloadRequest: 'complete' }))
-            .catch(err => this.setState({ downloadRequest: 'error', downloadError: err.response }))
+            .catch(err => {
+                notifyError('Download failed', err);
+                this.setState({ downloadRequest: 'error', downloadError: err });
+            })
         });
     }
 
     downloadOne = (username, file) => {
-        return api.post(`/transfers/downloads/${username}/${encodeURIComponent(file.filename)}`);
+        return enqueueDownload(username, file.filename, { destination: this.state.destination, size: file.size, silent: true });
     }
 
     render = () => {
         let response = this.props.response;
         let free = response.freeUploadSlots > 0;
 
-        let { tree, downloadRequest, downloadError } = this.state;
+        let { tree, destination, downloadRequest, downloadError } = this.state;
 
         let selectedFiles = Object.keys(tree)
             .reduce((list, dict) => list.concat(tree[dict]), [])
@@ -60,7 +88,16 @@ class Response extends Component {
         return (
             <Card className='result-card' raised>
                 <Card.Content>
-                    <Card.Header><Icon name='circle' color={free ? 'green' : 'yellow'}/>{response.username}</Card.Header>
+                    <Card.Header>
+                        <Icon name='circle' color={free ? 'green' : 'yellow'}/><UserProfile username={response.username}/>
+                        <Dropdown
+                            className='result-export'
+                            icon='download'
+                            title={`Export the files from ${response.username}`}
+                            direction='left'
+                            options={exportFormats.map(f => ({ ...f, onClick: () => exportSearchResults(this.props.searchPhrase || '', [response], f.value) }))}
+                        />
+                    </Card.Header>
                     <Card.Meta className='result-meta'>
                         <span>Upload Speed: {formatBytes(response.uploadSpeed)}/s, Free Upload Slot: {free ? 'YES' : 'NO'}, Queue Length: {response.queueLength}</span>
                     </Card.Meta>
@@ -71,11 +108,22 @@ class Response extends Component {
                             files={tree[dir]}
                             disabled={downloadRequest === 'inProgress'}
                             onSelectionChange={this.onFileSelectionChange}
+                            headerAction={<FolderDownload
+                                username={response.username}
+                                directoryName={dir}
+                                trigger={<Button size='mini' basic icon='folder open' content='Download Folder' title='Download all files in this folder'/>}
+                            />}
                         />
                     )}
                 </Card.Content>
                 {selectedFiles.length > 0 && <Card.Content extra>
                         <span>
+                            <DestinationPicker
+                                className='download-destination'
+                                value={destination}
+                                disabled={downloadRequest === 'inProgress'}
+                                onChange={(destination) => this.setState({ destination })}
+                            />
                             <Button 
                                 color='green' 
                                 content='Download'
@@ -87,13 +135,13 @@ class Response extends Component {
                                 }}
                                 labelPosition='right'
                                 onClick={() => this.download(response.username, selectedFiles)}
-                                disabled={downloadRequest === 'inProgress'}
+                                disabled={downloadRequest === 'inProgress' || !isOnline(this.context)}
                             />
                             {downloadRequest === 'inProgress' && <Icon loading name='circle notch' size='large'/>}
                             {downloadRequest === 'complete' && <Icon name='checkmark' color='green' size='large'/>}
                             {downloadRequest === 'error' && <span>
                                 <Icon name='x' color='red' size='large'/>
-                                <Label>{downloadError.data + ` (HTTP ${downloadError.status} ${downloadError.statusText})`}</Label>
+                                <Label>{describeError(downloadError)}</Label>
                             </span>}
                         </span>
                 </Card.Content>}
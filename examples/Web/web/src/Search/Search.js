@@ -1,7 +1,12 @@
 import React, { Component } from 'react';
 import api from '../api';
+import { ServerContext, isOnline } from '../server';
+import { subscribe } from '../realtime';
+import { notifyError } from '../notifications';
 
 import Response from './Response';
+import { emptyFilter, parseFilter, filterResponses } from './filter';
+import { exportFormats, exportSearchResults } from '../exports';
 
 import { 
     Segment, 
@@ -9,48 +14,116 @@ import {
     Loader,
     Button,
     Dropdown,
-    Checkbox
+    Checkbox,
+    Label,
+    Icon
 } from 'semantic-ui-react';
 
 const initialState = { 
     searchPhrase: '', 
+    searchToken: undefined,
     searchState: 'idle', 
     searchStatus: { 
         responseCount: 0, 
         fileCount: 0 
     }, 
     results: [], 
-    interval: undefined,
     displayCount: 5,
     resultSort: 'uploadSpeed',
-    hideNoFreeSlots: true
+    hideNoFreeSlots: true,
+    filterText: '',
+    filter: emptyFilter
 };
 
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+const bitRates = (response) => response.files.map(f => f.bitRate).filter(b => b !== undefined && b !== null);
+
+// a free slot means a download can start right away, and a long queue means it'll start late
+export const getLikelyFastestScore = (response) => 
+    (response.freeUploadSlots > 0 ? 2 : 1) * response.uploadSpeed / (1 + response.queueLength);
+
 const sortOptions = {
-    uploadSpeed: { field: 'uploadSpeed', order: 'desc' },
-    queueLength: { field: 'queueLength', order: 'asc' }
+    uploadSpeed: { value: r => r.uploadSpeed, order: 'desc' },
+    queueLength: { value: r => r.queueLength, order: 'asc' },
+    likelyFastest: { value: getLikelyFastestScore, order: 'desc' },
+    fileCount: { value: r => r.files.length, order: 'desc' },
+    totalSize: { value: r => sum(r.files.map(f => f.size)), order: 'desc' },
+    bestBitRate: { value: r => Math.max(0, ...bitRates(r)), order: 'desc' },
+    averageBitRate: { value: r => bitRates(r).length === 0 ? 0 : sum(bitRates(r)) / bitRates(r).length, order: 'desc' }
 }
 
 const sortDropdownOptions = [
     { key: 'uploadSpeed', text: 'Upload Speed (Fastest to Slowest)', value: 'uploadSpeed' },
-    { key: 'queueLength', text: 'Queue Depth (Least to Most)', value: 'queueLength' }
+    { key: 'queueLength', text: 'Queue Depth (Least to Most)', value: 'queueLength' },
+    { key: 'likelyFastest', text: 'Likely Fastest (Free Slot, Speed and Queue)', value: 'likelyFastest' },
+    { key: 'fileCount', text: 'File Count (Most to Least)', value: 'fileCount' },
+    { key: 'totalSize', text: 'Total Size (Largest to Smallest)', value: 'totalSize' },
+    { key: 'bestBitRate', text: 'Best Bitrate (Highest to Lowest)', value: 'bestBitRate' },
+    { key: 'averageBitRate', text: 'Average Bitrate (Highest to Lowest)', value: 'averageBitRate' }
 ];
 
+const getSearchToken = () => Math.floor(Math.random() * 2147483647);
+
+export const getStorageKey = (id) => `soulseek-example-search-state-${id}`;
+
 class Search extends Component {
+    static contextType = ServerContext;
+
     state = initialState;
 
     search = () => {
         let searchPhrase = this.inputtext.inputRef.current.value;
+        let searchToken = getSearchToken();
+
+        this.setState({ 
+            searchPhrase: searchPhrase, 
+            searchToken: searchToken, 
+            searchState: 'pending', 
+            searchStatus: initialState.searchStatus, 
+            results: [] 
+        }, () => {
+            this.saveState();
+            this.setSearchText();
+            this.props.onSearch && this.props.onSearch(searchPhrase);
 
-        this.setState({ searchPhrase: searchPhrase, searchState: 'pending' }, () => {
-            api.post('/searches', JSON.stringify({ searchText: searchPhrase }), { 
-                headers: {'Content-Type': 'application/json; charset=utf-8'} 
+            this.searchRequest = api.post('/searches', JSON.stringify({ searchText: searchPhrase, token: searchToken }), { 
+                headers: {'Content-Type': 'application/json; charset=utf-8'},
+                silent: true
             })
             .then(response => this.setState({ results: response.data }))
-            .then(() => this.setState({ searchState: 'complete' }, () => {
-                this.saveState();
-                this.setSearchText();
-            }))
+            .catch(error => notifyError(`Search for '${searchPhrase}' failed`, error))
+            .then(() => {
+                this.searchRequest = undefined;
+                this.complete();
+            });
+        });
+    }
+
+    // follows a search that was started elsewhere (another tab or browser); its results arrive
+    // only through search events and the search's status, never from the request that started it.
+    attach = (searchPhrase, searchToken) => {
+        this.setState({ 
+            searchPhrase: searchPhrase, 
+            searchToken: searchToken, 
+            searchState: 'pending' 
+        }, () => {
+            this.saveState();
+            this.setSearchText();
+            this.fetchStatus();
+        });
+    }
+
+    stop = () => {
+        // the pending search request completes with whatever has been received so far.  if the server
+        // no longer knows about the search (the page was reloaded mid-search), just stop waiting for it.
+        api.delete(`/searches/${this.state.searchToken}`)
+        .catch(error => error.response && error.response.status === 404 && this.complete());
+    }
+
+    complete = () => {
+        this.setState({ searchState: 'complete' }, () => {
+            this.saveState();
+            this.setSearchText();
         });
     }
 
@@ -66,19 +139,31 @@ class Search extends Component {
     }
 
     saveState = () => {
-        localStorage.setItem('soulseek-example-search-state', JSON.stringify(this.state));
+        localStorage.setItem(getStorageKey(this.props.id), JSON.stringify(this.state));
     }
 
-    loadState = () => {
-        this.setState(JSON.parse(localStorage.getItem('soulseek-example-search-state')) || initialState);
+    loadState = (callback) => {
+        this.setState({ ...initialState, ...JSON.parse(localStorage.getItem(getStorageKey(this.props.id))) }, callback);
     }
 
     componentDidMount = () => {
-        this.fetchStatus();
-        this.loadState();
-        this.setState({ 
-            interval: window.setInterval(this.fetchStatus, 500)
-        }, () => this.setSearchText());
+        this.loadState(() => {
+            const { initialSearchPhrase, initialSearchToken } = this.props;
+
+            if (this.state.searchState === 'idle' && initialSearchToken) {
+                this.attach(initialSearchPhrase, initialSearchToken);
+            } else if (this.state.searchState === 'idle' && initialSearchPhrase) {
+                this.inputtext.inputRef.current.value = initialSearchPhrase;
+                this.search();
+            } else {
+                this.setSearchText();
+            }
+        });
+
+        this.subscription = subscribe({ 
+            searchUpdated: this.onSearchUpdated,
+            searchResponseReceived: this.onSearchResponseReceived
+        }, { fallback: this.fetchStatus });
     }
 
     setSearchText = () => {
@@ -86,17 +171,46 @@ class Search extends Component {
         this.inputtext.inputRef.current.disabled = this.state.searchState !== 'idle';
     }
 
+    componentDidUpdate = (prevProps, prevState) => {
+        const { searchPhrase, searchState, searchToken } = this.state;
+
+        if (searchPhrase !== prevState.searchPhrase || searchState !== prevState.searchState || searchToken !== prevState.searchToken) {
+            this.props.onChange && this.props.onChange({ searchPhrase, searchState, searchToken });
+        }
+    }
+
     componentWillUnmount = () => {
-        clearInterval(this.state.interval);
-        this.setState({ interval: undefined });
+        this.subscription.unsubscribe();
+    }
+
+    isPending = (token) => this.state.searchState === 'pending' && this.state.searchToken === token;
+
+    onSearchUpdated = (search) => {
+        if (this.isPending(search.token)) {
+            this.setState({ searchStatus: search }, () => search.state.includes('Completed') && this.complete());
+        }
+    }
+
+    onSearchResponseReceived = ({ token, response }) => {
+        if (this.isPending(token)) {
+            this.setState({ results: this.state.results.filter(r => r.username !== response.username).concat(response) });
+        }
     }
 
     fetchStatus = () => {
         if (this.state.searchState === 'pending') {
-            api.get('/searches/' + encodeURIComponent(this.state.searchPhrase))
-            .then(response => this.setState({
-                searchStatus: response.data
-            }));
+            api.get(`/searches/${this.state.searchToken}?includeResponses=true`)
+            .then(response => {
+                const { responses, ...searchStatus } = response.data;
+                this.setState({ searchStatus, results: responses });
+            })
+            .catch(error => {
+                // the server forgets searches once they complete; unless the request that started
+                // this search is still outstanding, there is nothing more to wait for.
+                if (error.response && error.response.status === 404 && !this.searchRequest) {
+                    this.complete();
+                }
+            });
         }
     }
 
@@ -104,21 +218,37 @@ class Search extends Component {
         this.setState({ displayCount: this.state.displayCount + 5 }, () => this.saveState());
     }
 
+    onFilterChange = (filterText) => {
+        this.setState({ filterText, filter: parseFilter(filterText) }, () => this.saveState());
+    }
+
+    // filtering creates new response objects, so only redo it when the results or the filter change;
+    // otherwise every render would hand each Response a 'new' response and reset its file selection.
+    filterResults = (results) => {
+        const { filter } = this.state;
+
+        if (!this.filtered || this.filtered.results !== results || this.filtered.filter !== filter) {
+            this.filtered = { results, filter, value: filterResponses(results, filter) };
+        }
+
+        return this.filtered.value;
+    }
+
     sortAndFilterResults = (results) => {
         const { hideNoFreeSlots, resultSort } = this.state;
-        const { field, order } = sortOptions[resultSort];
+        const { value, order } = sortOptions[resultSort];
 
-        return results.filter(r => !(hideNoFreeSlots && r.freeUploadSlots === 0)).sort((a, b) => {
+        return this.filterResults(results).filter(r => !(hideNoFreeSlots && r.freeUploadSlots === 0)).sort((a, b) => {
             if (order === 'asc') {
-                return a[field] - b[field];
+                return value(a) - value(b);
             }
 
-            return b[field] - a[field];
+            return value(b) - value(a);
         });
     }
     
     render = () => {
-        let { searchState, searchStatus, results, displayCount, resultSort, hideNoFreeSlots } = this.state;
+        let { searchState, searchStatus, results, displayCount, resultSort, hideNoFreeSlots, filterText, filter } = this.state;
         let pending = searchState === 'pending';
 
         const sortedAndFilteredResults = this.sortAndFilterResults(results);
@@ -134,13 +264,14 @@ class Search extends Component {
                         size='big'
                         ref={input => this.inputtext = input}
                         loading={pending}
-                        disabled={pending}
                         className='search-input'
                         placeholder="Enter search phrase..."
-                        action={!pending && (searchState === 'idle' ? { content: 'Search', onClick: this.search } : { content: 'Clear Results', color: 'red', onClick: this.clear })} 
+                        action={pending ? 
+                            { content: 'Stop Search', icon: 'stop', color: 'red', onClick: this.stop } : 
+                            searchState === 'idle' ? { content: 'Search', disabled: !isOnline(this.context), onClick: this.search } : { content: 'Clear Results', color: 'red', onClick: this.clear }} 
                     />
                 </Segment>
-                {pending ? 
+                {pending && results.length === 0 ? 
                     <Loader 
                         className='search-loader'
                         active 
@@ -169,11 +300,39 @@ class Search extends Component {
                                 checked={hideNoFreeSlots}
                                 label='Hide Results with No Free Slots' 
                             />
+                            <Dropdown
+                                button
+                                basic
+                                className='icon search-options-export'
+                                labeled
+                                icon='download'
+                                text='Export'
+                                title='Export the results shown, as filtered'
+                                options={exportFormats.map(f => ({ ...f, onClick: () => exportSearchResults(this.state.searchPhrase, sortedAndFilteredResults, f.value) }))}
+                            />
+                            {pending && <Label className='search-options-status'>
+                                <Icon loading name='circle notch'/>
+                                Found {searchStatus.fileCount} files from {searchStatus.responseCount} users
+                            </Label>}
+                            <Input
+                                fluid
+                                className='search-options-filter'
+                                icon='filter'
+                                iconPosition='left'
+                                placeholder='Filter results, e.g. ext:flac minbr:320 minsize:5MB maxlen:600 minfiles:10 isvbr -live'
+                                value={filterText}
+                                error={filter.invalid.length > 0}
+                                onChange={(e, { value }) => this.onFilterChange(value)}
+                            />
+                            {filter.invalid.length > 0 && <Label basic color='red' pointing>
+                                Unrecognized filter{filter.invalid.length === 1 ? '' : 's'}: {filter.invalid.join(' ')}
+                            </Label>}
                         </Segment>}
-                        {sortedAndFilteredResults.slice(0, displayCount).map((r, i) =>
+                        {sortedAndFilteredResults.slice(0, displayCount).map(r =>
                             <Response 
-                                key={i} 
+                                key={r.username} 
                                 response={r} 
+                                searchPhrase={this.state.searchPhrase}
                                 onDownload={this.props.onDownload}
                             />
                         )}
@@ -0,0 +1,42 @@
+import React from 'react';
+
+import {
+    Segment,
+    Header,
+    Table,
+    Button
+} from 'semantic-ui-react';
+
+const SearchHistory = ({ history, onRerun, onRemove, onClear }) => (
+    <Segment className='search-segment' raised>
+        {history.length === 0 ?
+            <Header size='small' className='search-placeholder'>No searches yet</Header> :
+            <Table compact='very' basic='very'>
+                <Table.Header>
+                    <Table.Row>
+                        <Table.HeaderCell>Search Phrase</Table.HeaderCell>
+                        <Table.HeaderCell className='search-history-timestamp'>Last Searched</Table.HeaderCell>
+                        <Table.HeaderCell className='search-history-actions' textAlign='right'>
+                            <Button size='mini' icon='trash' content='Clear' onClick={() => onClear()}/>
+                        </Table.HeaderCell>
+                    </Table.Row>
+                </Table.Header>
+                <Table.Body>
+                    {history.map(h =>
+                        <Table.Row key={h.searchPhrase}>
+                            <Table.Cell>{h.searchPhrase}</Table.Cell>
+                            <Table.Cell className='search-history-timestamp'>{new Date(h.timestamp).toLocaleString()}</Table.Cell>
+                            <Table.Cell className='search-history-actions' textAlign='right'>
+                                <Button.Group size='mini'>
+                                    <Button icon='search' primary title='Search Again' onClick={() => onRerun(h.searchPhrase)}/>
+                                    <Button icon='x' title='Remove' onClick={() => onRemove(h.searchPhrase)}/>
+                                </Button.Group>
+                            </Table.Cell>
+                        </Table.Row>
+                    )}
+                </Table.Body>
+            </Table>}
+    </Segment>
+);
+
+export default SearchHistory;
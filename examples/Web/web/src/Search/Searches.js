@@ -0,0 +1,166 @@
+import React, { Component } from 'react';
+import api from '../api';
+
+import Search, { getStorageKey } from './Search';
+import SearchHistory from './SearchHistory';
+import ActiveSearches from './ActiveSearches';
+
+import {
+    Menu,
+    Icon
+} from 'semantic-ui-react';
+
+const storageKey = 'soulseek-example-search-workspace';
+const legacyStorageKey = 'soulseek-example-search-state';
+const historyLimit = 50;
+
+const newTab = (props) => ({ id: `${Date.now()}`, searchPhrase: '', searchState: 'idle', ...props });
+
+const getInitialState = () => {
+    const tab = newTab();
+    const legacyState = localStorage.getItem(legacyStorageKey);
+
+    // carry over the single search kept by earlier versions into the first tab
+    if (legacyState) {
+        localStorage.setItem(getStorageKey(tab.id), legacyState);
+        localStorage.removeItem(legacyStorageKey);
+    }
+
+    return { tabs: [tab], active: tab.id, history: [] };
+}
+
+class Searches extends Component {
+    state = JSON.parse(localStorage.getItem(storageKey)) || getInitialState();
+
+    saveState = () => {
+        localStorage.setItem(storageKey, JSON.stringify(this.state));
+    }
+
+    addTab = (props) => {
+        const tab = newTab(props);
+        this.setState({ tabs: this.state.tabs.concat(tab), active: tab.id }, () => this.saveState());
+    }
+
+    closeTab = (event, tab) => {
+        event.stopPropagation();
+
+        // stop searches this tab started; searches it merely follows belong to someone else
+        if (tab.searchState === 'pending' && !tab.attached) {
+            api.delete(`/searches/${tab.searchToken}`).catch(() => {});
+        }
+
+        localStorage.removeItem(getStorageKey(tab.id));
+
+        const tabs = this.state.tabs.filter(t => t.id !== tab.id);
+        const remaining = tabs.length > 0 ? tabs : [newTab()];
+        const active = this.state.active === tab.id ? remaining[remaining.length - 1].id : this.state.active;
+
+        this.setState({ tabs: remaining, active }, () => this.saveState());
+    }
+
+    onTabChange = (id, { searchPhrase, searchState, searchToken }) => {
+        // once the tab reports its own state, the initial phrase/token it was opened with have been consumed
+        const tabs = this.state.tabs.map(t => t.id !== id ? t : { id, attached: t.attached, searchPhrase, searchState, searchToken });
+        this.setState({ tabs }, () => this.saveState());
+    }
+
+    onSearch = (searchPhrase) => {
+        const history = [{ searchPhrase, timestamp: Date.now() }]
+            .concat(this.state.history.filter(h => h.searchPhrase !== searchPhrase))
+            .slice(0, historyLimit);
+
+        this.setState({ history }, () => this.saveState());
+    }
+
+    rerun = (searchPhrase) => {
+        this.addTab({ initialSearchPhrase: searchPhrase });
+    }
+
+    removeHistory = (searchPhrase) => {
+        this.setState({ history: this.state.history.filter(h => h.searchPhrase !== searchPhrase) }, () => this.saveState());
+    }
+
+    clearHistory = () => {
+        this.setState({ history: [] }, () => this.saveState());
+    }
+
+    open = (search) => {
+        const existing = this.state.tabs.find(t => t.searchToken === search.token);
+
+        if (existing) {
+            this.setState({ active: existing.id }, () => this.saveState());
+        } else {
+            this.addTab({ attached: true, initialSearchPhrase: search.searchText, initialSearchToken: search.token });
+        }
+    }
+
+    stop = (search) => {
+        api.delete(`/searches/${search.token}`).catch(() => {});
+    }
+
+    select = (active) => {
+        this.setState({ active }, () => this.saveState());
+    }
+
+    render = () => {
+        const { tabs, active, history } = this.state;
+
+        return (
+            <div className='search-workspace'>
+                <Menu className='search-tabs' attached='top' tabular>
+                    {tabs.map(tab =>
+                        <Menu.Item
+                            key={tab.id}
+                            active={active === tab.id}
+                            onClick={() => this.select(tab.id)}
+                        >
+                            {tab.searchState === 'pending' && <Icon loading name='circle notch'/>}
+                            {tab.searchPhrase || 'New Search'}
+                            <Icon
+                                className='search-tabs-close'
+                                name='close'
+                                onClick={(event) => this.closeTab(event, tab)}
+                            />
+                        </Menu.Item>
+                    )}
+                    <Menu.Item onClick={() => this.addTab()}>
+                        <Icon name='plus'/>
+                    </Menu.Item>
+                    <Menu.Menu position='right'>
+                        <Menu.Item active={active === 'history'} onClick={() => this.select('history')}>
+                            <Icon name='history'/>History
+                        </Menu.Item>
+                        <Menu.Item active={active === 'server'} onClick={() => this.select('server')}>
+                            <Icon name='server'/>Running on Server
+                        </Menu.Item>
+                    </Menu.Menu>
+                </Menu>
+                {tabs.map(tab =>
+                    <div key={tab.id} style={{ display: active === tab.id ? 'block' : 'none' }}>
+                        <Search
+                            id={tab.id}
+                            initialSearchPhrase={tab.initialSearchPhrase}
+                            initialSearchToken={tab.initialSearchToken}
+                            onSearch={this.onSearch}
+                            onChange={(state) => this.onTabChange(tab.id, state)}
+                        />
+                    </div>
+                )}
+                {active === 'history' &&
+                    <SearchHistory
+                        history={history}
+                        onRerun={this.rerun}
+                        onRemove={this.removeHistory}
+                        onClear={this.clearHistory}
+                    />}
+                {active === 'server' &&
+                    <ActiveSearches
+                        onOpen={this.open}
+                        onStop={this.stop}
+                    />}
+            </div>
+        )
+    }
+}
+
+export default Searches;
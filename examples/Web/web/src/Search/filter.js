@@ -0,0 +1,100 @@
+import { getFileName } from '../util';
+
+const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+const parseSize = (value) => {
+    const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/.exec(value);
+    return match ? parseFloat(match[1]) * units[match[2] || 'b'] : undefined;
+}
+
+const parseNumber = (value) => /^\d+$/.test(value) ? parseInt(value, 10) : undefined;
+
+const numericTokens = {
+    minbr: { field: 'minBitRate', parse: parseNumber },
+    maxbr: { field: 'maxBitRate', parse: parseNumber },
+    minsize: { field: 'minSize', parse: parseSize },
+    maxsize: { field: 'maxSize', parse: parseSize },
+    minlen: { field: 'minLength', parse: parseNumber },
+    maxlen: { field: 'maxLength', parse: parseNumber },
+    minfiles: { field: 'minFiles', parse: parseNumber }
+};
+
+export const emptyFilter = {
+    include: [],
+    exclude: [],
+    extensions: [],
+    isVBR: false,
+    isCBR: false,
+    invalid: []
+};
+
+// parses a space delimited filter expression, e.g. 'ext:flac minbr:320 minsize:5MB -live isvbr minfiles:10'.
+// bare words must appear in the file path and words prefixed with '-' must not.
+export const parseFilter = (text = '') => {
+    return text.toLowerCase().split(/\s+/).filter(t => t !== '').reduce((filter, token) => {
+        const separator = token.indexOf(':');
+
+        if (separator > 0) {
+            const key = token.substring(0, separator);
+            const value = token.substring(separator + 1);
+
+            if (key === 'ext' && value !== '') {
+                const extensions = value.split(',').filter(e => e !== '').map(e => e.replace(/^\./, ''));
+                return { ...filter, extensions: filter.extensions.concat(extensions) };
+            }
+
+            const numeric = numericTokens[key];
+            const parsed = numeric && numeric.parse(value);
+
+            if (parsed !== undefined) {
+                return { ...filter, [numeric.field]: parsed };
+            }
+
+            return { ...filter, invalid: filter.invalid.concat(token) };
+        }
+
+        if (token === 'isvbr') return { ...filter, isVBR: true };
+        if (token === 'iscbr') return { ...filter, isCBR: true };
+
+        if (token.startsWith('-')) {
+            return token.length > 1 ? { ...filter, exclude: filter.exclude.concat(token.substring(1)) } : filter;
+        }
+
+        return { ...filter, include: filter.include.concat(token) };
+    }, emptyFilter);
+}
+
+const getExtension = (file) =>
+    (file.extension || getFileName(file.filename).split('.').pop() || '').toLowerCase().replace(/^\./, '');
+
+// attributes a filter requires but a file doesn't report (bit rate, length) fail the filter
+const within = (value, min, max) =>
+    (min === undefined || (value !== undefined && value !== null && value >= min)) &&
+    (max === undefined || (value !== undefined && value !== null && value <= max));
+
+export const fileMatches = (file, filter) => {
+    const path = file.filename.toLowerCase();
+
+    return filter.include.every(word => path.includes(word)) &&
+        !filter.exclude.some(word => path.includes(word)) &&
+        (filter.extensions.length === 0 || filter.extensions.includes(getExtension(file))) &&
+        (!filter.isVBR || file.isVariableBitRate === true) &&
+        (!filter.isCBR || file.isVariableBitRate === false) &&
+        within(file.bitRate, filter.minBitRate, filter.maxBitRate) &&
+        within(file.size, filter.minSize, filter.maxSize) &&
+        within(file.length, filter.minLength, filter.maxLength);
+}
+
+// filters the files of each response, dropping responses left with no files or fewer than minfiles.
+// responses whose files all match are returned as-is so that consumers can rely on their identity.
+export const filterResponses = (responses, filter) => {
+    return responses.reduce((filtered, response) => {
+        const files = response.files.filter(f => fileMatches(f, filter));
+
+        if (files.length === 0 || files.length < (filter.minFiles || 0)) {
+            return filtered;
+        }
+
+        return filtered.concat(files.length === response.files.length ? response : { ...response, files });
+    }, []);
+}
@@ -0,0 +1,148 @@
+import React, { Component } from 'react';
+import api from '../api';
+import { ServerContext, getStatus } from '../server';
+import { describeError } from '../notifications';
+
+import {
+    Segment,
+    Header,
+    Form,
+    Button,
+    Label,
+    Icon,
+    Message
+} from 'semantic-ui-react';
+
+const initialState = {
+    address: '',
+    port: '',
+    username: '',
+    password: '',
+    disconnectMessage: '',
+    connectState: undefined,
+    error: undefined
+};
+
+class Server extends Component {
+    static contextType = ServerContext;
+
+    state = initialState;
+
+    connect = () => {
+        const { address, port, username, password } = this.state;
+
+        // blank fields keep the values of the current connection
+        const request = {
+            address: address.trim() || undefined,
+            port: port ? Number(port) : undefined,
+            username: username.trim() || undefined,
+            password: password || undefined
+        };
+
+        this.setState({ connectState: 'pending', error: undefined }, () => {
+            api.post('/server', request, { silent: true })
+            .then(() => this.setState({ ...initialState, connectState: 'complete' }))
+            .catch(err => this.setState({ connectState: 'error', error: err }));
+        });
+    }
+
+    disconnect = () => {
+        const { disconnectMessage } = this.state;
+
+        this.setState({ connectState: 'pending', error: undefined }, () => {
+            api.delete('/server', { silent: true, params: { message: disconnectMessage.trim() || undefined } })
+            .then(() => this.setState({ connectState: undefined, disconnectMessage: '' }))
+            .catch(err => this.setState({ connectState: 'error', error: err }));
+        });
+    }
+
+    render = () => {
+        const server = this.context;
+        const { address, port, username, password, disconnectMessage, connectState, error } = this.state;
+        const status = getStatus(server);
+        const pending = connectState === 'pending';
+
+        return (
+            <Segment className='settings-segment' raised>
+                <Header as='h3'>
+                    <Icon name='server'/>
+                    <Header.Content>Server Connection</Header.Content>
+                </Header>
+                <Label color={status.color}>{status.text}</Label>
+                <Label basic>
+                    Server<Label.Detail>{server.address ? `${server.address}:${server.port || ''}` : 'Default'}</Label.Detail>
+                </Label>
+                {server.username && <Label basic>Username<Label.Detail>{server.username}</Label.Detail></Label>}
+                {server.state && <Label basic>State<Label.Detail>{server.state}</Label.Detail></Label>}
+                {!server.isLoggedIn && server.disconnectedAt && <p className='settings-hint'>
+                    Disconnected {new Date(server.disconnectedAt).toLocaleString()}{server.disconnectMessage ? `: ${server.disconnectMessage}` : ''}
+                    {server.isReconnecting && ' (reconnecting automatically)'}
+                </p>}
+                <Form className='server-form'>
+                    <Form.Group widths='equal'>
+                        <Form.Input
+                            label='Address'
+                            placeholder={server.address || 'Default server'}
+                            value={address}
+                            onChange={(event, { value }) => this.setState({ address: value })}
+                        />
+                        <Form.Input
+                            label='Port'
+                            type='number'
+                            placeholder={server.port ? `${server.port}` : 'Default port'}
+                            value={port}
+                            onChange={(event, { value }) => this.setState({ port: value })}
+                        />
+                    </Form.Group>
+                    <Form.Group widths='equal'>
+                        <Form.Input
+                            label='Username'
+                            placeholder={server.username || 'Username'}
+                            value={username}
+                            onChange={(event, { value }) => this.setState({ username: value })}
+                        />
+                        <Form.Input
+                            label='Password'
+                            type='password'
+                            placeholder='Unchanged'
+                            value={password}
+                            onChange={(event, { value }) => this.setState({ password: value })}
+                        />
+                    </Form.Group>
+                    <div className='settings-hint'>Blank fields keep the values of the current connection. Connecting replaces the existing connection.</div>
+                    <Button
+                        primary
+                        className='server-form-button'
+                        icon='plug'
+                        content={server.isLoggedIn ? 'Reconnect' : 'Connect'}
+                        loading={pending}
+                        disabled={pending}
+                        onClick={this.connect}
+                    />
+                    {server.isConnected && <Form.Group className='server-form-button'>
+                        <Form.Input
+                            width={12}
+                            placeholder='Disconnect message (optional)'
+                            value={disconnectMessage}
+                            onChange={(event, { value }) => this.setState({ disconnectMessage: value })}
+                        />
+                        <Form.Button
+                            width={4}
+                            negative
+                            fluid
+                            icon='power off'
+                            content='Disconnect'
+                            disabled={pending}
+                            onClick={this.disconnect}
+                        />
+                    </Form.Group>}
+                </Form>
+                {connectState === 'error' && error && <Message negative>
+                    {describeError(error)}
+                </Message>}
+            </Segment>
+        );
+    }
+}
+
+export default Server;
@@ -0,0 +1,81 @@
+import React, { Component } from 'react';
+
+import { templates, getDownloadSettings, saveDownloadSettings, previewPath } from '../downloads';
+import DestinationPicker from '../Shared/DestinationPicker';
+
+import {
+    Segment,
+    Header,
+    Form,
+    Dropdown,
+    Button,
+    Icon,
+    Label
+} from 'semantic-ui-react';
+
+const exampleUsername = 'someuser';
+const exampleFilename = '@@music\\Artist\\Album (2019)\\01 - Track.flac';
+
+const tokens = ['{username}', '{remoteFolder}', '{remotePath}', '{filename}', '{basename}', '{extension}'];
+
+class DownloadSettings extends Component {
+    state = { ...getDownloadSettings(), saved: false }
+
+    onChange = (changes) => this.setState({ ...changes, saved: false });
+
+    save = () => {
+        const { destination, template } = this.state;
+        saveDownloadSettings({ destination, template });
+        this.setState({ saved: true });
+    }
+
+    render = () => {
+        const { destination, template, saved } = this.state;
+        const valid = template.includes('{filename}') || template.includes('{basename}');
+
+        const options = templates
+            .map(t => ({ ...t, description: t.value }))
+            .concat(templates.find(t => t.value === template) ? [] : { key: template, text: template, value: template });
+
+        return (
+            <Segment className='settings-segment' raised>
+                <Header as='h3'>Download Defaults</Header>
+                <Form>
+                    <Form.Field>
+                        <label>Destination</label>
+                        <DestinationPicker
+                            value={destination}
+                            onChange={(destination) => this.onChange({ destination })}
+                        />
+                    </Form.Field>
+                    <Form.Field error={!valid}>
+                        <label>Naming Template</label>
+                        <Dropdown
+                            selection
+                            search
+                            allowAdditions
+                            additionLabel='Custom: '
+                            options={options}
+                            value={template}
+                            onAddItem={(event, { value }) => this.onChange({ template: value })}
+                            onChange={(event, { value }) => this.onChange({ template: value })}
+                        />
+                        <div className='settings-hint'>
+                            Available tokens: {tokens.join(', ')}. Use / to create directories.
+                        </div>
+                    </Form.Field>
+                    <Form.Field>
+                        <label>Example</label>
+                        {valid ? 
+                            <code>{previewPath({ destination, template }, exampleUsername, exampleFilename)}</code> :
+                            <Label basic color='red' pointing>The template must contain {'{filename}'} or {'{basename}'}</Label>}
+                    </Form.Field>
+                    <Button primary disabled={!valid} onClick={this.save}>Save</Button>
+                    {saved && <Icon name='checkmark' color='green' size='large'/>}
+                </Form>
+            </Segment>
+        )
+    }
+}
+
+export default DownloadSettings;
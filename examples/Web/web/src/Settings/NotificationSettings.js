@@ -0,0 +1,130 @@
+import React, { Component } from 'react';
+
+import {
+    desktopEventNames,
+    getDesktopNotificationSettings,
+    saveDesktopNotificationSettings,
+    getPermission,
+    requestPermission,
+    showDesktopNotification
+} from '../desktopNotifications';
+
+import {
+    Segment,
+    Header,
+    Form,
+    Checkbox,
+    Button,
+    Icon,
+    Label
+} from 'semantic-ui-react';
+
+const permissionMessages = {
+    unsupported: 'This browser does not support desktop notifications.',
+    denied: 'Notifications are blocked for this site.  Allow them in the browser\'s site settings, then enable them here.'
+};
+
+class NotificationSettings extends Component {
+    state = { ...getDesktopNotificationSettings(), permission: getPermission(), saved: false }
+
+    onChange = (changes) => this.setState({ ...changes, saved: false });
+
+    toggleEvent = (type, checked) => this.onChange({ events: { ...this.state.events, [type]: checked } });
+
+    onQuietHoursChange = (changes) => this.onChange({ quietHours: { ...this.state.quietHours, ...changes } });
+
+    // permission can only be asked for in response to the user doing something, so it's asked for when they opt in
+    enable = (enabled) => {
+        if (!enabled) {
+            this.onChange({ enabled });
+            return;
+        }
+
+        requestPermission()
+        .then(permission => this.setState({ permission }, () => this.onChange({ enabled: permission === 'granted' })));
+    }
+
+    save = () => {
+        const { enabled, events, backgroundOnly, quietHours } = this.state;
+        saveDesktopNotificationSettings({ enabled, events, backgroundOnly, quietHours });
+        this.setState({ saved: true });
+    }
+
+    test = () => showDesktopNotification('Soulseek', { body: 'Desktop notifications are working.', tag: 'test' });
+
+    render = () => {
+        const { enabled, events, backgroundOnly, quietHours, permission, saved } = this.state;
+        const available = permission !== 'unsupported';
+        const valid = !quietHours.enabled || (quietHours.start && quietHours.end);
+
+        return (
+            <Segment className='settings-segment' raised>
+                <Header as='h3'>Desktop Notifications</Header>
+                <Form>
+                    <Form.Field>
+                        <Checkbox
+                            toggle
+                            label='Show desktop notifications in this browser'
+                            disabled={!available}
+                            checked={enabled}
+                            onChange={(event, { checked }) => this.enable(checked)}
+                        />
+                        {permissionMessages[permission] &&
+                            <Label basic color='red' pointing='left'>{permissionMessages[permission]}</Label>}
+                    </Form.Field>
+                    <Form.Field disabled={!enabled}>
+                        <label>Notify me when</label>
+                        {Object.keys(desktopEventNames).map(type =>
+                            <Form.Checkbox
+                                key={type}
+                                label={desktopEventNames[type]}
+                                checked={events[type]}
+                                onChange={(event, { checked }) => this.toggleEvent(type, checked)}
+                            />
+                        )}
+                    </Form.Field>
+                    <Form.Field disabled={!enabled}>
+                        <Checkbox
+                            label='Only while this page is in a background tab or window'
+                            checked={backgroundOnly}
+                            onChange={(event, { checked }) => this.onChange({ backgroundOnly: checked })}
+                        />
+                    </Form.Field>
+                    <Form.Field disabled={!enabled}>
+                        <Checkbox
+                            label='Quiet hours'
+                            checked={quietHours.enabled}
+                            onChange={(event, { checked }) => this.onQuietHoursChange({ enabled: checked })}
+                        />
+                    </Form.Field>
+                    <Form.Group>
+                        <Form.Input
+                            type='time'
+                            label='From'
+                            disabled={!enabled || !quietHours.enabled}
+                            error={!valid && !quietHours.start}
+                            value={quietHours.start}
+                            onChange={(event, { value }) => this.onQuietHoursChange({ start: value })}
+                        />
+                        <Form.Input
+                            type='time'
+                            label='Until'
+                            disabled={!enabled || !quietHours.enabled}
+                            error={!valid && !quietHours.end}
+                            value={quietHours.end}
+                            onChange={(event, { value }) => this.onQuietHoursChange({ end: value })}
+                        />
+                    </Form.Group>
+                    <div className='settings-hint'>
+                        Nothing is shown during quiet hours; they may span midnight.  Transfer events are still listed in the notification center.
+                    </div>
+                    <Button primary disabled={!valid} onClick={this.save}>Save</Button>
+                    <Button disabled={permission !== 'granted'} onClick={this.test}>Send a Test</Button>
+                    {saved && <Icon name='checkmark' color='green' size='large'/>}
+                </Form>
+            </Segment>
+        )
+    }
+}
+
+export default NotificationSettings;
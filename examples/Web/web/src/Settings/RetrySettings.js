@@ -0,0 +1,128 @@
+import React, { Component } from 'react';
+import api from '../api';
+import { describeError } from '../notifications';
+
+import {
+    Segment,
+    Header,
+    Form,
+    Checkbox,
+    Button,
+    Icon,
+    Label,
+    Loader
+} from 'semantic-ui-react';
+
+const retryableStates = ['Errored', 'TimedOut', 'Rejected', 'Cancelled'];
+
+class RetrySettings extends Component {
+    state = { policy: undefined, saveState: undefined, error: undefined }
+
+    componentDidMount = () => {
+        api.get('/transfers/retrypolicy')
+        .then(response => this.setState({ policy: response.data }))
+        .catch(err => this.setState({ error: err }));
+    }
+
+    onChange = (changes) => this.setState({ policy: { ...this.state.policy, ...changes }, saveState: undefined });
+
+    toggleState = (state, checked) => {
+        const states = this.state.policy.states.filter(s => s !== state);
+        this.onChange({ states: checked ? states.concat(state) : states });
+    }
+
+    save = () => {
+        this.setState({ saveState: 'pending' }, () => {
+            api.put('/transfers/retrypolicy', this.state.policy)
+            .then(response => this.setState({ policy: response.data, saveState: 'complete', error: undefined }))
+            .catch(err => this.setState({ saveState: 'error', error: err }));
+        });
+    }
+
+    render = () => {
+        const { policy, saveState, error } = this.state;
+
+        return (
+            <Segment className='settings-segment' raised>
+                <Header as='h3'>Automatic Retries</Header>
+                {!policy ? (error ? 
+                    <Label>{`Failed to fetch the retry policy: ${describeError(error)}`}</Label> : 
+                    <Loader active inline='centered'/>) :
+                <Form>
+                    <Form.Field>
+                        <Checkbox
+                            toggle
+                            label='Retry failed downloads automatically'
+                            checked={policy.enabled}
+                            onChange={(event, { checked }) => this.onChange({ enabled: checked })}
+                        />
+                    </Form.Field>
+                    <Form.Group widths='equal'>
+                        <Form.Input
+                            type='number'
+                            min={0}
+                            label='Maximum Attempts'
+                            disabled={!policy.enabled}
+                            value={policy.maxAttempts}
+                            onChange={(event, { value }) => this.onChange({ maxAttempts: parseInt(value, 10) || 0 })}
+                        />
+                        <Form.Input
+                            type='number'
+                            min={0}
+                            label='Initial Delay (seconds)'
+                            disabled={!policy.enabled}
+                            value={policy.initialDelay}
+                            onChange={(event, { value }) => this.onChange({ initialDelay: parseInt(value, 10) || 0 })}
+                        />
+                        <Form.Input
+                            type='number'
+                            min={1}
+                            step={0.5}
+                            label='Backoff Multiplier'
+                            disabled={!policy.enabled}
+                            value={policy.backoffMultiplier}
+                            onChange={(event, { value }) => this.onChange({ backoffMultiplier: parseFloat(value) || 1 })}
+                        />
+                        <Form.Input
+                            type='number'
+                            min={0}
+                            label='Maximum Delay (seconds)'
+                            disabled={!policy.enabled}
+                            value={policy.maxDelay}
+                            onChange={(event, { value }) => this.onChange({ maxDelay: parseInt(value, 10) || 0 })}
+                        />
+                    </Form.Group>
+                    <Form.Field>
+                        <label>Retry When</label>
+                        {retryableStates.map(state => 
+                            <Checkbox
+                                key={state}
+                                className='settings-inline-checkbox'
+                                label={state}
+                                disabled={!policy.enabled}
+                                checked={policy.states.includes(state)}
+                                onChange={(event, { checked }) => this.toggleState(state, checked)}
+                            />
+                        )}
+                        <div className='settings-hint'>
+                            Cancelled applies to downloads cancelled by the other user; those cancelled or removed here are never retried.
+                        </div>
+                    </Form.Field>
+                    <Form.Field>
+                        <Checkbox
+                            label='Find an alternate source when the user is offline, rejects the download, or retries are exhausted'
+                            disabled={!policy.enabled}
+                            checked={policy.findAlternateSource}
+                            onChange={(event, { checked }) => this.onChange({ findAlternateSource: checked })}
+                        />
+                    </Form.Field>
+                    <Button primary loading={saveState === 'pending'} onClick={this.save}>Save</Button>
+                    {saveState === 'complete' && <Icon name='checkmark' color='green' size='large'/>}
+                    {saveState === 'error' && <Label basic color='red'>{describeError(error)}</Label>}
+                </Form>}
+            </Segment>
+        )
+    }
+}
+
+export default RetrySettings;
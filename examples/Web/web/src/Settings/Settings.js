@@ -0,0 +1,21 @@
+import React from 'react';
+import { SessionContext, can } from '../session';
+
+import DownloadSettings from './DownloadSettings';
+import NotificationSettings from './NotificationSettings';
+import RetrySettings from './RetrySettings';
+import UploadSettings from './UploadSettings';
+
+// download and notification settings are kept in the browser; the others change the server for everyone, so only admins see them
+const Settings = () => (
+    <SessionContext.Consumer>
+        {session => <div>
+            <DownloadSettings/>
+            <NotificationSettings/>
+            {can(session, 'administer') && <RetrySettings/>}
+            {can(session, 'administer') && <UploadSettings/>}
+        </div>}
+    </SessionContext.Consumer>
+);
+
+export default Settings;
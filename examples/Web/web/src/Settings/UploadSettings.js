@@ -0,0 +1,121 @@
+import React, { Component } from 'react';
+import api from '../api';
+import { describeError } from '../notifications';
+
+import {
+    Segment,
+    Header,
+    Form,
+    Dropdown,
+    Button,
+    Icon,
+    Label,
+    Loader
+} from 'semantic-ui-react';
+
+// blank speed limits mean unlimited
+const toLimit = (value) => value === '' ? null : parseInt(value, 10) || null;
+
+const UserList = ({ label, hint, value, onChange }) => (
+    <Form.Field>
+        <label>{label}</label>
+        <Dropdown
+            fluid
+            multiple
+            search
+            selection
+            allowAdditions
+            additionLabel='Add user: '
+            noResultsMessage='Type a username to add it'
+            placeholder='None'
+            options={value.map(u => ({ key: u, text: u, value: u }))}
+            value={value}
+            onChange={(event, { value }) => onChange(value)}
+        />
+        <div className='settings-hint'>{hint}</div>
+    </Form.Field>
+);
+
+class UploadSettings extends Component {
+    state = { policy: undefined, saveState: undefined, error: undefined }
+
+    componentDidMount = () => {
+        api.get('/transfers/uploadpolicy')
+        .then(response => this.setState({ policy: response.data }))
+        .catch(err => this.setState({ error: err }));
+    }
+
+    onChange = (changes) => this.setState({ policy: { ...this.state.policy, ...changes }, saveState: undefined });
+
+    save = () => {
+        this.setState({ saveState: 'pending' }, () => {
+            api.put('/transfers/uploadpolicy', this.state.policy)
+            .then(response => this.setState({ policy: response.data, saveState: 'complete', error: undefined }))
+            .catch(err => this.setState({ saveState: 'error', error: err }));
+        });
+    }
+
+    render = () => {
+        const { policy, saveState, error } = this.state;
+
+        return (
+            <Segment className='settings-segment' raised>
+                <Header as='h3'>Uploads</Header>
+                {!policy ? (error ? 
+                    <Label>{`Failed to fetch the upload policy: ${describeError(error)}`}</Label> : 
+                    <Loader active inline='centered'/>) :
+                <Form>
+                    <Form.Group widths='equal'>
+                        <Form.Input
+                            type='number'
+                            min={1}
+                            label='Upload Slots'
+                            value={policy.globalSlots}
+                            onChange={(event, { value }) => this.onChange({ globalSlots: parseInt(value, 10) || 0 })}
+                        />
+                        <Form.Input
+                            type='number'
+                            min={1}
+                            label='Slots per User'
+                            value={policy.userSlots}
+                            onChange={(event, { value }) => this.onChange({ userSlots: parseInt(value, 10) || 0 })}
+                        />
+                        <Form.Input
+                            type='number'
+                            min={1}
+                            label='Total Speed Limit (KiB/s)'
+                            placeholder='Unlimited'
+                            value={policy.globalSpeedLimit || ''}
+                            onChange={(event, { value }) => this.onChange({ globalSpeedLimit: toLimit(value) })}
+                        />
+                        <Form.Input
+                            type='number'
+                            min={1}
+                            label='Speed Limit per Upload (KiB/s)'
+                            placeholder='Unlimited'
+                            value={policy.uploadSpeedLimit || ''}
+                            onChange={(event, { value }) => this.onChange({ uploadSpeedLimit: toLimit(value) })}
+                        />
+                    </Form.Group>
+                    <UserList
+                        label='Priority Users'
+                        hint='Uploads to these users start ahead of everyone else in the queue.'
+                        value={policy.priorityUsers}
+                        onChange={(priorityUsers) => this.onChange({ priorityUsers })}
+                    />
+                    <UserList
+                        label='Banned Users'
+                        hint='Download requests from these users are rejected.  Uploads already in progress continue until cancelled.'
+                        value={policy.bannedUsers}
+                        onChange={(bannedUsers) => this.onChange({ bannedUsers })}
+                    />
+                    <Button primary loading={saveState === 'pending'} onClick={this.save}>Save</Button>
+                    {saveState === 'complete' && <Icon name='checkmark' color='green' size='large'/>}
+                    {saveState === 'error' && <Label basic color='red'>{describeError(error)}</Label>}
+                </Form>}
+            </Segment>
+        )
+    }
+}
+
+export default UploadSettings;
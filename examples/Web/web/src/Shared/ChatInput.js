@@ -0,0 +1,53 @@
+import React, { Component } from 'react';
+import { ServerContext, isOnline } from '../server';
+import { describeError } from '../notifications';
+
+import { Input, Label } from 'semantic-ui-react';
+
+const initialState = { message: '', sendState: undefined, sendError: undefined };
+
+// a single line message composer; onSend returns a promise, and the text is kept if sending fails so it can be retried
+class ChatInput extends Component {
+    static contextType = ServerContext;
+
+    state = initialState;
+
+    send = () => {
+        const { message } = this.state;
+
+        if (message.trim() === '') {
+            return;
+        }
+
+        this.setState({ sendState: 'pending', sendError: undefined }, () => {
+            this.props.onSend(message)
+            .then(() => this.setState(initialState))
+            .catch(err => this.setState({ sendState: 'error', sendError: err }));
+        });
+    }
+
+    render = () => {
+        const { placeholder } = this.props;
+        const { message, sendState, sendError } = this.state;
+        const pending = sendState === 'pending';
+        const disabled = this.props.disabled || !isOnline(this.context);
+
+        return (
+            <div className='chat-input'>
+                <Input
+                    fluid
+                    placeholder={placeholder}
+                    value={message}
+                    disabled={disabled}
+                    onChange={(event, { value }) => this.setState({ message: value })}
+                    onKeyUp={(event) => event.key === 'Enter' && !pending && this.send()}
+                    action={{ icon: 'send', content: 'Send', primary: true, loading: pending, disabled: disabled || pending || message.trim() === '', onClick: this.send }}
+                />
+                {sendState === 'error' && sendError &&
+                    <Label basic color='red' pointing>{`Failed to send message: ${describeError(sendError)}`}</Label>}
+            </div>
+        );
+    }
+}
+
+export default ChatInput;
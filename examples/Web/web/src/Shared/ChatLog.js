@@ -0,0 +1,53 @@
+import React, { Component } from 'react';
+
+import UserProfile from './UserProfile';
+
+const formatTime = (timestamp) => {
+    const date = new Date(timestamp);
+    return date.toDateString() === new Date().toDateString() ? date.toLocaleTimeString() : date.toLocaleString();
+}
+
+// keeps the newest message in view as messages arrive, unless the log has been scrolled up to read older ones
+class ChatLog extends Component {
+    componentDidMount = () => {
+        this.scrollToBottom();
+    }
+
+    getSnapshotBeforeUpdate = () => {
+        const { log } = this;
+        return log ? log.scrollHeight - log.scrollTop - log.clientHeight < 20 : false;
+    }
+
+    componentDidUpdate = (prevProps, prevState, atBottom) => {
+        if (atBottom || this.props.messages.length < prevProps.messages.length) {
+            this.scrollToBottom();
+        }
+    }
+
+    scrollToBottom = () => {
+        if (this.log) {
+            this.log.scrollTop = this.log.scrollHeight;
+        }
+    }
+
+    render = () => {
+        const { messages, placeholder } = this.props;
+
+        return (
+            <div className='chat-log' ref={log => this.log = log}>
+                {messages.length === 0 && <div className='chat-log-placeholder'>{placeholder}</div>}
+                {messages.map((m, i) =>
+                    <div key={i} className={`chat-message${m.self ? ' chat-message-self' : ''}`}>
+                        <span className='chat-message-time'>{formatTime(m.timestamp)}</span>
+                        <span className='chat-message-username'>
+                            {m.self ? m.username : <UserProfile username={m.username}/>}
+                        </span>
+                        <span className='chat-message-text'>{m.message}</span>
+                    </div>
+                )}
+            </div>
+        );
+    }
+}
+
+export default ChatLog;
@@ -0,0 +1,51 @@
+import React, { Component } from 'react';
+import api from '../api';
+
+import { Dropdown } from 'semantic-ui-react';
+
+const toOption = (directory) => ({ key: directory, text: directory || '(output directory)', value: directory });
+
+class DestinationPicker extends Component {
+    state = { destinations: [], loading: false }
+
+    componentDidMount = () => {
+        this.setState({ loading: true }, () => {
+            api.get('/transfers/destinations')
+            .then(response => this.setState({ destinations: response.data, loading: false }))
+            .catch(() => this.setState({ loading: false }));
+        });
+    }
+
+    onAddItem = (event, { value }) => {
+        this.setState({ destinations: this.state.destinations.concat(value) });
+    }
+
+    render = () => {
+        const { value, onChange, disabled, className } = this.props;
+        const { destinations, loading } = this.state;
+
+        const options = [ '', ...destinations ]
+            .concat(value && !destinations.includes(value) ? value : [])
+            .map(toOption);
+
+        return (
+            <Dropdown
+                className={className}
+                selection
+                search
+                allowAdditions
+                additionLabel='New folder: '
+                placeholder='Destination'
+                title='Destination folder, relative to the output directory'
+                loading={loading}
+                disabled={disabled}
+                options={options}
+                value={value || ''}
+                onAddItem={this.onAddItem}
+                onChange={(event, data) => onChange(data.value)}
+            />
+        );
+    }
+}
+
+export default DestinationPicker;
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { Component } from 'react';
 
 import { formatSeconds, formatBytes, getFileName } from '../util';
 
@@ -10,55 +10,87 @@ import {
     Checkbox
 } from 'semantic-ui-react';
 
-const FileList = ({ directoryName, files, onSelectionChange, disabled }) => (
-  <div>
-    <Header 
-      size='small' 
-      className='filelist-header'
-    >
-      <Icon name='folder'/>{directoryName}
-    </Header>
-    {files && files.length > 0 && <List>
-      <List.Item>
-        <Table>
-          <Table.Header>
-            <Table.Row>
-              <Table.HeaderCell className='filelist-selector'>
-                <Checkbox 
-                  fitted
-                  onChange={(event, data) => files.map(f => onSelectionChange(f, data.checked))}
-                  checked={files.filter(f => !f.selected).length === 0}
-                  disabled={disabled}
-                />
-              </Table.HeaderCell>
-              <Table.HeaderCell className='filelist-filename'>File</Table.HeaderCell>
-              <Table.HeaderCell className='filelist-size'>Size</Table.HeaderCell>
-              <Table.HeaderCell className='filelist-bitrate'>Bitrate</Table.HeaderCell>
-              <Table.HeaderCell className='filelist-length'>Length</Table.HeaderCell>
-            </Table.Row>
-          </Table.Header>
-          <Table.Body>
-            {files.sort((a, b) => a.filename > b.filename ? 1 : -1).map((f, i) => 
-              <Table.Row key={i}>
-                <Table.Cell className='filelist-selector'>
-                  <Checkbox 
-                    fitted 
-                    onChange={(event, data) => onSelectionChange(f, data.checked)}
-                    checked={f.selected}
-                    disabled={disabled}
-                  />
-                </Table.Cell>
-                <Table.Cell className='filelist-filename'>{getFileName(f.filename)}</Table.Cell>
-                <Table.Cell className='filelist-size'>{formatBytes(f.size)}</Table.Cell>
-                <Table.Cell className='filelist-bitrate'>{f.bitRate}</Table.Cell>
-                <Table.Cell className='filelist-length'>{formatSeconds(f.length)}</Table.Cell>
-              </Table.Row>
-            )}
-          </Table.Body>
-        </Table>
-      </List.Item>
-    </List>}
-  </div>
-);
+const sortColumns = {
+  filename: (a, b) => a.filename > b.filename ? 1 : -1,
+  size: (a, b) => a.size - b.size,
+  bitRate: (a, b) => (a.bitRate || 0) - (b.bitRate || 0),
+  length: (a, b) => (a.length || 0) - (b.length || 0)
+};
+
+class FileList extends Component {
+  state = { sortColumn: 'filename', sortDirection: 'ascending' };
+
+  sortBy = (column) => {
+    const { sortColumn, sortDirection } = this.state;
+
+    if (column === sortColumn) {
+      this.setState({ sortDirection: sortDirection === 'ascending' ? 'descending' : 'ascending' });
+    } else {
+      this.setState({ sortColumn: column, sortDirection: 'ascending' });
+    }
+  }
+
+  sorted = (column) => this.state.sortColumn === column ? this.state.sortDirection : undefined;
+
+  render = () => {
+    const { directoryName, files, onSelectionChange, disabled, headerAction } = this.props;
+    const { sortColumn, sortDirection } = this.state;
+
+    const compare = sortColumns[sortColumn];
+    const sortedFiles = [...(files || [])].sort((a, b) => sortDirection === 'ascending' ? compare(a, b) : compare(b, a));
+
+    return (
+      <div>
+        <Header
+          size='small'
+          className='filelist-header'
+        >
+          <Icon name='folder'/>{directoryName}
+          {headerAction && <span className='filelist-header-action'>{headerAction}</span>}
+        </Header>
+        {sortedFiles.length > 0 && <List>
+          <List.Item>
+            <Table sortable>
+              <Table.Header>
+                <Table.Row>
+                  {onSelectionChange && <Table.HeaderCell className='filelist-selector'>
+                    <Checkbox
+                      fitted
+                      onChange={(event, data) => files.map(f => onSelectionChange(f, data.checked))}
+                      checked={files.filter(f => !f.selected).length === 0}
+                      disabled={disabled}
+                    />
+                  </Table.HeaderCell>}
+                  <Table.HeaderCell className='filelist-filename' sorted={this.sorted('filename')} onClick={() => this.sortBy('filename')}>File</Table.HeaderCell>
+                  <Table.HeaderCell className='filelist-size' sorted={this.sorted('size')} onClick={() => this.sortBy('size')}>Size</Table.HeaderCell>
+                  <Table.HeaderCell className='filelist-bitrate' sorted={this.sorted('bitRate')} onClick={() => this.sortBy('bitRate')}>Bitrate</Table.HeaderCell>
+                  <Table.HeaderCell className='filelist-length' sorted={this.sorted('length')} onClick={() => this.sortBy('length')}>Length</Table.HeaderCell>
+                </Table.Row>
+              </Table.Header>
+              <Table.Body>
+                {sortedFiles.map((f, i) =>
+                  <Table.Row key={i}>
+                    {onSelectionChange && <Table.Cell className='filelist-selector'>
+                      <Checkbox
+                        fitted
+                        onChange={(event, data) => onSelectionChange(f, data.checked)}
+                        checked={f.selected}
+                        disabled={disabled}
+                      />
+                    </Table.Cell>}
+                    <Table.Cell className='filelist-filename'>{getFileName(f.filename)}</Table.Cell>
+                    <Table.Cell className='filelist-size'>{formatBytes(f.size)}</Table.Cell>
+                    <Table.Cell className='filelist-bitrate'>{f.bitRate}</Table.Cell>
+                    <Table.Cell className='filelist-length'>{formatSeconds(f.length)}</Table.Cell>
+                  </Table.Row>
+                )}
+              </Table.Body>
+            </Table>
+          </List.Item>
+        </List>}
+      </div>
+    );
+  }
+}
 
 export default FileList;
@@ -0,0 +1,108 @@
+import React, { Component } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../api';
+
+import {
+    Modal,
+    Item,
+    Label,
+    Icon,
+    Button,
+    Loader
+} from 'semantic-ui-react';
+
+const presenceColors = { Online: 'green', Away: 'yellow', Offline: 'grey' };
+
+const initialState = {
+    open: false,
+    fetchState: undefined,
+    info: undefined,
+    status: undefined,
+    address: undefined
+};
+
+// each endpoint fails independently (e.g. a user can be online but refuse info requests), so a failure yields undefined
+const settle = (promise) => promise.then(response => response.data).catch(() => undefined);
+
+class UserProfile extends Component {
+    state = initialState;
+
+    open = () => {
+        const { username } = this.props;
+
+        this.setState({ ...initialState, open: true, fetchState: 'pending' }, () => {
+            Promise.all([
+                settle(api.get(`/user/${username}/info`)),
+                settle(api.get(`/user/${username}/status`)),
+                settle(api.get(`/user/${username}/address`))
+            ])
+            .then(([info, status, address]) => this.setState({ fetchState: 'complete', info, status, address }));
+        });
+    }
+
+    close = () => this.setState({ open: false });
+
+    render = () => {
+        const { username, trigger } = this.props;
+        const { open, fetchState, info, status, address } = this.state;
+
+        const presence = status ? status.presence : 'Offline';
+
+        return (
+            <Modal
+                trigger={trigger || <span className='user-profile-trigger'>{username}</span>}
+                open={open}
+                onOpen={this.open}
+                onClose={this.close}
+                size='small'
+            >
+                <Modal.Header>
+                    <Icon name='circle' color={presenceColors[presence]}/>{username}
+                </Modal.Header>
+                <Modal.Content>
+                    {fetchState === 'pending' ? <Loader active inline='centered'/> :
+                    <Item.Group>
+                        <Item>
+                            {info && info.hasPicture && info.picture && 
+                                <Item.Image size='small' src={`data:image;base64,${info.picture}`}/>}
+                            <Item.Content>
+                                <Item.Meta>
+                                    <Label color={presenceColors[presence]}>{presence}</Label>
+                                    {status && status.isPrivileged && <Label color='purple'>Privileged</Label>}
+                                    {address && <Label basic icon='linkify' content={`${address.ipAddress}:${address.port}`}/>}
+                                </Item.Meta>
+                                <Item.Description className='user-profile-description'>
+                                    {info ? (info.description || <i>No description</i>) : <i>User info is unavailable</i>}
+                                </Item.Description>
+                                {info && <Item.Extra>
+                                    <Label basic>Upload Slots<Label.Detail>{info.uploadSlots}</Label.Detail></Label>
+                                    <Label basic>Free Slot<Label.Detail>{info.hasFreeUploadSlot ? 'Yes' : 'No'}</Label.Detail></Label>
+                                    <Label basic>Queue Length<Label.Detail>{info.queueLength}</Label.Detail></Label>
+                                </Item.Extra>}
+                            </Item.Content>
+                        </Item>
+                    </Item.Group>}
+                </Modal.Content>
+                <Modal.Actions>
+                    <Button
+                        as={Link}
+                        to={`/messages/${encodeURIComponent(username)}`}
+                        icon='comment'
+                        content='Message'
+                        onClick={this.close}
+                    />
+                    <Button 
+                        as={Link} 
+                        to={`/browse/${encodeURIComponent(username)}`} 
+                        icon='folder open' 
+                        content='Browse' 
+                        onClick={this.close}
+                    />
+                    <Button content='Close' onClick={this.close}/>
+                </Modal.Actions>
+            </Modal>
+        );
+    }
+}
+
+export default UserProfile;
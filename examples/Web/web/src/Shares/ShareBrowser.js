@@ -0,0 +1,102 @@
+import React, { Component } from 'react';
+import api from '../api';
+import { describeError } from '../notifications';
+
+import '../Browse/Browse.css';
+
+import DirectoryTree from '../Browse/DirectoryTree';
+import { buildTree, sep } from '../Browse/tree';
+import FileList from '../Shared/FileList';
+
+import {
+    Segment,
+    Header,
+    Button,
+    Card,
+    Grid,
+    Label,
+    Loader
+} from 'semantic-ui-react';
+
+// shows the share as it's sent to users who browse it, so that exclusions and scan results can be checked
+class ShareBrowser extends Component {
+    state = { browseState: 'idle', error: undefined, directories: [], tree: [], selectedDirectory: {} }
+
+    componentDidUpdate = (prevProps) => {
+        if (this.props.version !== prevProps.version && this.state.browseState === 'complete') {
+            this.browse();
+        }
+    }
+
+    browse = () => {
+        this.setState({ browseState: 'pending' }, () => {
+            api.get('/shares/browse')
+            .then(response => {
+                const { selectedDirectory } = this.state;
+                const selected = response.data.find(d => d.directoryName === selectedDirectory.directoryName);
+
+                this.setState({
+                    browseState: 'complete',
+                    error: undefined,
+                    directories: response.data,
+                    tree: buildTree(response.data),
+                    selectedDirectory: selected || {}
+                });
+            })
+            .catch(err => this.setState({ browseState: 'error', error: err }));
+        });
+    }
+
+    render = () => {
+        const { browseState, error, directories, tree, selectedDirectory } = this.state;
+
+        const directoryName = selectedDirectory.directoryName;
+        const files = (selectedDirectory.files || []).map(f => ({ ...f, filename: `${directoryName}${sep(directoryName)}${f.filename}`}));
+
+        return (
+            <div>
+                <Segment className='settings-segment' raised>
+                    <Header as='h3'>
+                        Browse My Share
+                        <Button
+                            floated='right'
+                            size='small'
+                            icon={browseState === 'idle' ? 'folder open' : 'sync'}
+                            content={browseState === 'idle' ? 'Browse' : 'Refresh'}
+                            loading={browseState === 'pending'}
+                            disabled={browseState === 'pending'}
+                            onClick={this.browse}
+                        />
+                    </Header>
+                    <div className='settings-hint'>
+                        {browseState === 'complete' ?
+                            `${directories.length.toLocaleString()} folders, exactly as other users see them when browsing.` :
+                            'See the shared folders exactly as other users see them when browsing.'}
+                    </div>
+                    {browseState === 'error' && <Label basic color='red'>{`Failed to browse the share: ${describeError(error)}`}</Label>}
+                </Segment>
+                {browseState === 'pending' && tree.length === 0 && <Loader active inline='centered'/>}
+                {tree.length > 0 && <Grid className='browse-results'>
+                    <Grid.Row className='browse-results-row'>
+                        <Card className='browse-folderlist' raised>
+                            <DirectoryTree
+                                tree={tree}
+                                selectedDirectoryName={directoryName}
+                                onSelect={(event, value) => this.setState({ selectedDirectory: { ...value, children: [] } })}
+                            />
+                        </Card>
+                    </Grid.Row>
+                    {directoryName && <Grid.Row className='browse-results-row'>
+                        <Card className='result-card' raised>
+                            <Card.Content>
+                                <FileList directoryName={directoryName} files={files}/>
+                            </Card.Content>
+                        </Card>
+                    </Grid.Row>}
+                </Grid>}
+            </div>
+        );
+    }
+}
+
+export default ShareBrowser;
@@ -0,0 +1,184 @@
+import React, { Component } from 'react';
+import api from '../api';
+import { subscribe } from '../realtime';
+import { formatBytes } from '../util';
+import { describeError } from '../notifications';
+
+import ShareBrowser from './ShareBrowser';
+
+import {
+    Segment,
+    Header,
+    Form,
+    Input,
+    List,
+    Button,
+    Icon,
+    Label,
+    Loader,
+    Progress,
+    Statistic
+} from 'semantic-ui-react';
+
+const PathList = ({ label, hint, placeholder, items, onChange }) => {
+    let input;
+
+    const add = () => {
+        const value = input.inputRef.current.value.trim();
+
+        if (value && !items.includes(value)) {
+            onChange([...items, value]);
+        }
+
+        input.inputRef.current.value = '';
+    };
+
+    return (
+        <Form.Field>
+            <label>{label}</label>
+            {items.length > 0 && <List divided verticalAlign='middle'>
+                {items.map(item =>
+                    <List.Item key={item}>
+                        <List.Content floated='right'>
+                            <Button size='mini' icon='close' title='Remove' onClick={() => onChange(items.filter(i => i !== item))}/>
+                        </List.Content>
+                        <List.Content className='shares-path'>{item}</List.Content>
+                    </List.Item>
+                )}
+            </List>}
+            <Input
+                ref={i => input = i}
+                placeholder={placeholder}
+                onKeyUp={(e) => e.key === 'Enter' ? add() : ''}
+                action={{ icon: 'plus', content: 'Add', onClick: add }}
+            />
+            <div className='settings-hint'>{hint}</div>
+        </Form.Field>
+    );
+};
+
+class Shares extends Component {
+    state = { settings: undefined, shareState: undefined, saveState: undefined, error: undefined, browseVersion: 0 }
+
+    componentDidMount = () => {
+        this.fetch();
+        this.subscription = subscribe({ sharesUpdated: this.onSharesUpdated }, { fallback: this.fetchState });
+    }
+
+    componentWillUnmount = () => {
+        this.subscription.unsubscribe();
+    }
+
+    fetch = () => {
+        api.get('/shares')
+        .then(response => this.setState({ settings: response.data.settings, shareState: response.data.state }))
+        .catch(err => this.setState({ error: err }));
+    }
+
+    fetchState = () => {
+        api.get('/shares/state')
+        .then(response => this.onSharesUpdated(response.data))
+        .catch(() => {});
+    }
+
+    onSharesUpdated = (shareState) => {
+        const previous = this.state.shareState;
+
+        // a finished scan changes what others see, so the browse view is refreshed
+        const finished = previous && previous.isScanning && !shareState.isScanning;
+
+        this.setState({ shareState, browseVersion: this.state.browseVersion + (finished ? 1 : 0) });
+    }
+
+    onChange = (changes) => this.setState({ settings: { ...this.state.settings, ...changes }, saveState: undefined });
+
+    save = () => {
+        this.setState({ saveState: 'pending' }, () => {
+            api.put('/shares', this.state.settings)
+            .then(response => this.setState({ settings: response.data, saveState: 'complete', error: undefined }))
+            .catch(err => this.setState({ saveState: 'error', error: err }));
+        });
+    }
+
+    rescan = () => {
+        api.post('/shares/rescan')
+        .then(response => this.setState({ shareState: response.data }))
+        .catch(() => {});
+    }
+
+    render = () => {
+        const { settings, shareState, saveState, error, browseVersion } = this.state;
+
+        if (!settings) {
+            return (
+                <Segment className='settings-segment' raised>
+                    {error ?
+                        <Label>{`Failed to fetch the shares: ${describeError(error)}`}</Label> :
+                        <Loader active inline='centered'/>}
+                </Segment>
+            );
+        }
+
+        return (
+            <div>
+                <Segment className='settings-segment' raised>
+                    <Header as='h3'>Shared Folders</Header>
+                    <Form>
+                        <PathList
+                            label='Folders'
+                            hint='Each folder is shared along with all of its subfolders.  Folders must exist on the server.'
+                            placeholder='/path/to/music'
+                            items={settings.roots}
+                            onChange={(roots) => this.onChange({ roots })}
+                        />
+                        <PathList
+                            label='Exclude'
+                            hint={`Folders and files matching these patterns aren't shared.  Use * to match anything and ? to match any
+                                one character.  Patterns containing a / or \\ are matched against the full path, others against the
+                                name only, e.g. "*.log" or "*/Incomplete/*".`}
+                            placeholder='*.log'
+                            items={settings.excludes}
+                            onChange={(excludes) => this.onChange({ excludes })}
+                        />
+                        <Button primary loading={saveState === 'pending'} onClick={this.save}>Save and Rescan</Button>
+                        {saveState === 'complete' && <Icon name='checkmark' color='green' size='large'/>}
+                        {saveState === 'error' && <Label basic color='red'>{describeError(error)}</Label>}
+                    </Form>
+                </Segment>
+                {shareState && <Segment className='settings-segment' raised>
+                    <Header as='h3'>
+                        Index
+                        <Button
+                            floated='right'
+                            size='small'
+                            icon='sync'
+                            content='Rescan'
+                            loading={shareState.isScanning}
+                            disabled={shareState.isScanning}
+                            onClick={this.rescan}
+                        />
+                    </Header>
+                    {shareState.isScanning && <Progress
+                        percent={shareState.percentComplete}
+                        progress
+                        precision={0}
+                        indicating
+                        label='Scanning...'
+                    />}
+                    <Statistic.Group size='small' widths={3}>
+                        <Statistic label='Folders' value={shareState.directories.toLocaleString()}/>
+                        <Statistic label='Files' value={shareState.files.toLocaleString()}/>
+                        <Statistic label='Size' value={formatBytes(shareState.size)}/>
+                    </Statistic.Group>
+                    <div className='settings-hint shares-last-scan'>
+                        {shareState.lastScan ? `Last scanned ${new Date(shareState.lastScan).toLocaleString()}` : 'Not scanned yet'}
+                    </div>
+                    {shareState.lastError && <Label basic color='red'>Scan failed: {shareState.lastError}</Label>}
+                </Segment>}
+                <ShareBrowser version={browseVersion}/>
+            </div>
+        );
+    }
+}
+
+export default Shares;
@@ -1,5 +1,7 @@
 import React, { Component } from 'react';
 import api from '../api';
+import { enqueueDownload } from '../downloads';
+import { ServerContext, isOnline } from '../server';
 
 import {
     Card,
@@ -7,9 +9,93 @@ import {
 } from 'semantic-ui-react';
 
 import TransferList from './TransferList';
+import UserProfile from '../Shared/UserProfile';
+
+const minimumPositionInterval = 30000;
+const maximumPositionInterval = 600000;
 
 class TransferGroup extends Component {
-    state = { selections: new Set() }
+    static contextType = ServerContext;
+
+    state = { selections: new Set(), positions: {} }
+
+    componentDidMount = () => {
+        this.pendingPositions = new Set();
+        this.schedulePositionRefresh(minimumPositionInterval);
+    }
+
+    componentDidUpdate = () => {
+        // fetch positions for newly queued files right away instead of waiting for the next scheduled refresh
+        const unknown = this.getQueuedFiles()
+            .filter(f => this.state.positions[f.filename] === undefined && !this.pendingPositions.has(f.filename));
+
+        if (unknown.length > 0) {
+            this.refreshPositions(unknown);
+        }
+    }
+
+    componentWillUnmount = () => {
+        this.unmounted = true;
+        clearTimeout(this.positionTimeout);
+    }
+
+    getQueuedFiles = () => {
+        const { user, direction } = this.props;
+
+        return direction !== 'download' ? [] : (user.directories || [])
+            .reduce((list, d) => list.concat(d.files || []), [])
+            .filter(f => f.state === 'Queued');
+    }
+
+    fetchPosition = (file) => {
+        this.pendingPositions.add(file.filename);
+
+        return api.get(`/transfers/downloads/${this.props.user.username}/${encodeURIComponent(file.filename)}/position`, { silent: true })
+            .then(response => ({ filename: file.filename, position: response.data }))
+            .catch(() => ({ filename: file.filename, position: null }))
+            .finally(() => this.pendingPositions.delete(file.filename));
+    }
+
+    // resolves true if any of the positions changed since they were last fetched
+    refreshPositions = async (files = this.getQueuedFiles()) => {
+        const results = await Promise.all(files.map(this.fetchPosition));
+
+        if (this.unmounted) {
+            return false;
+        }
+
+        const { positions } = this.state;
+
+        const changed = results.some(r => positions[r.filename] !== r.position);
+        const updated = results.reduce((acc, r) => ({ ...acc, [r.filename]: r.position }), positions);
+
+        this.setState({ positions: updated });
+        return changed;
+    }
+
+    // remote queues move slowly; back off while positions stay the same and return to the minimum interval when they change
+    schedulePositionRefresh = (interval) => {
+        clearTimeout(this.positionTimeout);
+
+        this.positionTimeout = setTimeout(async () => {
+            const changed = await this.refreshPositions();
+
+            // the group may have gone away while the positions were being fetched
+            if (this.unmounted) {
+                return;
+            }
+
+            this.schedulePositionRefresh(changed ? minimumPositionInterval : Math.min(interval * 2, maximumPositionInterval));
+        }, interval);
+    }
+
+    refreshPositionsNow = async (files) => {
+        await this.refreshPositions(files);
+
+        if (!this.unmounted) {
+            this.schedulePositionRefresh(minimumPositionInterval);
+        }
+    }
 
     onSelectionChange = (directoryName, file, selected) => {
         const { selections } = this.state;
@@ -51,7 +137,7 @@ class TransferGroup extends Component {
     isStateRemovable = (state) => state.includes('Completed');
 
     retryAll = async (direction, username, selected) => {
-        await Promise.all(selected.map(file => api.post(`/transfers/downloads/${username}/${encodeURIComponent(file.filename)}`)));
+        await Promise.all(selected.map(file => enqueueDownload(username, file.filename, { size: file.size })));
     }
 
     cancelAll = async (direction, username, selected) => {
@@ -65,9 +151,11 @@ class TransferGroup extends Component {
     }
     
     render = () => {
-        const { user, direction } = this.props;
+        const { user, direction, canModify } = this.props;
+        const { positions } = this.state;
 
         const selected = this.getSelectedFiles();
+        const queued = this.getQueuedFiles();
         const all = selected.length > 1 ? ' Selected' : '';
         
         const allRetryable = selected.filter(f => this.isStateRetryable(f.state)).length === selected.length;
@@ -77,7 +165,18 @@ class TransferGroup extends Component {
         return (
             <Card key={user.username} className='transfer-card' raised>
                 <Card.Content>
-                    <Card.Header>{user.username}</Card.Header>
+                    <Card.Header>
+                        <UserProfile username={user.username}/>
+                        {queued.length > 0 && <Button
+                            size='mini'
+                            basic
+                            floated='right'
+                            icon='sync'
+                            content='Refresh Positions'
+                            title='Fetch the place in the remote queue of each queued file'
+                            onClick={() => this.refreshPositionsNow()}
+                        />}
+                    </Card.Header>
                     {user.directories && user.directories
                         .map((dir, index) => 
                         <TransferList 
@@ -85,12 +184,14 @@ class TransferGroup extends Component {
                             username={user.username} 
                             directoryName={dir.directory}
                             files={(dir.files || []).map(f => ({ ...f, selected: this.isSelected(dir.directory, f) }))}
-                            onSelectionChange={this.onSelectionChange}
+                            onSelectionChange={canModify ? this.onSelectionChange : undefined}
                             direction={this.props.direction}
+                            positions={positions}
+                            onPositionRefresh={(file) => this.refreshPositionsNow([file])}
                         />
                     )}
                 </Card.Content>
-                {selected && selected.length > 0 && 
+                {canModify && selected && selected.length > 0 && 
                 <Card.Content extra>
                     {<Button.Group>
                         {allRetryable && 
@@ -98,6 +199,7 @@ class TransferGroup extends Component {
                             icon='redo' 
                             color='green' 
                             content={`Retry${all}`} 
+                            disabled={!isOnline(this.context)}
                             onClick={() => this.retryAll(direction, user.username, selected)}
                         />}
                         {allRetryable && anyCancellable && <Button.Or/>}
@@ -4,7 +4,7 @@ import {
     Checkbox
 } from 'semantic-ui-react';
 
-import { formatBytes, getFileName } from '../util';
+import { formatBytes, formatDuration, getFileName } from '../util';
 
 import { 
     Header, 
@@ -31,9 +31,14 @@ const getColor = (state) => {
     }
 }
 
+const formatPosition = (position) => {
+    if (position === undefined) return '';
+    return position === null ? ' (position unknown)' : ` (#${position})`;
+}
+
 class TransferList extends Component {
     render = () => {
-        const { directoryName, onSelectionChange, files } = this.props;
+        const { directoryName, onSelectionChange, files, positions, onPositionRefresh } = this.props;
 
         return (
             <div>
@@ -48,39 +53,55 @@ class TransferList extends Component {
                     <Table>
                         <Table.Header>
                             <Table.Row>
-                                <Table.HeaderCell className='transferlist-selector'>
+                                {onSelectionChange && <Table.HeaderCell className='transferlist-selector'>
                                     <Checkbox 
                                         fitted 
                                         checked={files.filter(f => !f.selected).length === 0}
                                         onChange={(event, data) => files.map(file => onSelectionChange(directoryName, file, data.checked))}
                                     />
-                                </Table.HeaderCell>
+                                </Table.HeaderCell>}
                                 <Table.HeaderCell className='transferlist-filename'>File</Table.HeaderCell>
                                 <Table.HeaderCell className='transferlist-progress'>Progress</Table.HeaderCell>
                                 <Table.HeaderCell className='transferlist-size'>Size</Table.HeaderCell>
+                                <Table.HeaderCell className='transferlist-speed'>Speed</Table.HeaderCell>
+                                <Table.HeaderCell className='transferlist-eta'>ETA</Table.HeaderCell>
                             </Table.Row>
                         </Table.Header>
                         <Table.Body>
                             {files.sort((a, b) => getFileName(a.filename).localeCompare(getFileName(b.filename))).map((f, i) => 
                                 <Table.Row key={i}>
-                                    <Table.Cell className='transferlist-selector'>
+                                    {onSelectionChange && <Table.Cell className='transferlist-selector'>
                                         <Checkbox 
                                             fitted 
                                             checked={f.selected}
                                             onChange={(event, data) => onSelectionChange(directoryName, f, data.checked)}
                                         />
-                                    </Table.Cell>
+                                    </Table.Cell>}
                                     <Table.Cell className='transferlist-filename'>{getFileName(f.filename)}</Table.Cell>
                                     <Table.Cell className='transferlist-progress'>
                                         {f.state === 'InProgress' ? <Progress 
                                             style={{ margin: 0 }}
                                             percent={Math.round(f.percentComplete)} 
                                             progress color={getColor(f.state).color}
-                                        /> : <Button fluid size='mini' style={{ margin: 0, padding: 7 }} {...getColor(f.state)}>{f.state}</Button>}
+                                        /> : f.state === 'Queued' && onPositionRefresh ? <Button 
+                                            fluid 
+                                            size='mini' 
+                                            style={{ margin: 0, padding: 7 }} 
+                                            title='Click to refresh the place in the remote queue'
+                                            onClick={() => onPositionRefresh(f)}
+                                        >
+                                            {f.state}{formatPosition((positions || {})[f.filename])}
+                                        </Button> : <Button fluid size='mini' style={{ margin: 0, padding: 7 }} {...getColor(f.state)}>{f.state}</Button>}
                                     </Table.Cell>
                                     <Table.Cell className='transferlist-size'>
                                         {f.bytesTransferred > 0 ? formatBytes(f.bytesTransferred).split(' ', 1) + '/' + formatBytes(f.size) : ''}
                                     </Table.Cell>
+                                    <Table.Cell className='transferlist-speed'>
+                                        {f.state === 'InProgress' && f.averageSpeed > 0 ? `${formatBytes(f.averageSpeed)}/s` : ''}
+                                    </Table.Cell>
+                                    <Table.Cell className='transferlist-eta'>
+                                        {f.state === 'InProgress' && f.averageSpeed > 0 ? formatDuration((f.size - f.bytesTransferred) / f.averageSpeed) : ''}
+                                    </Table.Cell>
                                 </Table.Row>
                             )}
                         </Table.Body>
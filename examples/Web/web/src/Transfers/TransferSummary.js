@@ -0,0 +1,103 @@
+import React, { Component } from 'react';
+
+import { formatBytes, formatDuration } from '../util';
+
+import {
+    Segment,
+    Statistic,
+    Label
+} from 'semantic-ui-react';
+
+const sampleInterval = 1000;
+const sampleCount = 60;
+
+const isPending = (state) => ['Requested', 'Queued', 'Initializing'].includes(state);
+const isFailed = (state) => state.includes('Completed') && state !== 'Completed, Succeeded';
+
+export const summarize = (users) => {
+    const files = users
+        .reduce((list, user) => list.concat(user.directories || []), [])
+        .reduce((list, directory) => list.concat(directory.files || []), []);
+
+    const active = files.filter(f => f.state === 'InProgress');
+    const unfinished = files.filter(f => f.state === 'InProgress' || isPending(f.state));
+
+    const speed = active.reduce((total, f) => total + (f.averageSpeed || 0), 0);
+    const bytesRemaining = unfinished.reduce((total, f) => total + (f.size - (f.bytesTransferred || 0)), 0);
+
+    return {
+        active: active.length,
+        speed,
+        bytesRemaining,
+        remainingSeconds: speed > 0 ? bytesRemaining / speed : undefined,
+        counts: {
+            Queued: files.filter(f => isPending(f.state)).length,
+            InProgress: active.length,
+            Failed: files.filter(f => isFailed(f.state)).length,
+            Succeeded: files.filter(f => f.state === 'Completed, Succeeded').length
+        }
+    };
+}
+
+const SpeedChart = ({ samples, width = 240, height = 50 }) => {
+    const max = Math.max(...samples, 1);
+    const step = width / (sampleCount - 1);
+    const offset = (sampleCount - samples.length) * step;
+
+    const points = samples
+        .map((sample, i) => `${(offset + i * step).toFixed(1)},${(height - (sample / max) * (height - 2) - 1).toFixed(1)}`)
+        .join(' ');
+
+    return (
+        <svg className='transfer-summary-chart' width={width} height={height} viewBox={`0 0 ${width} ${height}`}>
+            <polyline points={points} fill='none' stroke='#2185d0' strokeWidth='2'/>
+            <text x={width - 2} y={10} textAnchor='end'>{formatBytes(max)}/s</text>
+        </svg>
+    );
+}
+
+class TransferSummary extends Component {
+    state = { samples: [] }
+
+    componentDidMount = () => {
+        this.interval = window.setInterval(this.sample, sampleInterval);
+    }
+
+    componentWillUnmount = () => {
+        clearInterval(this.interval);
+    }
+
+    // the aggregate speed is sampled on a fixed interval rather than on each update so that the chart has a consistent time axis
+    sample = () => {
+        const { speed } = summarize(this.props.users);
+        this.setState({ samples: this.state.samples.concat(speed).slice(-sampleCount) });
+    }
+
+    render = () => {
+        const { users } = this.props;
+        const { samples } = this.state;
+        const { active, speed, bytesRemaining, remainingSeconds, counts } = summarize(users);
+
+        return (
+            <Segment className='transfer-summary' raised>
+                <Statistic.Group size='mini'>
+                    <Statistic label='Active' value={active}/>
+                    <Statistic label='Speed' value={`${formatBytes(speed)}/s`}/>
+                    <Statistic label='Remaining' value={formatBytes(bytesRemaining)}/>
+                    <Statistic label='ETA' value={formatDuration(remainingSeconds) || '-'}/>
+                </Statistic.Group>
+                <div className='transfer-summary-details'>
+                    <div className='transfer-summary-counts'>
+                        <Label>Queued<Label.Detail>{counts.Queued}</Label.Detail></Label>
+                        <Label color='blue'>In Progress<Label.Detail>{counts.InProgress}</Label.Detail></Label>
+                        <Label color='red'>Failed<Label.Detail>{counts.Failed}</Label.Detail></Label>
+                        <Label color='green'>Succeeded<Label.Detail>{counts.Succeeded}</Label.Detail></Label>
+                    </div>
+                    {samples.length > 1 && <SpeedChart samples={samples}/>}
+                </div>
+            </Segment>
+        );
+    }
+}
+
+export default TransferSummary;
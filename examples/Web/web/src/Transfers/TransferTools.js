@@ -0,0 +1,108 @@
+import React, { Component } from 'react';
+import { exportFormats, exportTransfers, parseDownloadList, importDownloads, flattenTransfers } from '../exports';
+import { ServerContext, isOnline } from '../server';
+import { describeError } from '../notifications';
+
+import {
+    Button,
+    Dropdown,
+    Message
+} from 'semantic-ui-react';
+
+const describe = ({ enqueued, completed, duplicate, failed }) => [
+    `Enqueued ${enqueued} download${enqueued === 1 ? '' : 's'}`,
+    completed > 0 && `skipped ${completed} already completed`,
+    duplicate > 0 && `skipped ${duplicate} already in the list`,
+    failed.length > 0 && `${failed.length} failed`
+].filter(part => part).join(', ') + '.';
+
+// exports the transfer list, and for downloads imports an exported list to enqueue its downloads again
+class TransferTools extends Component {
+    static contextType = ServerContext;
+
+    state = { importState: undefined, result: undefined, error: undefined }
+
+    // enqueueing carries on after leaving the page, there's just nothing left to show the result on
+    componentWillUnmount = () => {
+        this.unmounted = true;
+    }
+
+    readFile = (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+
+        if (!file) {
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => this.import(reader.result);
+        reader.readAsText(file);
+    }
+
+    import = (text) => {
+        let downloads;
+
+        try {
+            downloads = parseDownloadList(text);
+        } catch (err) {
+            this.setState({ importState: 'error', result: undefined, error: err.message });
+            return;
+        }
+
+        this.setState({ importState: 'pending', result: undefined, error: undefined }, () => {
+            importDownloads(downloads, flattenTransfers(this.props.users))
+            .then(result => !this.unmounted && this.setState({ importState: 'complete', result }))
+            .catch(err => !this.unmounted && this.setState({ importState: 'error', result: undefined, error: describeError(err) }));
+        });
+    }
+
+    render = () => {
+        const { direction, users, canImport } = this.props;
+        const { importState, result, error } = this.state;
+        const pending = importState === 'pending';
+
+        return (
+            <div className='transfer-tools'>
+                <div className='transfer-tools-buttons'>
+                    <Dropdown
+                        button
+                        basic
+                        className='icon'
+                        labeled
+                        icon='download'
+                        text='Export'
+                        disabled={users.length === 0}
+                        options={exportFormats.map(f => ({ ...f, onClick: () => exportTransfers(direction, users, f.value) }))}
+                    />
+                    {direction === 'download' && canImport && <>
+                        <input ref={input => this.fileInput = input} type='file' accept='.json,.csv' hidden onChange={this.readFile}/>
+                        <Button
+                            basic
+                            icon='upload'
+                            content='Import'
+                            title='Enqueue the downloads in an exported download list'
+                            loading={pending}
+                            disabled={pending || !isOnline(this.context)}
+                            onClick={() => this.fileInput.click()}
+                        />
+                    </>}
+                </div>
+                {importState === 'complete' && <Message
+                    size='small'
+                    positive={result.failed.length === 0}
+                    warning={result.failed.length > 0}
+                    onDismiss={() => this.setState({ importState: undefined })}
+                >
+                    {describe(result)}
+                    {result.failed.length > 0 && <Message.List items={result.failed.map(f => `${f.username}: ${f.filename} (${f.error})`)}/>}
+                </Message>}
+                {importState === 'error' && <Message size='small' negative onDismiss={() => this.setState({ importState: undefined })}>
+                    Failed to import: {error}
+                </Message>}
+            </div>
+        );
+    }
+}
+
+export default TransferTools;
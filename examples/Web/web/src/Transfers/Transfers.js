@@ -1,43 +1,105 @@
 import React, { Component } from 'react';
 import api from '../api';
+import { subscribe } from '../realtime';
+import { getDirectoryName } from '../util';
+import { SessionContext, can } from '../session';
+import { notifyError } from '../notifications';
 
 import TransferGroup from './TransferGroup';
+import TransferSummary from './TransferSummary';
+import TransferTools from './TransferTools';
+import UploadQueue from './UploadQueue';
+
+// replaces the first item matching predicate with update(item), or appends update(empty) if there is no match
+const upsert = (list, predicate, update, empty) => 
+    list.find(predicate) ? list.map(item => predicate(item) ? update(item) : item) : list.concat(update(empty));
+
+const upsertTransfer = (users, transfer) => {
+    const directoryName = getDirectoryName(transfer.filename);
+
+    const upsertFile = (files) => 
+        upsert(files, f => f.filename === transfer.filename, () => transfer);
+
+    const upsertDirectory = (directories) => 
+        upsert(directories, d => d.directory === directoryName, 
+            d => ({ ...d, files: upsertFile(d.files) }), { directory: directoryName, files: [] });
+
+    return upsert(users, u => u.username === transfer.username, 
+        u => ({ ...u, directories: upsertDirectory(u.directories) }), { username: transfer.username, directories: [] });
+}
+
+const removeTransfer = (users, { username, filename }) => {
+    return users
+        .map(u => u.username !== username ? u : { 
+            ...u, 
+            directories: u.directories
+                .map(d => ({ ...d, files: d.files.filter(f => f.filename !== filename) }))
+                .filter(d => d.files.length > 0)
+        })
+        .filter(u => u.directories.length > 0);
+}
 
 class Transfers extends Component {
-    state = { fetchState: '', downloads: [], interval: undefined }
+    static contextType = SessionContext;
+
+    state = { fetchState: '', downloads: [] }
 
     componentDidMount = () => {
         this.fetch();
-        this.setState({ interval: window.setInterval(this.fetch, 500) });
+        this.subscription = subscribe({
+            transferUpdated: this.onTransferUpdated,
+            transferRemoved: this.onTransferRemoved
+        }, { fallback: this.fetch });
     }
 
     componentWillUnmount = () => {
-        clearInterval(this.state.interval);
-        this.setState({ interval: undefined });
+        this.subscription.unsubscribe();
+    }
+
+    isForThisDirection = (transfer) => transfer.direction.toLowerCase() === this.props.direction;
+
+    onTransferUpdated = (transfer) => {
+        if (this.isForThisDirection(transfer)) {
+            this.setState({ downloads: upsertTransfer(this.state.downloads, transfer) });
+        }
+    }
+
+    onTransferRemoved = (transfer) => {
+        if (this.isForThisDirection(transfer)) {
+            this.setState({ downloads: removeTransfer(this.state.downloads, transfer) });
+        }
     }
 
     fetch = () => {
         this.setState({ fetchState: 'pending' }, () => {
-            api.get(`/transfers/${this.props.direction}s`)
+            api.get(`/transfers/${this.props.direction}s`, { silent: true })
             .then(response => this.setState({ 
                 fetchState: 'complete', downloads: response.data
             }))
-            .catch(err => this.setState({ fetchState: 'failed' }))
+            .catch(err => {
+                notifyError(`Failed to fetch ${this.props.direction}s`, err);
+                this.setState({ fetchState: 'failed' });
+            })
         })
     }
     
     render = () => {
         let { downloads } = this.state;
+        const canModify = can(this.context, 'download');
 
+        // the tools stay mounted as the list empties and fills, so an import's outcome outlives the placeholder
         return (
-            downloads.length === 0 ? 
-            <h3 className='transfer-placeholder'>
-                No {this.props.direction}s
-            </h3> :
             <div className='transfer-segment'>
-                {downloads.map((user, index) => 
-                    <TransferGroup key={index} direction={this.props.direction} user={user}/>
-                )}
+                {downloads.length > 0 && <TransferSummary users={downloads}/>}
+                <TransferTools direction={this.props.direction} users={downloads} canImport={canModify}/>
+                {this.props.direction === 'upload' && <UploadQueue canManage={can(this.context, 'administer')}/>}
+                {downloads.length === 0 ?
+                    <h3 className='transfer-placeholder'>
+                        No {this.props.direction}s
+                    </h3> :
+                    downloads.map(user => 
+                        <TransferGroup key={user.username} direction={this.props.direction} user={user} canModify={canModify}/>
+                    )}
                 <div>&nbsp;</div>
             </div>
         );
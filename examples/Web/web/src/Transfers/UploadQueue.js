@@ -0,0 +1,122 @@
+import React, { Component } from 'react';
+import api from '../api';
+import { subscribe } from '../realtime';
+import { formatBytes, formatDuration, getFileName } from '../util';
+
+import UserProfile from '../Shared/UserProfile';
+
+import {
+    Card,
+    Table,
+    Button,
+    Label,
+    Icon
+} from 'semantic-ui-react';
+
+const queuePath = (upload) => `/transfers/uploadqueue/${upload.username}/${encodeURIComponent(upload.filename)}`;
+
+// the uploads waiting for a slot, in the order in which they'll start.  the order can be changed, and uploads removed
+// from the queue or their users banned outright.
+class UploadQueue extends Component {
+    state = { queue: [], pending: false }
+
+    componentDidMount = () => {
+        this.fetch();
+        this.subscription = subscribe({ uploadQueueUpdated: this.onQueueUpdated }, { fallback: this.fetch });
+    }
+
+    componentWillUnmount = () => {
+        this.subscription.unsubscribe();
+    }
+
+    fetch = () => {
+        api.get('/transfers/uploadqueue')
+        .then(response => this.setState({ queue: response.data }))
+        .catch(() => {});
+    }
+
+    onQueueUpdated = (queue) => this.setState({ queue });
+
+    // the updated queue arrives through uploadQueueUpdated
+    act = (request) => {
+        this.setState({ pending: true }, () => {
+            request()
+            .catch(() => this.fetch())
+            .then(() => this.setState({ pending: false }));
+        });
+    }
+
+    move = (upload, position) => this.act(() => api.put(queuePath(upload), JSON.stringify(position)));
+
+    remove = (upload) => this.act(() => api.delete(queuePath(upload)));
+
+    ban = (username) => this.act(() => api.get('/transfers/uploadpolicy')
+        .then(response => api.put('/transfers/uploadpolicy', { 
+            ...response.data, 
+            bannedUsers: response.data.bannedUsers.filter(u => u !== username).concat(username) 
+        })));
+
+    render = () => {
+        const { canManage } = this.props;
+        const { queue, pending } = this.state;
+
+        if (queue.length === 0) {
+            return null;
+        }
+
+        const now = Date.now();
+
+        // uploads to priority users always start first, so each upload moves only among those with the same priority
+        const priorityCount = queue.filter(u => u.isPriority).length;
+        const firstOf = (upload) => upload.isPriority ? 0 : priorityCount;
+        const lastOf = (upload) => upload.isPriority ? priorityCount - 1 : queue.length - 1;
+
+        return (
+            <Card className='transfer-card' raised>
+                <Card.Content>
+                    <Card.Header>
+                        <Icon name='hourglass half'/>Upload Queue
+                        <Label className='upload-queue-count'>{queue.length} waiting</Label>
+                    </Card.Header>
+                    <Table compact='very' className='upload-queue'>
+                        <Table.Header>
+                            <Table.Row>
+                                <Table.HeaderCell>#</Table.HeaderCell>
+                                <Table.HeaderCell>User</Table.HeaderCell>
+                                <Table.HeaderCell>File</Table.HeaderCell>
+                                <Table.HeaderCell>Size</Table.HeaderCell>
+                                <Table.HeaderCell>Waiting</Table.HeaderCell>
+                                {canManage && <Table.HeaderCell/>}
+                            </Table.Row>
+                        </Table.Header>
+                        <Table.Body>
+                            {queue.map((upload, index) => 
+                                <Table.Row key={`${upload.username}\n${upload.filename}`}>
+                                    <Table.Cell>{index + 1}</Table.Cell>
+                                    <Table.Cell>
+                                        <UserProfile username={upload.username}/>
+                                        {upload.isPriority && <Label size='mini' color='blue'>Priority</Label>}
+                                    </Table.Cell>
+                                    <Table.Cell title={upload.filename}>{getFileName(upload.filename)}</Table.Cell>
+                                    <Table.Cell>{formatBytes(upload.size)}</Table.Cell>
+                                    <Table.Cell>{formatDuration((now - new Date(upload.enqueued)) / 1000)}</Table.Cell>
+                                    {canManage && <Table.Cell textAlign='right'>
+                                        <Button.Group size='mini' basic>
+                                            <Button icon='angle double up' title='Move to the front' disabled={pending || index === firstOf(upload)} onClick={() => this.move(upload, firstOf(upload))}/>
+                                            <Button icon='angle up' title='Move up' disabled={pending || index === firstOf(upload)} onClick={() => this.move(upload, index - 1)}/>
+                                            <Button icon='angle down' title='Move down' disabled={pending || index === lastOf(upload)} onClick={() => this.move(upload, index + 1)}/>
+                                            <Button icon='close' title='Remove from the queue' disabled={pending} onClick={() => this.remove(upload)}/>
+                                            <Button icon='ban' title={`Ban ${upload.username}`} disabled={pending} onClick={() => this.ban(upload.username)}/>
+                                        </Button.Group>
+                                    </Table.Cell>}
+                                </Table.Row>
+                            )}
+                        </Table.Body>
+                    </Table>
+                </Card.Content>
+            </Card>
+        );
+    }
+}
+
+export default UploadQueue;
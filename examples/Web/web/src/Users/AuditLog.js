@@ -0,0 +1,91 @@
+import React, { Component } from 'react';
+import api from '../api';
+import { describeError } from '../notifications';
+import { getFileName } from '../util';
+
+import {
+    Segment,
+    Header,
+    Table,
+    Dropdown,
+    Button,
+    Label,
+    Loader
+} from 'semantic-ui-react';
+
+const limit = 500;
+
+const actionColors = { Enqueue: 'green', Cancel: 'orange', Remove: 'grey' };
+
+// who enqueued, cancelled or removed which transfer, newest first
+class AuditLog extends Component {
+    state = { user: '', entries: undefined, error: undefined }
+
+    componentDidMount = () => {
+        this.fetch();
+    }
+
+    fetch = () => {
+        const { user } = this.state;
+
+        api.get(`/accounts/audit?limit=${limit}${user ? `&user=${encodeURIComponent(user)}` : ''}`)
+        .then(response => this.setState({ entries: response.data, error: undefined }))
+        .catch(err => this.setState({ error: err }));
+    }
+
+    render = () => {
+        const { users } = this.props;
+        const { user, entries, error } = this.state;
+
+        const options = [{ key: '', text: 'All users', value: '' }]
+            .concat(users.map(u => ({ key: u, text: u, value: u })));
+
+        return (
+            <Segment className='settings-segment' raised>
+                <Header as='h3'>
+                    Transfer Activity
+                    <span className='audit-controls'>
+                        <Dropdown
+                            selection
+                            compact
+                            options={options}
+                            value={user}
+                            onChange={(event, { value }) => this.setState({ user: value }, this.fetch)}
+                        />
+                        <Button icon='sync' title='Refresh' onClick={this.fetch}/>
+                    </span>
+                </Header>
+                {error && <Label basic color='red'>{`Failed to fetch the activity: ${describeError(error)}`}</Label>}
+                {!entries ? (!error && <Loader active inline='centered'/>) : entries.length === 0 ?
+                    <div className='settings-hint'>No transfers have been enqueued, cancelled or removed{user ? ` by ${user}` : ''}.</div> :
+                    <Table compact='very'>
+                        <Table.Header>
+                            <Table.Row>
+                                <Table.HeaderCell>Time</Table.HeaderCell>
+                                <Table.HeaderCell>User</Table.HeaderCell>
+                                <Table.HeaderCell>Action</Table.HeaderCell>
+                                <Table.HeaderCell>From/To</Table.HeaderCell>
+                                <Table.HeaderCell>File</Table.HeaderCell>
+                            </Table.Row>
+                        </Table.Header>
+                        <Table.Body>
+                            {entries.map((e, i) =>
+                                <Table.Row key={i}>
+                                    <Table.Cell>{new Date(e.timestamp).toLocaleString()}</Table.Cell>
+                                    <Table.Cell>{e.user}</Table.Cell>
+                                    <Table.Cell>
+                                        <Label size='mini' color={actionColors[e.action]}>{e.action}</Label> {e.direction.toLowerCase()}
+                                    </Table.Cell>
+                                    <Table.Cell>{e.username}</Table.Cell>
+                                    <Table.Cell title={e.filename}>{getFileName(e.filename)}</Table.Cell>
+                                </Table.Row>
+                            )}
+                        </Table.Body>
+                    </Table>}
+                {entries && entries.length === limit && <div className='settings-hint'>Showing the latest {limit} actions.</div>}
+            </Segment>
+        );
+    }
+}
+
+export default AuditLog;
@@ -0,0 +1,200 @@
+import React, { Component } from 'react';
+import api from '../api';
+import { SessionContext, roles } from '../session';
+
+import AuditLog from './AuditLog';
+
+import {
+    Segment,
+    Header,
+    Form,
+    Table,
+    Dropdown,
+    Button,
+    Input,
+    Label,
+    Loader,
+    Modal
+} from 'semantic-ui-react';
+
+const roleOptions = roles.map(r => ({ key: r, text: r, value: r }));
+
+const roleDescriptions = {
+    Admin: 'Everything, including shares, uploads, the server connection and users',
+    Downloader: 'Download, cancel and remove transfers, manage the wishlist and chat',
+    Viewer: 'View transfers, search and browse'
+};
+
+const formatTime = (time) => time ? new Date(time).toLocaleString() : 'Never';
+
+const describeError = (err) => `${err.data} (HTTP ${err.status} ${err.statusText})`;
+
+const initialAdd = { username: '', password: '', role: 'Viewer' };
+
+class Users extends Component {
+    static contextType = SessionContext;
+
+    state = { accounts: undefined, add: initialAdd, addState: undefined, error: undefined, password: undefined, removing: undefined }
+
+    componentDidMount = () => {
+        this.fetch();
+    }
+
+    fetch = () => {
+        api.get('/accounts')
+        .then(response => this.setState({ accounts: response.data }))
+        .catch(err => this.setState({ error: describeError(err) }));
+    }
+
+    add = () => {
+        this.setState({ addState: 'pending' }, () => {
+            api.post('/accounts', this.state.add)
+            .then(() => this.setState({ add: initialAdd, addState: undefined, error: undefined }, this.fetch))
+            .catch(err => this.setState({ addState: undefined, error: describeError(err) }));
+        });
+    }
+
+    // resolves to whether the change was made
+    update = (account, changes) => {
+        return api.put(`/accounts/${encodeURIComponent(account.username)}`, { role: account.role, ...changes })
+            .then(() => {
+                this.setState({ error: undefined }, this.fetch);
+                return true;
+            })
+            .catch(err => {
+                this.setState({ error: describeError(err) });
+                return false;
+            });
+    }
+
+    remove = (account) => {
+        api.delete(`/accounts/${encodeURIComponent(account.username)}`)
+        .then(() => this.setState({ removing: undefined, error: undefined }, this.fetch))
+        .catch(err => this.setState({ removing: undefined, error: describeError(err) }));
+    }
+
+    setPassword = () => {
+        const { account, value } = this.state.password;
+        this.update(account, { password: value }).then(updated => updated && this.setState({ password: undefined }));
+    }
+
+    render = () => {
+        const { accounts, add, addState, error, password, removing } = this.state;
+        const session = this.context;
+
+        return (
+            <div>
+                <Segment className='settings-segment' raised>
+                    <Header as='h3'>Users</Header>
+                    {!accounts ? (error ? <Label>{`Failed to fetch users: ${error}`}</Label> : <Loader active inline='centered'/>) : <>
+                        <Table compact>
+                            <Table.Header>
+                                <Table.Row>
+                                    <Table.HeaderCell>Username</Table.HeaderCell>
+                                    <Table.HeaderCell>Role</Table.HeaderCell>
+                                    <Table.HeaderCell>Created</Table.HeaderCell>
+                                    <Table.HeaderCell>Last Login</Table.HeaderCell>
+                                    <Table.HeaderCell/>
+                                </Table.Row>
+                            </Table.Header>
+                            <Table.Body>
+                                {accounts.map(account =>
+                                    <Table.Row key={account.username}>
+                                        <Table.Cell>
+                                            {account.username}
+                                            {account.isBuiltIn && <Label size='mini' title='Configured at startup'>Built In</Label>}
+                                            {account.username === session.username && <Label size='mini' color='blue'>You</Label>}
+                                        </Table.Cell>
+                                        <Table.Cell>
+                                            {account.isBuiltIn ? account.role : <Dropdown
+                                                selection
+                                                compact
+                                                options={roleOptions}
+                                                value={account.role}
+                                                onChange={(event, { value }) => this.update(account, { role: value })}
+                                            />}
+                                        </Table.Cell>
+                                        <Table.Cell>{account.isBuiltIn ? '' : formatTime(account.created)}</Table.Cell>
+                                        <Table.Cell>{formatTime(account.lastLogin)}</Table.Cell>
+                                        <Table.Cell textAlign='right'>
+                                            {!account.isBuiltIn && <Button.Group size='mini' basic>
+                                                <Button icon='key' content='Password' onClick={() => this.setState({ password: { account, value: '' }, error: undefined })}/>
+                                                <Button icon='delete' content='Remove' onClick={() => this.setState({ removing: account })}/>
+                                            </Button.Group>}
+                                        </Table.Cell>
+                                    </Table.Row>
+                                )}
+                            </Table.Body>
+                        </Table>
+                        <Form>
+                            <Form.Group>
+                                <Form.Input
+                                    width={5}
+                                    label='Username'
+                                    value={add.username}
+                                    onChange={(event, { value }) => this.setState({ add: { ...add, username: value } })}
+                                />
+                                <Form.Input
+                                    width={5}
+                                    type='password'
+                                    label='Password'
+                                    placeholder='At least 8 characters'
+                                    value={add.password}
+                                    onChange={(event, { value }) => this.setState({ add: { ...add, password: value } })}
+                                />
+                                <Form.Dropdown
+                                    width={3}
+                                    selection
+                                    label='Role'
+                                    options={roleOptions}
+                                    value={add.role}
+                                    onChange={(event, { value }) => this.setState({ add: { ...add, role: value } })}
+                                />
+                                <Form.Button
+                                    width={3}
+                                    label='&nbsp;'
+                                    primary
+                                    icon='add user'
+                                    content='Add User'
+                                    loading={addState === 'pending'}
+                                    disabled={!add.username || !add.password || addState === 'pending'}
+                                    onClick={this.add}
+                                />
+                            </Form.Group>
+                            <div className='settings-hint'>{add.role}: {roleDescriptions[add.role]}.  Changing a role signs the user out.</div>
+                        </Form>
+                        {error && <Label basic color='red'>{error}</Label>}
+                    </>}
+                </Segment>
+                {accounts && <AuditLog users={accounts.map(a => a.username)}/>}
+                {password && <Modal size='mini' open onClose={() => this.setState({ password: undefined })}>
+                    <Modal.Header>Set the Password of {password.account.username}</Modal.Header>
+                    <Modal.Content>
+                        <Input
+                            fluid
+                            type='password'
+                            placeholder='At least 8 characters'
+                            value={password.value}
+                            onChange={(event, { value }) => this.setState({ password: { ...password, value } })}
+                        />
+                        {error && <Label basic color='red' pointing>{error}</Label>}
+                    </Modal.Content>
+                    <Modal.Actions>
+                        <Button onClick={() => this.setState({ password: undefined })}>Cancel</Button>
+                        <Button primary disabled={!password.value} onClick={this.setPassword}>Set Password</Button>
+                    </Modal.Actions>
+                </Modal>}
+                {removing && <Modal
+                    open
+                    size='mini'
+                    header='Remove User'
+                    content={`Remove ${removing.username}?  They'll be signed out, and their audit history is kept.`}
+                    actions={['Cancel', { key: 'remove', content: 'Remove', negative: true, onClick: () => this.remove(removing) }]}
+                    onClose={() => this.setState({ removing: undefined })}
+                />}
+            </div>
+        );
+    }
+}
+
+export default Users;
@@ -0,0 +1,268 @@
+import React, { Component } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../api';
+import { subscribe } from '../realtime';
+import { ServerContext, isOnline } from '../server';
+
+import WishlistForm from './WishlistForm';
+import Response from '../Search/Response';
+
+import {
+    Segment,
+    Grid,
+    Menu,
+    Label,
+    Button,
+    Header,
+    Loader,
+    Message,
+    Divider,
+    Icon
+} from 'semantic-ui-react';
+
+const formatDate = (date) => date ? new Date(date).toLocaleString() : 'Never';
+
+const formatInterval = (minutes) => minutes % 60 === 0 ? `${minutes / 60} hour${minutes === 60 ? '' : 's'}` : `${minutes} minutes`;
+
+class Wishlist extends Component {
+    static contextType = ServerContext;
+
+    state = { items: [], selected: undefined, editing: false }
+
+    componentDidMount = () => {
+        this.fetchItems();
+        this.openFromRoute();
+        this.subscription = subscribe({
+            wishlistItemUpdated: this.onItemUpdated,
+            wishlistItemRemoved: this.onItemRemoved
+        }, { fallback: this.refresh, interval: 5000 });
+    }
+
+    componentDidUpdate = (prevProps) => {
+        if (this.props.match.params.id !== prevProps.match.params.id) {
+            this.openFromRoute();
+        }
+    }
+
+    componentWillUnmount = () => {
+        this.subscription.unsubscribe();
+    }
+
+    openFromRoute = () => {
+        const { id } = this.props.match.params;
+        this.setState({ editing: false }, () => id ? this.open(id) : this.setState({ selected: undefined }));
+    }
+
+    fetchItems = () => {
+        api.get('/wishlist')
+        .then(response => this.setState({ items: response.data }))
+        .catch(() => {});
+    }
+
+    fetchItem = (id) => api.get(`/wishlist/${encodeURIComponent(id)}`).then(response => response.data);
+
+    open = (id) => {
+        if (id === 'new') {
+            this.setState({ selected: undefined, editing: true });
+            return;
+        }
+
+        this.setState({ selected: { id, fetchState: 'pending', results: [] } }, () => {
+            this.fetchItem(id)
+            .then(this.setSelected)
+            .catch(() => this.setState({ selected: { id, fetchState: 'error', results: [] } }));
+        });
+    }
+
+    refresh = () => {
+        this.fetchItems();
+
+        const { selected } = this.state;
+
+        if (selected && selected.fetchState === 'complete') {
+            this.fetchItem(selected.id).then(this.setSelected).catch(() => {});
+        }
+    }
+
+    setSelected = ({ item, results }) => {
+        const { selected } = this.state;
+
+        if (!selected || selected.id !== item.id) {
+            return;
+        }
+
+        // remember when the results were last viewed before this visit, so the new ones can be set apart
+        const viewedBefore = selected.fetchState === 'complete' ? selected.viewedBefore : item.lastViewed;
+
+        this.setState({ selected: { id: item.id, item, results, viewedBefore, fetchState: 'complete' } });
+
+        if (item.newResultCount > 0) {
+            api.put(`/wishlist/${encodeURIComponent(item.id)}/viewed`).catch(() => {});
+        }
+    }
+
+    onItemUpdated = (item) => {
+        const { items, selected } = this.state;
+        const existing = items.find(i => i.id === item.id);
+
+        this.setState({ items: existing ? items.map(i => i.id === item.id ? item : i) : items.concat(item) });
+
+        if (!selected || selected.id !== item.id || selected.fetchState !== 'complete') {
+            return;
+        }
+
+        // a finished run may have recorded new results, which aren't pushed with the item
+        if (item.lastRun !== selected.item.lastRun) {
+            this.fetchItem(item.id).then(this.setSelected).catch(() => {});
+        } else {
+            this.setState({ selected: { ...selected, item } });
+        }
+    }
+
+    onItemRemoved = (id) => {
+        this.setState({ items: this.state.items.filter(i => i.id !== id) });
+
+        if (this.state.selected && this.state.selected.id === id) {
+            this.props.history.push('/wishlist');
+        }
+    }
+
+    add = (request) => {
+        return api.post('/wishlist', request)
+            .then(response => {
+                this.onItemUpdated(response.data);
+                this.props.history.push(`/wishlist/${response.data.id}`);
+            });
+    }
+
+    update = (request) => {
+        const { id } = this.state.selected;
+
+        return api.put(`/wishlist/${encodeURIComponent(id)}`, request)
+            .then(() => {
+                this.setState({ editing: false });
+                this.refresh();
+            });
+    }
+
+    remove = () => {
+        const { id } = this.state.selected;
+
+        api.delete(`/wishlist/${encodeURIComponent(id)}`)
+        .then(() => this.onItemRemoved(id))
+        .catch(() => {});
+    }
+
+    // the item's isRunning flag is pushed while the search runs, so there's nothing to do once it returns
+    run = () => {
+        api.post(`/wishlist/${encodeURIComponent(this.state.selected.id)}/run`).catch(() => {});
+    }
+
+    cancelEdit = () => {
+        if (this.state.selected) {
+            this.setState({ editing: false });
+        } else {
+            this.props.history.push('/wishlist');
+        }
+    }
+
+    renderItem = () => {
+        const { selected } = this.state;
+        const { item, results, viewedBefore } = selected;
+
+        const isNew = (result) => !viewedBefore || new Date(result.timestamp) > new Date(viewedBefore);
+        const newResults = results.filter(isNew);
+        const oldResults = results.filter(r => !isNew(r));
+
+        return (
+            <div>
+                <div className='chat-header'>
+                    <Header as='h3'>
+                        {item.searchText}
+                        {item.filter && <Header.Subheader><Icon name='filter'/>{item.filter}</Header.Subheader>}
+                    </Header>
+                    <div>
+                        <Button
+                            size='mini'
+                            primary
+                            icon='search'
+                            content='Run Now'
+                            loading={item.isRunning}
+                            disabled={item.isRunning || !isOnline(this.context)}
+                            onClick={this.run}
+                        />
+                        <Button size='mini' icon='edit' content='Edit' onClick={() => this.setState({ editing: true })}/>
+                        <Button size='mini' icon='trash alternate' content='Delete' onClick={this.remove}/>
+                    </div>
+                </div>
+                <Label basic>Every<Label.Detail>{formatInterval(item.interval)}</Label.Detail></Label>
+                <Label basic>Last Run<Label.Detail>{formatDate(item.lastRun)}</Label.Detail></Label>
+                <Label basic>Next Run<Label.Detail>{item.enabled ? formatDate(item.nextRun) : 'Disabled'}</Label.Detail></Label>
+                {item.hideNoFreeSlots && <Label basic>Free upload slots only</Label>}
+                {item.autoDownload.enabled && <Label basic color='green'><Icon name='download'/>Auto Download</Label>}
+                {item.lastError && <Message negative size='small'>The last run failed: {item.lastError}</Message>}
+                {item.autoDownloaded && <Message positive size='small'>
+                    Downloaded {item.autoDownloaded.files[0].filename} from {item.autoDownloaded.username} on {formatDate(item.autoDownloaded.timestamp)}
+                </Message>}
+                {results.length === 0 && <Header className='chat-placeholder' disabled>
+                    {item.lastRun ? 'No matching results yet' : 'Not run yet'}
+                </Header>}
+                {newResults.length > 0 && <Divider horizontal>New</Divider>}
+                {newResults.map(r => <Response key={`${r.username}-${r.timestamp}`} response={r} searchPhrase={item.searchText}/>)}
+                {newResults.length > 0 && oldResults.length > 0 && <Divider horizontal>Previously Seen</Divider>}
+                {oldResults.map(r => <Response key={`${r.username}-${r.timestamp}`} response={r} searchPhrase={item.searchText}/>)}
+            </div>
+        );
+    }
+
+    render = () => {
+        const { items, selected, editing } = this.state;
+
+        return (
+            <Segment className='chat-segment' raised>
+                <Grid>
+                    <Grid.Column width={4}>
+                        <Button fluid primary icon='plus' content='New Wishlist Search' as={Link} to='/wishlist/new'/>
+                        <Menu vertical fluid className='chat-list'>
+                            {items.length === 0 && <Menu.Item disabled>No wishlist searches</Menu.Item>}
+                            {items.map(i =>
+                                <Menu.Item
+                                    key={i.id}
+                                    as={Link}
+                                    to={`/wishlist/${i.id}`}
+                                    active={!!selected && selected.id === i.id}
+                                >
+                                    {i.newResultCount > 0 && <Label color='red'>{i.newResultCount}</Label>}
+                                    <Icon name={i.isRunning ? 'spinner' : 'star'} loading={i.isRunning} disabled={!i.enabled}/>
+                                    <b>{i.searchText}</b>
+                                    <div className='chat-list-preview'>
+                                        {i.enabled ? `Next run ${formatDate(i.nextRun)}` : 'Disabled'}
+                                    </div>
+                                </Menu.Item>
+                            )}
+                        </Menu>
+                    </Grid.Column>
+                    <Grid.Column width={12}>
+                        {editing ?
+                            <WishlistForm
+                                key={selected ? selected.id : 'new'}
+                                item={selected && selected.item}
+                                onSave={selected ? this.update : this.add}
+                                onCancel={this.cancelEdit}
+                            /> :
+                        !selected ?
+                            <Header className='chat-placeholder' disabled>
+                                Select a wishlist search, or add one to search for it periodically
+                            </Header> :
+                        selected.fetchState === 'pending' ? <Loader active inline='centered'/> :
+                        selected.fetchState === 'error' ?
+                            <Header className='chat-placeholder' disabled>The wishlist search could not be found</Header> :
+                            this.renderItem()}
+                    </Grid.Column>
+                </Grid>
+            </Segment>
+        );
+    }
+}
+
+export default Wishlist;
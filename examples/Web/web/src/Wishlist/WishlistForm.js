@@ -0,0 +1,169 @@
+import React, { Component } from 'react';
+import { parseFilter } from '../Search/filter';
+import { describeError } from '../notifications';
+
+import DestinationPicker from '../Shared/DestinationPicker';
+
+import {
+    Form,
+    Header,
+    Label,
+    Message
+} from 'semantic-ui-react';
+
+// the server won't search more often than this, so the network isn't flooded with repeated searches
+export const minimumInterval = 15;
+
+const fromItem = (item = {}) => {
+    const autoDownload = item.autoDownload || {};
+
+    return {
+        searchText: item.searchText || '',
+        filter: item.filter || '',
+        hideNoFreeSlots: !!item.hideNoFreeSlots,
+        enabled: item.enabled === undefined ? true : item.enabled,
+        interval: `${item.interval || 720}`,
+        autoDownload: {
+            enabled: !!autoDownload.enabled,
+            minBitRate: autoDownload.minBitRate ? `${autoDownload.minBitRate}` : '',
+            requireFreeSlot: !!autoDownload.requireFreeSlot,
+            extensions: (autoDownload.extensions || []).join(', '),
+            destination: autoDownload.destination || ''
+        }
+    };
+}
+
+const toRequest = ({ searchText, filter, hideNoFreeSlots, enabled, interval, autoDownload }) => ({
+    searchText: searchText.trim(),
+    filter: filter.trim() || null,
+    hideNoFreeSlots,
+    enabled,
+    interval: Number(interval),
+    autoDownload: {
+        enabled: autoDownload.enabled,
+        minBitRate: autoDownload.minBitRate ? Number(autoDownload.minBitRate) : null,
+        requireFreeSlot: autoDownload.requireFreeSlot,
+        extensions: autoDownload.extensions.split(',').map(e => e.trim()).filter(e => e !== ''),
+        destination: autoDownload.destination
+    }
+});
+
+// adds a wishlist item, or edits the given one; onSave receives the request and returns a promise
+class WishlistForm extends Component {
+    state = { ...fromItem(this.props.item), saveState: undefined, saveError: undefined }
+
+    setAutoDownload = (update) => {
+        this.setState({ autoDownload: { ...this.state.autoDownload, ...update } });
+    }
+
+    save = () => {
+        this.setState({ saveState: 'pending', saveError: undefined }, () => {
+            this.props.onSave(toRequest(this.state))
+            .catch(err => this.setState({ saveState: 'error', saveError: err }));
+        });
+    }
+
+    render = () => {
+        const { item, onCancel } = this.props;
+        const { searchText, filter, hideNoFreeSlots, enabled, interval, autoDownload, saveState, saveError } = this.state;
+        const { invalid } = parseFilter(filter);
+        const pending = saveState === 'pending';
+        const valid = searchText.trim() !== '' && invalid.length === 0 && Number(interval) >= minimumInterval;
+
+        return (
+            <Form>
+                <Header as='h3'>{item ? 'Edit Wishlist Search' : 'New Wishlist Search'}</Header>
+                <Form.Input
+                    label='Search'
+                    placeholder='Search phrase'
+                    value={searchText}
+                    onChange={(event, { value }) => this.setState({ searchText: value })}
+                />
+                <Form.Field>
+                    <Form.Input
+                        label='Filter'
+                        icon='filter'
+                        iconPosition='left'
+                        placeholder='e.g. ext:flac minbr:320 -live'
+                        value={filter}
+                        error={invalid.length > 0}
+                        onChange={(event, { value }) => this.setState({ filter: value })}
+                    />
+                    {invalid.length > 0 && <Label basic color='red' pointing>
+                        Unrecognized filter{invalid.length === 1 ? '' : 's'}: {invalid.join(' ')}
+                    </Label>}
+                </Form.Field>
+                <Form.Group inline>
+                    <Form.Input
+                        label='Run every'
+                        type='number'
+                        min={minimumInterval}
+                        width={4}
+                        value={interval}
+                        error={Number(interval) < minimumInterval}
+                        onChange={(event, { value }) => this.setState({ interval: value })}
+                    />
+                    <span className='wishlist-form-unit'>minutes</span>
+                    <Form.Checkbox
+                        label='Enabled'
+                        checked={enabled}
+                        onChange={(event, { checked }) => this.setState({ enabled: checked })}
+                    />
+                    <Form.Checkbox
+                        label='Hide results without free upload slots'
+                        checked={hideNoFreeSlots}
+                        onChange={(event, { checked }) => this.setState({ hideNoFreeSlots: checked })}
+                    />
+                </Form.Group>
+                <Form.Checkbox
+                    toggle
+                    label='Automatically download the best new match'
+                    checked={autoDownload.enabled}
+                    onChange={(event, { checked }) => this.setAutoDownload({ enabled: checked })}
+                />
+                {autoDownload.enabled && <>
+                    <Form.Group widths='equal'>
+                        <Form.Input
+                            label='Minimum bit rate'
+                            type='number'
+                            placeholder='Any'
+                            value={autoDownload.minBitRate}
+                            onChange={(event, { value }) => this.setAutoDownload({ minBitRate: value })}
+                        />
+                        <Form.Input
+                            label='Extensions'
+                            placeholder='Any, e.g. flac, mp3'
+                            value={autoDownload.extensions}
+                            onChange={(event, { value }) => this.setAutoDownload({ extensions: value })}
+                        />
+                        <Form.Field>
+                            <label>Destination</label>
+                            <DestinationPicker
+                                value={autoDownload.destination}
+                                onChange={(destination) => this.setAutoDownload({ destination })}
+                            />
+                        </Form.Field>
+                    </Form.Group>
+                    <Form.Checkbox
+                        label='Only from users with a free upload slot'
+                        checked={autoDownload.requireFreeSlot}
+                        onChange={(event, { checked }) => this.setAutoDownload({ requireFreeSlot: checked })}
+                    />
+                    <div className='settings-hint'>
+                        One file is downloaded per wishlist search, preferring free upload slots, then short queues, fast uploads and high bit rates.
+                        Turning this off and on again allows another.
+                    </div>
+                </>}
+                {saveState === 'error' && saveError && <Message negative>
+                    {describeError(saveError)}
+                </Message>}
+                <div className='wishlist-form-actions'>
+                    <Form.Button content='Cancel' disabled={pending} onClick={onCancel}/>
+                    <Form.Button primary icon='save' content='Save' loading={pending} disabled={pending || !valid} onClick={this.save}/>
+                </div>
+            </Form>
+        );
+    }
+}
+
+export default WishlistForm;
@@ -1,10 +1,38 @@
 import axios from 'axios';
 import { baseUrl, tokenKey, tokenPassthroughValue } from './config';
+import { notify, describeError } from './notifications';
 
-const getToken = () => {
+export const getToken = () => {
   return JSON.parse(sessionStorage.getItem(tokenKey) || localStorage.getItem(tokenKey));
 }
 
+// replaces the stored token, keeping it in whichever storage the login chose
+export const replaceToken = (token) => {
+  const storage = sessionStorage.getItem(tokenKey) ? sessionStorage : localStorage;
+  storage.setItem(tokenKey, JSON.stringify(token));
+}
+
+// returns the time at which the token expires, in milliseconds, or undefined if it doesn't
+export const getTokenExpiry = (token = getToken()) => {
+  if (!token || token === tokenPassthroughValue) {
+    return undefined;
+  }
+
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const { exp } = JSON.parse(atob(payload));
+
+    return exp ? exp * 1000 : undefined;
+  } catch (err) {
+    return undefined;
+  }
+}
+
+export const isTokenExpired = (token = getToken()) => {
+  const expiry = getTokenExpiry(token);
+  return expiry !== undefined && expiry <= Date.now();
+}
+
 axios.defaults.baseURL = baseUrl;
 const api = axios.create();
 
@@ -20,20 +48,64 @@ api.interceptors.request.use(config => {
     return config;
 });
 
+let unauthorizedHandler = undefined;
+let reauthentication = undefined;
+
+// the app registers a handler which asks the user to log in again and resolves once they have (or rejects if they don't),
+// so that requests rejected because the token lapsed are replayed instead of lost.
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+}
+
+const reauthenticate = () => {
+  const token = getToken();
+
+  // without a token to renew there's no one logged in to ask, so give up straight away
+  if (!token || token === tokenPassthroughValue) {
+    return Promise.reject();
+  }
+
+  // concurrent failures wait on the same login
+  if (!reauthentication) {
+    reauthentication = unauthorizedHandler()
+      .finally(() => reauthentication = undefined);
+  }
+
+  return reauthentication;
+}
+
+// failures no component can do anything about are reported here.  other errors (e.g. validation) are left to the
+// component that made the request, as are those of requests made with { silent: true }.
+const report = ({ response, config, message }) => {
+  if (!config || config.silent) {
+    return;
+  }
+
+  const request = `${config.method.toUpperCase()} ${config.url}`;
+
+  // the same for every request, so that an outage is reported once rather than once per endpoint
+  if (!response) {
+    notify({ type: 'error', title: 'Unable to reach the server', message });
+  } else if (response.status === 403) {
+    notify({ type: 'warning', title: `You don't have permission to do that`, message: request });
+  } else if (response.status >= 500) {
+    notify({ type: 'error', title: 'The server failed to complete a request', message: `${request}: ${describeError({ response })}` });
+  }
+}
+
 api.interceptors.response.use(response => {
   return response;
 }, error => {
-  if (error.response.status === 401 && error.response.config.url !== '/session') {
-    sessionStorage.removeItem(tokenKey);
-    localStorage.removeItem(tokenKey);
-
-    window.location.reload(true);
+  const { response, config } = error;
+  const isLogin = config && ['/session', '/session/refresh'].includes(config.url);
 
-    return Promise.reject(error);
-  } 
-  else {
-      return Promise.reject(error);
+  if (response && response.status === 401 && !isLogin && !config.isReplay && unauthorizedHandler) {
+    return reauthenticate()
+      .then(() => api.request({ ...config, isReplay: true }), () => Promise.reject(error));
   }
+
+  report(error);
+  return Promise.reject(error);
 });
 
-export default api;
\ No newline at end of file
+export default api;
@@ -0,0 +1,194 @@
+import api from './api';
+import { subscribe } from './realtime';
+import { onTransferEvent, eventTypes } from './transferEvents';
+import { getFileName } from './util';
+
+// shows browser notifications for transfer and wishlist events, so that they're noticed while the app is in a background tab.
+// they're opt-in, and the settings are kept in the browser since permission is granted per browser anyway.
+const settingsKey = 'soulseek-example-desktop-notifications';
+
+export const desktopEventTypes = {
+    ...eventTypes,
+    wishlistResults: 'wishlistResults'
+};
+
+export const desktopEventNames = {
+    [desktopEventTypes.downloadCompleted]: 'A download completes',
+    [desktopEventTypes.downloadFailed]: 'A download fails',
+    [desktopEventTypes.downloadStarted]: 'A queued download starts',
+    [desktopEventTypes.uploadStarted]: 'An upload begins',
+    [desktopEventTypes.wishlistResults]: 'A wishlist search finds new results'
+};
+
+export const defaultSettings = {
+    enabled: false,
+    events: Object.keys(desktopEventNames).reduce((events, type) => ({ ...events, [type]: true }), {}),
+    backgroundOnly: true,
+    quietHours: {
+        enabled: false,
+        start: '22:00',
+        end: '07:00'
+    }
+};
+
+const pollInterval = 30000;
+
+export const isSupported = () => 'Notification' in window;
+
+export const getPermission = () => isSupported() ? Notification.permission : 'unsupported';
+
+// resolves with the resulting permission.  older browsers take a callback rather than returning a promise.
+export const requestPermission = () => {
+    if (!isSupported()) {
+        return Promise.resolve('unsupported');
+    }
+
+    return new Promise(resolve => {
+        const result = Notification.requestPermission(resolve);
+        result && result.then(resolve);
+    });
+}
+
+export const getDesktopNotificationSettings = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(settingsKey)) || {};
+
+        return {
+            ...defaultSettings,
+            ...saved,
+            events: { ...defaultSettings.events, ...saved.events },
+            quietHours: { ...defaultSettings.quietHours, ...saved.quietHours }
+        };
+    } catch (err) {
+        return defaultSettings;
+    }
+}
+
+export const saveDesktopNotificationSettings = (settings) =>
+    localStorage.setItem(settingsKey, JSON.stringify(settings));
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// quiet hours may span midnight, e.g. 22:00 to 07:00
+export const isQuietTime = ({ enabled, start, end }, date = new Date()) => {
+    if (!enabled || !start || !end || start === end) {
+        return false;
+    }
+
+    const now = date.getHours() * 60 + date.getMinutes();
+    const from = toMinutes(start);
+    const to = toMinutes(end);
+
+    return from < to ? now >= from && now < to : now >= from || now < to;
+}
+
+// the tag replaces rather than repeats a notification for the same thing, e.g. when the app is open in two tabs
+export const showDesktopNotification = (title, { body, tag } = {}) => {
+    if (getPermission() !== 'granted') {
+        return;
+    }
+
+    try {
+        const notification = new Notification(title, { body, tag });
+
+        notification.onclick = () => {
+            window.focus();
+            notification.close();
+        };
+    } catch (err) {
+        // some mobile browsers only allow notifications from a service worker
+    }
+}
+
+const show = (type, title, options) => {
+    const settings = getDesktopNotificationSettings();
+
+    if (!settings.enabled || !settings.events[type] || isQuietTime(settings.quietHours)) {
+        return;
+    }
+
+    if (settings.backgroundOnly && !document.hidden) {
+        return;
+    }
+
+    showDesktopNotification(title, options);
+}
+
+const transferTitles = {
+    [eventTypes.downloadCompleted]: 'Download completed',
+    [eventTypes.downloadFailed]: 'Download failed',
+    [eventTypes.downloadStarted]: 'Download started',
+    [eventTypes.uploadStarted]: 'Upload started'
+};
+
+const onTransfer = (type, { username, filename, state }) => {
+    const body = `${getFileName(filename)} ${type === eventTypes.uploadStarted ? 'to' : 'from'} ${username}` +
+        (type === eventTypes.downloadFailed ? ` (${state})` : '');
+
+    show(type, transferTitles[type], { body, tag: `${type}\n${username}\n${filename}` });
+}
+
+let newResultCounts = undefined;
+let subscription = undefined;
+let removeTransferListener = undefined;
+let retryTimeout = undefined;
+
+const updateWishlistItem = (item, announce) => {
+    const previous = newResultCounts.get(item.id) || 0;
+    newResultCounts.set(item.id, item.newResultCount);
+
+    if (announce && item.newResultCount > previous) {
+        const found = item.newResultCount - previous;
+
+        show(desktopEventTypes.wishlistResults, `Wishlist: ${item.searchText}`, {
+            body: `${found} new result${found === 1 ? '' : 's'}`,
+            tag: `wishlist\n${item.id}`
+        });
+    }
+}
+
+const fetchWishlist = () => {
+    api.get('/wishlist', { silent: true })
+    .then(response => {
+        // the first fetch only records where things stand
+        const announce = newResultCounts !== undefined;
+        newResultCounts = newResultCounts || new Map();
+
+        response.data.forEach(item => updateWishlistItem(item, announce));
+    })
+    .catch(() => {
+        // updates are only compared against the first fetch, so keep trying for one even while updates are arriving
+        if (subscription && !newResultCounts) {
+            clearTimeout(retryTimeout);
+            retryTimeout = setTimeout(fetchWishlist, pollInterval);
+        }
+    });
+}
+
+const onWishlistItemUpdated = (item) => {
+    if (newResultCounts) {
+        updateWishlistItem(item, true);
+    }
+}
+
+// transfer events come from transferEvents, which the app watches while someone is logged in
+export const watchDesktopNotifications = () => {
+    if (!subscription) {
+        removeTransferListener = onTransferEvent(onTransfer);
+        subscription = subscribe({ wishlistItemUpdated: onWishlistItemUpdated }, { fallback: fetchWishlist, interval: pollInterval });
+        fetchWishlist();
+    }
+}
+
+export const unwatchDesktopNotifications = () => {
+    if (subscription) {
+        removeTransferListener();
+        subscription.unsubscribe();
+        subscription = undefined;
+        newResultCounts = undefined;
+        clearTimeout(retryTimeout);
+    }
+}
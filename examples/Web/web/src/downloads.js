@@ -0,0 +1,55 @@
+import api from './api';
+
+const settingsKey = 'soulseek-example-download-settings';
+
+export const templates = [
+    { key: 'folder', text: 'Remote folder', value: '{remoteFolder}/{filename}' },
+    { key: 'user-folder', text: 'Username and remote folder', value: '{username}/{remoteFolder}/{filename}' },
+    { key: 'path', text: 'Full remote path', value: '{remotePath}/{filename}' },
+    { key: 'user-path', text: 'Username and full remote path', value: '{username}/{remotePath}/{filename}' },
+    { key: 'flat', text: 'Flattened', value: '{filename}' }
+];
+
+export const defaultSettings = {
+    destination: '',
+    template: templates[0].value
+};
+
+export const getDownloadSettings = () => 
+    ({ ...defaultSettings, ...JSON.parse(localStorage.getItem(settingsKey) || '{}') });
+
+export const saveDownloadSettings = (settings) => 
+    localStorage.setItem(settingsKey, JSON.stringify({ ...getDownloadSettings(), ...settings }));
+
+// mirrors DownloadPath.Resolve on the server closely enough to preview a template in the browser
+export const previewPath = ({ destination, template }, username, filename) => {
+    const parts = filename.split(/[\\/]/).filter(p => p !== '');
+    const name = parts.pop() || '';
+    const extension = name.includes('.') ? name.split('.').pop() : '';
+
+    const relative = (template || defaultSettings.template)
+        .replace(/{username}/g, username)
+        .replace(/{remoteFolder}/g, parts[parts.length - 1] || '')
+        .replace(/{remotePath}/g, parts.join('/'))
+        .replace(/{filename}/g, name)
+        .replace(/{basename}/g, extension ? name.substring(0, name.length - extension.length - 1) : name)
+        .replace(/{extension}/g, extension);
+
+    return [destination || '', relative].join('/').split(/[\\/]/).filter(p => p !== '').join('/');
+}
+
+// enqueues a download, saving it to the given destination using the given naming template,
+// or to the configured defaults if either is omitted. the size lets the server find alternate sources if the download fails.
+// callers that report failures themselves pass silent, so that they aren't reported twice.
+export const enqueueDownload = (username, filename, { destination, template, size, silent } = {}) => {
+    const defaults = getDownloadSettings();
+
+    return api.post(`/transfers/downloads/${username}/${encodeURIComponent(filename)}`, undefined, {
+        silent,
+        params: {
+            destination: destination === undefined ? defaults.destination : destination,
+            template: template === undefined ? defaults.template : template,
+            size
+        }
+    });
+}
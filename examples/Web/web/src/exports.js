@@ -0,0 +1,148 @@
+import { downloadFile } from './util';
+import { enqueueDownload } from './downloads';
+import { describeError } from './notifications';
+
+// exported files identify themselves so that an import can tell a transfer list from search results
+const transfersType = 'soulseek-example-transfers';
+const searchResultsType = 'soulseek-example-search-results';
+
+const transferColumns = ['username', 'filename', 'size', 'state', 'bytesTransferred'];
+const searchResultColumns = ['username', 'freeUploadSlots', 'uploadSpeed', 'queueLength', 'filename', 'size', 'bitRate', 'length'];
+
+const escapeCsv = (value) => {
+    const text = value === undefined || value === null ? '' : `${value}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const toCsv = (rows, columns) =>
+    [columns.join(',')].concat(rows.map(row => columns.map(c => escapeCsv(row[c])).join(','))).join('\r\n');
+
+// splits CSV text into rows of fields, honoring quoted fields that contain commas, quotes or line breaks.
+// spreadsheet programs often begin the file with a byte order mark, which would otherwise end up in the first column's name.
+const parseCsv = (text) => {
+    text = text.replace(/^\uFEFF/, '');
+
+    const rows = [[]];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            rows[rows.length - 1].push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            rows[rows.length - 1].push(field);
+            field = '';
+
+            if (c === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+
+            rows.push([]);
+        } else {
+            field += c;
+        }
+    }
+
+    rows[rows.length - 1].push(field);
+
+    const [header, ...data] = rows.filter(r => r.length > 1 || r[0] !== '');
+    return !header ? [] : data.map(r => header.reduce((row, column, i) => ({ ...row, [column.trim()]: r[i] }), {}));
+}
+
+const timestamp = () => new Date().toISOString().replace(/[:.]/g, '-');
+
+const save = (rows, columns, json, name, format) => {
+    if (format === 'csv') {
+        downloadFile(toCsv(rows, columns), `${name}-${timestamp()}.csv`, 'text/csv');
+    } else {
+        downloadFile(JSON.stringify(json, null, 2), `${name}-${timestamp()}.json`, 'application/json');
+    }
+}
+
+export const exportFormats = [
+    { key: 'json', text: 'JSON', value: 'json' },
+    { key: 'csv', text: 'CSV', value: 'csv' }
+];
+
+// flattens the user/directory/file tree the transfer lists are kept in
+export const flattenTransfers = (users) =>
+    users.reduce((list, u) => list.concat(u.directories.reduce((files, d) => files.concat(d.files), [])), []);
+
+export const exportTransfers = (direction, users, format) => {
+    const transfers = flattenTransfers(users);
+
+    save(transfers, transferColumns, { type: transfersType, direction, exported: new Date(), transfers }, `${direction}s`, format);
+}
+
+export const exportSearchResults = (searchText, responses, format) => {
+    const rows = responses.reduce((list, r) => list.concat(r.files.map(f => ({ ...r, ...f }))), []);
+    const name = `search-${searchText.replace(/[^\w]+/g, '-').replace(/^-|-$/g, '') || 'results'}`;
+
+    save(rows, searchResultColumns, { type: searchResultsType, searchText, exported: new Date(), responses }, name, format);
+}
+
+// reads the downloads from an exported transfer list, in either format.  rows without a state (e.g. a hand written CSV
+// of usernames and filenames) are taken to be wanted.
+export const parseDownloadList = (text) => {
+    const trimmed = text.trim();
+
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        const json = JSON.parse(trimmed);
+        const list = Array.isArray(json) ? json : json.transfers;
+
+        if (!Array.isArray(list) || (json.type && json.type !== transfersType) || (json.direction && json.direction !== 'download')) {
+            throw new Error('The file is not an exported download list');
+        }
+
+        return list;
+    }
+
+    const rows = parseCsv(trimmed);
+
+    if (rows.length > 0 && (rows[0].username === undefined || rows[0].filename === undefined)) {
+        throw new Error('The CSV file must have username and filename columns');
+    }
+
+    return rows.map(r => ({ ...r, size: r.size ? Number(r.size) : undefined }));
+}
+
+const isSucceeded = (transfer) => transfer.state === 'Completed, Succeeded';
+
+// enqueues the given downloads one at a time, skipping those that completed before they were exported and those
+// already in the current list.  resolves to counts of what was enqueued, skipped and failed.
+export const importDownloads = async (downloads, existing = []) => {
+    const existingKeys = new Set(existing.map(t => `${t.username}\n${t.filename}`));
+    const result = { enqueued: 0, completed: 0, duplicate: 0, failed: [] };
+
+    for (const download of downloads.filter(d => d.username && d.filename)) {
+        if (isSucceeded(download)) {
+            result.completed++;
+        } else if (existingKeys.has(`${download.username}\n${download.filename}`)) {
+            result.duplicate++;
+        } else {
+            try {
+                await enqueueDownload(download.username, download.filename, { size: download.size || undefined, silent: true });
+                existingKeys.add(`${download.username}\n${download.filename}`);
+                result.enqueued++;
+            } catch (err) {
+                result.failed.push({ ...download, error: describeError(err) });
+            }
+        }
+    }
+
+    return result;
+}
@@ -0,0 +1,82 @@
+const storageKey = 'soulseek-example-notifications';
+
+const maximumLogLength = 200;
+
+// the same failure repeating (e.g. polling while the server is down) is counted rather than logged and shown again
+const repeatWindow = 60000;
+
+const listeners = new Set();
+
+const load = () => {
+    try {
+        return JSON.parse(localStorage.getItem(storageKey)) || [];
+    } catch (err) {
+        return [];
+    }
+}
+
+let log = load();
+
+const save = () => {
+    try {
+        localStorage.setItem(storageKey, JSON.stringify(log));
+    } catch (err) {
+        // the log is a convenience; notifications still show if it can't be kept
+    }
+}
+
+const publish = (notification) => {
+    save();
+    listeners.forEach(l => l(log, notification));
+}
+
+// describes a failed api request (or any other error) in a sentence, using the message returned by the API if there is one
+export const describeError = (error) => {
+    const response = error && error.response;
+
+    if (!response) {
+        return error && error.message ? error.message : String(error);
+    }
+
+    const { data, status, statusText } = response;
+    const message = typeof data === 'string' ? data : data && (data.title || data.message);
+
+    return `${message ? `${message} ` : ''}(HTTP ${status}${statusText ? ` ${statusText}` : ''})`;
+}
+
+// adds a notification to the log and shows it as a toast.  type is one of 'error', 'warning', 'success' or 'info'.
+export const notify = ({ type = 'info', title, message = '', toast = true }) => {
+    const now = Date.now();
+    const repeat = log.find(n => n.title === title && n.message === message && now - n.timestamp < repeatWindow);
+
+    if (repeat) {
+        log = log.map(n => n === repeat ? { ...n, count: (n.count || 1) + 1, timestamp: now, read: false } : n);
+        return publish(undefined);
+    }
+
+    const notification = { id: `${now}-${Math.random().toString(36).slice(2)}`, timestamp: now, type, title, message, read: false };
+
+    log = [notification].concat(log).slice(0, maximumLogLength);
+    publish(toast ? notification : undefined);
+}
+
+export const notifyError = (title, error) => notify({ type: 'error', title, message: describeError(error) });
+
+export const getNotifications = () => log;
+
+export const markAllRead = () => {
+    log = log.map(n => n.read ? n : { ...n, read: true });
+    publish(undefined);
+}
+
+export const clearNotifications = () => {
+    log = [];
+    publish(undefined);
+}
+
+// invokes the listener with the log and, when one was added to be shown, the new notification.  returns a function which
+// removes the listener.
+export const subscribeNotifications = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
@@ -0,0 +1,133 @@
+import { HubConnectionBuilder, LogLevel } from '@aspnet/signalr';
+import { baseUrl, tokenPassthroughValue } from './config';
+import { getToken } from './api';
+
+const minimumReconnectDelay = 1000;
+const maximumReconnectDelay = 30000;
+
+const subscriptions = new Set();
+const registeredEvents = new Set();
+
+let connection = undefined;
+let connectionState = 'disconnected';
+let reconnectDelay = minimumReconnectDelay;
+let reconnectTimeout = undefined;
+
+const getConnection = () => {
+  if (!connection) {
+    connection = new HubConnectionBuilder()
+      .withUrl(`${baseUrl}/hubs/events`, {
+        accessTokenFactory: () => {
+          const token = getToken();
+          return token && token !== tokenPassthroughValue ? token : undefined;
+        }
+      })
+      .configureLogging(LogLevel.Warning)
+      .build();
+
+    connection.onclose(() => {
+      connectionState = 'disconnected';
+      subscriptions.forEach(s => s.onDisconnected());
+      scheduleReconnect();
+    });
+  }
+
+  return connection;
+}
+
+const register = (eventName) => {
+  if (!registeredEvents.has(eventName)) {
+    registeredEvents.add(eventName);
+    getConnection().on(eventName, (payload) =>
+      subscriptions.forEach(s => s.handlers[eventName] && s.handlers[eventName](payload)));
+  }
+}
+
+const start = () => {
+  if (connectionState !== 'disconnected' || subscriptions.size === 0) {
+    return;
+  }
+
+  connectionState = 'connecting';
+
+  getConnection().start()
+    .then(() => {
+      connectionState = 'connected';
+      reconnectDelay = minimumReconnectDelay;
+      subscriptions.forEach(s => s.onConnected());
+    })
+    .catch(() => {
+      connectionState = 'disconnected';
+      scheduleReconnect();
+    });
+}
+
+const stop = () => {
+  clearTimeout(reconnectTimeout);
+  reconnectTimeout = undefined;
+  reconnectDelay = minimumReconnectDelay;
+
+  if (connection && connectionState !== 'disconnected') {
+    connection.stop();
+  }
+}
+
+const scheduleReconnect = () => {
+  if (subscriptions.size === 0 || reconnectTimeout) {
+    return;
+  }
+
+  reconnectTimeout = window.setTimeout(() => {
+    reconnectTimeout = undefined;
+    start();
+  }, reconnectDelay);
+
+  reconnectDelay = Math.min(reconnectDelay * 2, maximumReconnectDelay);
+}
+
+// subscribes the given map of event name => handler to the event hub.  while the hub
+// is unreachable, the optional fallback is polled on the given interval instead, and it
+// is invoked once whenever the connection is (re)established so that missed events are caught up.
+export const subscribe = (handlers, { fallback, interval = 500 } = {}) => {
+  let pollInterval = undefined;
+
+  const startPolling = () => {
+    if (fallback && !pollInterval) {
+      pollInterval = window.setInterval(fallback, interval);
+    }
+  }
+
+  const stopPolling = () => {
+    clearInterval(pollInterval);
+    pollInterval = undefined;
+  }
+
+  const subscription = {
+    handlers,
+    onConnected: () => {
+      stopPolling();
+      fallback && fallback();
+    },
+    onDisconnected: startPolling,
+    unsubscribe: () => {
+      stopPolling();
+      subscriptions.delete(subscription);
+
+      if (subscriptions.size === 0) {
+        stop();
+      }
+    }
+  };
+
+  subscriptions.add(subscription);
+  Object.keys(handlers).forEach(register);
+
+  if (connectionState !== 'connected') {
+    startPolling();
+    start();
+  }
+
+  return subscription;
+}
+
+export const isConnected = () => connectionState === 'connected';
@@ -0,0 +1,22 @@
+import React from 'react';
+
+// the state of the backend's connection to the Soulseek server, as reported by GET /server and the serverStateChanged event.
+// until the state is known the connection is assumed to be up, so that nothing is disabled while the app loads.
+export const unknownState = { isConnected: true, isLoggedIn: true, isReconnecting: false };
+
+export const ServerContext = React.createContext(unknownState);
+
+// actions that reach the Soulseek network (searching, browsing, downloading, chatting) need a logged in client
+export const isOnline = (state) => !!state && state.isLoggedIn;
+
+export const getStatus = (state) => {
+    if (isOnline(state)) {
+        return { text: 'Connected', color: 'green' };
+    }
+
+    if (state.isReconnecting || state.isConnected) {
+        return { text: 'Connecting', color: 'yellow' };
+    }
+
+    return { text: 'Disconnected', color: 'red' };
+}
@@ -0,0 +1,18 @@
+import React from 'react';
+
+// the web user's name and role, as reported by GET /session.  the API enforces the same rules; these only decide which
+// actions are offered.
+export const roles = ['Admin', 'Downloader', 'Viewer'];
+
+export const unknownSession = { username: undefined, role: undefined };
+
+export const SessionContext = React.createContext(unknownSession);
+
+const permissions = {
+    // enqueueing, cancelling and removing transfers, managing the wishlist and chatting
+    download: ['Admin', 'Downloader'],
+    // shares, the upload policy and queue, the server connection and web users
+    administer: ['Admin']
+};
+
+export const can = (session, permission) => !!session && permissions[permission].includes(session.role);
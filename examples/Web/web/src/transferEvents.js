@@ -0,0 +1,108 @@
+import api from './api';
+import { subscribe } from './realtime';
+import { flattenTransfers } from './exports';
+
+// detects transfer state transitions from the transferUpdated event, or from successive snapshots while the event hub is
+// unreachable, and tells listeners about the ones people care about.
+export const eventTypes = {
+    downloadCompleted: 'downloadCompleted',
+    downloadFailed: 'downloadFailed',
+    downloadStarted: 'downloadStarted',
+    uploadStarted: 'uploadStarted'
+};
+
+const pollInterval = 5000;
+
+const listeners = new Set();
+
+let states = undefined;
+let subscription = undefined;
+let retryTimeout = undefined;
+
+const getKey = (transfer) => `${transfer.direction}\n${transfer.username}\n${transfer.filename}`;
+
+const isDownload = (transfer) => transfer.direction.toLowerCase() === 'download';
+
+const getEventType = (transfer, previous) => {
+    const { state } = transfer;
+
+    if (isDownload(transfer)) {
+        if (state === 'Completed, Succeeded') {
+            return eventTypes.downloadCompleted;
+        }
+
+        // cancellations are deliberate, so they aren't failures worth mentioning
+        if (state.includes('Completed') && !state.includes('Cancelled')) {
+            return eventTypes.downloadFailed;
+        }
+
+        // a download waiting in the remote user's queue has begun
+        if (state === 'InProgress' && previous === 'Queued') {
+            return eventTypes.downloadStarted;
+        }
+    } else if (state === 'InProgress') {
+        return eventTypes.uploadStarted;
+    }
+
+    return undefined;
+}
+
+const update = (transfer, announce) => {
+    const key = getKey(transfer);
+    const previous = states.get(key);
+
+    states.set(key, transfer.state);
+
+    if (announce && previous !== transfer.state) {
+        const type = getEventType(transfer, previous);
+        type && listeners.forEach(l => l(type, transfer));
+    }
+}
+
+const fetchSnapshot = () => {
+    return Promise.all(['download', 'upload'].map(direction => api.get(`/transfers/${direction}s`, { silent: true })))
+        .then(responses => {
+            // the first snapshot only records where things stand; nothing in it is news
+            const announce = states !== undefined;
+            states = states || new Map();
+
+            responses
+                .reduce((list, response) => list.concat(flattenTransfers(response.data)), [])
+                .forEach(t => update(t, announce));
+        })
+        .catch(() => {
+            // events are only compared against the first snapshot, so keep trying for one even while events are arriving
+            if (subscription && !states) {
+                clearTimeout(retryTimeout);
+                retryTimeout = setTimeout(fetchSnapshot, pollInterval);
+            }
+        });
+}
+
+const onTransferUpdated = (transfer) => {
+    if (states) {
+        update(transfer, true);
+    }
+}
+
+export const watchTransfers = () => {
+    if (!subscription) {
+        subscription = subscribe({ transferUpdated: onTransferUpdated }, { fallback: fetchSnapshot, interval: pollInterval });
+        fetchSnapshot();
+    }
+}
+
+export const unwatchTransfers = () => {
+    if (subscription) {
+        subscription.unsubscribe();
+        subscription = undefined;
+        states = undefined;
+        clearTimeout(retryTimeout);
+    }
+}
+
+// invokes the listener with the type of each event and the transfer it's about.  returns a function which removes the listener.
+export const onTransferEvent = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
@@ -18,6 +18,17 @@ export const formatBytes = (bytes, decimals = 2) => {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
 }
 
+export const formatDuration = (seconds) => {
+    if (seconds === undefined || seconds === null || isNaN(seconds) || !isFinite(seconds)) return '';
+
+    const total = Math.round(seconds);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const s = total % 60;
+
+    return h > 0 ? `${h}h ${m}m` : m > 0 ? `${m}m ${s}s` : `${s}s`;
+}
+
 export const getFileName = (fullPath) => {
     return fullPath.split('\\').pop().split('/').pop();
 }